@@ -14,10 +14,21 @@ import Profile from './pages/Profile';
 import Login from './pages/Login';
 import RiderPayouts from './pages/RiderPayouts';
 import Notifications from './pages/Notifications';
+import Forbidden from './pages/Forbidden';
+import OrderBoard from './pages/OrderBoard';
+import OrderMap from './pages/OrderMap';
+import KycQueue from './pages/KycQueue';
+import AuditLog from './pages/AuditLog';
+import PromoCampaigns from './pages/PromoCampaigns';
+import UserProfile from './pages/UserProfile';
+import RiderLeaderboard from './pages/RiderLeaderboard';
+import Broadcasts from './pages/Broadcasts';
+import PayoutReconciliation from './pages/PayoutReconciliation';
 import { useAuth } from './contexts/AuthContext';
+import { PERMISSIONS } from './utils/permissions';
 
-const ProtectedRoute = ({ children }) => {
-  const { user, initializing } = useAuth();
+const ProtectedRoute = ({ children, permission }) => {
+  const { user, initializing, can } = useAuth();
 
   if (initializing) {
     return null;
@@ -27,9 +38,55 @@ const ProtectedRoute = ({ children }) => {
     return <Navigate to="/login" />;
   }
 
+  if (!can(permission)) {
+    return <Forbidden />;
+  }
+
   return children;
 };
 
+const routes = [
+  { path: '', element: <Dashboard />, permission: PERMISSIONS.DASHBOARD_VIEW },
+  { path: 'orders', element: <Orders />, permission: PERMISSIONS.ORDERS_VIEW },
+  { path: 'dispatch-board', element: <OrderBoard />, permission: PERMISSIONS.ORDERS_VIEW },
+  { path: 'map', element: <OrderMap />, permission: PERMISSIONS.ORDERS_VIEW },
+  { path: 'riders', element: <Riders />, permission: PERMISSIONS.RIDERS_VIEW },
+  {
+    path: 'riders/:id',
+    element: <UserProfile userType="rider" />,
+    permission: PERMISSIONS.RIDERS_VIEW,
+  },
+  {
+    path: 'rider-leaderboard',
+    element: <RiderLeaderboard />,
+    permission: PERMISSIONS.RIDERS_VIEW,
+  },
+  { path: 'kyc-review', element: <KycQueue />, permission: PERMISSIONS.RIDERS_VIEW },
+  { path: 'rider-payouts', element: <RiderPayouts />, permission: PERMISSIONS.PAYOUTS_VIEW },
+  {
+    path: 'payout-reconciliation',
+    element: <PayoutReconciliation />,
+    permission: PERMISSIONS.PAYOUTS_VIEW,
+  },
+  { path: 'customers', element: <Customers />, permission: PERMISSIONS.CUSTOMERS_VIEW },
+  {
+    path: 'customers/:id',
+    element: <UserProfile userType="customer" />,
+    permission: PERMISSIONS.CUSTOMERS_VIEW,
+  },
+  { path: 'promos', element: <PromoConfig />, permission: PERMISSIONS.PROMOS_VIEW },
+  { path: 'promo-campaigns', element: <PromoCampaigns />, permission: PERMISSIONS.PROMOS_VIEW },
+  { path: 'referrals', element: <Referrals />, permission: PERMISSIONS.REFERRALS_VIEW },
+  { path: 'gold-status', element: <GoldStatus />, permission: PERMISSIONS.PROMOS_VIEW },
+  { path: 'streak-bonuses', element: <StreakBonuses />, permission: PERMISSIONS.PROMOS_VIEW },
+  { path: 'broadcasts', element: <Broadcasts />, permission: PERMISSIONS.NOTIFICATIONS_SEND },
+  { path: 'audit-log', element: <AuditLog />, permission: PERMISSIONS.AUDIT_VIEW },
+  { path: 'settings', element: <Settings />, permission: PERMISSIONS.SETTINGS_VIEW },
+  { path: 'profile', element: <Profile /> },
+  { path: 'notifications', element: <Notifications /> },
+  { path: '403', element: <Forbidden /> },
+];
+
 function App() {
   return (
     <Routes>
@@ -42,18 +99,13 @@ function App() {
           </ProtectedRoute>
         }
       >
-        <Route path="" element={<Dashboard />} />
-        <Route path="orders" element={<Orders />} />
-        <Route path="riders" element={<Riders />} />
-        <Route path="rider-payouts" element={<RiderPayouts />} />
-        <Route path="customers" element={<Customers />} />
-        <Route path="promos" element={<PromoConfig />} />
-        <Route path="referrals" element={<Referrals />} />
-        <Route path="gold-status" element={<GoldStatus />} />
-        <Route path="streak-bonuses" element={<StreakBonuses />} />
-        <Route path="settings" element={<Settings />} />
-        <Route path="profile" element={<Profile />} />
-        <Route path="notifications" element={<Notifications />} />
+        {routes.map(({ path, element, permission }) => (
+          <Route
+            key={path || 'dashboard'}
+            path={path}
+            element={<ProtectedRoute permission={permission}>{element}</ProtectedRoute>}
+          />
+        ))}
       </Route>
     </Routes>
   );
@@ -0,0 +1,178 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import socket from '../services/socket';
+import OrderDetailsModal from './OrderDetailsModal';
+import { getRecentActivity } from '../services/adminApi';
+import { useAuth } from '../contexts/AuthContext';
+import useSocketConnected from '../hooks/useSocketConnected';
+import {
+  ACTIVITY_FEED_LIMIT,
+  activityTypes,
+  buildSocketActivity,
+  getActivityLink,
+  isOrderActivity,
+  mergeActivity,
+  normalizeActivity,
+} from '../utils/activityFeed';
+import { formatDateTime } from '../utils/formatters';
+
+const ActivityFeed = () => {
+  const { can } = useAuth();
+  const connected = useSocketConnected();
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [typeFilter, setTypeFilter] = useState('all');
+  const [selectedOrderId, setSelectedOrderId] = useState(null);
+
+  // can() is a new function each render, so the effects below key off the
+  // joined type list instead to avoid refetching on every render.
+  const visibleTypeKey = Object.keys(activityTypes)
+    .filter((type) => can(activityTypes[type].permission))
+    .join(',');
+  const visibleTypes = useMemo(
+    () => visibleTypeKey.split(',').filter(Boolean),
+    [visibleTypeKey]
+  );
+
+  // Backfill on mount and again after a reconnect, since events sent while the
+  // socket was down are never replayed.
+  useEffect(() => {
+    let cancelled = false;
+    const fetchActivity = async () => {
+      try {
+        setError(null);
+        const response = await getRecentActivity({
+          limit: ACTIVITY_FEED_LIMIT,
+          types: visibleTypes.join(','),
+        });
+        if (cancelled) return;
+        const items = (response.items || [])
+          .filter((item) => visibleTypes.includes(item.type))
+          .map(normalizeActivity);
+        setEntries((prev) => mergeActivity(prev, items));
+      } catch (err) {
+        if (!cancelled) setError('Failed to load recent activity.');
+        console.error('Failed to load recent activity:', err);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchActivity();
+    return () => {
+      cancelled = true;
+    };
+  }, [visibleTypes, connected]);
+
+  useEffect(() => {
+    // Several types can share one event (order.updated only matters when the
+    // order was cancelled), so every type listening on an event gets a look.
+    const handlers = visibleTypes.map((type) => {
+      const handler = (payload) => {
+        const entry = buildSocketActivity(type, payload);
+        if (entry) setEntries((prev) => mergeActivity(prev, [entry]));
+      };
+      socket.on(activityTypes[type].event, handler);
+      return { event: activityTypes[type].event, handler };
+    });
+
+    return () => {
+      handlers.forEach(({ event, handler }) => socket.off(event, handler));
+    };
+  }, [visibleTypes]);
+
+  const filtered =
+    typeFilter === 'all' ? entries : entries.filter((entry) => entry.type === typeFilter);
+
+  const renderEntryTitle = (entry) => {
+    if (isOrderActivity(entry) && entry.entityId) {
+      return (
+        <button
+          type="button"
+          onClick={() => setSelectedOrderId(entry.entityId)}
+          className="text-left font-semibold text-gray-800 hover:underline hover:text-accent-blue"
+        >
+          {entry.title}
+        </button>
+      );
+    }
+
+    const link = getActivityLink(entry);
+    if (link) {
+      return (
+        <Link to={link} className="font-semibold text-gray-800 hover:underline hover:text-accent-blue">
+          {entry.title}
+        </Link>
+      );
+    }
+
+    return <span className="font-semibold text-gray-800">{entry.title}</span>;
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+        <div className="flex items-center space-x-3">
+          <h2 className="text-xl font-bold text-gray-800">Recent Activity</h2>
+          <span
+            className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-semibold ${
+              connected ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-600'
+            }`}
+          >
+            {connected ? 'Live' : 'Offline'}
+          </span>
+        </div>
+        <select
+          value={typeFilter}
+          onChange={(e) => setTypeFilter(e.target.value)}
+          className="bg-white text-gray-800 text-sm px-3 py-2 rounded-lg border border-gray-300 focus:outline-none focus:ring-2 focus:ring-accent-blue"
+        >
+          <option value="all">All activity</option>
+          {visibleTypes.map((type) => (
+            <option key={type} value={type}>
+              {activityTypes[type].label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {error && (
+        <div className="mb-4 rounded-lg border border-red-200 bg-red-50 px-4 py-2 text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading activity…</p>
+      ) : filtered.length === 0 ? (
+        <p className="text-sm text-gray-500">Nothing has happened here yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 max-h-[28rem] overflow-y-auto">
+          {filtered.map((entry) => {
+            const config = activityTypes[entry.type];
+            const Icon = config.icon;
+            return (
+              <li key={entry.id} className="flex items-start space-x-3 py-3">
+                <span className={`p-2 rounded-lg ${config.className}`}>
+                  <Icon className="h-5 w-5" />
+                </span>
+                <div className="flex-1 min-w-0 text-sm">
+                  {renderEntryTitle(entry)}
+                  {entry.detail && <p className="text-gray-600 truncate">{entry.detail}</p>}
+                </div>
+                <span className="text-xs text-gray-500 whitespace-nowrap">
+                  {formatDateTime(entry.at)}
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <OrderDetailsModal orderId={selectedOrderId} onClose={() => setSelectedOrderId(null)} />
+    </div>
+  );
+};
+
+export default ActivityFeed;
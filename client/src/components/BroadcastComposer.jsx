@@ -0,0 +1,524 @@
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { MegaphoneIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import ConfirmationModal from './ConfirmationModal';
+import { createBroadcast, previewBroadcastAudience } from '../services/notificationsApi';
+import { getAllCustomers, getAllRiders } from '../services/adminApi';
+import { useAuth } from '../contexts/AuthContext';
+import { PERMISSIONS } from '../utils/permissions';
+import {
+  audienceTypes,
+  broadcastChannels,
+  buildAudience,
+  getSmsSegmentCount,
+  getUnknownTemplateVariables,
+  renderTemplate,
+  serviceTypeOptions,
+  templateVariables,
+  vehicleTypeOptions,
+} from '../utils/broadcasts';
+
+const inputClassName =
+  'w-full p-3 bg-gray-50 text-gray-800 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-accent-blue';
+
+const emptyForm = {
+  title: '',
+  message: '',
+  channels: ['in_app'],
+  audienceType: 'all_riders',
+  vehicleTypes: [],
+  serviceTypes: [],
+  recipients: [],
+  sendMode: 'now',
+  scheduledAt: '',
+};
+
+const toggleValue = (list, value) =>
+  list.includes(value) ? list.filter((item) => item !== value) : [...list, value];
+
+const isAudienceComplete = (form) => {
+  if (form.audienceType === 'riders_by_vehicle') return form.vehicleTypes.length > 0;
+  if (form.audienceType === 'riders_by_service') return form.serviceTypes.length > 0;
+  if (form.audienceType === 'selected') return form.recipients.length > 0;
+  return true;
+};
+
+const BroadcastComposer = ({ onClose, onCreated }) => {
+  const { can } = useAuth();
+  const [form, setForm] = useState(emptyForm);
+  const [formError, setFormError] = useState(null);
+  const [audiencePreview, setAudiencePreview] = useState(null);
+  const [audienceLoading, setAudienceLoading] = useState(false);
+  const [sampleIndex, setSampleIndex] = useState(0);
+  const [recipientRole, setRecipientRole] = useState(
+    can(PERMISSIONS.RIDERS_VIEW) ? 'rider' : 'customer'
+  );
+  const [recipientSearch, setRecipientSearch] = useState('');
+  const [searchResults, setSearchResults] = useState([]);
+  const [confirmOpen, setConfirmOpen] = useState(false);
+  const [sending, setSending] = useState(false);
+
+  const canPickRecipients = can(PERMISSIONS.RIDERS_VIEW) || can(PERMISSIONS.CUSTOMERS_VIEW);
+  const audience = buildAudience(form);
+  const audienceKey = JSON.stringify(audience);
+  const audienceComplete = isAudienceComplete(form);
+
+  useEffect(() => {
+    if (!audienceComplete) return;
+
+    let cancelled = false;
+    const fetchAudiencePreview = async () => {
+      try {
+        setAudienceLoading(true);
+        const response = await previewBroadcastAudience(JSON.parse(audienceKey));
+        if (cancelled) return;
+        setAudiencePreview(response);
+        setSampleIndex(0);
+      } catch (err) {
+        if (!cancelled) setAudiencePreview(null);
+        console.error('Failed to preview broadcast audience:', err);
+      } finally {
+        if (!cancelled) setAudienceLoading(false);
+      }
+    };
+
+    fetchAudiencePreview();
+    return () => {
+      cancelled = true;
+    };
+  }, [audienceKey, audienceComplete]);
+
+  useEffect(() => {
+    const search = recipientSearch.trim();
+    if (search.length < 2) return;
+
+    let cancelled = false;
+    const timeoutId = setTimeout(async () => {
+      try {
+        const response =
+          recipientRole === 'rider'
+            ? await getAllRiders({ search, limit: 5 })
+            : await getAllCustomers({ search, limit: 5 });
+        if (cancelled) return;
+        const users = recipientRole === 'rider' ? response?.riders : response?.customers;
+        setSearchResults((users || []).map((user) => ({ ...user, role: recipientRole })));
+      } catch (err) {
+        console.error('Failed to search recipients:', err);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+    };
+  }, [recipientSearch, recipientRole]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleToggle = (name, value) => {
+    setForm((prev) => ({ ...prev, [name]: toggleValue(prev[name], value) }));
+  };
+
+  const handleInsertVariable = (key) => {
+    setForm((prev) => ({ ...prev, message: `${prev.message}{{${key}}}` }));
+  };
+
+  const handleAddRecipient = (user) => {
+    setForm((prev) =>
+      prev.recipients.some((recipient) => recipient._id === user._id)
+        ? prev
+        : { ...prev, recipients: [...prev.recipients, user] }
+    );
+    setRecipientSearch('');
+    setSearchResults([]);
+  };
+
+  const handleRemoveRecipient = (userId) => {
+    setForm((prev) => ({
+      ...prev,
+      recipients: prev.recipients.filter((recipient) => recipient._id !== userId),
+    }));
+  };
+
+  const validate = () => {
+    if (!form.title.trim()) return 'Give the broadcast a title.';
+    if (!form.message.trim()) return 'Write a message to send.';
+    if (form.channels.length === 0) return 'Choose at least one channel.';
+    if (!audienceComplete) return 'Choose who should receive this broadcast.';
+    const unknown = getUnknownTemplateVariables(`${form.title} ${form.message}`);
+    if (unknown.length > 0) {
+      return `Unknown template variable${unknown.length === 1 ? '' : 's'}: ${unknown
+        .map((key) => `{{${key}}}`)
+        .join(', ')}`;
+    }
+    if (form.sendMode === 'schedule') {
+      if (!form.scheduledAt) return 'Choose when to send the broadcast.';
+      if (new Date(form.scheduledAt) <= new Date()) return 'The send time must be in the future.';
+    }
+    return null;
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const validationError = validate();
+    setFormError(validationError);
+    if (!validationError) setConfirmOpen(true);
+  };
+
+  const handleConfirmSend = async () => {
+    const payload = {
+      title: form.title.trim(),
+      message: form.message.trim(),
+      channels: form.channels,
+      audience,
+      scheduledAt:
+        form.sendMode === 'schedule' ? new Date(form.scheduledAt).toISOString() : null,
+    };
+
+    try {
+      setSending(true);
+      const response = await createBroadcast(payload);
+      toast.success(payload.scheduledAt ? 'Broadcast scheduled.' : 'Broadcast sent.');
+      onCreated(response?.broadcast || { ...payload, createdAt: new Date().toISOString() });
+    } catch (err) {
+      const message =
+        err?.response?.data?.error || err?.response?.data?.message || 'Failed to send broadcast.';
+      setFormError(message);
+      toast.error(message);
+      console.error('Failed to create broadcast:', err);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const samples =
+    form.audienceType === 'selected' ? form.recipients : audiencePreview?.sample || [];
+  const sampleRecipient = samples[sampleIndex] || null;
+  const recipientCount =
+    form.audienceType === 'selected' ? form.recipients.length : audiencePreview?.count;
+  const smsSegments = getSmsSegmentCount(renderTemplate(form.message, sampleRecipient));
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-4xl p-6 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-start mb-4">
+          <h2 className="text-xl font-semibold text-gray-800">New broadcast</h2>
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={sending}
+            className="text-gray-500 hover:text-gray-800"
+          >
+            <XMarkIcon className="h-6 w-6" />
+          </button>
+        </div>
+
+        {formError && (
+          <div className="mb-4 rounded-lg border border-red-200 bg-red-50 px-4 py-2 text-sm text-red-700">
+            {formError}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div className="space-y-4">
+            <div>
+              <label className="block text-gray-700 font-semibold mb-2">Audience</label>
+              <select
+                name="audienceType"
+                value={form.audienceType}
+                onChange={handleChange}
+                className={inputClassName}
+              >
+                {Object.entries(audienceTypes)
+                  .filter(([key]) => key !== 'selected' || canPickRecipients)
+                  .map(([key, type]) => (
+                  <option key={key} value={key}>
+                    {type.label}
+                  </option>
+                  ))}
+              </select>
+            </div>
+
+            {form.audienceType === 'riders_by_vehicle' && (
+              <div className="flex flex-wrap gap-3">
+                {vehicleTypeOptions.map((option) => (
+                  <label key={option.value} className="flex items-center space-x-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={form.vehicleTypes.includes(option.value)}
+                      onChange={() => handleToggle('vehicleTypes', option.value)}
+                      className="form-checkbox h-4 w-4 text-accent-blue border-gray-300 rounded focus:ring-accent-blue"
+                    />
+                    <span>{option.label}</span>
+                  </label>
+                ))}
+              </div>
+            )}
+
+            {form.audienceType === 'riders_by_service' && (
+              <div className="flex flex-wrap gap-3">
+                {serviceTypeOptions.map((option) => (
+                  <label key={option.value} className="flex items-center space-x-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={form.serviceTypes.includes(option.value)}
+                      onChange={() => handleToggle('serviceTypes', option.value)}
+                      className="form-checkbox h-4 w-4 text-accent-blue border-gray-300 rounded focus:ring-accent-blue"
+                    />
+                    <span>{option.label}</span>
+                  </label>
+                ))}
+              </div>
+            )}
+
+            {form.audienceType === 'selected' && (
+              <div>
+                <div className="flex gap-2">
+                  <select
+                    value={recipientRole}
+                    onChange={(e) => {
+                      setRecipientRole(e.target.value);
+                      setSearchResults([]);
+                    }}
+                    className="p-3 bg-gray-50 text-gray-800 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-accent-blue"
+                  >
+                    {can(PERMISSIONS.RIDERS_VIEW) && <option value="rider">Riders</option>}
+                    {can(PERMISSIONS.CUSTOMERS_VIEW) && <option value="customer">Customers</option>}
+                  </select>
+                  <input
+                    type="text"
+                    value={recipientSearch}
+                    onChange={(e) => {
+                      setRecipientSearch(e.target.value);
+                      if (e.target.value.trim().length < 2) setSearchResults([]);
+                    }}
+                    placeholder="Search by name, email or phone"
+                    className={inputClassName}
+                  />
+                </div>
+                {searchResults.length > 0 && (
+                  <ul className="mt-1 border border-gray-200 rounded-lg divide-y divide-gray-100">
+                    {searchResults.map((user) => (
+                      <li key={user._id}>
+                        <button
+                          type="button"
+                          onClick={() => handleAddRecipient(user)}
+                          className="w-full text-left px-3 py-2 text-sm hover:bg-gray-50"
+                        >
+                          <span className="font-semibold text-gray-800">{user.fullName}</span>
+                          <span className="ml-2 text-gray-500">{user.email}</span>
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {form.recipients.length > 0 && (
+                  <div className="mt-2 flex flex-wrap gap-2">
+                    {form.recipients.map((recipient) => (
+                      <span
+                        key={recipient._id}
+                        className="inline-flex items-center px-2 py-1 rounded-full text-xs bg-gray-100 text-gray-700"
+                      >
+                        {recipient.fullName}
+                        <span className="ml-1 text-gray-400">({recipient.role})</span>
+                        <button
+                          type="button"
+                          onClick={() => handleRemoveRecipient(recipient._id)}
+                          className="ml-1 text-gray-500 hover:text-gray-800"
+                        >
+                          <XMarkIcon className="h-3 w-3" />
+                        </button>
+                      </span>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+
+            <div>
+              <label className="block text-gray-700 font-semibold mb-2">Channels</label>
+              <div className="flex flex-wrap gap-4">
+                {Object.entries(broadcastChannels).map(([key, channel]) => (
+                  <label key={key} className="flex items-center space-x-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={form.channels.includes(key)}
+                      onChange={() => handleToggle('channels', key)}
+                      className="form-checkbox h-4 w-4 text-accent-blue border-gray-300 rounded focus:ring-accent-blue"
+                    />
+                    <span>{channel.label}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-gray-700 font-semibold mb-2">Title</label>
+              <input
+                type="text"
+                name="title"
+                value={form.title}
+                onChange={handleChange}
+                placeholder="e.g. Double streak bonus this weekend"
+                className={inputClassName}
+              />
+            </div>
+
+            <div>
+              <label className="block text-gray-700 font-semibold mb-2">Message</label>
+              <textarea
+                name="message"
+                rows={5}
+                value={form.message}
+                onChange={handleChange}
+                placeholder="Hi {{firstName}}, ..."
+                className={inputClassName}
+              />
+              <div className="mt-1 flex flex-wrap items-center gap-2 text-xs text-gray-500">
+                <span>Insert:</span>
+                {templateVariables.map((variable) => (
+                  <button
+                    key={variable.key}
+                    type="button"
+                    onClick={() => handleInsertVariable(variable.key)}
+                    className="px-2 py-0.5 rounded bg-gray-100 hover:bg-gray-200 text-gray-700"
+                  >
+                    {`{{${variable.key}}}`}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-gray-700 font-semibold mb-2">When</label>
+              <div className="flex items-center gap-4 mb-2">
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="radio"
+                    name="sendMode"
+                    value="now"
+                    checked={form.sendMode === 'now'}
+                    onChange={handleChange}
+                  />
+                  <span>Send now</span>
+                </label>
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="radio"
+                    name="sendMode"
+                    value="schedule"
+                    checked={form.sendMode === 'schedule'}
+                    onChange={handleChange}
+                  />
+                  <span>Schedule</span>
+                </label>
+              </div>
+              {form.sendMode === 'schedule' && (
+                <input
+                  type="datetime-local"
+                  name="scheduledAt"
+                  value={form.scheduledAt}
+                  onChange={handleChange}
+                  className={inputClassName}
+                />
+              )}
+            </div>
+          </div>
+
+          <div>
+            <div className="flex justify-between items-center mb-2">
+              <p className="text-gray-700 font-semibold">Preview</p>
+              <p className="text-sm text-gray-500">
+                {!audienceComplete
+                  ? 'No audience selected'
+                  : audienceLoading
+                  ? 'Counting recipients…'
+                  : recipientCount !== undefined
+                  ? `${recipientCount} recipient${recipientCount === 1 ? '' : 's'}`
+                  : ''}
+              </p>
+            </div>
+            <div className="rounded-xl border border-gray-200 bg-gray-50 p-4">
+              <div className="flex items-start space-x-3">
+                <span className="p-2 rounded-lg bg-gray-800 text-white">
+                  <MegaphoneIcon className="h-5 w-5" />
+                </span>
+                <div className="min-w-0">
+                  <p className="font-semibold text-gray-800 break-words">
+                    {renderTemplate(form.title, sampleRecipient) || 'Title'}
+                  </p>
+                  <p className="text-sm text-gray-700 whitespace-pre-line break-words">
+                    {renderTemplate(form.message, sampleRecipient) || 'Your message will appear here.'}
+                  </p>
+                </div>
+              </div>
+            </div>
+            {samples.length > 0 && (
+              <div className="mt-2 flex items-center justify-between text-xs text-gray-500">
+                <span>
+                  Showing as {sampleRecipient?.fullName || 'a recipient'}
+                  {sampleRecipient?.email ? ` (${sampleRecipient.email})` : ''}
+                </span>
+                {samples.length > 1 && (
+                  <button
+                    type="button"
+                    onClick={() => setSampleIndex((prev) => (prev + 1) % samples.length)}
+                    className="text-accent-blue hover:underline"
+                  >
+                    Next recipient
+                  </button>
+                )}
+              </div>
+            )}
+            {form.channels.includes('sms') && (
+              <p className="mt-2 text-xs text-gray-500">
+                SMS: {smsSegments} segment{smsSegments === 1 ? '' : 's'} per recipient
+              </p>
+            )}
+
+            <div className="flex justify-end space-x-3 mt-6">
+              <button
+                type="button"
+                onClick={onClose}
+                disabled={sending}
+                className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-100 transition-colors text-sm font-medium"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={sending}
+                className="px-4 py-2 rounded-lg bg-gray-800 text-white hover:bg-gray-700 transition-colors text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {sending ? 'Sending...' : form.sendMode === 'schedule' ? 'Schedule' : 'Send'}
+              </button>
+            </div>
+          </div>
+        </form>
+      </div>
+
+      <ConfirmationModal
+        isOpen={confirmOpen}
+        onClose={() => setConfirmOpen(false)}
+        onConfirm={handleConfirmSend}
+        title={form.sendMode === 'schedule' ? 'Schedule broadcast' : 'Send broadcast'}
+        message={`"${form.title.trim()}" will go to ${
+          recipientCount !== undefined ? recipientCount : 'every matching'
+        } recipient${recipientCount === 1 ? '' : 's'} by ${form.channels
+          .map((key) => broadcastChannels[key].label)
+          .join(', ')}${
+          form.sendMode === 'schedule' && form.scheduledAt
+            ? ` on ${new Date(form.scheduledAt).toLocaleString()}`
+            : ''
+        }.`}
+        confirmText={form.sendMode === 'schedule' ? 'Schedule' : 'Send now'}
+        icon={MegaphoneIcon}
+      />
+    </div>
+  );
+};
+
+export default BroadcastComposer;
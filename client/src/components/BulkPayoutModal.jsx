@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import BulkRunResults from './BulkRunResults';
+import PaymentProofInput from './PaymentProofInput';
+import useBulkRunner from '../hooks/useBulkRunner';
+import { markPayoutPaid, rejectManualPayment } from '../services/payoutApi';
+import { formatCurrency } from '../utils/formatters';
+
+const actionConfig = {
+  'mark-paid': {
+    title: 'Bulk mark payouts as paid',
+    confirmText: 'Mark all as paid',
+    runningText: 'Marking as paid...',
+    failureText: 'Failed to mark payout as paid.',
+  },
+  reject: {
+    title: 'Bulk reject manual payments',
+    confirmText: 'Reject all',
+    runningText: 'Rejecting...',
+    failureText: 'Failed to reject manual payment.',
+  },
+};
+
+const resultColumns = [
+  { key: 'rider', label: 'Rider', render: (payout) => payout.riderName || 'N/A' },
+  {
+    key: 'commission',
+    label: 'Commission',
+    align: 'right',
+    render: (payout) => formatCurrency(payout.totals?.commission),
+  },
+];
+
+const getPayoutId = (payout) => payout._id;
+
+const BulkPayoutModal = ({ action, payouts, onClose, onItemSuccess }) => {
+  const [paymentProofFile, setPaymentProofFile] = useState(null);
+  const { results, running, finished, run } = useBulkRunner({
+    items: payouts,
+    getId: getPayoutId,
+    runItem: (payout) =>
+      action === 'mark-paid'
+        ? markPayoutPaid(payout._id, paymentProofFile, payout.statementMatch)
+        : rejectManualPayment(payout._id),
+    onItemSuccess: (payout) => onItemSuccess(action, payout._id),
+    failureText: actionConfig[action]?.failureText,
+  });
+
+  if (!action) return null;
+
+  const config = actionConfig[action];
+  const totalCommission = payouts.reduce(
+    (sum, payout) => sum + (payout.totals?.commission || 0),
+    0
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-2xl p-6 max-h-[90vh] flex flex-col">
+        <h2 className="text-xl font-semibold mb-2 text-gray-800">{config.title}</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          {payouts.length} payout{payouts.length === 1 ? '' : 's'} selected · Total commission{' '}
+          <span className="font-semibold text-gray-800">{formatCurrency(totalCommission)}</span>
+        </p>
+
+        {action === 'mark-paid' && !running && !finished && (
+          <div className="mb-4">
+            <PaymentProofInput
+              onFileChange={setPaymentProofFile}
+              helpText="Optional screenshot of the batch transfer. It is attached to every selected payout."
+            />
+          </div>
+        )}
+
+        <BulkRunResults
+          items={payouts}
+          getId={getPayoutId}
+          columns={resultColumns}
+          results={results}
+          finished={finished}
+          failedNote="Failed payouts stay selected so you can retry them."
+        />
+
+        <div className="flex justify-end space-x-3 mt-6">
+          <button
+            type="button"
+            onClick={() => onClose(results)}
+            disabled={running}
+            className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-100 transition-colors text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {finished ? 'Close' : 'Cancel'}
+          </button>
+          {!finished && (
+            <button
+              type="button"
+              onClick={run}
+              disabled={running || payouts.length === 0}
+              className={`px-4 py-2 rounded-lg text-white transition-colors text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed ${
+                action === 'reject'
+                  ? 'bg-red-600 hover:bg-red-700'
+                  : 'bg-gray-800 hover:bg-gray-700'
+              }`}
+            >
+              {running ? config.runningText : config.confirmText}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BulkPayoutModal;
@@ -0,0 +1,88 @@
+import React from 'react';
+import { CheckCircleIcon, ClockIcon, XCircleIcon } from '@heroicons/react/24/outline';
+
+const resultStyles = {
+  pending: { icon: ClockIcon, color: 'text-gray-400', label: 'Waiting' },
+  processing: { icon: ClockIcon, color: 'text-blue-500 animate-spin', label: 'Processing' },
+  success: { icon: CheckCircleIcon, color: 'text-green-600', label: 'Done' },
+  failed: { icon: XCircleIcon, color: 'text-red-600', label: 'Failed' },
+};
+
+const alignClasses = { left: 'text-left', right: 'text-right', center: 'text-center' };
+
+// Summary banner and per-item result table for runs from useBulkRunner.
+// Each column is { key, label, align, render(item) }.
+const BulkRunResults = ({ items, getId, columns, results, finished, failedNote }) => {
+  const statuses = Object.values(results);
+  const succeeded = statuses.filter((r) => r.status === 'success').length;
+  const failed = statuses.filter((r) => r.status === 'failed').length;
+
+  return (
+    <>
+      {finished && (
+        <div
+          className={`mb-4 rounded-lg border px-4 py-2 text-sm ${
+            failed > 0
+              ? 'border-yellow-200 bg-yellow-50 text-yellow-700'
+              : 'border-green-200 bg-green-50 text-green-700'
+          }`}
+        >
+          {succeeded} succeeded, {failed} failed.
+          {failed > 0 && failedNote && ` ${failedNote}`}
+        </div>
+      )}
+
+      <div className="flex-1 overflow-y-auto border border-gray-200 rounded-lg">
+        <table className="min-w-full bg-white">
+          <thead>
+            <tr className="bg-gray-100">
+              {columns.map((column) => (
+                <th
+                  key={column.key}
+                  className={`py-2 px-4 ${alignClasses[column.align || 'left']} text-gray-600 font-semibold text-sm`}
+                >
+                  {column.label}
+                </th>
+              ))}
+              <th className="py-2 px-4 text-left text-gray-600 font-semibold text-sm">Result</th>
+            </tr>
+          </thead>
+          <tbody>
+            {items.map((item) => {
+              const result = results[getId(item)];
+              const style = result ? resultStyles[result.status] : null;
+              const ResultIcon = style?.icon;
+              return (
+                <tr key={getId(item)} className="border-b border-gray-200">
+                  {columns.map((column) => (
+                    <td
+                      key={column.key}
+                      className={`py-2 px-4 text-sm ${alignClasses[column.align || 'left']} text-gray-800`}
+                    >
+                      {column.render(item)}
+                    </td>
+                  ))}
+                  <td className="py-2 px-4 text-sm">
+                    {style ? (
+                      <div className="flex items-start space-x-2">
+                        <ResultIcon className={`h-5 w-5 flex-shrink-0 ${style.color}`} />
+                        <div>
+                          <span className="text-gray-800">{style.label}</span>
+                          {result.error && <p className="text-xs text-red-600">{result.error}</p>}
+                        </div>
+                      </div>
+                    ) : (
+                      <span className="text-xs text-gray-400">—</span>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </>
+  );
+};
+
+export default BulkRunResults;
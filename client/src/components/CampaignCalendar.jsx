@@ -0,0 +1,136 @@
+import React from 'react';
+import { ChevronLeftIcon, ChevronRightIcon } from '@heroicons/react/24/outline';
+import { promoTypes } from '../utils/promoFields';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const parseMonth = (month) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  return { year, monthIndex: monthIndex - 1 };
+};
+
+const shiftMonth = (month, delta) => {
+  const { year, monthIndex } = parseMonth(month);
+  const date = new Date(year, monthIndex + delta, 1);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+const isActiveOnDay = (campaign, dayStart, dayEnd) =>
+  new Date(campaign.startsAt).getTime() < dayEnd &&
+  new Date(campaign.endsAt).getTime() > dayStart;
+
+const CampaignCalendar = ({ campaigns, month, onMonthChange, onSelectCampaign }) => {
+  const { year, monthIndex } = parseMonth(month);
+  const daysInMonth = new Date(year, monthIndex + 1, 0).getDate();
+  // getDay() is Sunday-first; the grid starts on Monday.
+  const leadingBlanks = (new Date(year, monthIndex, 1).getDay() + 6) % 7;
+  const todayKey = new Date().toDateString();
+
+  const cells = [
+    ...Array.from({ length: leadingBlanks }, () => null),
+    ...Array.from({ length: daysInMonth }, (_, index) => new Date(year, monthIndex, index + 1)),
+  ];
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4">
+      <div className="flex items-center justify-between mb-4">
+        <button
+          type="button"
+          onClick={() => onMonthChange(shiftMonth(month, -1))}
+          className="p-2 rounded-lg hover:bg-gray-100 text-gray-700"
+          aria-label="Previous month"
+        >
+          <ChevronLeftIcon className="h-5 w-5" />
+        </button>
+        <h2 className="text-lg font-semibold text-gray-800">
+          {new Date(year, monthIndex, 1).toLocaleDateString(undefined, {
+            month: 'long',
+            year: 'numeric',
+          })}
+        </h2>
+        <button
+          type="button"
+          onClick={() => onMonthChange(shiftMonth(month, 1))}
+          className="p-2 rounded-lg hover:bg-gray-100 text-gray-700"
+          aria-label="Next month"
+        >
+          <ChevronRightIcon className="h-5 w-5" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-7 gap-1 text-xs font-semibold text-gray-500 mb-1">
+        {WEEKDAYS.map((day) => (
+          <div key={day} className="text-center py-1">
+            {day}
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-7 gap-1">
+        {cells.map((date, index) => {
+          if (!date) {
+            return <div key={`blank-${index}`} className="min-h-[96px]" />;
+          }
+
+          const dayStart = date.getTime();
+          const dayEnd = new Date(year, monthIndex, date.getDate() + 1).getTime();
+          const dayCampaigns = campaigns.filter((campaign) =>
+            isActiveOnDay(campaign, dayStart, dayEnd)
+          );
+          const typeCounts = dayCampaigns.reduce((acc, campaign) => {
+            acc[campaign.promoType] = (acc[campaign.promoType] || 0) + 1;
+            return acc;
+          }, {});
+          const hasClash = Object.values(typeCounts).some((count) => count > 1);
+
+          return (
+            <div
+              key={dayStart}
+              className={`min-h-[96px] rounded border p-1 ${
+                hasClash ? 'border-red-400 bg-red-50' : 'border-gray-200'
+              }`}
+            >
+              <div
+                className={`text-xs mb-1 ${
+                  date.toDateString() === todayKey ? 'font-bold text-accent-blue' : 'text-gray-600'
+                }`}
+              >
+                {date.getDate()}
+              </div>
+              <div className="space-y-0.5">
+                {dayCampaigns.map((campaign) => (
+                  <button
+                    key={campaign._id}
+                    type="button"
+                    onClick={() => onSelectCampaign(campaign)}
+                    title={campaign.name}
+                    className={`w-full truncate text-left text-[11px] text-white rounded px-1 ${
+                      promoTypes[campaign.promoType]?.color || 'bg-gray-500'
+                    }`}
+                  >
+                    {campaign.name}
+                  </button>
+                ))}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="mt-4 flex flex-wrap gap-4 text-xs text-gray-600">
+        {Object.entries(promoTypes).map(([key, type]) => (
+          <span key={key} className="flex items-center">
+            <span className={`h-3 w-3 rounded mr-1 ${type.color}`} />
+            {type.label}
+          </span>
+        ))}
+        <span className="flex items-center">
+          <span className="h-3 w-3 rounded mr-1 border border-red-400 bg-red-50" />
+          Overlapping campaigns
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default CampaignCalendar;
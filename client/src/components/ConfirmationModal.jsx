@@ -3,7 +3,7 @@ import { Dialog, Transition } from '@headlessui/react';
 import { Fragment } from 'react';
 import { QuestionMarkCircleIcon } from '@heroicons/react/24/outline';
 
-const ConfirmationModal = ({ isOpen, onClose, onConfirm, title, message, confirmText = 'Confirm', cancelText = 'Cancel', icon: Icon = QuestionMarkCircleIcon }) => {
+const ConfirmationModal = ({ isOpen, onClose, onConfirm, title, message, confirmText = 'Confirm', cancelText = 'Cancel', icon: Icon = QuestionMarkCircleIcon, confirmDisabled = false, children }) => {
   if (!isOpen) return null;
 
   return (
@@ -46,12 +46,14 @@ const ConfirmationModal = ({ isOpen, onClose, onConfirm, title, message, confirm
                         {message}
                       </p>
                     </div>
+                    {children && <div className="mt-4">{children}</div>}
                   </div>
                 </div>
                 <div className="mt-5 sm:mt-4 sm:flex sm:flex-row-reverse">
                   <button
                     type="button"
-                    className="inline-flex justify-center w-full rounded-md border border-transparent shadow-sm px-4 py-2 bg-accent-blue text-base font-medium text-white hover:bg-light-blue focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-accent-blue sm:ml-3 sm:w-auto sm:text-sm transition-colors duration-200"
+                    disabled={confirmDisabled}
+                    className="inline-flex justify-center w-full rounded-md border border-transparent shadow-sm px-4 py-2 bg-accent-blue text-base font-medium text-white hover:bg-light-blue focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-accent-blue sm:ml-3 sm:w-auto sm:text-sm transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
                     onClick={() => {
                       onConfirm();
                       onClose();
@@ -0,0 +1,206 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import {
+  ArrowRightOnRectangleIcon,
+  CheckCircleIcon,
+  ClipboardDocumentIcon,
+  KeyIcon,
+  NoSymbolIcon,
+} from '@heroicons/react/24/outline';
+import ConfirmationModal from './ConfirmationModal';
+import {
+  createCustomerPasswordResetLink,
+  deactivateCustomer,
+  forceLogoutCustomer,
+  reactivateCustomer,
+} from '../services/adminApi';
+import { formatDateTime } from '../utils/formatters';
+
+const accountActionCopy = {
+  deactivate: {
+    title: 'Deactivate customer',
+    message: 'The customer will be signed out and will not be able to place orders until reactivated.',
+    confirmText: 'Deactivate',
+    icon: NoSymbolIcon,
+    reasonRequired: true,
+  },
+  reactivate: {
+    title: 'Reactivate customer',
+    message: 'The customer will be able to sign in and place orders again.',
+    confirmText: 'Reactivate',
+    icon: CheckCircleIcon,
+    reasonRequired: true,
+  },
+  logout: {
+    title: 'Sign out all sessions',
+    message: 'Every device the customer is signed in on will be logged out immediately.',
+    confirmText: 'Sign out everywhere',
+    icon: ArrowRightOnRectangleIcon,
+    reasonRequired: false,
+  },
+  reset_link: {
+    title: 'Generate password reset link',
+    message: 'A one-time link will be created that you can share with the customer over a verified channel.',
+    confirmText: 'Generate link',
+    icon: KeyIcon,
+    reasonRequired: false,
+  },
+};
+
+const CustomerAccountActions = ({ customer, onCustomerUpdated, onActionComplete }) => {
+  const [pendingAction, setPendingAction] = useState(null);
+  const [reason, setReason] = useState('');
+  const [resetLink, setResetLink] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  const copy = accountActionCopy[pendingAction];
+
+  const closeAction = () => {
+    setPendingAction(null);
+    setReason('');
+  };
+
+  const runAction = async (action, trimmedReason) => {
+    try {
+      setWorking(true);
+      if (action === 'deactivate' || action === 'reactivate') {
+        const deactivated = action === 'deactivate';
+        const response = deactivated
+          ? await deactivateCustomer(customer._id, trimmedReason)
+          : await reactivateCustomer(customer._id, trimmedReason);
+        onCustomerUpdated?.({
+          ...customer,
+          accountDeactivated: deactivated,
+          ...(deactivated && { online: false }),
+          ...(response?.customer || {}),
+        });
+        toast.success(deactivated ? 'Customer deactivated.' : 'Customer reactivated.');
+      } else if (action === 'logout') {
+        await forceLogoutCustomer(customer._id, trimmedReason || undefined);
+        onCustomerUpdated?.({ ...customer, online: false });
+        toast.success('Customer signed out of all sessions.');
+      } else {
+        const response = await createCustomerPasswordResetLink(customer._id);
+        setResetLink({ url: response?.resetLink, expiresAt: response?.expiresAt });
+        toast.success('Password reset link generated.');
+      }
+      onActionComplete?.(action);
+    } catch (err) {
+      const message =
+        err?.response?.data?.error ||
+        err?.response?.data?.message ||
+        `Failed to ${accountActionCopy[action].title.toLowerCase()}.`;
+      toast.error(message);
+      console.error(`Customer ${action} failed:`, err);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleConfirm = () => {
+    if (!pendingAction) return;
+    runAction(pendingAction, reason.trim());
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(resetLink.url);
+      toast.success('Link copied to clipboard.');
+    } catch (err) {
+      toast.error('Could not copy the link. Select it and copy manually.');
+      console.error('Failed to copy reset link:', err);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-2">
+        {customer.accountDeactivated ? (
+          <button
+            type="button"
+            onClick={() => setPendingAction('reactivate')}
+            disabled={working}
+            className="px-3 py-1.5 rounded-lg bg-green-600 hover:bg-green-700 text-white text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Reactivate
+          </button>
+        ) : (
+          <button
+            type="button"
+            onClick={() => setPendingAction('deactivate')}
+            disabled={working}
+            className="px-3 py-1.5 rounded-lg border border-red-300 text-red-700 hover:bg-red-50 text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Deactivate
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={() => setPendingAction('logout')}
+          disabled={working}
+          className="px-3 py-1.5 rounded-lg border border-gray-300 text-gray-800 hover:bg-gray-100 text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Sign out all sessions
+        </button>
+        <button
+          type="button"
+          onClick={() => setPendingAction('reset_link')}
+          disabled={working}
+          className="px-3 py-1.5 rounded-lg border border-gray-300 text-gray-800 hover:bg-gray-100 text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Password reset link
+        </button>
+      </div>
+
+      {resetLink?.url && (
+        <div className="mt-3 rounded-lg border border-gray-200 bg-gray-50 p-3">
+          <div className="flex items-center space-x-2">
+            <input
+              type="text"
+              readOnly
+              value={resetLink.url}
+              onFocus={(e) => e.target.select()}
+              className="flex-1 bg-white text-gray-800 text-xs px-2 py-1.5 rounded border border-gray-300"
+            />
+            <button
+              type="button"
+              onClick={handleCopyLink}
+              className="p-1.5 rounded border border-gray-300 text-gray-700 hover:bg-gray-100"
+              title="Copy link"
+            >
+              <ClipboardDocumentIcon className="h-4 w-4" />
+            </button>
+          </div>
+          {resetLink.expiresAt && (
+            <p className="mt-1 text-xs text-gray-500">
+              Expires {formatDateTime(resetLink.expiresAt)}
+            </p>
+          )}
+        </div>
+      )}
+
+      <ConfirmationModal
+        isOpen={!!pendingAction}
+        onClose={closeAction}
+        onConfirm={handleConfirm}
+        title={copy?.title}
+        message={copy?.message}
+        confirmText={copy?.confirmText}
+        icon={copy?.icon}
+        confirmDisabled={copy?.reasonRequired && !reason.trim()}
+      >
+        {pendingAction !== 'reset_link' && (
+          <textarea
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            rows={3}
+            placeholder={copy?.reasonRequired ? 'Reason (required)' : 'Reason (optional)'}
+            className="w-full bg-nav-light text-white text-sm px-3 py-2 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-accent-blue"
+          />
+        )}
+      </ConfirmationModal>
+    </div>
+  );
+};
+
+export default CustomerAccountActions;
@@ -0,0 +1,112 @@
+import defaultIcon from '../assets/default_icon.png';
+import CustomerAccountActions from './CustomerAccountActions';
+import { useAuth } from '../contexts/AuthContext';
+import { PERMISSIONS } from '../utils/permissions';
+import { formatCurrency } from '../utils/formatters';
+import {
+  UserIcon,
+  PhoneIcon,
+  EnvelopeIcon,
+  CreditCardIcon,
+  XCircleIcon,
+} from '@heroicons/react/24/outline';
+
+const DetailItem = ({ icon: Icon, label, value }) => (
+  <div className="flex items-center space-x-3 text-sm">
+    {Icon && <Icon className="h-5 w-5 text-gray-500" />}
+    <span className="font-semibold text-gray-600">{label}:</span>
+    <span className="text-gray-800">{value}</span>
+  </div>
+);
+
+// Profile, order stats and account status shared by the customer modal and the
+// customer profile page; account actions show for admins who can manage customers.
+const CustomerProfileDetails = ({ customer, onCustomerUpdated, onActionComplete }) => {
+  const { can } = useAuth();
+  const canManage = can(PERMISSIONS.CUSTOMERS_MANAGE);
+
+  const stats = customer.stats || {};
+  const lastSeenText = customer.lastSeen
+    ? new Date(customer.lastSeen).toLocaleString()
+    : 'N/A';
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+      <div className="space-y-4">
+        <div className="flex items-center space-x-4">
+          <img
+            src={customer.profilePicture || defaultIcon}
+            alt={customer.fullName || customer.email}
+            className="w-24 h-24 rounded-full object-cover border-4 border-gray-200"
+          />
+          <div>
+            <h3 className="text-xl font-bold">{customer.fullName || 'N/A'}</h3>
+            <p className="text-sm text-gray-500">{customer.email}</p>
+            <div
+              className={`flex items-center space-x-2 mt-1 ${
+                customer.online ? 'text-green-600' : 'text-red-600'
+              }`}
+            >
+              <div
+                className={`w-3 h-3 rounded-full ${
+                  customer.online ? 'bg-green-500' : 'bg-red-500'
+                }`}
+              ></div>
+              <span>{customer.online ? 'Online' : 'Offline'}</span>
+            </div>
+          </div>
+        </div>
+        <DetailItem icon={UserIcon} label="Name" value={customer.fullName || 'N/A'} />
+        <DetailItem icon={EnvelopeIcon} label="Email" value={customer.email || 'N/A'} />
+        <DetailItem icon={PhoneIcon} label="Phone" value={customer.phoneNumber || 'N/A'} />
+        <DetailItem label="Address" value={customer.defaultAddress || 'N/A'} />
+      </div>
+
+      <div className="space-y-4">
+        <h4 className="text-lg font-semibold border-b border-gray-200 pb-2">
+          Order Stats
+        </h4>
+        <DetailItem
+          icon={CreditCardIcon}
+          label="Total Orders"
+          value={stats.totalOrders || 0}
+        />
+        <DetailItem
+          icon={CreditCardIcon}
+          label="Completed Orders"
+          value={stats.completedOrders || 0}
+        />
+        <DetailItem
+          icon={CreditCardIcon}
+          label="Total Spent"
+          value={formatCurrency(stats.totalSpent)}
+        />
+
+        <h4 className="text-lg font-semibold border-b border-gray-200 pb-2 mt-6">
+          Account Status
+        </h4>
+        <DetailItem
+          icon={XCircleIcon}
+          label="Deactivated"
+          value={customer.accountDeactivated ? 'Yes' : 'No'}
+        />
+        <DetailItem label="Last Seen" value={lastSeenText} />
+        {customer.accountDeactivated && customer.deactivationReason && (
+          <DetailItem label="Reason" value={customer.deactivationReason} />
+        )}
+
+        {canManage && (
+          <div className="pt-2">
+            <CustomerAccountActions
+              customer={customer}
+              onCustomerUpdated={onCustomerUpdated}
+              onActionComplete={onActionComplete}
+            />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CustomerProfileDetails;
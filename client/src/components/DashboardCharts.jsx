@@ -18,13 +18,13 @@ import UserGrowthChart from './charts/UserGrowthChart';
 import OrderStatsChart from './charts/OrderStatsChart';
 import UserRoleGrowthChart from './charts/UserRoleGrowthChart';
 
-const DashboardCharts = () => {
+const DashboardCharts = ({ range }) => {
   return (
     <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 gap-y-16">
-      <RevenueChart />
-      <UserGrowthChart />
-      <OrderStatsChart />
-      <UserRoleGrowthChart />
+      <RevenueChart range={range} />
+      <UserGrowthChart range={range} />
+      <OrderStatsChart range={range} />
+      <UserRoleGrowthChart range={range} />
     </div>
   );
 };
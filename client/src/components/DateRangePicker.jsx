@@ -0,0 +1,72 @@
+import React from 'react';
+import { dateRangePresets } from '../utils/dateRange';
+
+const inputClassName =
+  'bg-white text-gray-800 text-sm px-3 py-2 rounded-lg border border-gray-300 focus:outline-none focus:ring-2 focus:ring-accent-blue';
+
+// value is { range, from, to, compare }; from/to are yyyy-mm-dd and only used
+// by the custom range.
+const DateRangePicker = ({ value, onChange }) => {
+  const handlePresetChange = (preset) => {
+    onChange({ ...value, range: preset }, { replace: false });
+  };
+
+  const handleCustomChange = (e) => {
+    onChange({ ...value, range: 'custom', [e.target.name]: e.target.value }, { replace: true });
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-3">
+      <div className="inline-flex rounded-lg border border-gray-300 bg-white overflow-hidden">
+        {dateRangePresets.map((preset) => (
+          <button
+            key={preset.key}
+            type="button"
+            onClick={() => handlePresetChange(preset.key)}
+            className={`px-3 py-2 text-sm font-semibold border-r border-gray-300 last:border-r-0 ${
+              value.range === preset.key
+                ? 'bg-gray-800 text-white'
+                : 'text-gray-800 hover:bg-gray-50'
+            }`}
+          >
+            {preset.label}
+          </button>
+        ))}
+      </div>
+
+      {value.range === 'custom' && (
+        <div className="flex items-center gap-2">
+          <input
+            type="date"
+            name="from"
+            value={value.from}
+            max={value.to || undefined}
+            onChange={handleCustomChange}
+            className={inputClassName}
+          />
+          <span className="text-sm text-gray-500">to</span>
+          <input
+            type="date"
+            name="to"
+            value={value.to}
+            min={value.from || undefined}
+            onChange={handleCustomChange}
+            className={inputClassName}
+          />
+        </div>
+      )}
+
+      <label className="inline-flex items-center space-x-2 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={value.compare}
+          onChange={(e) => onChange({ ...value, compare: e.target.checked }, { replace: false })}
+          className="form-checkbox h-4 w-4 text-accent-blue border-gray-300 rounded focus:ring-accent-blue"
+        />
+        <span>Compare to previous period</span>
+      </label>
+    </div>
+  );
+};
+
+export default DateRangePicker;
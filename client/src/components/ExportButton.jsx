@@ -0,0 +1,179 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { ArrowDownTrayIcon } from '@heroicons/react/24/outline';
+import { exportRows, fetchAllPages } from '../utils/exportData';
+
+const formats = [
+  { key: 'csv', label: 'CSV (.csv)' },
+  { key: 'xlsx', label: 'Excel (.xlsx)' },
+];
+
+const ExportButton = ({ columns, fetchPage, fileName, label = 'Export', disabled = false }) => {
+  const [open, setOpen] = useState(false);
+  const [format, setFormat] = useState('csv');
+  const [selectedKeys, setSelectedKeys] = useState(() =>
+    columns.filter((column) => !column.defaultHidden).map((column) => column.key)
+  );
+  const [exporting, setExporting] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleToggleColumn = (key) => {
+    setSelectedKeys((prev) =>
+      prev.includes(key) ? prev.filter((item) => item !== key) : [...prev, key]
+    );
+  };
+
+  const handleClose = () => {
+    if (exporting) return;
+    setOpen(false);
+    setProgress(null);
+    setError(null);
+  };
+
+  const handleExport = async () => {
+    const selectedColumns = columns.filter((column) => selectedKeys.includes(column.key));
+    if (selectedColumns.length === 0) {
+      setError('Select at least one column to export.');
+      return;
+    }
+
+    try {
+      setExporting(true);
+      setError(null);
+      setProgress({ rowCount: 0 });
+      const rows = await fetchAllPages(fetchPage, { onProgress: setProgress });
+      await exportRows({ rows, columns: selectedColumns, format, fileName });
+      toast.success(`Exported ${rows.length} row${rows.length === 1 ? '' : 's'}.`);
+      setOpen(false);
+      setProgress(null);
+    } catch (err) {
+      const message =
+        err?.response?.data?.error ||
+        err?.response?.data?.message ||
+        'Failed to export data.';
+      setError(message);
+      toast.error(message);
+      console.error('Failed to export data:', err);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <>
+      <button
+        type="button"
+        onClick={() => setOpen(true)}
+        disabled={disabled}
+        className="inline-flex items-center bg-white border border-gray-300 text-gray-800 px-4 py-2 rounded-lg text-sm hover:bg-gray-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        <ArrowDownTrayIcon className="h-5 w-5 mr-2" />
+        {label}
+      </button>
+
+      {open && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+          <div className="bg-white rounded-xl shadow-xl w-full max-w-lg p-6 max-h-[90vh] flex flex-col">
+            <h2 className="text-xl font-semibold mb-1 text-gray-800">Export data</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              Every page matching the current filters will be exported.
+            </p>
+
+            {error && (
+              <div className="mb-4 rounded-lg border border-red-200 bg-red-50 px-4 py-2 text-sm text-red-700">
+                {error}
+              </div>
+            )}
+
+            <div className="mb-4">
+              <p className="block text-gray-700 font-semibold mb-2">Format</p>
+              <div className="flex space-x-4">
+                {formats.map((item) => (
+                  <label key={item.key} className="flex items-center space-x-2 text-sm text-gray-800">
+                    <input
+                      type="radio"
+                      name="export-format"
+                      value={item.key}
+                      checked={format === item.key}
+                      onChange={() => setFormat(item.key)}
+                      disabled={exporting}
+                      className="h-4 w-4 text-accent-blue border-gray-300 focus:ring-accent-blue"
+                    />
+                    <span>{item.label}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <div className="flex-1 overflow-y-auto mb-4">
+              <div className="flex items-center justify-between mb-2">
+                <p className="text-gray-700 font-semibold">Columns</p>
+                <div className="space-x-3 text-xs">
+                  <button
+                    type="button"
+                    onClick={() => setSelectedKeys(columns.map((column) => column.key))}
+                    disabled={exporting}
+                    className="text-accent-blue hover:underline"
+                  >
+                    Select all
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setSelectedKeys([])}
+                    disabled={exporting}
+                    className="text-accent-blue hover:underline"
+                  >
+                    Clear
+                  </button>
+                </div>
+              </div>
+              <div className="grid grid-cols-2 gap-2">
+                {columns.map((column) => (
+                  <label key={column.key} className="flex items-center space-x-2 text-sm text-gray-800">
+                    <input
+                      type="checkbox"
+                      checked={selectedKeys.includes(column.key)}
+                      onChange={() => handleToggleColumn(column.key)}
+                      disabled={exporting}
+                      className="form-checkbox h-4 w-4 text-accent-blue border-gray-300 rounded focus:ring-accent-blue"
+                    />
+                    <span>{column.header}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            {progress && (
+              <p className="mb-4 text-sm text-gray-600">
+                Fetched {progress.rowCount} rows
+                {progress.totalPages ? ` (page ${progress.page} of ${progress.totalPages})` : ''}...
+              </p>
+            )}
+
+            <div className="flex justify-end space-x-3">
+              <button
+                type="button"
+                onClick={handleClose}
+                disabled={exporting}
+                className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-100 transition-colors text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                onClick={handleExport}
+                disabled={exporting}
+                className="px-4 py-2 rounded-lg bg-gray-800 text-white hover:bg-gray-700 transition-colors text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {exporting ? 'Exporting...' : 'Export'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default ExportButton;
@@ -0,0 +1,25 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { ClockIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../contexts/AuthContext';
+import { PERMISSIONS } from '../utils/permissions';
+
+const HistoryLink = ({ entityType, entityId, label }) => {
+  const { can } = useAuth();
+
+  if (!entityId || !can(PERMISSIONS.AUDIT_VIEW)) return null;
+
+  const params = new URLSearchParams({ entityType, entityId });
+
+  return (
+    <Link
+      to={`/audit-log?${params.toString()}`}
+      className="inline-flex items-center text-sm text-accent-blue hover:underline"
+    >
+      <ClockIcon className="h-4 w-4 mr-1" />
+      {label || `History for this ${entityType}`}
+    </Link>
+  );
+};
+
+export default HistoryLink;
@@ -3,18 +3,30 @@ import { toast } from 'react-toastify';
 import { useNavigate } from 'react-router-dom';
 import { BellIcon } from '@heroicons/react/24/outline';
 import { fetchAdminNotifications, markNotificationAsRead } from '../services/notificationsApi';
+import socket from '../services/socket';
+import { useAuth } from '../contexts/AuthContext';
+import useSocketConnected from '../hooks/useSocketConnected';
+import OrderDetailsModal from './OrderDetailsModal';
+import { alertForNotification } from '../utils/notificationAlerts';
+import { getNotificationTarget } from '../utils/notifications';
+
+const NOTIFICATION_LIMIT = 20;
 
 const NotificationBell = () => {
   const [open, setOpen] = useState(false);
   const [notifications, setNotifications] = useState([]);
   const [loading, setLoading] = useState(false);
   const [markingId, setMarkingId] = useState(null);
+  const [selectedOrderId, setSelectedOrderId] = useState(null);
   const navigate = useNavigate();
+  const { user } = useAuth();
+  const connected = useSocketConnected();
+  const userId = user?._id;
 
   const loadNotifications = async () => {
     try {
       setLoading(true);
-      const data = await fetchAdminNotifications({ skip: 0, limit: 20 });
+      const data = await fetchAdminNotifications({ skip: 0, limit: NOTIFICATION_LIMIT });
       const items = data?.items || data?.notifications || [];
       const adminItems = items.filter((item) => item?.metadata?.adminNotification);
       setNotifications(adminItems);
@@ -25,9 +37,43 @@ const NotificationBell = () => {
     }
   };
 
+  // Reloads after a reconnect as well, since pushes sent while the socket was
+  // down are not replayed.
   useEffect(() => {
     loadNotifications();
-  }, []);
+  }, [connected]);
+
+  useEffect(() => {
+    const handleNotification = (payload) => {
+      const notification = payload?.notification || payload;
+      if (!notification?._id || !notification?.metadata?.adminNotification) return;
+
+      setNotifications((prev) =>
+        prev.some((item) => item._id === notification._id)
+          ? prev
+          : [notification, ...prev].slice(0, NOTIFICATION_LIMIT)
+      );
+
+      const alerted = alertForNotification(userId, notification, {
+        onClick: () => {
+          const target = getNotificationTarget(notification);
+          if (target.orderId) {
+            setSelectedOrderId(target.orderId);
+          } else {
+            navigate(target.to);
+          }
+        },
+      });
+      if (alerted && !document.hidden) {
+        toast.info(notification.title || 'New notification');
+      }
+    };
+
+    socket.on('notification.created', handleNotification);
+    return () => {
+      socket.off('notification.created', handleNotification);
+    };
+  }, [userId, navigate]);
 
   const unreadCount = notifications.filter((n) => !n.read).length;
 
@@ -40,6 +86,14 @@ const NotificationBell = () => {
   };
 
   const handleNotificationClick = async (notification) => {
+    const target = getNotificationTarget(notification);
+    setOpen(false);
+    if (target.orderId) {
+      setSelectedOrderId(target.orderId);
+    } else {
+      navigate(target.to);
+    }
+
     if (!notification.read) {
       try {
         setMarkingId(notification._id);
@@ -51,7 +105,6 @@ const NotificationBell = () => {
               : n
           )
         );
-        toast.success('Notification marked as read.');
       } catch {
         toast.error('Failed to mark notification as read.');
       } finally {
@@ -144,6 +197,7 @@ const NotificationBell = () => {
           </div>
         </div>
       )}
+      <OrderDetailsModal orderId={selectedOrderId} onClose={() => setSelectedOrderId(null)} />
     </div>
   );
 };
@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { useAuth } from '../contexts/AuthContext';
+import {
+  getDesktopPermission,
+  loadNotificationPreferences,
+  notificationCategories,
+  playNotificationSound,
+  requestDesktopPermission,
+  saveNotificationPreferences,
+} from '../utils/notificationAlerts';
+
+const permissionLabels = {
+  granted: 'Allowed in this browser',
+  denied: 'Blocked in browser settings',
+  default: 'Not allowed yet',
+  unsupported: 'Not supported by this browser',
+};
+
+const NotificationPreferences = () => {
+  const { user } = useAuth();
+  const userId = user?._id;
+  const [preferences, setPreferences] = useState(() => loadNotificationPreferences(userId));
+  const [desktopPermission, setDesktopPermission] = useState(getDesktopPermission);
+
+  const updatePreferences = (next) => {
+    setPreferences(next);
+    saveNotificationPreferences(userId, next);
+  };
+
+  const handleToggleCategory = (category) => {
+    updatePreferences({
+      ...preferences,
+      categories: { ...preferences.categories, [category]: !preferences.categories[category] },
+    });
+  };
+
+  const handleRequestPermission = async () => {
+    try {
+      const permission = await requestDesktopPermission();
+      setDesktopPermission(permission);
+      if (permission === 'denied') {
+        toast.error('Desktop notifications are blocked. Allow them in your browser settings.');
+      }
+    } catch (err) {
+      toast.error('Failed to request desktop notification permission.');
+      console.error('Failed to request notification permission:', err);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 w-full max-w-3xl mt-6">
+      <h2 className="text-lg font-semibold mb-1 text-gray-800">Notification alerts</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        Choose which notifications play a sound or show a desktop alert while this tab is in the
+        background. These settings apply to this browser only.
+      </p>
+
+      <div className="space-y-3 mb-6">
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={preferences.sound}
+            onChange={() => updatePreferences({ ...preferences, sound: !preferences.sound })}
+            className="form-checkbox h-4 w-4 text-accent-blue border-gray-300 rounded focus:ring-accent-blue"
+          />
+          <span>Play a sound</span>
+        </label>
+        <div className="flex flex-wrap items-center gap-3">
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={preferences.desktop}
+              onChange={() => updatePreferences({ ...preferences, desktop: !preferences.desktop })}
+              className="form-checkbox h-4 w-4 text-accent-blue border-gray-300 rounded focus:ring-accent-blue"
+            />
+            <span>Show desktop notifications</span>
+          </label>
+          <span className="text-xs text-gray-500">{permissionLabels[desktopPermission]}</span>
+          {desktopPermission === 'default' && (
+            <button
+              type="button"
+              onClick={handleRequestPermission}
+              className="text-xs text-accent-blue hover:underline"
+            >
+              Allow desktop notifications
+            </button>
+          )}
+        </div>
+      </div>
+
+      <h3 className="text-sm font-semibold text-gray-700 mb-2">Alert me about</h3>
+      <div className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+        {Object.entries(notificationCategories).map(([key, category]) => (
+          <div key={key} className="flex items-center justify-between px-4 py-3">
+            <label className="flex items-start space-x-3">
+              <input
+                type="checkbox"
+                checked={preferences.categories[key]}
+                onChange={() => handleToggleCategory(key)}
+                className="form-checkbox mt-1 h-4 w-4 text-accent-blue border-gray-300 rounded focus:ring-accent-blue"
+              />
+              <span>
+                <span className="block text-sm font-semibold text-gray-800">{category.label}</span>
+                <span className="block text-xs text-gray-500">{category.description}</span>
+              </span>
+            </label>
+            <button
+              type="button"
+              onClick={() => playNotificationSound(key)}
+              className="text-xs text-accent-blue hover:underline"
+            >
+              Test sound
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default NotificationPreferences;
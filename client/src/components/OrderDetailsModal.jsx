@@ -1,6 +1,18 @@
 
 import React, { useState, useEffect } from 'react';
-import { getOrderDetails } from '../services/orderApi';
+import { toast } from 'react-toastify';
+import {
+  getOrderDetails,
+  cancelOrder,
+  reassignOrderRider,
+  resolvePriceNegotiation,
+} from '../services/orderApi';
+import { getAllRiders, getInitialRidersOnlineStatus } from '../services/adminApi';
+import ConfirmationModal from './ConfirmationModal';
+import HistoryLink from './HistoryLink';
+import UserLink from './UserLink';
+import { useAuth } from '../contexts/AuthContext';
+import { PERMISSIONS } from '../utils/permissions';
 import {
   XMarkIcon,
   IdentificationIcon,
@@ -16,6 +28,9 @@ import {
   CheckCircleIcon,
   XCircleIcon,
   ShieldCheckIcon,
+  ArrowPathIcon,
+  UserMinusIcon,
+  NoSymbolIcon,
 } from '@heroicons/react/24/outline';
 
 const statusConfig = {
@@ -30,6 +45,46 @@ const statusConfig = {
   cancelled: { icon: XCircleIcon, color: 'text-red-500', label: 'Cancelled' },
   declined: { icon: XCircleIcon, color: 'text-red-500', label: 'Declined' },
   accepted: { icon: ShieldCheckIcon, color: 'text-green-500', label: 'Accepted' },
+  rider_reassigned: { icon: ArrowPathIcon, color: 'text-purple-500', label: 'Rider Reassigned' },
+  rider_unassigned: { icon: UserMinusIcon, color: 'text-purple-500', label: 'Rider Unassigned' },
+  price_accepted: { icon: CurrencyDollarIcon, color: 'text-green-500', label: 'Requested Price Accepted' },
+  price_rejected: { icon: CurrencyDollarIcon, color: 'text-red-500', label: 'Requested Price Rejected' },
+};
+
+const CLOSED_STATUSES = ['delivered', 'cancelled'];
+const OPEN_NEGOTIATION_STATUSES = ['requested', 'pending'];
+
+const interventionCopy = {
+  cancel: {
+    title: 'Cancel order',
+    message: 'The customer and rider will be notified that this order has been cancelled.',
+    confirmText: 'Cancel order',
+    icon: NoSymbolIcon,
+  },
+  reassign: {
+    title: 'Reassign rider',
+    message: 'Pick the rider who should take over this order.',
+    confirmText: 'Reassign',
+    icon: ArrowPathIcon,
+  },
+  unassign: {
+    title: 'Unassign rider',
+    message: 'The current rider will be removed and the order will go back to pending.',
+    confirmText: 'Unassign',
+    icon: UserMinusIcon,
+  },
+  accept_price: {
+    title: 'Accept requested price',
+    message: 'The order price will be updated to the amount requested by the rider.',
+    confirmText: 'Accept price',
+    icon: CurrencyDollarIcon,
+  },
+  reject_price: {
+    title: 'Reject requested price',
+    message: 'The rider will be told the original price stands.',
+    confirmText: 'Reject price',
+    icon: XCircleIcon,
+  },
 };
 
 const DetailItem = ({ icon: Icon, label, value }) => (
@@ -40,9 +95,15 @@ const DetailItem = ({ icon: Icon, label, value }) => (
   </div>
 );
 
-const OrderDetailsModal = ({ orderId, onClose }) => {
+const OrderDetailsModal = ({ orderId, onClose, onOrderUpdated }) => {
+  const { user, can } = useAuth();
   const [order, setOrder] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [pendingAction, setPendingAction] = useState(null);
+  const [cancelReason, setCancelReason] = useState('');
+  const [riders, setRiders] = useState([]);
+  const [selectedRiderId, setSelectedRiderId] = useState('');
+  const [ridersLoading, setRidersLoading] = useState(false);
 
   useEffect(() => {
     if (orderId) {
@@ -61,8 +122,214 @@ const OrderDetailsModal = ({ orderId, onClose }) => {
     }
   }, [orderId]);
 
+  useEffect(() => {
+    if (pendingAction !== 'reassign') return;
+
+    let cancelled = false;
+    const fetchRiders = async () => {
+      try {
+        setRidersLoading(true);
+        const [ridersResponse, { onlineRiderIds = [] }] = await Promise.all([
+          getAllRiders({ page: 1, limit: 100, blocked: false }),
+          getInitialRidersOnlineStatus(),
+        ]);
+        if (cancelled) return;
+        const withStatus = (ridersResponse?.riders || []).map((rider) => ({
+          ...rider,
+          online: onlineRiderIds.includes(rider._id),
+        }));
+        withStatus.sort((a, b) => Number(b.online) - Number(a.online));
+        setRiders(withStatus);
+      } catch (error) {
+        console.error('Failed to fetch riders for reassignment:', error);
+      } finally {
+        if (!cancelled) setRidersLoading(false);
+      }
+    };
+
+    fetchRiders();
+    return () => {
+      cancelled = true;
+    };
+  }, [pendingAction]);
+
   if (!orderId) return null;
 
+  const canManage = can(PERMISSIONS.ORDERS_MANAGE);
+  const isClosed = order ? CLOSED_STATUSES.includes(order.status) : true;
+  const hasOpenNegotiation =
+    order && OPEN_NEGOTIATION_STATUSES.includes(order.priceNegotiation?.status);
+
+  const closeIntervention = () => {
+    setPendingAction(null);
+    setCancelReason('');
+    setSelectedRiderId('');
+  };
+
+  // Applies the change locally (here and in the caller's list) before the request
+  // resolves, then swaps in the server copy or rolls back if it fails.
+  const applyIntervention = async ({ buildOrder, timelineStatus, note, request, successMessage, errorMessage }) => {
+    const previous = order;
+    const entry = {
+      status: timelineStatus,
+      at: new Date().toISOString(),
+      note,
+      actor: { _id: user?._id, fullName: user?.fullName, email: user?.email, role: 'admin' },
+    };
+    const optimistic = { ...buildOrder(previous), timeline: [...(previous.timeline || []), entry] };
+    setOrder(optimistic);
+    onOrderUpdated?.(optimistic);
+
+    try {
+      const response = await request();
+      const saved = response?.order ? { ...optimistic, ...response.order } : optimistic;
+      setOrder(saved);
+      onOrderUpdated?.(saved);
+      toast.success(successMessage);
+    } catch (err) {
+      setOrder(previous);
+      onOrderUpdated?.(previous);
+      const message = err?.response?.data?.error || err?.response?.data?.message || errorMessage;
+      toast.error(message);
+      console.error(errorMessage, err);
+    }
+  };
+
+  const handleConfirmIntervention = () => {
+    if (pendingAction === 'cancel') {
+      const reason = cancelReason.trim();
+      applyIntervention({
+        buildOrder: (current) => ({ ...current, status: 'cancelled' }),
+        timelineStatus: 'cancelled',
+        note: reason,
+        request: () => cancelOrder(order._id, reason),
+        successMessage: 'Order cancelled.',
+        errorMessage: 'Failed to cancel order.',
+      });
+    }
+
+    if (pendingAction === 'reassign') {
+      const rider = riders.find((item) => item._id === selectedRiderId);
+      if (!rider) return;
+      applyIntervention({
+        buildOrder: (current) => ({
+          ...current,
+          riderId: { _id: rider._id, fullName: rider.fullName },
+          status: current.status === 'pending' ? 'assigned' : current.status,
+        }),
+        timelineStatus: 'rider_reassigned',
+        note: `Reassigned from ${order.riderId?.fullName || 'no rider'} to ${rider.fullName}`,
+        request: () => reassignOrderRider(order._id, rider._id),
+        successMessage: `Order reassigned to ${rider.fullName}.`,
+        errorMessage: 'Failed to reassign rider.',
+      });
+    }
+
+    if (pendingAction === 'unassign') {
+      applyIntervention({
+        buildOrder: (current) => ({ ...current, riderId: null, status: 'pending' }),
+        timelineStatus: 'rider_unassigned',
+        note: `Removed ${order.riderId?.fullName || 'rider'} from the order`,
+        request: () => reassignOrderRider(order._id, null),
+        successMessage: 'Rider unassigned.',
+        errorMessage: 'Failed to unassign rider.',
+      });
+    }
+
+    if (pendingAction === 'accept_price' || pendingAction === 'reject_price') {
+      const accepted = pendingAction === 'accept_price';
+      applyIntervention({
+        buildOrder: (current) => ({
+          ...current,
+          price: accepted ? current.riderRequestedPrice : current.price,
+          priceNegotiation: {
+            ...current.priceNegotiation,
+            status: accepted ? 'accepted' : 'rejected',
+          },
+        }),
+        timelineStatus: accepted ? 'price_accepted' : 'price_rejected',
+        note: `Requested price ₦${order.riderRequestedPrice?.toLocaleString()}`,
+        request: () => resolvePriceNegotiation(order._id, accepted ? 'accept' : 'reject'),
+        successMessage: accepted ? 'Requested price accepted.' : 'Requested price rejected.',
+        errorMessage: 'Failed to resolve price negotiation.',
+      });
+    }
+  };
+
+  const renderInterventionFields = () => {
+    if (pendingAction === 'cancel') {
+      return (
+        <textarea
+          value={cancelReason}
+          onChange={(e) => setCancelReason(e.target.value)}
+          rows={3}
+          placeholder="Reason for cancelling (required)"
+          className="w-full bg-nav-light text-white text-sm px-3 py-2 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-accent-blue"
+        />
+      );
+    }
+
+    if (pendingAction === 'reassign') {
+      if (ridersLoading) {
+        return <p className="text-sm text-gray-400">Loading riders...</p>;
+      }
+      return (
+        <select
+          value={selectedRiderId}
+          onChange={(e) => setSelectedRiderId(e.target.value)}
+          className="w-full bg-nav-light text-white text-sm px-3 py-2 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-accent-blue"
+        >
+          <option value="">Select a rider</option>
+          {riders
+            .filter((rider) => rider._id !== order.riderId?._id)
+            .map((rider) => (
+              <option key={rider._id} value={rider._id}>
+                {rider.fullName}
+                {rider.online ? ' (online)' : ''}
+              </option>
+            ))}
+        </select>
+      );
+    }
+
+    return null;
+  };
+
+  const renderActions = () => {
+    if (!canManage || isClosed) return null;
+
+    return (
+      <div className="mt-4 p-4 bg-gray-50 rounded-lg">
+        <h3 className="text-lg font-semibold text-gray-800 mb-3">Admin Actions</h3>
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={() => setPendingAction('reassign')}
+            className="inline-flex items-center bg-gray-800 hover:bg-gray-700 text-white text-sm font-semibold py-2 px-4 rounded-lg transition duration-300"
+          >
+            <ArrowPathIcon className="h-4 w-4 mr-2" />
+            {order.riderId ? 'Reassign rider' : 'Assign rider'}
+          </button>
+          {order.riderId && (
+            <button
+              onClick={() => setPendingAction('unassign')}
+              className="inline-flex items-center bg-white border border-gray-300 hover:bg-gray-100 text-gray-800 text-sm font-semibold py-2 px-4 rounded-lg transition duration-300"
+            >
+              <UserMinusIcon className="h-4 w-4 mr-2" />
+              Unassign rider
+            </button>
+          )}
+          <button
+            onClick={() => setPendingAction('cancel')}
+            className="inline-flex items-center bg-red-600 hover:bg-red-700 text-white text-sm font-semibold py-2 px-4 rounded-lg transition duration-300"
+          >
+            <NoSymbolIcon className="h-4 w-4 mr-2" />
+            Cancel order
+          </button>
+        </div>
+      </div>
+    );
+  };
+
   const renderTimeline = () => (
     <div className="mt-6">
       <h3 className="text-lg font-semibold text-gray-800 mb-3">Timeline</h3>
@@ -78,6 +345,11 @@ const OrderDetailsModal = ({ orderId, onClose }) => {
                 <p className={`font-semibold ${config.color}`}>{config.label}</p>
                 <p className="text-xs text-gray-500">{new Date(event.at).toLocaleString()}</p>
                 {event.note && <p className="text-sm text-gray-700 mt-1">{event.note}</p>}
+                {event.actor && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    By {event.actor.fullName || event.actor.email || 'admin'}
+                  </p>
+                )}
               </div>
             </div>
           );
@@ -96,7 +368,10 @@ const OrderDetailsModal = ({ orderId, onClose }) => {
         ) : order ? (
           <>
             <div className="flex justify-between items-start mb-4">
-              <h2 className="text-2xl font-bold text-gray-800">Order Details</h2>
+              <div>
+                <h2 className="text-2xl font-bold text-gray-800">Order Details</h2>
+                <HistoryLink entityType="order" entityId={order._id} />
+              </div>
               <button onClick={onClose} className="text-gray-500 hover:text-gray-800">
                 <XMarkIcon className="h-7 w-7" />
               </button>
@@ -105,8 +380,24 @@ const OrderDetailsModal = ({ orderId, onClose }) => {
             <div className="grid grid-cols-1 md:grid-cols-2 gap-x-8 gap-y-4 mb-6 p-4 bg-gray-50 rounded-lg">
               <div className="space-y-3">
                 <DetailItem icon={IdentificationIcon} label="Order ID" value={order.orderId} />
-                <DetailItem icon={UserIcon} label="Customer" value={order.customerId?.fullName} />
-                <DetailItem icon={TruckIcon} label="Rider" value={order.riderId?.fullName || 'N/A'} />
+                <DetailItem
+                  icon={UserIcon}
+                  label="Customer"
+                  value={
+                    <UserLink type="customer" userId={order.customerId?._id}>
+                      {order.customerId?.fullName}
+                    </UserLink>
+                  }
+                />
+                <DetailItem
+                  icon={TruckIcon}
+                  label="Rider"
+                  value={
+                    <UserLink type="rider" userId={order.riderId?._id}>
+                      {order.riderId?.fullName || 'N/A'}
+                    </UserLink>
+                  }
+                />
                 <DetailItem icon={order.serviceType === 'courier' ? CubeIcon : BoltIcon} label="Service" value={order.serviceType} />
               </div>
               <div className="space-y-3">
@@ -136,14 +427,32 @@ const OrderDetailsModal = ({ orderId, onClose }) => {
                 })()}
             </div>
 
-            {order.priceNegotiation?.status !== 'none' && (
+            {order.priceNegotiation && order.priceNegotiation.status !== 'none' && (
               <div className="mt-4 p-4 bg-gray-50 rounded-lg">
                 <h3 className="text-lg font-semibold text-gray-800 mb-2">Price Negotiation</h3>
                 <p><strong>Status:</strong> {order.priceNegotiation.status}</p>
                 <p><strong>Requested Price:</strong> ₦{order.riderRequestedPrice?.toLocaleString()}</p>
+                {canManage && !isClosed && hasOpenNegotiation && (
+                  <div className="mt-3 flex gap-2">
+                    <button
+                      onClick={() => setPendingAction('accept_price')}
+                      className="bg-green-600 hover:bg-green-700 text-white text-sm font-semibold py-2 px-4 rounded-lg transition duration-300"
+                    >
+                      Accept price
+                    </button>
+                    <button
+                      onClick={() => setPendingAction('reject_price')}
+                      className="bg-white border border-gray-300 hover:bg-gray-100 text-gray-800 text-sm font-semibold py-2 px-4 rounded-lg transition duration-300"
+                    >
+                      Reject price
+                    </button>
+                  </div>
+                )}
               </div>
             )}
 
+            {renderActions()}
+
             {renderTimeline()}
           </>
         ) : (
@@ -154,6 +463,22 @@ const OrderDetailsModal = ({ orderId, onClose }) => {
           </div>
         )}
       </div>
+
+      <ConfirmationModal
+        isOpen={!!pendingAction && !!order}
+        onClose={closeIntervention}
+        onConfirm={handleConfirmIntervention}
+        title={interventionCopy[pendingAction]?.title}
+        message={interventionCopy[pendingAction]?.message}
+        confirmText={interventionCopy[pendingAction]?.confirmText}
+        icon={interventionCopy[pendingAction]?.icon}
+        confirmDisabled={
+          (pendingAction === 'cancel' && !cancelReason.trim()) ||
+          (pendingAction === 'reassign' && !selectedRiderId)
+        }
+      >
+        {renderInterventionFields()}
+      </ConfirmationModal>
     </div>
   );
 };
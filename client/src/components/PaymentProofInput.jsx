@@ -0,0 +1,38 @@
+import React from 'react';
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || '';
+
+const PaymentProofInput = ({ currentProof, onFileChange, helpText, disabled = false }) => {
+  return (
+    <div>
+      <label className="block text-gray-700 font-semibold mb-2">Payment proof</label>
+      {currentProof ? (
+        <div className="mb-3">
+          <a
+            href={API_BASE_URL ? `${API_BASE_URL}${currentProof}` : currentProof}
+            target="_blank"
+            rel="noreferrer"
+            className="inline-flex items-center px-3 py-1.5 rounded-lg border border-gray-300 text-sm text-accent-blue hover:bg-gray-50"
+          >
+            View current proof
+          </a>
+        </div>
+      ) : null}
+      <input
+        type="file"
+        accept="image/*"
+        disabled={disabled}
+        onChange={(e) => {
+          const file = e.target.files && e.target.files[0];
+          onFileChange(file || null);
+        }}
+        className="block w-full text-sm text-gray-800 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:text-sm file:font-semibold file:bg-gray-800 file:text-white hover:file:bg-gray-700"
+      />
+      <p className="mt-1 text-xs text-gray-500">
+        {helpText || 'Optional screenshot of manual transfer or payment confirmation.'}
+      </p>
+    </div>
+  );
+};
+
+export default PaymentProofInput;
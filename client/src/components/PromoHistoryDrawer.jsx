@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import { XMarkIcon, ArrowUturnLeftIcon } from '@heroicons/react/24/outline';
+import { promoTypes, diffPromoConfigs, formatPromoValue } from '../utils/promoFields';
+import { formatDateTime } from '../utils/formatters';
+
+const getAuthorName = (version) =>
+  version.author?.fullName || version.author?.email || 'Unknown admin';
+
+const describeVersion = (version) => {
+  if (version.rolledBackFrom) {
+    return `Rollback to v${version.rolledBackFrom.version ?? '?'}`;
+  }
+  return promoTypes[version.promoType]?.label || 'All promos';
+};
+
+// versions are expected newest first; the first one is what is live now.
+const PromoHistoryDrawer = ({ open, versions, loading, error, canRollback, onRollback, onClose }) => {
+  const [baseId, setBaseId] = useState(null);
+  const [compareId, setCompareId] = useState(null);
+
+  if (!open) return null;
+
+  const compareVersion = versions.find((version) => version._id === compareId) || versions[0];
+  const baseVersion =
+    versions.find((version) => version._id === baseId) ||
+    versions.find((version) => version._id !== compareVersion?._id);
+  const changes =
+    baseVersion && compareVersion ? diffPromoConfigs(baseVersion.config, compareVersion.config) : [];
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end bg-black bg-opacity-50">
+      <div className="bg-white w-full max-w-2xl h-full overflow-y-auto p-6 shadow-xl">
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-800">Configuration history</h2>
+            <p className="text-sm text-gray-600">
+              Pick any two versions as A and B to compare them field by field.
+            </p>
+          </div>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-800">
+            <XMarkIcon className="h-6 w-6" />
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-4 rounded-lg border border-red-200 bg-red-50 px-4 py-2 text-sm text-red-700">
+            {error}
+          </div>
+        )}
+
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading history...</p>
+        ) : versions.length === 0 ? (
+          <p className="text-sm text-gray-500">No saved versions yet.</p>
+        ) : (
+          <>
+            {baseVersion && compareVersion && (
+              <div className="mb-6 rounded-lg border border-gray-200 p-4">
+                <h3 className="font-semibold text-gray-800 mb-2">
+                  v{baseVersion.version} (A) → v{compareVersion.version} (B)
+                </h3>
+                {changes.length === 0 ? (
+                  <p className="text-sm text-gray-500">These versions have identical settings.</p>
+                ) : (
+                  <table className="min-w-full text-sm">
+                    <thead>
+                      <tr className="bg-gray-100">
+                        <th className="py-2 px-3 text-left text-gray-600 font-semibold">Promo</th>
+                        <th className="py-2 px-3 text-left text-gray-600 font-semibold">Field</th>
+                        <th className="py-2 px-3 text-left text-gray-600 font-semibold">A</th>
+                        <th className="py-2 px-3 text-left text-gray-600 font-semibold">B</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {changes.map((change) => (
+                        <tr key={`${change.promoType}-${change.field.key}`} className="border-b border-gray-200">
+                          <td className="py-2 px-3 text-gray-700">
+                            {promoTypes[change.promoType].label}
+                          </td>
+                          <td className="py-2 px-3 text-gray-700">{change.field.label}</td>
+                          <td className="py-2 px-3 text-red-700">
+                            {formatPromoValue(change.field, change.from)}
+                          </td>
+                          <td className="py-2 px-3 text-green-700">
+                            {formatPromoValue(change.field, change.to)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            )}
+
+            <ul className="divide-y divide-gray-200">
+              {versions.map((version, index) => {
+                const isLive = index === 0;
+                return (
+                  <li key={version._id} className="py-3 flex items-center justify-between">
+                    <div>
+                      <p className="font-semibold text-gray-800">
+                        v{version.version}{' '}
+                        <span className="font-normal text-gray-600">· {describeVersion(version)}</span>
+                        {isLive && (
+                          <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-semibold bg-green-100 text-green-700">
+                            Live
+                          </span>
+                        )}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {getAuthorName(version)} · {formatDateTime(version.createdAt)}
+                      </p>
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      <button
+                        onClick={() => setBaseId(version._id)}
+                        className={`w-8 h-8 rounded-full text-xs font-bold border ${
+                          version._id === baseVersion?._id
+                            ? 'bg-red-600 text-white border-red-600'
+                            : 'bg-white text-gray-600 border-gray-300 hover:bg-gray-100'
+                        }`}
+                        title="Compare from this version"
+                      >
+                        A
+                      </button>
+                      <button
+                        onClick={() => setCompareId(version._id)}
+                        className={`w-8 h-8 rounded-full text-xs font-bold border ${
+                          version._id === compareVersion?._id
+                            ? 'bg-green-600 text-white border-green-600'
+                            : 'bg-white text-gray-600 border-gray-300 hover:bg-gray-100'
+                        }`}
+                        title="Compare to this version"
+                      >
+                        B
+                      </button>
+                      {canRollback && !isLive && (
+                        <button
+                          onClick={() => onRollback(version)}
+                          className="inline-flex items-center px-3 py-1.5 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-100 text-xs font-semibold"
+                        >
+                          <ArrowUturnLeftIcon className="h-4 w-4 mr-1" />
+                          Roll back
+                        </button>
+                      )}
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PromoHistoryDrawer;
@@ -0,0 +1,189 @@
+import React from 'react';
+import { ArrowTrendingUpIcon, ArrowTrendingDownIcon } from '@heroicons/react/24/outline';
+import { promoTypes, formatPromoValue, getPromoSettingFields } from '../utils/promoFields';
+import { promoImpactEstimators } from '../utils/promoImpact';
+import { formatCurrency } from '../utils/formatters';
+
+const Delta = ({ current, proposed, format }) => {
+  const difference = proposed - current;
+  if (Math.round(difference) === 0) {
+    return <span className="text-xs text-gray-400">no change</span>;
+  }
+  const Icon = difference > 0 ? ArrowTrendingUpIcon : ArrowTrendingDownIcon;
+  return (
+    <span
+      className={`inline-flex items-center text-xs font-semibold ${
+        difference > 0 ? 'text-red-600' : 'text-green-600'
+      }`}
+    >
+      <Icon className="h-4 w-4 mr-1" />
+      {difference > 0 ? '+' : '−'}
+      {format(Math.abs(difference))}
+    </span>
+  );
+};
+
+const formatCount = (value) => Math.round(value).toLocaleString();
+
+const formatFares = (value) =>
+  `${value.toLocaleString(undefined, { maximumFractionDigits: 1 })} fares`;
+
+const ImpactSection = ({ promoType, current, proposed, data, showHeading }) => {
+  const type = promoTypes[promoType];
+  const estimate = promoImpactEstimators[promoType];
+  const currentImpact = data ? estimate(data, current || {}, current || {}) : null;
+  const proposedImpact = data ? estimate(data, proposed || {}, current || {}) : null;
+  const inFares = proposedImpact?.costUnit === 'fares';
+  const formatCost = inFares ? formatFares : formatCurrency;
+
+  return (
+    <div className="mb-4">
+      {showHeading && <h3 className="text-lg font-semibold text-gray-800 mb-2">{type.label}</h3>}
+      <table className="min-w-full bg-white mb-4 text-sm">
+        <thead>
+          <tr className="bg-gray-100">
+            <th className="py-2 px-3 text-left text-gray-600 font-semibold">Setting</th>
+            <th className="py-2 px-3 text-left text-gray-600 font-semibold">Current</th>
+            <th className="py-2 px-3 text-left text-gray-600 font-semibold">Proposed</th>
+          </tr>
+        </thead>
+        <tbody>
+          {getPromoSettingFields(promoType).map((field) => {
+            const changed = String(current?.[field.key] ?? '') !== String(proposed?.[field.key] ?? '');
+            return (
+              <tr key={field.key} className="border-b border-gray-200">
+                <td className="py-2 px-3 text-gray-700">{field.label}</td>
+                <td className="py-2 px-3 text-gray-800">
+                  {formatPromoValue(field, current?.[field.key])}
+                </td>
+                <td className={`py-2 px-3 ${changed ? 'font-semibold text-gray-900' : 'text-gray-800'}`}>
+                  {formatPromoValue(field, proposed?.[field.key])}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      {currentImpact && proposedImpact && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-2">
+            <div className="rounded-lg border border-gray-200 p-4">
+              <p className="text-sm text-gray-500">Users who would qualify</p>
+              <div className="flex items-baseline justify-between">
+                <p className="text-2xl font-semibold text-gray-800">
+                  {formatCount(proposedImpact.qualifying)}
+                </p>
+                <Delta
+                  current={currentImpact.qualifying}
+                  proposed={proposedImpact.qualifying}
+                  format={formatCount}
+                />
+              </div>
+              <p className="text-xs text-gray-500">Currently {formatCount(currentImpact.qualifying)}</p>
+            </div>
+            <div className="rounded-lg border border-gray-200 p-4">
+              <p className="text-sm text-gray-500">
+                {inFares ? 'Projected weekly discount (full fares, not ₦)' : 'Projected weekly cost'}
+              </p>
+              <div className="flex items-baseline justify-between">
+                <p className="text-2xl font-semibold text-gray-800">
+                  {formatCost(proposedImpact.weeklyCost)}
+                </p>
+                <Delta
+                  current={currentImpact.weeklyCost}
+                  proposed={proposedImpact.weeklyCost}
+                  format={formatCost}
+                />
+              </div>
+              <p className="text-xs text-gray-500">
+                Currently {formatCost(currentImpact.weeklyCost)}
+              </p>
+            </div>
+          </div>
+          <p className="text-xs text-gray-500 mb-4">
+            Scaled from the live program stats, assuming everyone who qualifies is rewarded
+            once in the next week
+            {inFares && ' and rides at the minimum pace'}.
+          </p>
+          {inFares && (
+            <p className="text-xs text-gray-500 mb-4">
+              The program stats carry no fare data, so the Gold Status discount is counted in
+              full fares given away, not naira. Multiply it by a typical fare for the payout cost.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+// sections is a list of { promoType, current, proposed }; a config rollback can
+// touch several programs at once, a regular save only one.
+const PromoImpactModal = ({
+  sections,
+  title = 'Preview impact',
+  description,
+  confirmText = 'Confirm and save',
+  cancelText = 'Keep editing',
+  data,
+  loading,
+  error,
+  saving,
+  onConfirm,
+  onCancel,
+}) => {
+  if (!sections || sections.length === 0) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-2xl p-6 max-h-[90vh] overflow-y-auto">
+        <h2 className="text-xl font-semibold mb-1 text-gray-800">{title}</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          {description ||
+            `Review how the new ${promoTypes[sections[0].promoType].label} settings compare with what is live now before saving.`}
+        </p>
+
+        {loading && <p className="text-sm text-gray-500 mb-4">Calculating estimate...</p>}
+
+        {error && (
+          <div className="mb-4 rounded-lg border border-red-200 bg-red-50 px-4 py-2 text-sm text-red-700">
+            {error}
+          </div>
+        )}
+
+        {sections.map((section) => (
+          <ImpactSection
+            key={section.promoType}
+            promoType={section.promoType}
+            current={section.current}
+            proposed={section.proposed}
+            data={data}
+            showHeading={sections.length > 1}
+          />
+        ))}
+
+        <div className="flex justify-end space-x-3">
+          <button
+            type="button"
+            onClick={onCancel}
+            disabled={saving}
+            className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-100 transition-colors text-sm font-medium"
+          >
+            {cancelText}
+          </button>
+          <button
+            type="button"
+            onClick={onConfirm}
+            disabled={saving || loading}
+            className="px-4 py-2 rounded-lg bg-gray-800 text-white hover:bg-gray-700 transition-colors text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {saving ? 'Saving...' : confirmText}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PromoImpactModal;
@@ -0,0 +1,143 @@
+import React from 'react';
+import { ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import EmptyState from './EmptyState';
+import { referralFlagLabels } from '../utils/referralFraud';
+import { formatCurrency, formatDateTime } from '../utils/formatters';
+
+const FlagBadges = ({ flags }) => (
+  <div className="flex flex-col space-y-1">
+    {flags.map((flag) => (
+      <div key={flag.type} className="text-sm">
+        <span className="inline-block px-2 py-0.5 rounded-full text-xs font-semibold bg-red-100 text-red-700">
+          {referralFlagLabels[flag.type]}
+        </span>
+        <span className="ml-2 text-xs text-gray-600">{flag.detail}</span>
+      </div>
+    ))}
+  </div>
+);
+
+// groups is a list of { referrer, referrals, flags } where flags maps referral ids
+// to the signals raised for them; only referrers with at least one flag are passed in.
+const ReferralFraudPanel = ({ groups, canManage, onHold, onRelease, onViewReferees }) => {
+  if (groups.length === 0) {
+    return (
+      <EmptyState
+        type="referrals"
+        title="No suspicious referrals"
+        description="Pending referrals with shared contacts, unusually fast qualification or single-rider trips will show up here."
+      />
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {groups.map(({ referrer, referrals, flags }) => (
+        <div key={referrer?.id} className="bg-white rounded-lg shadow-md p-4">
+          <div className="flex justify-between items-start mb-3">
+            <div className="flex items-start space-x-2">
+              <ExclamationTriangleIcon className="h-6 w-6 text-red-500 mt-0.5" />
+              <div>
+                <h3 className="font-semibold text-gray-800">
+                  {referrer?.name} ({referrer?.referralCode})
+                </h3>
+                <p className="text-sm text-gray-500">
+                  {referrer?.email} · {referrer?.phone}
+                </p>
+              </div>
+            </div>
+            <button
+              type="button"
+              onClick={() => onViewReferees(referrer?.id)}
+              disabled={!referrer?.id}
+              className="bg-white border border-gray-300 text-gray-800 px-3 py-1 rounded-lg text-sm hover:bg-gray-50 transition-colors"
+            >
+              All referees
+            </button>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full bg-white">
+              <thead>
+                <tr className="bg-gray-100">
+                  <th className="py-3 px-4 text-left text-gray-600 font-semibold">Referee</th>
+                  <th className="py-3 px-4 text-left text-gray-600 font-semibold">Signals</th>
+                  <th className="py-3 px-4 text-center text-gray-600 font-semibold">Trips</th>
+                  <th className="py-3 px-4 text-right text-gray-600 font-semibold">Reward</th>
+                  <th className="py-3 px-4 text-left text-gray-600 font-semibold">Reward status</th>
+                  {canManage && (
+                    <th className="py-3 px-4 text-center text-gray-600 font-semibold">Action</th>
+                  )}
+                </tr>
+              </thead>
+              <tbody>
+                {referrals
+                  .filter((referral) => flags[referral.id])
+                  .map((referral) => (
+                    <tr key={referral.id} className="border-b border-gray-200 align-top">
+                      <td className="py-3 px-4 text-gray-800">
+                        <div className="flex flex-col text-sm">
+                          <span className="font-semibold">{referral.referredUser?.name}</span>
+                          <span className="text-gray-500">{referral.referredUser?.email}</span>
+                          <span className="text-gray-500">{referral.referredUser?.phone}</span>
+                        </div>
+                      </td>
+                      <td className="py-3 px-4">
+                        <FlagBadges flags={flags[referral.id]} />
+                      </td>
+                      <td className="py-3 px-4 text-center text-gray-800">
+                        {referral.completedTrips}
+                      </td>
+                      <td className="py-3 px-4 text-right text-gray-800">
+                        {formatCurrency(referral.rewardAmount)}
+                      </td>
+                      <td className="py-3 px-4 text-sm">
+                        {referral.onHold ? (
+                          <div className="flex flex-col">
+                            <span className="font-semibold text-orange-600">On hold</span>
+                            {referral.holdReason && (
+                              <span className="text-xs text-gray-600">{referral.holdReason}</span>
+                            )}
+                            {referral.heldAt && (
+                              <span className="text-xs text-gray-500">
+                                {formatDateTime(referral.heldAt)}
+                              </span>
+                            )}
+                          </div>
+                        ) : (
+                          <span className="text-yellow-600">Awaiting payment</span>
+                        )}
+                      </td>
+                      {canManage && (
+                        <td className="py-3 px-4 text-center">
+                          {referral.onHold ? (
+                            <button
+                              type="button"
+                              onClick={() => onRelease(referral)}
+                              className="bg-white border border-gray-300 text-gray-800 px-3 py-1 rounded-lg text-sm hover:bg-gray-50 transition-colors"
+                            >
+                              Release
+                            </button>
+                          ) : (
+                            <button
+                              type="button"
+                              onClick={() => onHold(referral)}
+                              className="bg-orange-600 hover:bg-orange-700 text-white font-bold py-1 px-3 rounded-lg text-sm transition duration-300"
+                            >
+                              Hold reward
+                            </button>
+                          )}
+                        </td>
+                      )}
+                    </tr>
+                  ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ReferralFraudPanel;
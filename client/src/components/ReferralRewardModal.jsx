@@ -0,0 +1,171 @@
+import React, { useState } from 'react';
+import BulkRunResults from './BulkRunResults';
+import PaymentProofInput from './PaymentProofInput';
+import useBulkRunner from '../hooks/useBulkRunner';
+import {
+  approveReferralReward,
+  payReferralReward,
+  rejectReferralReward,
+} from '../services/adminApi';
+import { formatCurrency } from '../utils/formatters';
+
+const actionConfig = {
+  approve: {
+    title: 'Approve referral rewards',
+    confirmText: 'Approve',
+    runningText: 'Approving...',
+    failureText: 'Failed to approve referral reward.',
+    buttonClass: 'bg-gray-800 hover:bg-gray-700',
+  },
+  pay: {
+    title: 'Pay referral rewards',
+    confirmText: 'Mark as paid',
+    runningText: 'Marking as paid...',
+    failureText: 'Failed to mark referral reward as paid.',
+    buttonClass: 'bg-green-600 hover:bg-green-700',
+  },
+  reject: {
+    title: 'Reject referral rewards',
+    confirmText: 'Reject',
+    runningText: 'Rejecting...',
+    failureText: 'Failed to reject referral reward.',
+    buttonClass: 'bg-red-600 hover:bg-red-700',
+  },
+};
+
+const resultColumns = [
+  {
+    key: 'referrer',
+    label: 'Referrer',
+    render: (referral) => referral.referrer?.name || 'N/A',
+  },
+  {
+    key: 'referee',
+    label: 'Referee',
+    render: (referral) => referral.referredUser?.name || 'N/A',
+  },
+  {
+    key: 'reward',
+    label: 'Reward',
+    align: 'right',
+    render: (referral) => formatCurrency(referral.rewardAmount),
+  },
+];
+
+const getReferralId = (referral) => referral.id;
+
+const runAction = (action, referralId, { reference, reason, paymentProofFile }) => {
+  if (action === 'approve') return approveReferralReward(referralId, { reference });
+  if (action === 'pay') return payReferralReward(referralId, { reference, paymentProofFile });
+  return rejectReferralReward(referralId, { reason });
+};
+
+// Handles a single referral and bulk selections alike.
+const ReferralRewardModal = ({ action, referrals, onClose, onItemSuccess }) => {
+  const [reference, setReference] = useState('');
+  const [reason, setReason] = useState('');
+  const [paymentProofFile, setPaymentProofFile] = useState(null);
+  const { results, running, finished, run } = useBulkRunner({
+    items: referrals,
+    getId: getReferralId,
+    runItem: (referral) =>
+      runAction(action, referral.id, {
+        reference: reference.trim() || undefined,
+        reason: reason.trim(),
+        paymentProofFile,
+      }),
+    onItemSuccess: (referral, response) =>
+      onItemSuccess(action, referral, { reference: reference.trim() || undefined, response }),
+    failureText: actionConfig[action]?.failureText,
+  });
+
+  if (!action) return null;
+
+  const config = actionConfig[action];
+  const totalReward = referrals.reduce((sum, referral) => sum + (referral.rewardAmount || 0), 0);
+  const editable = !running && !finished;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-2xl p-6 max-h-[90vh] flex flex-col">
+        <h2 className="text-xl font-semibold mb-2 text-gray-800">{config.title}</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          {referrals.length} referral{referrals.length === 1 ? '' : 's'} · Total reward{' '}
+          <span className="font-semibold text-gray-800">{formatCurrency(totalReward)}</span>
+        </p>
+
+        {editable && action === 'reject' && (
+          <div className="mb-4">
+            <label className="block text-gray-700 font-semibold mb-2">Reason</label>
+            <textarea
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              rows={3}
+              placeholder="Why are these rewards being rejected? (required)"
+              className="w-full p-3 bg-gray-50 text-gray-800 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-accent-blue text-sm"
+            />
+          </div>
+        )}
+
+        {editable && action !== 'reject' && (
+          <div className="mb-4 space-y-4">
+            <div>
+              <label className="block text-gray-700 font-semibold mb-2">Payment reference</label>
+              <input
+                type="text"
+                value={reference}
+                onChange={(e) => setReference(e.target.value)}
+                placeholder="Transfer or transaction reference (optional)"
+                className="w-full p-3 bg-gray-50 text-gray-800 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-accent-blue text-sm"
+              />
+            </div>
+            {action === 'pay' && (
+              <PaymentProofInput
+                onFileChange={setPaymentProofFile}
+                helpText={
+                  referrals.length > 1
+                    ? 'Optional screenshot of the batch transfer. It is attached to every selected referral.'
+                    : undefined
+                }
+              />
+            )}
+          </div>
+        )}
+
+        <BulkRunResults
+          items={referrals}
+          getId={getReferralId}
+          columns={resultColumns}
+          results={results}
+          finished={finished}
+          failedNote="Failed referrals stay selected so you can retry them."
+        />
+
+        <div className="flex justify-end space-x-3 mt-6">
+          <button
+            type="button"
+            onClick={() => onClose(results)}
+            disabled={running}
+            className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-100 transition-colors text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {finished ? 'Close' : 'Cancel'}
+          </button>
+          {!finished && (
+            <button
+              type="button"
+              onClick={run}
+              disabled={
+                running || referrals.length === 0 || (action === 'reject' && !reason.trim())
+              }
+              className={`px-4 py-2 rounded-lg text-white transition-colors text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed ${config.buttonClass}`}
+            >
+              {running ? config.runningText : config.confirmText}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReferralRewardModal;
@@ -0,0 +1,96 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  getScorecardRange,
+  loadRiderScorecards,
+  scorecardKpis,
+  scorecardPeriods,
+} from '../utils/riderScorecards';
+
+// Ranks only mean something against the whole fleet, so this loads every
+// rider's scorecard for the period and picks this rider out of the result.
+const RiderScorecard = ({ riderId }) => {
+  const [period, setPeriod] = useState('30d');
+  const [scorecard, setScorecard] = useState(null);
+  const [riderCount, setRiderCount] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchScorecard = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const ranked = await loadRiderScorecards(getScorecardRange(period));
+        if (cancelled) return;
+        setScorecard(ranked.find((item) => item.riderId === riderId) || null);
+        setRiderCount(ranked.length);
+      } catch (err) {
+        if (!cancelled) setError('Failed to load rider performance.');
+        console.error('Failed to load rider scorecard:', err);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchScorecard();
+    return () => {
+      cancelled = true;
+    };
+  }, [riderId, period]);
+
+  return (
+    <div className="mt-6 border-t border-gray-200 pt-4">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="text-lg font-semibold text-gray-800">Performance</h3>
+        <div className="flex items-center space-x-3">
+          <select
+            value={period}
+            onChange={(e) => setPeriod(e.target.value)}
+            className="bg-white text-gray-800 text-sm px-3 py-1 rounded-lg border border-gray-300 focus:outline-none focus:ring-2 focus:ring-accent-blue"
+          >
+            {scorecardPeriods.map((item) => (
+              <option key={item.key} value={item.key}>
+                {item.label}
+              </option>
+            ))}
+          </select>
+          <Link
+            to={`/rider-leaderboard?period=${period}`}
+            className="text-sm text-accent-blue hover:underline"
+          >
+            Leaderboard
+          </Link>
+        </div>
+      </div>
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading performance…</p>
+      ) : error ? (
+        <div className="rounded-lg border border-red-200 bg-red-50 px-4 py-2 text-sm text-red-700">
+          {error}
+        </div>
+      ) : !scorecard ? (
+        <p className="text-sm text-gray-500">No orders for this rider in the selected period.</p>
+      ) : (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+          {scorecardKpis.map((kpi) => {
+            const { value, rank } = scorecard.kpis[kpi.key];
+            return (
+              <div key={kpi.key} className="rounded-lg border border-gray-200 p-3">
+                <p className="text-xs text-gray-500">{kpi.label}</p>
+                <p className="text-lg font-semibold text-gray-800">{kpi.format(value)}</p>
+                <p className="text-xs text-gray-500">
+                  {rank ? `#${rank} of ${riderCount} riders` : 'Not ranked'}
+                </p>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RiderScorecard;
@@ -1,16 +1,7 @@
 import React, { Fragment } from 'react';
 import { Menu, Transition } from '@headlessui/react';
-import { ChevronDownIcon, ClockIcon, CheckCircleIcon, XCircleIcon, TruckIcon, ShieldCheckIcon, ArchiveBoxIcon } from '@heroicons/react/24/outline';
-
-const statusOptions = {
-  all: { label: 'All Statuses', icon: ArchiveBoxIcon, color: 'text-gray-400' },
-  pending: { label: 'Pending', icon: ClockIcon, color: 'text-yellow-400' },
-  assigned: { label: 'Assigned', icon: ShieldCheckIcon, color: 'text-blue-400' },
-  picked_up: { label: 'Picked Up', icon: TruckIcon, color: 'text-indigo-400' },
-  delivering: { label: 'Delivering', icon: TruckIcon, color: 'text-purple-400' },
-  delivered: { label: 'Delivered', icon: CheckCircleIcon, color: 'text-green-400' },
-  cancelled: { label: 'Cancelled', icon: XCircleIcon, color: 'text-red-400' },
-};
+import { ChevronDownIcon } from '@heroicons/react/24/outline';
+import { statusOptions } from '../utils/orderStatus';
 
 const StatusDropdown = ({ selectedStatus, onStatusChange }) => {
   const selectedOption = statusOptions[selectedStatus] || statusOptions.all;
@@ -0,0 +1,27 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { getUserProfilePath, getUserProfileRoute } from '../utils/userProfile';
+
+// Renders the name as a link to the user's profile page when the type is known
+// and the admin may view it, and as plain text otherwise.
+const UserLink = ({ type, userId, children, className = '' }) => {
+  const { can } = useAuth();
+  const path = getUserProfilePath(type, userId);
+
+  if (!path || !can(getUserProfileRoute(type).permission)) {
+    return <span className={className}>{children}</span>;
+  }
+
+  return (
+    <Link
+      to={path}
+      onClick={(e) => e.stopPropagation()}
+      className={`hover:underline hover:text-accent-blue ${className}`}
+    >
+      {children}
+    </Link>
+  );
+};
+
+export default UserLink;
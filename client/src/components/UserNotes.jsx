@@ -0,0 +1,144 @@
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { addUserNote, getUserNotes } from '../services/adminApi';
+import { formatDateTime } from '../utils/formatters';
+
+// Account actions are recorded on the same timeline by the server, so support
+// sees why an account was locked next to the notes that led to it.
+const noteKinds = {
+  note: { label: 'Note', className: 'bg-gray-100 text-gray-700' },
+  deactivated: { label: 'Deactivated', className: 'bg-red-100 text-red-700' },
+  reactivated: { label: 'Reactivated', className: 'bg-green-100 text-green-700' },
+  sessions_revoked: { label: 'Signed out', className: 'bg-yellow-100 text-yellow-700' },
+  password_reset_link: { label: 'Reset link', className: 'bg-blue-100 text-blue-700' },
+};
+
+const getAuthorName = (note) =>
+  note.author?.fullName || note.author?.email || note.authorName || 'System';
+
+const UserNotes = ({ userType, userId, canAddNotes, refreshKey }) => {
+  const [notes, setNotes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [draft, setDraft] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!userId) return;
+
+    let cancelled = false;
+    const fetchNotes = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await getUserNotes(userType, userId);
+        if (!cancelled) setNotes(response?.notes || []);
+      } catch (err) {
+        if (!cancelled) {
+          setError(
+            err?.response?.data?.error ||
+              err?.response?.data?.message ||
+              'Failed to load support notes.'
+          );
+        }
+        console.error('Failed to load support notes:', err);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchNotes();
+    return () => {
+      cancelled = true;
+    };
+  }, [userType, userId, refreshKey]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const body = draft.trim();
+    if (!body) return;
+
+    try {
+      setSaving(true);
+      const response = await addUserNote(userType, userId, body);
+      const note = response?.note || {
+        _id: `local-${Date.now()}`,
+        kind: 'note',
+        body,
+        createdAt: new Date().toISOString(),
+      };
+      setNotes((prev) => [note, ...prev]);
+      setDraft('');
+    } catch (err) {
+      const message =
+        err?.response?.data?.error ||
+        err?.response?.data?.message ||
+        'Failed to add note.';
+      toast.error(message);
+      console.error('Failed to add support note:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div>
+      {canAddNotes && (
+        <form onSubmit={handleSubmit} className="mb-4">
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            rows={2}
+            placeholder="Add a support note (visible to admins only)"
+            className="w-full p-3 bg-gray-50 text-gray-800 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-accent-blue text-sm"
+          />
+          <div className="flex justify-end mt-2">
+            <button
+              type="submit"
+              disabled={saving || !draft.trim()}
+              className="bg-gray-800 hover:bg-gray-700 text-white font-bold py-1.5 px-4 rounded-lg text-sm transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {saving ? 'Saving...' : 'Add note'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {error && (
+        <div className="mb-4 rounded-lg border border-red-200 bg-red-50 px-4 py-2 text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading notes...</p>
+      ) : notes.length === 0 ? (
+        <p className="text-sm text-gray-500">No support notes yet.</p>
+      ) : (
+        <ol className="relative border-l border-gray-200 ml-2">
+          {notes.map((note) => {
+            const kind = noteKinds[note.kind] || noteKinds.note;
+            return (
+              <li key={note._id} className="mb-4 ml-4">
+                <div className="absolute w-2.5 h-2.5 bg-gray-300 rounded-full -left-[5px] mt-1.5" />
+                <div className="flex items-center space-x-2 mb-1">
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${kind.className}`}>
+                    {kind.label}
+                  </span>
+                  <span className="text-xs text-gray-500">
+                    {getAuthorName(note)} · {formatDateTime(note.createdAt)}
+                  </span>
+                </div>
+                {note.body && (
+                  <p className="text-sm text-gray-800 whitespace-pre-line">{note.body}</p>
+                )}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default UserNotes;
@@ -1,15 +1,19 @@
 import React, { useState, useEffect } from 'react';
 import { Bar } from 'react-chartjs-2';
 import api from '../../services/api';
+import { getRangeGranularity } from '../../utils/dateRange';
 
-const OrderStatsChart = () => {
+const OrderStatsChart = ({ range }) => {
   const [chartData, setChartData] = useState({});
-  const [period, setPeriod] = useState('monthly');
+  const { from, to } = range;
+  const groupBy = getRangeGranularity(range);
 
   useEffect(() => {
     const fetchOrderStatsData = async () => {
       try {
-        const { data } = await api.get(`/dashboard/order-stats?period=${period}`);
+        const { data } = await api.get('/dashboard/order-stats', {
+          params: { from, to, groupBy },
+        });
         const formattedData = {
           labels: ['Total Orders', 'Courier Orders', 'Ride Orders'],
           datasets: [
@@ -37,7 +41,7 @@ const OrderStatsChart = () => {
     };
 
     fetchOrderStatsData();
-  }, [period]);
+  }, [from, to, groupBy]);
 
   const options = {
     responsive: true,
@@ -54,7 +58,7 @@ const OrderStatsChart = () => {
       },
       title: {
         display: true,
-        text: `Order Statistics (${period.charAt(0).toUpperCase() + period.slice(1)})`,
+        text: 'Order Statistics',
         color: '#4B5563',
         font: {
           size: 18,
@@ -84,17 +88,6 @@ const OrderStatsChart = () => {
 
   return (
     <div className="bg-white p-4 rounded-lg shadow-md" style={{ height: '400px' }}>
-      <div className="flex justify-end mb-4">
-        <select
-          value={period}
-          onChange={(e) => setPeriod(e.target.value)}
-          className="bg-gray-100 text-gray-800 rounded-md p-2 border border-gray-300 focus:outline-none focus:ring-2 focus:ring-accent-blue"
-        >
-          <option value="monthly">Monthly</option>
-          <option value="weekly">Weekly</option>
-          <option value="yearly">Yearly</option>
-        </select>
-      </div>
       {chartData.labels ? <Bar data={chartData} options={options} /> : <p>Loading...</p>}
     </div>
   );
@@ -1,15 +1,19 @@
 import React, { useState, useEffect } from 'react';
 import { Line } from 'react-chartjs-2';
 import api from '../../services/api';
+import { getRangeGranularity } from '../../utils/dateRange';
 
-const RevenueChart = () => {
+const RevenueChart = ({ range }) => {
   const [chartData, setChartData] = useState({});
-  const [period, setPeriod] = useState('monthly');
+  const { from, to } = range;
+  const groupBy = getRangeGranularity(range);
 
   useEffect(() => {
     const fetchRevenueData = async () => {
       try {
-        const { data } = await api.get(`/dashboard/revenue?period=${period}`);
+        const { data } = await api.get('/dashboard/revenue', {
+          params: { from, to, groupBy },
+        });
         const formattedData = {
           labels: data.map((d) => d.date),
           datasets: [
@@ -30,7 +34,7 @@ const RevenueChart = () => {
     };
 
     fetchRevenueData();
-  }, [period]);
+  }, [from, to, groupBy]);
 
   const options = {
     responsive: true,
@@ -47,7 +51,7 @@ const RevenueChart = () => {
       },
       title: {
         display: true,
-        text: `Revenue (${period.charAt(0).toUpperCase() + period.slice(1)})`,
+        text: `Revenue (by ${groupBy})`,
         color: '#4B5563',
         font: {
           size: 18,
@@ -77,17 +81,6 @@ const RevenueChart = () => {
 
   return (
     <div className="bg-white p-4 rounded-lg shadow-md" style={{ height: '400px' }}>
-      <div className="flex justify-end mb-4">
-        <select
-          value={period}
-          onChange={(e) => setPeriod(e.target.value)}
-          className="bg-gray-100 text-gray-800 rounded-md p-2 border border-gray-300 focus:outline-none focus:ring-2 focus:ring-accent-blue"
-        >
-          <option value="monthly">Monthly</option>
-          <option value="weekly">Weekly</option>
-          <option value="yearly">Yearly</option>
-        </select>
-      </div>
       {chartData.labels ? <Line data={chartData} options={options} /> : <p>Loading...</p>}
     </div>
   );
@@ -1,15 +1,19 @@
 import React, { useState, useEffect } from 'react';
 import { Line } from 'react-chartjs-2';
 import api from '../../services/api';
+import { getRangeGranularity } from '../../utils/dateRange';
 
-const UserGrowthChart = () => {
+const UserGrowthChart = ({ range }) => {
   const [chartData, setChartData] = useState({});
-  const [period, setPeriod] = useState('monthly');
+  const { from, to } = range;
+  const groupBy = getRangeGranularity(range);
 
   useEffect(() => {
     const fetchUserGrowthData = async () => {
       try {
-        const { data } = await api.get(`/dashboard/user-growth?period=${period}`);
+        const { data } = await api.get('/dashboard/user-growth', {
+          params: { from, to, groupBy },
+        });
         const sorted = [...data].sort(
           (a, b) => new Date(a.date).getTime() - new Date(b.date).getTime()
         );
@@ -41,7 +45,7 @@ const UserGrowthChart = () => {
     };
 
     fetchUserGrowthData();
-  }, [period]);
+  }, [from, to, groupBy]);
 
   const options = {
     responsive: true,
@@ -58,7 +62,7 @@ const UserGrowthChart = () => {
       },
       title: {
         display: true,
-        text: `User Growth (${period.charAt(0).toUpperCase() + period.slice(1)})`,
+        text: `User Growth (by ${groupBy})`,
         color: '#4B5563',
         font: {
           size: 18,
@@ -88,17 +92,6 @@ const UserGrowthChart = () => {
 
   return (
     <div className="bg-white p-4 rounded-lg shadow-md" style={{ height: '400px' }}>
-      <div className="flex justify-end mb-4">
-        <select
-          value={period}
-          onChange={(e) => setPeriod(e.target.value)}
-          className="bg-gray-100 text-gray-800 rounded-md p-2 border border-gray-300 focus:outline-none focus:ring-2 focus:ring-accent-blue"
-        >
-          <option value="monthly">Monthly</option>
-          <option value="weekly">Weekly</option>
-          <option value="yearly">Yearly</option>
-        </select>
-      </div>
       {chartData.labels ? <Line data={chartData} options={options} /> : <p>Loading...</p>}
     </div>
   );
@@ -1,18 +1,20 @@
 import React, { useState, useEffect } from 'react';
 import { Bar } from 'react-chartjs-2';
 import api from '../../services/api';
+import { getRangeGranularity } from '../../utils/dateRange';
 
-const UserRoleGrowthChart = () => {
+const UserRoleGrowthChart = ({ range }) => {
   const [chartData, setChartData] = useState({});
-  const [period, setPeriod] = useState('monthly');
   const [verification, setVerification] = useState('all');
+  const { from, to } = range;
+  const groupBy = getRangeGranularity(range);
 
   useEffect(() => {
     const fetchUserRoleGrowth = async () => {
       try {
-        const { data } = await api.get(
-          `/dashboard/user-role-growth?period=${period}&verification=${verification}`
-        );
+        const { data } = await api.get('/dashboard/user-role-growth', {
+          params: { from, to, groupBy, verification },
+        });
 
         const sorted = [...data].sort(
           (a, b) => new Date(a.date).getTime() - new Date(b.date).getTime()
@@ -35,9 +37,9 @@ const UserRoleGrowthChart = () => {
           const firstLabel = labels[0];
           let baseLabel = firstLabel;
 
-          if (period === 'yearly') {
+          if (groupBy === 'month') {
             const baseDate = new Date(`${firstLabel}-01`);
-            baseDate.setFullYear(baseDate.getFullYear() - 1);
+            baseDate.setMonth(baseDate.getMonth() - 1);
             const year = baseDate.getFullYear();
             const month = String(baseDate.getMonth() + 1).padStart(2, '0');
             baseLabel = `${year}-${month}`;
@@ -85,7 +87,7 @@ const UserRoleGrowthChart = () => {
     };
 
     fetchUserRoleGrowth();
-  }, [period, verification]);
+  }, [from, to, groupBy, verification]);
 
   const verificationLabel =
     verification === 'verified'
@@ -109,9 +111,7 @@ const UserRoleGrowthChart = () => {
       },
       title: {
         display: true,
-        text: `User Growth (${verificationLabel}): Customers vs. Riders (${period
-          .charAt(0)
-          .toUpperCase() + period.slice(1)})`,
+        text: `User Growth (${verificationLabel}): Customers vs. Riders (by ${groupBy})`,
         color: '#4B5563',
         font: {
           size: 18,
@@ -141,7 +141,7 @@ const UserRoleGrowthChart = () => {
 
   return (
     <div className="bg-white p-4 rounded-lg shadow-md" style={{ height: '400px' }}>
-      <div className="flex justify-between mb-4">
+      <div className="flex justify-end mb-4">
         <select
           value={verification}
           onChange={(e) => setVerification(e.target.value)}
@@ -151,15 +151,6 @@ const UserRoleGrowthChart = () => {
           <option value="verified">Verified only</option>
           <option value="unverified">Unverified only</option>
         </select>
-        <select
-          value={period}
-          onChange={(e) => setPeriod(e.target.value)}
-          className="bg-gray-100 text-gray-800 rounded-md p-2 border border-gray-300 focus:outline-none focus:ring-2 focus:ring-accent-blue"
-        >
-          <option value="monthly">Monthly</option>
-          <option value="weekly">Weekly</option>
-          <option value="yearly">Yearly</option>
-        </select>
       </div>
       {chartData.labels ? <Bar data={chartData} options={options} /> : <p>Loading...</p>}
     </div>
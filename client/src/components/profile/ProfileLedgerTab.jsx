@@ -0,0 +1,389 @@
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { ArrowDownTrayIcon, PlusIcon } from '@heroicons/react/24/outline';
+import Loader from '../Loader';
+import EmptyState from '../EmptyState';
+import {
+  addRiderLedgerEntry,
+  downloadRiderStatement,
+  getRiderLedger,
+} from '../../services/payoutApi';
+import { useAuth } from '../../contexts/AuthContext';
+import { PERMISSIONS } from '../../utils/permissions';
+import { formatCurrency, formatDateTime } from '../../utils/formatters';
+import { getDateRange } from '../../utils/dateRange';
+import { downloadBlob } from '../../utils/exportData';
+import {
+  buildLedgerRows,
+  getDefaultLedgerRange,
+  ledgerEntryTypes,
+  summarizeLedger,
+} from '../../utils/commissionLedger';
+
+const inputClassName =
+  'w-full p-3 bg-gray-50 text-gray-800 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-accent-blue';
+
+const emptyEntry = { type: 'adjustment', direction: 'increase', amount: '', reason: '' };
+
+const ProfileLedgerTab = ({ riderId }) => {
+  const { can } = useAuth();
+  const canManagePayouts = can(PERMISSIONS.PAYOUTS_MANAGE);
+  const [range, setRange] = useState(getDefaultLedgerRange);
+  const [ledger, setLedger] = useState({ openingBalance: 0, entries: [] });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [downloading, setDownloading] = useState(false);
+  const [entryFormOpen, setEntryFormOpen] = useState(false);
+  const [entry, setEntry] = useState(emptyEntry);
+  const [entryError, setEntryError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  // The inputs may be reversed while the admin is mid-edit. getDateRange would
+  // quietly swap that for the last 30 days, so nothing loads or downloads until
+  // the range is valid again.
+  const rangeValid = range.from <= range.to;
+  const { from, to } = rangeValid
+    ? getDateRange({ range: 'custom', ...range })
+    : { from: null, to: null };
+
+  useEffect(() => {
+    if (!from || !to) return undefined;
+    let cancelled = false;
+    const fetchLedger = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await getRiderLedger(riderId, { from, to });
+        if (cancelled) return;
+        setLedger({
+          openingBalance: response.openingBalance || 0,
+          entries: response.entries || [],
+        });
+      } catch (err) {
+        if (!cancelled) setError('Failed to load the commission ledger.');
+        console.error('Failed to load rider ledger:', err);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchLedger();
+    return () => {
+      cancelled = true;
+    };
+  }, [riderId, from, to, refreshKey]);
+
+  const rows = buildLedgerRows(ledger.openingBalance, ledger.entries);
+  const closingBalance = rows.length > 0 ? rows[rows.length - 1].balance : ledger.openingBalance;
+  const totals = summarizeLedger(rows);
+
+  const handleRangeChange = (e) => {
+    const { name, value } = e.target;
+    if (value) setRange((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleDownloadStatement = async () => {
+    try {
+      setDownloading(true);
+      const blob = await downloadRiderStatement(riderId, { from, to });
+      downloadBlob(blob, `commission-statement-${range.from}-to-${range.to}.pdf`);
+    } catch (err) {
+      toast.error('Failed to generate the statement.');
+      console.error('Failed to download rider statement:', err);
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const handleEntryChange = (e) => {
+    const { name, value } = e.target;
+    setEntry((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmitEntry = async (e) => {
+    e.preventDefault();
+    const amount = Number(entry.amount);
+    if (!amount || amount <= 0) {
+      setEntryError('Enter an amount greater than zero.');
+      return;
+    }
+    if (!entry.reason.trim()) {
+      setEntryError('Give a reason so the rider and finance can see why.');
+      return;
+    }
+
+    const payload = {
+      type: entry.type,
+      amount:
+        entry.type === 'adjustment' && entry.direction === 'decrease' ? -amount : amount,
+      reason: entry.reason.trim(),
+    };
+
+    try {
+      setSaving(true);
+      setEntryError(null);
+      await addRiderLedgerEntry(riderId, payload);
+      toast.success(entry.type === 'write_off' ? 'Balance written off.' : 'Adjustment recorded.');
+      setEntryFormOpen(false);
+      setEntry(emptyEntry);
+      setRefreshKey((prev) => prev + 1);
+    } catch (err) {
+      const message =
+        err?.response?.data?.error ||
+        err?.response?.data?.message ||
+        'Failed to record the ledger entry.';
+      setEntryError(message);
+      console.error('Failed to add ledger entry:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-end justify-between gap-4 mb-4">
+        <div className="flex items-end gap-3">
+          <label className="text-sm text-gray-700">
+            <span className="block mb-1 font-semibold">From</span>
+            <input
+              type="date"
+              name="from"
+              value={range.from}
+              onChange={handleRangeChange}
+              className="bg-white text-gray-800 px-3 py-2 rounded-lg border border-gray-300 focus:outline-none focus:ring-2 focus:ring-accent-blue"
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            <span className="block mb-1 font-semibold">To</span>
+            <input
+              type="date"
+              name="to"
+              value={range.to}
+              onChange={handleRangeChange}
+              className="bg-white text-gray-800 px-3 py-2 rounded-lg border border-gray-300 focus:outline-none focus:ring-2 focus:ring-accent-blue"
+            />
+          </label>
+        </div>
+        <div className="flex items-center gap-3">
+          {canManagePayouts && (
+            <button
+              type="button"
+              onClick={() => {
+                setEntry(emptyEntry);
+                setEntryError(null);
+                setEntryFormOpen(true);
+              }}
+              className="inline-flex items-center px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-100 transition-colors text-sm font-medium"
+            >
+              <PlusIcon className="h-4 w-4 mr-2" />
+              Add entry
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={handleDownloadStatement}
+            disabled={downloading || !rangeValid}
+            className="inline-flex items-center px-4 py-2 rounded-lg bg-gray-800 text-white hover:bg-gray-700 transition-colors text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <ArrowDownTrayIcon className="h-4 w-4 mr-2" />
+            {downloading ? 'Generating...' : 'Download PDF statement'}
+          </button>
+        </div>
+      </div>
+
+      {!rangeValid ? (
+        <div className="rounded-lg border border-yellow-200 bg-yellow-50 px-4 py-2 text-sm text-yellow-700">
+          Pick a From date on or before the To date to load the ledger.
+        </div>
+      ) : loading ? (
+        <Loader />
+      ) : error ? (
+        <div className="rounded-lg border border-red-200 bg-red-50 px-4 py-2 text-sm text-red-700">
+          {error}
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-6 gap-3 mb-4">
+            <div className="rounded-lg border border-gray-200 p-3">
+              <p className="text-xs text-gray-500">Opening balance</p>
+              <p className="font-semibold">{formatCurrency(ledger.openingBalance)}</p>
+            </div>
+            {Object.entries(ledgerEntryTypes).map(([key, type]) => (
+              <div key={key} className="rounded-lg border border-gray-200 p-3">
+                <p className="text-xs text-gray-500">{type.label}s</p>
+                <p className="font-semibold">{formatCurrency(totals[key])}</p>
+              </div>
+            ))}
+            <div className="rounded-lg border border-gray-200 p-3">
+              <p className="text-xs text-gray-500">Closing balance</p>
+              <p
+                className={`font-semibold ${closingBalance > 0 ? 'text-red-600' : 'text-green-700'}`}
+              >
+                {formatCurrency(closingBalance)}
+              </p>
+            </div>
+          </div>
+
+          {rows.length === 0 ? (
+            <EmptyState
+              type="generic"
+              title="No ledger entries in this period"
+              description="Commissions, payments, adjustments and write-offs for this rider will appear here."
+            />
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full bg-white">
+                <thead>
+                  <tr className="bg-gray-100">
+                    <th className="py-3 px-4 text-left text-gray-600 font-semibold">Date</th>
+                    <th className="py-3 px-4 text-left text-gray-600 font-semibold">Type</th>
+                    <th className="py-3 px-4 text-left text-gray-600 font-semibold">Details</th>
+                    <th className="py-3 px-4 text-right text-gray-600 font-semibold">Amount</th>
+                    <th className="py-3 px-4 text-right text-gray-600 font-semibold">Balance</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map((row, index) => {
+                    const type = ledgerEntryTypes[row.type];
+                    return (
+                      <tr key={row._id || index} className="border-b border-gray-200">
+                        <td className="py-3 px-4 text-sm text-gray-800 whitespace-nowrap">
+                          {formatDateTime(row.date || row.createdAt)}
+                        </td>
+                        <td className="py-3 px-4 text-sm">
+                          <span
+                            className={`px-2 py-1 rounded-full text-xs font-semibold ${
+                              type?.className || 'bg-gray-100 text-gray-600'
+                            }`}
+                          >
+                            {type?.label || row.type}
+                          </span>
+                        </td>
+                        <td className="py-3 px-4 text-sm text-gray-700">
+                          <p>{row.description || row.reason || '—'}</p>
+                          {row.createdBy?.fullName && (
+                            <p className="text-xs text-gray-400">by {row.createdBy.fullName}</p>
+                          )}
+                        </td>
+                        <td
+                          className={`py-3 px-4 text-sm text-right whitespace-nowrap ${
+                            row.delta < 0 ? 'text-green-700' : 'text-gray-800'
+                          }`}
+                        >
+                          {row.delta < 0 ? '−' : '+'}
+                          {formatCurrency(Math.abs(row.delta))}
+                        </td>
+                        <td className="py-3 px-4 text-sm text-right font-semibold text-gray-800 whitespace-nowrap">
+                          {formatCurrency(row.balance)}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+
+      {entryFormOpen && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+          <div className="bg-white rounded-xl shadow-xl w-full max-w-lg p-6 max-h-[90vh] overflow-y-auto">
+            <h2 className="text-xl font-semibold mb-4 text-gray-800">Add ledger entry</h2>
+
+            {entryError && (
+              <div className="mb-4 rounded-lg border border-red-200 bg-red-50 px-4 py-2 text-sm text-red-700">
+                {entryError}
+              </div>
+            )}
+
+            <form onSubmit={handleSubmitEntry} className="space-y-4">
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-gray-700 font-semibold mb-2">Type</label>
+                  <select
+                    name="type"
+                    value={entry.type}
+                    onChange={handleEntryChange}
+                    className={inputClassName}
+                  >
+                    <option value="adjustment">Adjustment</option>
+                    <option value="write_off">Write-off</option>
+                  </select>
+                </div>
+                {entry.type === 'adjustment' && (
+                  <div>
+                    <label className="block text-gray-700 font-semibold mb-2">Direction</label>
+                    <select
+                      name="direction"
+                      value={entry.direction}
+                      onChange={handleEntryChange}
+                      className={inputClassName}
+                    >
+                      <option value="increase">Rider owes more</option>
+                      <option value="decrease">Rider owes less</option>
+                    </select>
+                  </div>
+                )}
+              </div>
+              <div>
+                <label className="block text-gray-700 font-semibold mb-2">Amount (₦)</label>
+                <input
+                  type="number"
+                  name="amount"
+                  min="0"
+                  step="0.01"
+                  value={entry.amount}
+                  onChange={handleEntryChange}
+                  className={inputClassName}
+                />
+                {entry.type === 'write_off' && closingBalance > 0 && (
+                  <button
+                    type="button"
+                    onClick={() =>
+                      setEntry((prev) => ({ ...prev, amount: String(closingBalance) }))
+                    }
+                    className="mt-1 text-xs text-accent-blue hover:underline"
+                  >
+                    Write off the full {formatCurrency(closingBalance)}
+                  </button>
+                )}
+              </div>
+              <div>
+                <label className="block text-gray-700 font-semibold mb-2">Reason</label>
+                <textarea
+                  name="reason"
+                  rows={3}
+                  value={entry.reason}
+                  onChange={handleEntryChange}
+                  placeholder="Shown on the rider's statement"
+                  className={inputClassName}
+                />
+              </div>
+              <div className="flex justify-end space-x-3">
+                <button
+                  type="button"
+                  onClick={() => setEntryFormOpen(false)}
+                  disabled={saving}
+                  className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-100 transition-colors text-sm font-medium"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="px-4 py-2 rounded-lg bg-gray-800 text-white hover:bg-gray-700 transition-colors text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {saving ? 'Saving...' : 'Save entry'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProfileLedgerTab;
@@ -0,0 +1,166 @@
+import React, { useEffect, useState } from 'react';
+import Loader from '../Loader';
+import EmptyState from '../EmptyState';
+import OrderDetailsModal from '../OrderDetailsModal';
+import UserLink from '../UserLink';
+import { getOrders } from '../../services/orderApi';
+import { statusOptions } from '../../utils/orderStatus';
+import { formatCurrency, formatDateTime } from '../../utils/formatters';
+
+const PAGE_SIZE = 10;
+
+const ProfileOrdersTab = ({ userType, userId }) => {
+  const [orders, setOrders] = useState([]);
+  const [pagination, setPagination] = useState({});
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedOrderId, setSelectedOrderId] = useState(null);
+
+  const isRider = userType === 'rider';
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchOrders = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await getOrders({
+          [isRider ? 'riderId' : 'customerId']: userId,
+          page,
+          limit: PAGE_SIZE,
+        });
+        if (cancelled) return;
+        setOrders(response.orders || []);
+        setPagination(response.pagination || {});
+      } catch (err) {
+        if (!cancelled) setError('Failed to load orders.');
+        console.error('Failed to load profile orders:', err);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchOrders();
+    return () => {
+      cancelled = true;
+    };
+  }, [isRider, userId, page]);
+
+  const handleOrderUpdated = (updated) => {
+    setOrders((prev) =>
+      prev.map((order) => (order._id === updated._id ? { ...order, ...updated } : order))
+    );
+  };
+
+  if (loading) return <Loader />;
+
+  if (error) {
+    return (
+      <div className="rounded-lg border border-red-200 bg-red-50 px-4 py-2 text-sm text-red-700">
+        {error}
+      </div>
+    );
+  }
+
+  if (orders.length === 0) {
+    return (
+      <EmptyState
+        type="orders"
+        title="No orders yet"
+        description={
+          isRider
+            ? 'Orders this rider accepts will show up here.'
+            : 'Orders this customer places will show up here.'
+        }
+      />
+    );
+  }
+
+  return (
+    <>
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="py-3 px-4 text-left text-gray-600 font-semibold">Order ID</th>
+              <th className="py-3 px-4 text-left text-gray-600 font-semibold">
+                {isRider ? 'Customer' : 'Rider'}
+              </th>
+              <th className="py-3 px-4 text-left text-gray-600 font-semibold">Service</th>
+              <th className="py-3 px-4 text-left text-gray-600 font-semibold">Status</th>
+              <th className="py-3 px-4 text-right text-gray-600 font-semibold">Price</th>
+              <th className="py-3 px-4 text-left text-gray-600 font-semibold">Date</th>
+              <th className="py-3 px-4 text-left text-gray-600 font-semibold">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {orders.map((order) => {
+              const counterpart = isRider ? order.customerId : order.riderId;
+              return (
+                <tr key={order._id} className="border-b border-gray-200 hover:bg-gray-50">
+                  <td className="py-3 px-4 text-gray-800">{order.orderId}</td>
+                  <td className="py-3 px-4 text-gray-800">
+                    {counterpart ? (
+                      <UserLink type={isRider ? 'customer' : 'rider'} userId={counterpart._id}>
+                        {counterpart.fullName}
+                      </UserLink>
+                    ) : (
+                      'N/A'
+                    )}
+                  </td>
+                  <td className="py-3 px-4 text-gray-800">{order.serviceType}</td>
+                  <td className="py-3 px-4 text-gray-800">
+                    {statusOptions[order.status]?.label || order.status}
+                  </td>
+                  <td className="py-3 px-4 text-right text-gray-800">
+                    {formatCurrency(order.price)}
+                  </td>
+                  <td className="py-3 px-4 text-gray-800">{formatDateTime(order.createdAt)}</td>
+                  <td className="py-3 px-4">
+                    <button
+                      onClick={() => setSelectedOrderId(order._id)}
+                      className="bg-gray-800 hover:bg-gray-700 text-white font-bold py-1 px-3 rounded-lg text-sm transition duration-300"
+                    >
+                      View
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="mt-6 flex justify-between items-center text-gray-800">
+        <p>
+          Page {pagination.page || page} of {pagination.totalPages || 1}
+        </p>
+        <div className="flex items-center">
+          <button
+            onClick={() => setPage((prev) => prev - 1)}
+            disabled={!pagination.hasPrevPage}
+            className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-4 rounded-lg transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Previous
+          </button>
+          <button
+            onClick={() => setPage((prev) => prev + 1)}
+            disabled={!pagination.hasNextPage}
+            className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-4 rounded-lg ml-2 transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Next
+          </button>
+        </div>
+      </div>
+
+      <OrderDetailsModal
+        orderId={selectedOrderId}
+        onClose={() => setSelectedOrderId(null)}
+        onOrderUpdated={handleOrderUpdated}
+      />
+    </>
+  );
+};
+
+export default ProfileOrdersTab;
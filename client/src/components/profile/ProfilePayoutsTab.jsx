@@ -0,0 +1,117 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import Loader from '../Loader';
+import EmptyState from '../EmptyState';
+import { getPayouts } from '../../services/payoutApi';
+import { formatCurrency, formatDateTime } from '../../utils/formatters';
+
+const ProfilePayoutsTab = ({ riderId }) => {
+  const [payouts, setPayouts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchPayouts = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await getPayouts({ riderId });
+        if (!cancelled) setPayouts(response.payouts || []);
+      } catch (err) {
+        if (!cancelled) setError('Failed to load payouts.');
+        console.error('Failed to load rider payouts:', err);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchPayouts();
+    return () => {
+      cancelled = true;
+    };
+  }, [riderId]);
+
+  if (loading) return <Loader />;
+
+  if (error) {
+    return (
+      <div className="rounded-lg border border-red-200 bg-red-50 px-4 py-2 text-sm text-red-700">
+        {error}
+      </div>
+    );
+  }
+
+  if (payouts.length === 0) {
+    return (
+      <EmptyState
+        type="generic"
+        title="No payouts yet"
+        description="Weekly commission payouts for this rider will show up here."
+      />
+    );
+  }
+
+  return (
+    <>
+      <div className="flex justify-end mb-3">
+        <Link to={`/rider-payouts?rider=${riderId}`} className="text-sm text-accent-blue hover:underline">
+          Manage in Rider Payouts
+        </Link>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="py-3 px-4 text-left text-gray-600 font-semibold">Week</th>
+              <th className="py-3 px-4 text-right text-gray-600 font-semibold">Gross</th>
+              <th className="py-3 px-4 text-right text-gray-600 font-semibold">Commission</th>
+              <th className="py-3 px-4 text-right text-gray-600 font-semibold">Rider Net</th>
+              <th className="py-3 px-4 text-left text-gray-600 font-semibold">Status</th>
+              <th className="py-3 px-4 text-left text-gray-600 font-semibold">Paid At</th>
+            </tr>
+          </thead>
+          <tbody>
+            {payouts.map((payout) => (
+              <tr
+                key={payout._id}
+                className={`border-b border-gray-200 hover:bg-gray-50 ${
+                  payout.isOverdue ? 'bg-red-50' : ''
+                }`}
+              >
+                <td className="py-3 px-4 text-gray-800 text-sm">
+                  {formatDateTime(payout.weekStart)} – {formatDateTime(payout.weekEnd)}
+                </td>
+                <td className="py-3 px-4 text-right text-gray-800">
+                  {formatCurrency(payout.totals?.gross)}
+                </td>
+                <td className="py-3 px-4 text-right text-gray-800">
+                  {formatCurrency(payout.totals?.commission)}
+                </td>
+                <td className="py-3 px-4 text-right text-gray-800">
+                  {formatCurrency(payout.totals?.riderNet)}
+                </td>
+                <td className="py-3 px-4 text-sm">
+                  <span
+                    className={`px-2 py-1 rounded-full text-xs font-semibold ${
+                      payout.status === 'paid'
+                        ? 'bg-green-100 text-green-700'
+                        : payout.isOverdue
+                        ? 'bg-red-100 text-red-700'
+                        : 'bg-yellow-100 text-yellow-700'
+                    }`}
+                  >
+                    {payout.status === 'paid' ? 'Paid' : payout.isOverdue ? 'Overdue' : 'Pending'}
+                  </span>
+                </td>
+                <td className="py-3 px-4 text-gray-800 text-sm">{formatDateTime(payout.paidAt)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </>
+  );
+};
+
+export default ProfilePayoutsTab;
@@ -0,0 +1,86 @@
+import React, { useEffect, useState } from 'react';
+import Loader from '../Loader';
+import { getUserPresenceHistory } from '../../services/adminApi';
+import { formatDateTime } from '../../utils/formatters';
+
+const formatSessionLength = (start, end) => {
+  const minutes = Math.round((new Date(end).getTime() - new Date(start).getTime()) / 60000);
+  if (!Number.isFinite(minutes) || minutes < 0) return '—';
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+};
+
+const ProfilePresenceTab = ({ userId }) => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchSessions = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await getUserPresenceHistory(userId, { limit: 50 });
+        if (!cancelled) setSessions(response.sessions || []);
+      } catch (err) {
+        if (!cancelled) setError('Failed to load presence history.');
+        console.error('Failed to load presence history:', err);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchSessions();
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  if (loading) return <Loader />;
+
+  if (error) {
+    return (
+      <div className="rounded-lg border border-red-200 bg-red-50 px-4 py-2 text-sm text-red-700">
+        {error}
+      </div>
+    );
+  }
+
+  if (sessions.length === 0) {
+    return <p className="text-sm text-gray-500">No presence history recorded yet.</p>;
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full bg-white">
+        <thead>
+          <tr className="bg-gray-100">
+            <th className="py-3 px-4 text-left text-gray-600 font-semibold">Came online</th>
+            <th className="py-3 px-4 text-left text-gray-600 font-semibold">Went offline</th>
+            <th className="py-3 px-4 text-left text-gray-600 font-semibold">Duration</th>
+          </tr>
+        </thead>
+        <tbody>
+          {sessions.map((session, index) => (
+            <tr key={session._id || index} className="border-b border-gray-200">
+              <td className="py-3 px-4 text-sm text-gray-800">{formatDateTime(session.onlineAt)}</td>
+              <td className="py-3 px-4 text-sm text-gray-800">
+                {session.offlineAt ? (
+                  formatDateTime(session.offlineAt)
+                ) : (
+                  <span className="text-green-600 font-semibold">Still online</span>
+                )}
+              </td>
+              <td className="py-3 px-4 text-sm text-gray-800">
+                {formatSessionLength(session.onlineAt, session.offlineAt || new Date())}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ProfilePresenceTab;
@@ -0,0 +1,125 @@
+import React, { useEffect, useState } from 'react';
+import Loader from '../Loader';
+import { getUserPromoHistory } from '../../services/adminApi';
+import { formatCurrency, formatDateTime } from '../../utils/formatters';
+
+const ProfilePromosTab = ({ userId }) => {
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchHistory = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await getUserPromoHistory(userId);
+        if (!cancelled) setHistory(response);
+      } catch (err) {
+        if (!cancelled) setError('Failed to load promo history.');
+        console.error('Failed to load promo history:', err);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  if (loading) return <Loader />;
+
+  if (error) {
+    return (
+      <div className="rounded-lg border border-red-200 bg-red-50 px-4 py-2 text-sm text-red-700">
+        {error}
+      </div>
+    );
+  }
+
+  const streakRuns = history?.streak || [];
+  const goldPeriods = history?.goldStatus || [];
+
+  return (
+    <div className="space-y-8">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-800 mb-2">Streak bonuses</h3>
+        {streakRuns.length === 0 ? (
+          <p className="text-sm text-gray-500">No streak activity yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full bg-white">
+              <thead>
+                <tr className="bg-gray-100">
+                  <th className="py-3 px-4 text-left text-gray-600 font-semibold">Started</th>
+                  <th className="py-3 px-4 text-left text-gray-600 font-semibold">Ended</th>
+                  <th className="py-3 px-4 text-center text-gray-600 font-semibold">Length</th>
+                  <th className="py-3 px-4 text-right text-gray-600 font-semibold">Bonus</th>
+                </tr>
+              </thead>
+              <tbody>
+                {streakRuns.map((run, index) => (
+                  <tr key={run._id || index} className="border-b border-gray-200">
+                    <td className="py-3 px-4 text-sm text-gray-800">{formatDateTime(run.startedAt)}</td>
+                    <td className="py-3 px-4 text-sm text-gray-800">
+                      {run.endedAt ? formatDateTime(run.endedAt) : 'Ongoing'}
+                    </td>
+                    <td className="py-3 px-4 text-center text-gray-800">{run.length || 0}</td>
+                    <td className="py-3 px-4 text-right text-gray-800">
+                      {run.bonusAmount ? formatCurrency(run.bonusAmount) : '—'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <div>
+        <h3 className="text-lg font-semibold text-gray-800 mb-2">Gold Status</h3>
+        {goldPeriods.length === 0 ? (
+          <p className="text-sm text-gray-500">Gold Status has never been unlocked.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full bg-white">
+              <thead>
+                <tr className="bg-gray-100">
+                  <th className="py-3 px-4 text-left text-gray-600 font-semibold">Unlocked</th>
+                  <th className="py-3 px-4 text-left text-gray-600 font-semibold">Expires</th>
+                  <th className="py-3 px-4 text-center text-gray-600 font-semibold">Discount</th>
+                  <th className="py-3 px-4 text-center text-gray-600 font-semibold">
+                    Rides to unlock
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {goldPeriods.map((period, index) => (
+                  <tr key={period._id || index} className="border-b border-gray-200">
+                    <td className="py-3 px-4 text-sm text-gray-800">
+                      {formatDateTime(period.unlockedAt)}
+                    </td>
+                    <td className="py-3 px-4 text-sm text-gray-800">
+                      {formatDateTime(period.expiresAt)}
+                    </td>
+                    <td className="py-3 px-4 text-center text-gray-800">
+                      {period.discountPercent != null ? `${period.discountPercent}%` : '—'}
+                    </td>
+                    <td className="py-3 px-4 text-center text-gray-800">
+                      {period.ridesCompleted ?? '—'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProfilePromosTab;
@@ -0,0 +1,158 @@
+import React, { useEffect, useState } from 'react';
+import Loader from '../Loader';
+import UserLink from '../UserLink';
+import { getReferralByReferee, getReferralsByReferrer } from '../../services/adminApi';
+import { formatCurrency, formatDateTime } from '../../utils/formatters';
+
+const getRewardState = (referral) => {
+  if (referral.rewardPaid) return { label: 'Paid', className: 'text-green-600' };
+  if (referral.onHold) return { label: 'On hold', className: 'text-orange-600' };
+  if (referral.rewardStatus === 'approved') return { label: 'Approved', className: 'text-blue-600' };
+  return { label: 'Not yet paid', className: 'text-yellow-600' };
+};
+
+const ProfileReferralsTab = ({ userId }) => {
+  const [given, setGiven] = useState(null);
+  const [received, setReceived] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchReferrals = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        // A user who never referred anyone or was never referred gets a 404 from
+        // either endpoint, which is not an error here.
+        const [givenResponse, receivedResponse] = await Promise.all([
+          getReferralsByReferrer(userId).catch((err) =>
+            err?.response?.status === 404 ? null : Promise.reject(err)
+          ),
+          getReferralByReferee(userId).catch((err) =>
+            err?.response?.status === 404 ? null : Promise.reject(err)
+          ),
+        ]);
+        if (cancelled) return;
+        setGiven(givenResponse);
+        setReceived(receivedResponse?.referral || null);
+      } catch (err) {
+        if (!cancelled) setError('Failed to load referrals.');
+        console.error('Failed to load profile referrals:', err);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchReferrals();
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  if (loading) return <Loader />;
+
+  if (error) {
+    return (
+      <div className="rounded-lg border border-red-200 bg-red-50 px-4 py-2 text-sm text-red-700">
+        {error}
+      </div>
+    );
+  }
+
+  const givenReferrals = given?.referrals || [];
+
+  return (
+    <div className="space-y-8">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-800 mb-2">Referred by</h3>
+        {received ? (
+          <div className="rounded-lg border border-gray-200 p-4 text-sm text-gray-800">
+            <p>
+              <UserLink
+                type={received.referrer?.role}
+                userId={received.referrer?.id}
+                className="font-semibold"
+              >
+                {received.referrer?.name || 'Unknown referrer'}
+              </UserLink>{' '}
+              ({received.referrer?.referralCode}) on {formatDateTime(received.createdAt)}
+            </p>
+            <p className="mt-1 text-gray-600">
+              {received.completedTrips || 0} trips completed · Reward{' '}
+              {formatCurrency(received.rewardAmount)} ·{' '}
+              <span className={getRewardState(received).className}>
+                {getRewardState(received).label}
+              </span>
+            </p>
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500">This user signed up without a referral code.</p>
+        )}
+      </div>
+
+      <div>
+        <h3 className="text-lg font-semibold text-gray-800 mb-2">
+          Referrals given
+          {given?.referrer?.referralCode && (
+            <span className="ml-2 text-sm font-normal text-gray-500">
+              Code {given.referrer.referralCode}
+            </span>
+          )}
+        </h3>
+        {givenReferrals.length === 0 ? (
+          <p className="text-sm text-gray-500">This user has not referred anyone yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full bg-white">
+              <thead>
+                <tr className="bg-gray-100">
+                  <th className="py-3 px-4 text-left text-gray-600 font-semibold">Referee</th>
+                  <th className="py-3 px-4 text-center text-gray-600 font-semibold">
+                    Completed Trips
+                  </th>
+                  <th className="py-3 px-4 text-right text-gray-600 font-semibold">Reward</th>
+                  <th className="py-3 px-4 text-left text-gray-600 font-semibold">Reward status</th>
+                  <th className="py-3 px-4 text-left text-gray-600 font-semibold">Referred At</th>
+                </tr>
+              </thead>
+              <tbody>
+                {givenReferrals.map((referral) => {
+                  const state = getRewardState(referral);
+                  return (
+                    <tr key={referral.id} className="border-b border-gray-200 hover:bg-gray-50">
+                      <td className="py-3 px-4 text-gray-800">
+                        <UserLink
+                          type={referral.referredUser?.role}
+                          userId={referral.referredUser?.id}
+                          className="font-semibold"
+                        >
+                          {referral.referredUser?.name}
+                        </UserLink>
+                        <span className="block text-xs text-gray-500">
+                          {referral.referredUser?.email}
+                        </span>
+                      </td>
+                      <td className="py-3 px-4 text-center text-gray-800">
+                        {referral.completedTrips || 0} / {given.requiredTrips}
+                      </td>
+                      <td className="py-3 px-4 text-right text-gray-800">
+                        {formatCurrency(referral.rewardAmount || given.rewardAmount)}
+                      </td>
+                      <td className={`py-3 px-4 text-sm ${state.className}`}>{state.label}</td>
+                      <td className="py-3 px-4 text-sm text-gray-800">
+                        {formatDateTime(referral.createdAt)}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProfileReferralsTab;
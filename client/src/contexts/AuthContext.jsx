@@ -1,5 +1,6 @@
 import React, { createContext, useState, useContext, useEffect } from 'react';
 import api from '../services/api';
+import { hasPermission } from '../utils/permissions';
 
 export const AuthContext = createContext(null);
 
@@ -38,8 +39,10 @@ export const AuthProvider = ({ children }) => {
     setUser(null);
   };
 
+  const can = (permission) => hasPermission(user, permission);
+
   return (
-    <AuthContext.Provider value={{ user, login, logout, initializing }}>
+    <AuthContext.Provider value={{ user, login, logout, initializing, can }}>
       {children}
     </AuthContext.Provider>
   );
@@ -0,0 +1,43 @@
+import { useState } from 'react';
+
+// Runs an async action over a list of items one at a time, so a single
+// failure never aborts the batch and each item reports its own result.
+const useBulkRunner = ({ items, getId, runItem, onItemSuccess, failureText }) => {
+  const [results, setResults] = useState({});
+  const [running, setRunning] = useState(false);
+  const [finished, setFinished] = useState(false);
+
+  const updateResult = (id, result) => {
+    setResults((prev) => ({ ...prev, [id]: result }));
+  };
+
+  const run = async () => {
+    setRunning(true);
+    setResults(items.reduce((acc, item) => ({ ...acc, [getId(item)]: { status: 'pending' } }), {}));
+
+    for (const item of items) {
+      const id = getId(item);
+      updateResult(id, { status: 'processing' });
+      try {
+        const response = await runItem(item);
+        updateResult(id, { status: 'success' });
+        onItemSuccess(item, response);
+      } catch (err) {
+        const message =
+          err?.response?.data?.error ||
+          err?.response?.data?.message ||
+          failureText ||
+          'Action failed.';
+        updateResult(id, { status: 'failed', error: message });
+        console.error(`Bulk action failed for ${id}:`, err);
+      }
+    }
+
+    setRunning(false);
+    setFinished(true);
+  };
+
+  return { results, running, finished, run };
+};
+
+export default useBulkRunner;
@@ -0,0 +1,66 @@
+import { useCallback, useMemo, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+
+// Values are coerced back to the type of their default so pages keep working
+// with numbers and booleans rather than raw query-string text.
+const parseValue = (raw, defaultValue) => {
+  if (typeof defaultValue === 'number') {
+    const number = Number(raw);
+    return Number.isNaN(number) ? defaultValue : number;
+  }
+  if (typeof defaultValue === 'boolean') {
+    return raw === 'true';
+  }
+  return raw;
+};
+
+const readFilters = (searchParams, defaults) =>
+  Object.keys(defaults).reduce((acc, key) => {
+    const raw = searchParams.get(key);
+    acc[key] = raw === null ? defaults[key] : parseValue(raw, defaults[key]);
+    return acc;
+  }, {});
+
+const writeFilters = (filters, defaults, currentParams) => {
+  const params = new URLSearchParams(currentParams);
+  Object.keys(defaults).forEach((key) => {
+    const value = filters[key];
+    if (value === undefined || value === null || value === '' || value === defaults[key]) {
+      params.delete(key);
+    } else {
+      params.set(key, String(value));
+    }
+  });
+  return params;
+};
+
+const useUrlFilters = (defaults) => {
+  const [initialDefaults] = useState(defaults);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = searchParams.toString();
+
+  const filters = useMemo(
+    () => readFilters(new URLSearchParams(query), initialDefaults),
+    [query, initialDefaults]
+  );
+
+  // Each change pushes a history entry so back/forward steps through filter
+  // states; pass { replace: true } for keystroke-level changes like search.
+  const setFilters = useCallback(
+    (next, { replace = false } = {}) => {
+      setSearchParams(
+        (prev) => {
+          const current = readFilters(prev, initialDefaults);
+          const resolved = typeof next === 'function' ? next(current) : next;
+          return writeFilters(resolved, initialDefaults, prev);
+        },
+        { replace }
+      );
+    },
+    [setSearchParams, initialDefaults]
+  );
+
+  return [filters, setFilters];
+};
+
+export default useUrlFilters;
@@ -8,38 +8,129 @@ import {
   GiftIcon,
   CurrencyDollarIcon,
   LinkIcon,
+  ViewColumnsIcon,
+  MapIcon,
+  IdentificationIcon,
+  DocumentMagnifyingGlassIcon,
+  CalendarDaysIcon,
+  TrophyIcon,
+  MegaphoneIcon,
+  DocumentCheckIcon,
   ChevronDownIcon,
   ArrowRightOnRectangleIcon as LogoutIcon,
 } from '@heroicons/react/24/outline';
 import { useAuth } from '../contexts/AuthContext';
 import ConfirmationModal from '../components/ConfirmationModal';
 import logo from '../assets/nightwaka-dark.png';
+import { PERMISSIONS } from '../utils/permissions';
 
 const navLinks = [
-  { to: '/', label: 'Dashboard', icon: HomeIcon },
-  { to: '/orders', label: 'Orders', icon: OrdersIcon },
-  { to: '/rider-payouts', label: 'Rider Payouts', icon: CurrencyDollarIcon },
+  { to: '/', label: 'Dashboard', icon: HomeIcon, permission: PERMISSIONS.DASHBOARD_VIEW },
+  { to: '/orders', label: 'Orders', icon: OrdersIcon, permission: PERMISSIONS.ORDERS_VIEW },
+  {
+    to: '/dispatch-board',
+    label: 'Dispatch Board',
+    icon: ViewColumnsIcon,
+    permission: PERMISSIONS.ORDERS_VIEW,
+  },
+  { to: '/map', label: 'Live Map', icon: MapIcon, permission: PERMISSIONS.ORDERS_VIEW },
+  {
+    to: '/rider-payouts',
+    label: 'Rider Payouts',
+    icon: CurrencyDollarIcon,
+    permission: PERMISSIONS.PAYOUTS_VIEW,
+  },
+  {
+    to: '/payout-reconciliation',
+    label: 'Reconciliation',
+    icon: DocumentCheckIcon,
+    permission: PERMISSIONS.PAYOUTS_VIEW,
+  },
   {
     label: 'User Management',
     icon: UsersIcon,
     subLinks: [
-      { to: '/riders', label: 'Riders', icon: UsersIcon },
-      { to: '/customers', label: 'Customers', icon: UsersIcon },
+      { to: '/riders', label: 'Riders', icon: UsersIcon, permission: PERMISSIONS.RIDERS_VIEW },
+      {
+        to: '/rider-leaderboard',
+        label: 'Rider Leaderboard',
+        icon: TrophyIcon,
+        permission: PERMISSIONS.RIDERS_VIEW,
+      },
+      {
+        to: '/kyc-review',
+        label: 'KYC Review',
+        icon: IdentificationIcon,
+        permission: PERMISSIONS.RIDERS_VIEW,
+      },
+      {
+        to: '/customers',
+        label: 'Customers',
+        icon: UsersIcon,
+        permission: PERMISSIONS.CUSTOMERS_VIEW,
+      },
     ],
   },
   {
     label: 'Promotions & Rewards',
     icon: GiftIcon,
     subLinks: [
-      { to: '/referrals', label: 'Referrals', icon: LinkIcon },
-      { to: '/streak-bonuses', label: 'Streak Bonuses', icon: CurrencyDollarIcon },
-      { to: '/gold-status', label: 'Gold Status', icon: CurrencyDollarIcon },
-      { to: '/promos', label: 'Promo Configuration', icon: CurrencyDollarIcon },
+      {
+        to: '/referrals',
+        label: 'Referrals',
+        icon: LinkIcon,
+        permission: PERMISSIONS.REFERRALS_VIEW,
+      },
+      {
+        to: '/streak-bonuses',
+        label: 'Streak Bonuses',
+        icon: CurrencyDollarIcon,
+        permission: PERMISSIONS.PROMOS_VIEW,
+      },
+      {
+        to: '/gold-status',
+        label: 'Gold Status',
+        icon: CurrencyDollarIcon,
+        permission: PERMISSIONS.PROMOS_VIEW,
+      },
+      {
+        to: '/promos',
+        label: 'Promo Configuration',
+        icon: CurrencyDollarIcon,
+        permission: PERMISSIONS.PROMOS_VIEW,
+      },
+      {
+        to: '/promo-campaigns',
+        label: 'Promo Campaigns',
+        icon: CalendarDaysIcon,
+        permission: PERMISSIONS.PROMOS_VIEW,
+      },
     ],
   },
-  { to: '/settings', label: 'Settings', icon: CogIcon },
+  {
+    to: '/broadcasts',
+    label: 'Broadcasts',
+    icon: MegaphoneIcon,
+    permission: PERMISSIONS.NOTIFICATIONS_SEND,
+  },
+  {
+    to: '/audit-log',
+    label: 'Audit Log',
+    icon: DocumentMagnifyingGlassIcon,
+    permission: PERMISSIONS.AUDIT_VIEW,
+  },
+  { to: '/settings', label: 'Settings', icon: CogIcon, permission: PERMISSIONS.SETTINGS_VIEW },
 ];
 
+const filterNavLinks = (links, can) =>
+  links.reduce((visible, link) => {
+    if (link.subLinks) {
+      const subLinks = filterNavLinks(link.subLinks, can);
+      return subLinks.length > 0 ? [...visible, { ...link, subLinks }] : visible;
+    }
+    return can(link.permission) ? [...visible, link] : visible;
+  }, []);
+
 const SidebarLink = ({ link }) => {
   const [isOpen, setIsOpen] = useState(false);
   const hasSubLinks = link.subLinks && link.subLinks.length > 0;
@@ -108,9 +199,10 @@ const SidebarLink = ({ link }) => {
 };
 
 const Sidebar = () => {
-  const { logout } = useAuth();
+  const { logout, can } = useAuth();
   const navigate = useNavigate();
   const [isModalOpen, setIsModalOpen] = useState(false);
+  const visibleLinks = filterNavLinks(navLinks, can);
 
   const handleLogout = () => {
     logout();
@@ -125,7 +217,7 @@ const Sidebar = () => {
         </div>
         <nav className="flex-1 px-2 py-4 space-y-2">
           <ul>
-            {navLinks.map((link) => (
+            {visibleLinks.map((link) => (
               <SidebarLink key={link.label} link={link} />
             ))}
           </ul>
@@ -0,0 +1,376 @@
+import React, { useEffect, useState } from 'react';
+import { ChevronDownIcon, ChevronRightIcon } from '@heroicons/react/24/outline';
+import Loader from '../components/Loader';
+import UserLink from '../components/UserLink';
+import EmptyState from '../components/EmptyState';
+import ExportButton from '../components/ExportButton';
+import { getAuditLogs } from '../services/auditApi';
+import useUrlFilters from '../hooks/useUrlFilters';
+import { formatDateTime } from '../utils/formatters';
+
+const entityTypes = [
+  { value: '', label: 'All entities' },
+  { value: 'rider', label: 'Rider' },
+  { value: 'customer', label: 'Customer' },
+  { value: 'order', label: 'Order' },
+  { value: 'payout', label: 'Payout' },
+  { value: 'promo', label: 'Promo' },
+  { value: 'referral', label: 'Referral' },
+  { value: 'settings', label: 'Settings' },
+  { value: 'broadcast', label: 'Broadcast' },
+];
+
+const actionLabels = {
+  'rider.unblocked': 'Unblocked rider',
+  'rider.deactivated': 'Deactivated rider',
+  'rider.reactivated': 'Reactivated rider',
+  'rider.kyc_reviewed': 'Reviewed KYC document',
+  'payout.marked_paid': 'Marked payout paid',
+  'payout.manual_payment_rejected': 'Rejected manual payment',
+  'payout.ledger_adjusted': 'Adjusted rider ledger',
+  'payout.ledger_written_off': 'Wrote off rider balance',
+  'promo.updated': 'Edited promo',
+  'promo.toggled_all': 'Toggled all promos',
+  'settings.commission_rate_updated': 'Changed commission rate',
+  'settings.search_radius_updated': 'Changed search radius',
+  'order.cancelled': 'Cancelled order',
+  'order.rider_reassigned': 'Reassigned rider',
+  'order.price_negotiation_resolved': 'Resolved price negotiation',
+  'customer.deactivated': 'Deactivated customer',
+  'customer.reactivated': 'Reactivated customer',
+  'customer.sessions_revoked': 'Signed customer out everywhere',
+  'customer.password_reset_link_created': 'Generated password reset link',
+  'referral.held': 'Held referral reward',
+  'referral.hold_released': 'Released referral hold',
+  'referral.reward_approved': 'Approved referral reward',
+  'referral.reward_paid': 'Paid referral reward',
+  'referral.reward_rejected': 'Rejected referral reward',
+  'broadcast.created': 'Sent broadcast',
+  'broadcast.scheduled': 'Scheduled broadcast',
+  'broadcast.cancelled': 'Cancelled broadcast',
+};
+
+const getActionLabel = (action) =>
+  actionLabels[action] ||
+  (action || '')
+    .replace(/[._]/g, ' ')
+    .replace(/^\w/, (char) => char.toUpperCase());
+
+const getActorName = (entry) =>
+  entry.actor?.fullName || entry.actor?.email || entry.actorName || 'System';
+
+const formatAuditValue = (value) => {
+  if (value === undefined) return '—';
+  if (value === null) return 'null';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Only the keys whose value actually changed, so large documents stay readable.
+const getChanges = (before, after) => {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...keys]
+    .filter((key) => JSON.stringify(before?.[key]) !== JSON.stringify(after?.[key]))
+    .map((key) => ({ key, before: before?.[key], after: after?.[key] }));
+};
+
+const exportColumns = [
+  { key: 'createdAt', header: 'Timestamp', type: 'date' },
+  { key: 'actor', header: 'Actor', value: getActorName },
+  { key: 'action', header: 'Action', value: (entry) => getActionLabel(entry.action) },
+  { key: 'entityType', header: 'Entity' },
+  { key: 'entityId', header: 'Entity ID' },
+  { key: 'entityLabel', header: 'Target' },
+  { key: 'before', header: 'Before', value: (entry) => entry.before && JSON.stringify(entry.before) },
+  { key: 'after', header: 'After', value: (entry) => entry.after && JSON.stringify(entry.after) },
+];
+
+const AuditLog = () => {
+  const [entries, setEntries] = useState([]);
+  const [pagination, setPagination] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [expandedIds, setExpandedIds] = useState([]);
+  const [filters, setFilters] = useUrlFilters({
+    actor: '',
+    action: '',
+    entityType: '',
+    entityId: '',
+    from: '',
+    to: '',
+    page: 1,
+    limit: 20,
+  });
+
+  useEffect(() => {
+    const fetchAuditLogs = async () => {
+      try {
+        setLoading(true);
+        const response = await getAuditLogs(filters);
+        setEntries(response?.logs || []);
+        setPagination(response?.pagination || {});
+        setError(null);
+      } catch (err) {
+        const message =
+          err?.response?.data?.error ||
+          err?.response?.data?.message ||
+          'Failed to load audit log.';
+        setError(message);
+        console.error('Failed to load audit log:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchAuditLogs();
+  }, [filters]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    const replace = name === 'actor' || name === 'entityId';
+    setFilters((prev) => ({ ...prev, [name]: value, page: 1 }), { replace });
+  };
+
+  const handleClearFilters = () => {
+    setFilters((prev) => ({
+      ...prev,
+      actor: '',
+      action: '',
+      entityType: '',
+      entityId: '',
+      from: '',
+      to: '',
+      page: 1,
+    }));
+  };
+
+  const toggleExpanded = (id) => {
+    setExpandedIds((prev) =>
+      prev.includes(id) ? prev.filter((item) => item !== id) : [...prev, id]
+    );
+  };
+
+  const fetchExportPage = async (page, limit) => {
+    const response = await getAuditLogs({ ...filters, page, limit });
+    return { items: response?.logs || [], totalPages: response?.pagination?.totalPages };
+  };
+
+  const hasFilters =
+    filters.actor || filters.action || filters.entityType || filters.entityId || filters.from || filters.to;
+
+  const inputClassName =
+    'bg-white text-gray-800 px-4 py-2 rounded-lg border border-gray-300 focus:outline-none focus:ring-2 focus:ring-accent-blue';
+
+  return (
+    <div className="p-6 h-full">
+      <div className="flex justify-between items-start mb-6">
+        <div>
+          <h1 className="text-2xl font-bold mb-1 text-gray-800">Audit Log</h1>
+          <p className="text-gray-600">Every change made from the admin panel, and who made it.</p>
+        </div>
+        <ExportButton columns={exportColumns} fetchPage={fetchExportPage} fileName="audit-log" />
+      </div>
+
+      <div className="mb-4 grid grid-cols-1 md:grid-cols-3 lg:grid-cols-6 gap-4">
+        <input
+          type="text"
+          name="actor"
+          placeholder="Actor name or email..."
+          value={filters.actor}
+          onChange={handleFilterChange}
+          className={inputClassName}
+        />
+        <select name="action" value={filters.action} onChange={handleFilterChange} className={inputClassName}>
+          <option value="">All actions</option>
+          {Object.entries(actionLabels).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <select
+          name="entityType"
+          value={filters.entityType}
+          onChange={handleFilterChange}
+          className={inputClassName}
+        >
+          {entityTypes.map((type) => (
+            <option key={type.value} value={type.value}>
+              {type.label}
+            </option>
+          ))}
+        </select>
+        <input
+          type="text"
+          name="entityId"
+          placeholder="Entity ID..."
+          value={filters.entityId}
+          onChange={handleFilterChange}
+          className={inputClassName}
+        />
+        <input
+          type="date"
+          name="from"
+          value={filters.from}
+          max={filters.to || undefined}
+          onChange={handleFilterChange}
+          className={inputClassName}
+        />
+        <input
+          type="date"
+          name="to"
+          value={filters.to}
+          min={filters.from || undefined}
+          onChange={handleFilterChange}
+          className={inputClassName}
+        />
+      </div>
+      {hasFilters && (
+        <button onClick={handleClearFilters} className="mb-4 text-sm text-accent-blue hover:underline">
+          Clear filters
+        </button>
+      )}
+
+      {error && (
+        <div className="mb-4 rounded-lg border border-red-200 bg-red-50 px-4 py-2 text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <Loader />
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full bg-white">
+            <thead>
+              <tr className="bg-gray-100">
+                <th className="py-3 px-4 w-8" />
+                <th className="py-3 px-4 text-left text-gray-600 font-semibold">Timestamp</th>
+                <th className="py-3 px-4 text-left text-gray-600 font-semibold">Actor</th>
+                <th className="py-3 px-4 text-left text-gray-600 font-semibold">Action</th>
+                <th className="py-3 px-4 text-left text-gray-600 font-semibold">Target</th>
+                <th className="py-3 px-4 text-left text-gray-600 font-semibold">Changes</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.length === 0 ? (
+                <tr>
+                  <td className="py-6 px-4" colSpan={6}>
+                    <EmptyState
+                      type="generic"
+                      title="No audit entries"
+                      description="Admin actions matching these filters will be listed here."
+                    />
+                  </td>
+                </tr>
+              ) : (
+                entries.map((entry) => {
+                  const changes = getChanges(entry.before, entry.after);
+                  const expanded = expandedIds.includes(entry._id);
+                  return (
+                    <React.Fragment key={entry._id}>
+                      <tr className="border-b border-gray-200 hover:bg-gray-50">
+                        <td className="py-3 px-4">
+                          {changes.length > 0 && (
+                            <button
+                              onClick={() => toggleExpanded(entry._id)}
+                              className="text-gray-500 hover:text-gray-800"
+                              aria-label={expanded ? 'Hide changes' : 'Show changes'}
+                            >
+                              {expanded ? (
+                                <ChevronDownIcon className="h-4 w-4" />
+                              ) : (
+                                <ChevronRightIcon className="h-4 w-4" />
+                              )}
+                            </button>
+                          )}
+                        </td>
+                        <td className="py-3 px-4 text-gray-800 whitespace-nowrap">
+                          {formatDateTime(entry.createdAt)}
+                        </td>
+                        <td className="py-3 px-4 text-gray-800">{getActorName(entry)}</td>
+                        <td className="py-3 px-4 text-gray-800">{getActionLabel(entry.action)}</td>
+                        <td className="py-3 px-4 text-gray-800">
+                          <span className="capitalize">{entry.entityType}</span>
+                          {(entry.entityLabel || entry.entityId) && (
+                            <UserLink
+                              type={entry.entityType}
+                              userId={entry.entityId}
+                              className="block text-xs text-gray-500"
+                            >
+                              {entry.entityLabel || entry.entityId}
+                            </UserLink>
+                          )}
+                        </td>
+                        <td className="py-3 px-4 text-gray-600 text-sm">
+                          {changes.length === 0
+                            ? '—'
+                            : `${changes.length} field${changes.length === 1 ? '' : 's'}`}
+                        </td>
+                      </tr>
+                      {expanded && (
+                        <tr className="border-b border-gray-200 bg-gray-50">
+                          <td />
+                          <td colSpan={5} className="py-3 px-4">
+                            <table className="text-sm">
+                              <thead>
+                                <tr className="text-gray-600">
+                                  <th className="pr-6 text-left font-semibold">Field</th>
+                                  <th className="pr-6 text-left font-semibold">Before</th>
+                                  <th className="text-left font-semibold">After</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {changes.map((change) => (
+                                  <tr key={change.key} className="align-top">
+                                    <td className="pr-6 py-1 font-mono text-gray-700">{change.key}</td>
+                                    <td className="pr-6 py-1 font-mono text-red-700 break-all">
+                                      {formatAuditValue(change.before)}
+                                    </td>
+                                    <td className="py-1 font-mono text-green-700 break-all">
+                                      {formatAuditValue(change.after)}
+                                    </td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  );
+                })
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="mt-6 flex justify-between items-center text-gray-800">
+        <div>
+          <p>
+            Page {pagination.page || 1} of {pagination.totalPages || 1}
+          </p>
+        </div>
+        <div className="flex items-center">
+          <button
+            onClick={() => setFilters({ ...filters, page: pagination.page - 1 })}
+            disabled={!pagination.hasPrevPage}
+            className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-4 rounded-lg transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Previous
+          </button>
+          <button
+            onClick={() => setFilters({ ...filters, page: pagination.page + 1 })}
+            disabled={!pagination.hasNextPage}
+            className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-4 rounded-lg ml-2 transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Next
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AuditLog;
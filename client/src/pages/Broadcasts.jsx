@@ -0,0 +1,268 @@
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { ArrowPathIcon, NoSymbolIcon, PlusIcon } from '@heroicons/react/24/outline';
+import Loader from '../components/Loader';
+import EmptyState from '../components/EmptyState';
+import ConfirmationModal from '../components/ConfirmationModal';
+import BroadcastComposer from '../components/BroadcastComposer';
+import { cancelBroadcast, fetchBroadcasts } from '../services/notificationsApi';
+import { useAuth } from '../contexts/AuthContext';
+import useUrlFilters from '../hooks/useUrlFilters';
+import { PERMISSIONS } from '../utils/permissions';
+import { formatDateTime } from '../utils/formatters';
+import {
+  broadcastChannels,
+  describeAudience,
+  getBroadcastStatus,
+  getReadRate,
+} from '../utils/broadcasts';
+
+const statusStyles = {
+  scheduled: 'bg-blue-100 text-blue-700',
+  sending: 'bg-yellow-100 text-yellow-700',
+  sent: 'bg-green-100 text-green-700',
+  failed: 'bg-red-100 text-red-700',
+  cancelled: 'bg-red-100 text-red-700',
+};
+
+const statusFilters = [
+  { key: '', label: 'All' },
+  { key: 'scheduled', label: 'Scheduled' },
+  { key: 'sent', label: 'Sent' },
+  { key: 'cancelled', label: 'Cancelled' },
+];
+
+const Broadcasts = () => {
+  const { can } = useAuth();
+  const canSend = can(PERMISSIONS.NOTIFICATIONS_SEND);
+  const [broadcasts, setBroadcasts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [composerOpen, setComposerOpen] = useState(false);
+  const [broadcastToCancel, setBroadcastToCancel] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [filters, setFilters] = useUrlFilters({ status: '' });
+
+  useEffect(() => {
+    let cancelled = false;
+    const loadBroadcasts = async () => {
+      try {
+        const data = await fetchBroadcasts(filters.status ? { status: filters.status } : {});
+        if (cancelled) return;
+        setBroadcasts(data?.broadcasts || []);
+        setError(null);
+      } catch (err) {
+        const message =
+          err?.response?.data?.error ||
+          err?.response?.data?.message ||
+          'Failed to load broadcasts.';
+        if (!cancelled) setError(message);
+        console.error('Failed to load broadcasts:', err);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadBroadcasts();
+    return () => {
+      cancelled = true;
+    };
+  }, [filters.status, refreshKey]);
+
+  const handleCreated = (broadcast) => {
+    setComposerOpen(false);
+    if (broadcast?._id) {
+      setBroadcasts((prev) => [broadcast, ...prev]);
+    } else {
+      setRefreshKey((prev) => prev + 1);
+    }
+  };
+
+  const handleConfirmCancel = async () => {
+    if (!broadcastToCancel) return;
+    const broadcastId = broadcastToCancel._id;
+    try {
+      const data = await cancelBroadcast(broadcastId);
+      setBroadcasts((prev) =>
+        prev.map((broadcast) =>
+          broadcast._id === broadcastId
+            ? { ...broadcast, ...(data?.broadcast || { status: 'cancelled' }) }
+            : broadcast
+        )
+      );
+      toast.success('Broadcast cancelled.');
+    } catch (err) {
+      const message =
+        err?.response?.data?.error ||
+        err?.response?.data?.message ||
+        'Failed to cancel broadcast.';
+      toast.error(message);
+      console.error('Failed to cancel broadcast:', err);
+    }
+  };
+
+  if (loading) {
+    return <Loader />;
+  }
+
+  return (
+    <div className="p-6 h-full">
+      <div className="flex justify-between items-start mb-6">
+        <div>
+          <h1 className="text-2xl font-bold mb-1 text-gray-800">Broadcasts</h1>
+          <p className="text-gray-600">
+            Send announcements to riders and customers in-app, by push or by SMS.
+          </p>
+        </div>
+        {canSend && (
+          <button
+            onClick={() => setComposerOpen(true)}
+            className="inline-flex items-center bg-gray-800 text-white font-bold py-2 px-4 rounded-lg hover:bg-gray-700 transition duration-300"
+          >
+            <PlusIcon className="h-5 w-5 mr-2" />
+            New broadcast
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-4 rounded-lg border border-red-200 bg-red-50 px-4 py-2 text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      <div className="mb-4 flex flex-wrap items-center justify-between gap-4">
+        <div className="flex space-x-2">
+          {statusFilters.map((filter) => (
+            <button
+              key={filter.key}
+              onClick={() => setFilters((prev) => ({ ...prev, status: filter.key }))}
+              className={`px-4 py-2 rounded-lg text-sm font-medium ${
+                filters.status === filter.key
+                  ? 'bg-gray-800 text-white'
+                  : 'bg-white text-gray-800 border border-gray-300'
+              }`}
+            >
+              {filter.label}
+            </button>
+          ))}
+        </div>
+        <button
+          onClick={() => setRefreshKey((prev) => prev + 1)}
+          className="inline-flex items-center text-sm text-gray-700 hover:text-gray-900"
+        >
+          <ArrowPathIcon className="h-4 w-4 mr-1" />
+          Refresh stats
+        </button>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="py-3 px-4 text-left text-gray-600 font-semibold">Broadcast</th>
+              <th className="py-3 px-4 text-left text-gray-600 font-semibold">Audience</th>
+              <th className="py-3 px-4 text-left text-gray-600 font-semibold">Channels</th>
+              <th className="py-3 px-4 text-left text-gray-600 font-semibold">Send time</th>
+              <th className="py-3 px-4 text-left text-gray-600 font-semibold">Status</th>
+              <th className="py-3 px-4 text-left text-gray-600 font-semibold">Recipients</th>
+              <th className="py-3 px-4 text-left text-gray-600 font-semibold">Delivered</th>
+              <th className="py-3 px-4 text-left text-gray-600 font-semibold">Read</th>
+              <th className="py-3 px-4 text-left text-gray-600 font-semibold">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {broadcasts.length === 0 ? (
+              <tr>
+                <td className="py-6 px-4" colSpan={9}>
+                  <EmptyState
+                    type="generic"
+                    title="No broadcasts yet"
+                    description="Sent and scheduled broadcasts will be listed here."
+                  />
+                </td>
+              </tr>
+            ) : (
+              broadcasts.map((broadcast) => {
+                const status = getBroadcastStatus(broadcast);
+                const stats = broadcast.stats || {};
+                const readRate = getReadRate(stats);
+                return (
+                  <tr key={broadcast._id} className="border-b border-gray-200 hover:bg-gray-50">
+                    <td className="py-3 px-4 text-gray-800 max-w-xs">
+                      <p className="font-semibold">{broadcast.title}</p>
+                      <p className="text-sm text-gray-600 truncate">{broadcast.message}</p>
+                      {broadcast.createdBy?.fullName && (
+                        <p className="text-xs text-gray-400 mt-1">by {broadcast.createdBy.fullName}</p>
+                      )}
+                    </td>
+                    <td className="py-3 px-4 text-gray-600 text-sm">
+                      {describeAudience(broadcast.audience)}
+                    </td>
+                    <td className="py-3 px-4 text-gray-600 text-sm">
+                      {(broadcast.channels || [])
+                        .map((key) => broadcastChannels[key]?.label || key)
+                        .join(', ')}
+                    </td>
+                    <td className="py-3 px-4 text-gray-800 whitespace-nowrap">
+                      {formatDateTime(broadcast.scheduledAt || broadcast.sentAt || broadcast.createdAt)}
+                    </td>
+                    <td className="py-3 px-4">
+                      <span
+                        className={`px-2 py-1 rounded-full text-xs font-semibold capitalize ${
+                          statusStyles[status] || 'bg-gray-100 text-gray-600'
+                        }`}
+                      >
+                        {status}
+                      </span>
+                    </td>
+                    <td className="py-3 px-4 text-gray-800">{stats.targeted ?? '—'}</td>
+                    <td className="py-3 px-4 text-gray-800">
+                      {stats.delivered ?? '—'}
+                      {stats.failed > 0 && (
+                        <p className="text-xs text-red-600">{stats.failed} failed</p>
+                      )}
+                    </td>
+                    <td className="py-3 px-4 text-gray-800">
+                      {stats.read ?? '—'}
+                      {readRate !== null && <p className="text-xs text-gray-500">{readRate}% read</p>}
+                    </td>
+                    <td className="py-3 px-4">
+                      {canSend && status === 'scheduled' ? (
+                        <button
+                          onClick={() => setBroadcastToCancel(broadcast)}
+                          className="inline-flex items-center text-sm text-red-600 hover:text-red-800"
+                        >
+                          <NoSymbolIcon className="h-4 w-4 mr-1" />
+                          Cancel
+                        </button>
+                      ) : (
+                        <span className="text-xs text-gray-400">—</span>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {composerOpen && (
+        <BroadcastComposer onClose={() => setComposerOpen(false)} onCreated={handleCreated} />
+      )}
+
+      <ConfirmationModal
+        isOpen={!!broadcastToCancel}
+        onClose={() => setBroadcastToCancel(null)}
+        onConfirm={handleConfirmCancel}
+        title="Cancel broadcast"
+        message={`"${broadcastToCancel?.title || ''}" will not be sent. This cannot be undone.`}
+        confirmText="Cancel broadcast"
+        icon={NoSymbolIcon}
+      />
+    </div>
+  );
+};
+
+export default Broadcasts;
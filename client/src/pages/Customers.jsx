@@ -1,15 +1,45 @@
 import React, { useState, useEffect } from 'react';
 import Loader from '../components/Loader';
+import UserLink from '../components/UserLink';
 import EmptyState from '../components/EmptyState';
 import { getAllCustomers, getUserPresence } from '../services/adminApi';
 import CustomerDetailsModal from '../components/CustomerDetailsModal';
+import ExportButton from '../components/ExportButton';
+import useUrlFilters from '../hooks/useUrlFilters';
+
+const exportColumns = [
+  { key: 'fullName', header: 'Name' },
+  { key: 'email', header: 'Email' },
+  { key: 'phoneNumber', header: 'Phone' },
+  {
+    key: 'totalOrders',
+    header: 'Total Orders',
+    type: 'number',
+    value: (customer) => customer.stats?.totalOrders || 0,
+  },
+  {
+    key: 'completedOrders',
+    header: 'Completed Orders',
+    type: 'number',
+    value: (customer) => customer.stats?.completedOrders || 0,
+  },
+  {
+    key: 'totalSpent',
+    header: 'Total Spent',
+    type: 'currency',
+    value: (customer) => customer.stats?.totalSpent || 0,
+  },
+  { key: 'accountDeactivated', header: 'Deactivated', type: 'boolean' },
+  { key: 'defaultAddress', header: 'Address', defaultHidden: true },
+  { key: 'createdAt', header: 'Joined', type: 'date', defaultHidden: true },
+];
 
 const Customers = () => {
   const [customers, setCustomers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [pagination, setPagination] = useState({});
   const [selectedCustomer, setSelectedCustomer] = useState(null);
-  const [filters, setFilters] = useState({
+  const [filters, setFilters] = useUrlFilters({
     search: '',
     page: 1,
     limit: 10,
@@ -50,11 +80,19 @@ const Customers = () => {
 
   const handleFilterChange = (e) => {
     const { name, value } = e.target;
-    setFilters((prev) => ({
-      ...prev,
-      [name]: value,
-      page: 1,
-    }));
+    setFilters(
+      (prev) => ({
+        ...prev,
+        [name]: value,
+        page: 1,
+      }),
+      { replace: true }
+    );
+  };
+
+  const fetchExportPage = async (page, limit) => {
+    const response = await getAllCustomers({ ...filters, page, limit });
+    return { items: response?.customers || [], totalPages: response?.pagination?.totalPages };
   };
 
   const handleViewDetails = (customer) => {
@@ -65,6 +103,13 @@ const Customers = () => {
     setSelectedCustomer(null);
   };
 
+  const handleCustomerUpdated = (updated) => {
+    setSelectedCustomer(updated);
+    setCustomers((prev) =>
+      prev.map((customer) => (customer._id === updated._id ? { ...customer, ...updated } : customer))
+    );
+  };
+
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-NG', {
       style: 'currency',
@@ -74,7 +119,10 @@ const Customers = () => {
 
   return (
     <div className="p-6 h-full">
-      <h1 className="text-2xl font-bold mb-4 text-gray-800">Customers</h1>
+      <div className="flex justify-between items-center mb-4">
+        <h1 className="text-2xl font-bold text-gray-800">Customers</h1>
+        <ExportButton columns={exportColumns} fetchPage={fetchExportPage} fileName="customers" />
+      </div>
 
       <div className="flex justify-between items-center mb-4">
         <input
@@ -115,7 +163,11 @@ const Customers = () => {
                 const stats = customer.stats || {};
                 return (
                   <tr key={customer._id} className="border-b border-gray-200 hover:bg-gray-50">
-                    <td className="py-3 px-4 text-gray-800">{customer.fullName || 'N/A'}</td>
+                    <td className="py-3 px-4 text-gray-800">
+                      <UserLink type="customer" userId={customer._id}>
+                        {customer.fullName || 'N/A'}
+                      </UserLink>
+                    </td>
                     <td className="py-3 px-4 text-gray-800">{customer.email}</td>
                     <td className="py-3 px-4 text-gray-800">{customer.phoneNumber}</td>
                     <td className="py-3 px-4 text-center text-gray-800">{stats.totalOrders || 0}</td>
@@ -170,7 +222,12 @@ const Customers = () => {
           </button>
         </div>
       </div>
-      <CustomerDetailsModal customer={selectedCustomer} onClose={handleCloseModal} />
+      <CustomerDetailsModal
+        key={selectedCustomer?._id || 'closed'}
+        customer={selectedCustomer}
+        onClose={handleCloseModal}
+        onCustomerUpdated={handleCustomerUpdated}
+      />
     </div>
   );
 };
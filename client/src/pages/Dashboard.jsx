@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import {
   UsersIcon,
   ShoppingCartIcon,
@@ -8,10 +8,21 @@ import {
 } from '@heroicons/react/24/outline';
 import api from '../services/api';
 import DashboardCharts from '../components/DashboardCharts';
+import ActivityFeed from '../components/ActivityFeed';
+import DateRangePicker from '../components/DateRangePicker';
+import useUrlFilters from '../hooks/useUrlFilters';
+import {
+  dateRangePresets,
+  formatRangeLabel,
+  getDateRange,
+  getDeltaPercent,
+  getPreviousRange,
+} from '../utils/dateRange';
+import { formatCurrency } from '../utils/formatters';
 
-const StatCard = ({ icon, title, value, subtext, change, changeType, onRefresh }) => {
+const StatCard = ({ icon, title, value, subtext, delta, onRefresh }) => {
   const Icon = icon;
-  const changeColor = changeType === 'increase' ? 'text-green-500' : 'text-red-500';
+  const changeColor = delta >= 0 ? 'text-green-500' : 'text-red-500';
 
   return (
     <div className="bg-white rounded-xl shadow-lg p-6 flex flex-col justify-between">
@@ -36,25 +47,30 @@ const StatCard = ({ icon, title, value, subtext, change, changeType, onRefresh }
           </button>
         )}
       </div>
-      {change && (
+      {delta !== undefined && (
         <div className="mt-4">
-          <p className={`text-sm font-medium ${changeColor}`}>
-            {change} vs. last month
-          </p>
+          {delta === null ? (
+            <p className="text-sm font-medium text-gray-400">No data for previous period</p>
+          ) : (
+            <p className={`text-sm font-medium ${changeColor}`}>
+              {delta > 0 ? '+' : ''}
+              {delta}% vs. previous period
+            </p>
+          )}
         </div>
       )}
     </div>
   );
 };
 
-const WelcomeBadge = ({ newOrders, newCustomers, newRiders, newAdmins }) => {
+const WelcomeBadge = ({ newOrders, newCustomers, newRiders, newAdmins, summaryLabel }) => {
   const parts = [];
   if (newOrders > 0) parts.push(`${newOrders} new orders`);
   if (newCustomers > 0) parts.push(`${newCustomers} new customers`);
   if (newRiders > 0) parts.push(`${newRiders} new riders`);
   if (newAdmins > 0) parts.push(`${newAdmins} new admins`);
 
-  const summary = parts.length ? `You have ${parts.join(' and ')} today. ` : '';
+  const summary = parts.length ? `You have ${parts.join(' and ')} ${summaryLabel}. ` : '';
 
   return (
     <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded-lg relative mb-8" role="alert">
@@ -67,36 +83,75 @@ const WelcomeBadge = ({ newOrders, newCustomers, newRiders, newAdmins }) => {
   );
 };
 
+const emptyDailyStats = {
+  newUsers: 0,
+  newOrders: 0,
+  newCustomers: 0,
+  newRiders: 0,
+  newAdmins: 0,
+};
+
 const Dashboard = () => {
+  const [filters, setFilters] = useUrlFilters({ range: '30d', from: '', to: '', compare: false });
   const [stats, setStats] = useState(null);
-  const [dailyStats, setDailyStats] = useState({
-    newUsers: 0,
-    newOrders: 0,
-    newCustomers: 0,
-    newRiders: 0,
-    newAdmins: 0,
-  });
+  const [previousStats, setPreviousStats] = useState(null);
+  const [dailyStats, setDailyStats] = useState(emptyDailyStats);
   const [conversionRate, setConversionRate] = useState(null);
 
-  const fetchDashboardData = async () => {
-    try {
-      const [statsResponse, dailyStatsResponse, settingsResponse] = await Promise.all([
-        api.get('/dashboard/order-stats'),
-        api.get('/dashboard/daily-stats'),
-        api.get('/admin/settings'),
-      ]);
-      setStats(statsResponse.data);
-      setDailyStats(dailyStatsResponse.data);
-      setConversionRate(settingsResponse.data.settings.conversionRate);
-    } catch (error) {
-      console.error('Error fetching dashboard data:', error);
-    }
-  };
+  const range = useMemo(() => getDateRange(filters), [filters]);
+  const { from, to } = range;
+  const compare = filters.compare;
+  const preset = dateRangePresets.find((item) => item.key === filters.range) || dateRangePresets[0];
 
+  // Stat cards and the welcome badge follow the picker; with compare on, the
+  // same stats are fetched for the period just before it to work out deltas.
   useEffect(() => {
+    let cancelled = false;
+    const fetchDashboardData = async () => {
+      try {
+        const previousRange = getPreviousRange({ from, to });
+        const [statsResponse, dailyStatsResponse, previousResponse] = await Promise.all([
+          api.get('/dashboard/order-stats', { params: { from, to } }),
+          api.get('/dashboard/daily-stats', { params: { from, to } }),
+          compare
+            ? api.get('/dashboard/order-stats', { params: previousRange })
+            : Promise.resolve(null),
+        ]);
+        if (cancelled) return;
+        setStats(statsResponse.data);
+        setDailyStats(dailyStatsResponse.data);
+        setPreviousStats(previousResponse ? previousResponse.data : null);
+      } catch (error) {
+        console.error('Error fetching dashboard data:', error);
+      }
+    };
+
     fetchDashboardData();
+    return () => {
+      cancelled = true;
+    };
+  }, [from, to, compare]);
+
+  useEffect(() => {
+    const fetchConversionRate = async () => {
+      try {
+        const settingsResponse = await api.get('/admin/settings');
+        setConversionRate(settingsResponse.data.settings.conversionRate);
+      } catch (error) {
+        console.error('Error fetching dashboard data:', error);
+      }
+    };
+
+    fetchConversionRate();
   }, []);
 
+  const getDelta = (key) =>
+    compare && stats && previousStats ? getDeltaPercent(stats[key], previousStats[key]) : undefined;
+
+  const handleRangeChange = (next, options) => {
+    setFilters((prev) => ({ ...prev, ...next }), options);
+  };
+
   const handleRecalculateConversionRate = async () => {
     try {
       const { data } = await api.post('/orders/conversion-rate/calculate');
@@ -109,7 +164,13 @@ const Dashboard = () => {
   return (
     <div>
       <h1 className="text-3xl font-bold text-gray-800 mb-2">Welcome Back, Admin!</h1>
-      <p className="text-gray-500 mb-8">Here's a snapshot of your platform's performance.</p>
+      <p className="text-gray-500 mb-4">
+        Here's a snapshot of your platform's performance for {formatRangeLabel(range)}.
+      </p>
+
+      <div className="mb-8">
+        <DateRangePicker value={filters} onChange={handleRangeChange} />
+      </div>
 
       {(dailyStats.newOrders > 0 ||
         dailyStats.newCustomers > 0 ||
@@ -120,14 +181,16 @@ const Dashboard = () => {
           newCustomers={dailyStats.newCustomers}
           newRiders={dailyStats.newRiders}
           newAdmins={dailyStats.newAdmins}
+          summaryLabel={preset.summary}
         />
       )}
 
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
         <StatCard
           icon={UsersIcon}
-          title="Total Users"
+          title="Users"
           value={stats ? stats.totalUsers : 'Loading...'}
+          delta={getDelta('totalUsers')}
           subtext={
             stats
               ? (
@@ -146,20 +209,15 @@ const Dashboard = () => {
         />
         <StatCard
           icon={ShoppingCartIcon}
-          title="Total Orders"
+          title="Orders"
           value={stats ? stats.totalOrders : 'Loading...'}
+          delta={getDelta('totalOrders')}
         />
         <StatCard
           icon={CurrencyDollarIcon}
-          title="Total Revenue"
-          value={
-            stats
-              ? new Intl.NumberFormat('en-NG', {
-                  style: 'currency',
-                  currency: 'NGN',
-                }).format(stats.totalRevenue)
-              : 'Loading...'
-          }
+          title="Revenue"
+          value={stats ? formatCurrency(stats.totalRevenue) : 'Loading...'}
+          delta={getDelta('totalRevenue')}
         />
         <StatCard
           icon={ChartBarIcon}
@@ -171,13 +229,11 @@ const Dashboard = () => {
 
       {/* Charts Section */}
       <div className="mt-8">
-        <DashboardCharts />
+        <DashboardCharts range={range} />
       </div>
 
-      {/* You can add more components like recent activity feeds here */}
       <div className="mt-8 bg-white rounded-xl shadow-lg p-6">
-        <h2 className="text-xl font-bold text-gray-800 mb-4">Recent Activity</h2>
-        {/* Placeholder for recent activity feed */}
+        <ActivityFeed />
       </div>
     </div>
   );
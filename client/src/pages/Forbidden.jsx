@@ -0,0 +1,30 @@
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import { LockClosedIcon } from '@heroicons/react/24/outline';
+
+const Forbidden = () => {
+  const navigate = useNavigate();
+
+  return (
+    <div className="p-6 h-full flex flex-col items-center justify-center text-center">
+      <div className="h-16 w-16 rounded-full bg-red-50 flex items-center justify-center mb-4">
+        <LockClosedIcon className="h-8 w-8 text-red-500" />
+      </div>
+      <p className="text-sm font-semibold text-red-500 mb-1">403</p>
+      <h1 className="text-2xl font-bold mb-2 text-gray-800">Access denied</h1>
+      <p className="text-gray-600 mb-6 max-w-md">
+        Your admin role does not include access to this page. Ask a super admin if you
+        need it.
+      </p>
+      <button
+        type="button"
+        onClick={() => navigate('/')}
+        className="bg-gray-800 text-white font-bold py-2 px-4 rounded-lg hover:bg-gray-700 transition duration-300"
+      >
+        Back to dashboard
+      </button>
+    </div>
+  );
+};
+
+export default Forbidden;
@@ -1,8 +1,37 @@
 import React, { useEffect, useState } from 'react';
 import Loader from '../components/Loader';
+import UserLink from '../components/UserLink';
 import EmptyState from '../components/EmptyState';
+import ExportButton from '../components/ExportButton';
 import { getAdminGoldStatusUsers } from '../services/adminApi';
 
+const exportColumns = [
+  { key: 'fullName', header: 'Rider' },
+  { key: 'userId', header: 'User ID', defaultHidden: true },
+  { key: 'email', header: 'Email' },
+  { key: 'phoneNumber', header: 'Phone' },
+  { key: 'isActive', header: 'Gold Active', type: 'boolean' },
+  {
+    key: 'remaining',
+    header: 'Time Remaining',
+    value: (item) => (item.isActive ? formatDuration(item.remainingSeconds) : ''),
+  },
+  { key: 'discountPercent', header: 'Discount (%)', type: 'number' },
+  { key: 'totalUnlocks', header: 'Unlocks', type: 'number' },
+  {
+    key: 'ridesCompleted',
+    header: 'Rides Completed',
+    type: 'number',
+    value: (item) => item.progress?.completed,
+  },
+  {
+    key: 'ridesRequired',
+    header: 'Rides Required',
+    type: 'number',
+    value: (item) => item.progress?.required,
+  },
+];
+
 const formatDuration = (totalSeconds) => {
   if (!totalSeconds || totalSeconds <= 0) {
     return 'Expired';
@@ -92,6 +121,11 @@ const GoldStatus = () => {
     };
   }, [pagination.page, pagination.limit, filters.status]);
 
+  const fetchExportPage = async (page, limit) => {
+    const response = await getAdminGoldStatusUsers({ page, limit, status: filters.status });
+    return { items: response?.items || [], totalPages: response?.pagination?.totalPages };
+  };
+
   const handleChangePage = (direction) => {
     setPagination((prev) => {
       const nextPage = direction === 'next' ? prev.page + 1 : prev.page - 1;
@@ -188,7 +222,9 @@ const GoldStatus = () => {
                 >
                   <td className="py-3 px-4 text-gray-800">
                     <div className="flex flex-col">
-                      <span className="font-semibold">{item.fullName}</span>
+                      <UserLink type="rider" userId={item.userId} className="font-semibold">
+                        {item.fullName}
+                      </UserLink>
                       <span className="text-xs text-gray-500">{item.userId}</span>
                     </div>
                   </td>
@@ -293,7 +329,10 @@ const GoldStatus = () => {
 
   return (
     <div className="p-6 h-full">
-      <h1 className="text-2xl font-bold mb-4 text-gray-800">Gold Status Riders</h1>
+      <div className="flex justify-between items-center mb-4">
+        <h1 className="text-2xl font-bold text-gray-800">Gold Status Riders</h1>
+        <ExportButton columns={exportColumns} fetchPage={fetchExportPage} fileName="gold-status" />
+      </div>
 
       {error && <p className="mb-4 text-red-500">{error}</p>}
 
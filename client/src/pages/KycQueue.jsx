@@ -0,0 +1,482 @@
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import {
+  CheckCircleIcon,
+  XCircleIcon,
+  ClockIcon,
+  PhotoIcon,
+  ShieldCheckIcon,
+} from '@heroicons/react/24/outline';
+import defaultIcon from '../assets/default_icon.png';
+import Loader from '../components/Loader';
+import EmptyState from '../components/EmptyState';
+import ConfirmationModal from '../components/ConfirmationModal';
+import UserLink from '../components/UserLink';
+import { getKycQueue, getRiderKycReviews, reviewRiderDocument } from '../services/adminApi';
+import { useAuth } from '../contexts/AuthContext';
+import useUrlFilters from '../hooks/useUrlFilters';
+import { PERMISSIONS } from '../utils/permissions';
+import { formatDateTime } from '../utils/formatters';
+
+const kycDocuments = [
+  {
+    key: 'nin',
+    label: 'NIN',
+    verifiedField: 'ninVerified',
+    numberField: 'nin',
+    imageField: 'ninPicture',
+  },
+  {
+    key: 'driverLicense',
+    label: "Driver's License",
+    verifiedField: 'driverLicenseVerified',
+    numberField: 'driverLicenseNumber',
+    imageField: 'driverLicensePicture',
+  },
+  {
+    key: 'vehicle',
+    label: 'Vehicle',
+    verifiedField: 'vehicleVerified',
+    imageField: 'vehiclePicture',
+  },
+];
+
+const documentStatusStyles = {
+  approved: { label: 'Approved', icon: CheckCircleIcon, className: 'bg-green-100 text-green-700' },
+  rejected: { label: 'Rejected', icon: XCircleIcon, className: 'bg-red-100 text-red-700' },
+  pending: { label: 'Pending', icon: ClockIcon, className: 'bg-yellow-100 text-yellow-700' },
+};
+
+const getDocumentStatus = (rider, document) => {
+  if (rider[document.verifiedField]) return 'approved';
+  if (rider.kycRejections?.[document.key]) return 'rejected';
+  return 'pending';
+};
+
+const isFullyVerified = (rider) =>
+  kycDocuments.every((document) => getDocumentStatus(rider, document) === 'approved');
+
+const formatVehicleType = (vehicleType) => {
+  if (!vehicleType) return 'N/A';
+  return vehicleType
+    .split('_')
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+};
+
+const StatusBadge = ({ status }) => {
+  const style = documentStatusStyles[status];
+  const Icon = style.icon;
+  return (
+    <span
+      className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-semibold ${style.className}`}
+    >
+      <Icon className="h-4 w-4 mr-1" />
+      {style.label}
+    </span>
+  );
+};
+
+const ProfileItem = ({ label, value }) => (
+  <div className="text-sm">
+    <span className="font-semibold text-gray-600">{label}: </span>
+    <span className="text-gray-800">{value || 'N/A'}</span>
+  </div>
+);
+
+const KycQueue = () => {
+  const { user, can } = useAuth();
+  const canReview = can(PERMISSIONS.RIDERS_MANAGE);
+  const [riders, setRiders] = useState([]);
+  const [pagination, setPagination] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [reviews, setReviews] = useState([]);
+  const [reviewsLoading, setReviewsLoading] = useState(false);
+  const [pendingReview, setPendingReview] = useState(null);
+  const [reason, setReason] = useState('');
+  const [filters, setFilters] = useUrlFilters({
+    search: '',
+    page: 1,
+    limit: 20,
+    rider: '',
+  });
+
+  const { search, page, limit } = filters;
+  const selectedRider = riders.find((rider) => rider._id === filters.rider) || null;
+
+  // The selected rider lives in the URL too, but only drives the review panel.
+  useEffect(() => {
+    const fetchQueue = async () => {
+      try {
+        setLoading(true);
+        const response = await getKycQueue({ search, page, limit });
+        setRiders(response?.riders || []);
+        setPagination(response?.pagination || {});
+        setError(null);
+      } catch (err) {
+        const message =
+          err?.response?.data?.error ||
+          err?.response?.data?.message ||
+          'Failed to load the KYC queue.';
+        setError(message);
+        console.error('Failed to load KYC queue:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchQueue();
+  }, [search, page, limit]);
+
+  useEffect(() => {
+    if (!filters.rider) return;
+
+    let cancelled = false;
+    const fetchReviews = async () => {
+      try {
+        setReviewsLoading(true);
+        const response = await getRiderKycReviews(filters.rider);
+        if (!cancelled) setReviews(response?.reviews || []);
+      } catch (err) {
+        if (!cancelled) setReviews([]);
+        console.error('Failed to load KYC review history:', err);
+      } finally {
+        if (!cancelled) setReviewsLoading(false);
+      }
+    };
+
+    fetchReviews();
+    return () => {
+      cancelled = true;
+    };
+  }, [filters.rider]);
+
+  const handleSelectRider = (riderId) => {
+    setFilters((prev) => ({ ...prev, rider: riderId }));
+  };
+
+  const handleSearchChange = (e) => {
+    setFilters((prev) => ({ ...prev, search: e.target.value, page: 1 }), { replace: true });
+  };
+
+  const closeReview = () => {
+    setPendingReview(null);
+    setReason('');
+  };
+
+  const handleConfirmReview = async () => {
+    if (!pendingReview || !selectedRider) return;
+    const { document, decision } = pendingReview;
+    const trimmedReason = reason.trim();
+    const riderId = selectedRider._id;
+
+    try {
+      const response = await reviewRiderDocument(riderId, document.key, {
+        decision,
+        reason: trimmedReason,
+      });
+
+      setRiders((prev) =>
+        prev.map((rider) => {
+          if (rider._id !== riderId) return rider;
+          const kycRejections = { ...rider.kycRejections };
+          if (decision === 'reject') {
+            kycRejections[document.key] = trimmedReason;
+          } else {
+            delete kycRejections[document.key];
+          }
+          const updated = {
+            ...rider,
+            [document.verifiedField]: decision === 'approve',
+            kycRejections,
+          };
+          updated.isVerified = isFullyVerified(updated);
+          return response?.rider ? { ...updated, ...response.rider } : updated;
+        })
+      );
+
+      const review = response?.review || {
+        document: document.key,
+        decision,
+        reason: trimmedReason,
+        reviewedBy: user,
+        createdAt: new Date().toISOString(),
+      };
+      setReviews((prev) => [review, ...prev]);
+      toast.success(
+        `${document.label} ${decision === 'approve' ? 'approved' : 'rejected'} for ${selectedRider.fullName}.`
+      );
+    } catch (err) {
+      const message =
+        err?.response?.data?.error ||
+        err?.response?.data?.message ||
+        'Failed to save KYC decision.';
+      toast.error(message);
+      console.error('Failed to save KYC decision:', err);
+    }
+  };
+
+  const renderDocument = (document) => {
+    const status = getDocumentStatus(selectedRider, document);
+    const imageUrl = selectedRider[document.imageField];
+    const rejectionReason = selectedRider.kycRejections?.[document.key];
+
+    return (
+      <div key={document.key} className="border border-gray-200 rounded-lg p-4 flex flex-col">
+        <div className="flex justify-between items-center mb-3">
+          <h4 className="font-semibold text-gray-800">{document.label}</h4>
+          <StatusBadge status={status} />
+        </div>
+        {document.numberField && (
+          <p className="text-sm text-gray-700 mb-2">
+            <span className="font-semibold text-gray-600">Number: </span>
+            {selectedRider[document.numberField] || 'N/A'}
+          </p>
+        )}
+        {imageUrl ? (
+          <a href={imageUrl} target="_blank" rel="noopener noreferrer" className="block mb-3">
+            <img
+              src={imageUrl}
+              alt={`${selectedRider.fullName} ${document.label}`}
+              className="w-full h-48 object-contain bg-gray-50 rounded border border-gray-200"
+            />
+          </a>
+        ) : (
+          <div className="w-full h-48 mb-3 flex flex-col items-center justify-center bg-gray-50 rounded border border-dashed border-gray-300 text-gray-400 text-sm">
+            <PhotoIcon className="h-8 w-8 mb-1" />
+            No image uploaded
+          </div>
+        )}
+        {rejectionReason && status === 'rejected' && (
+          <p className="text-xs text-red-700 mb-3">Rejected: {rejectionReason}</p>
+        )}
+        {canReview && (
+          <div className="mt-auto flex gap-2">
+            <button
+              onClick={() => setPendingReview({ document, decision: 'approve' })}
+              disabled={status === 'approved'}
+              className="flex-1 bg-green-600 hover:bg-green-700 text-white text-sm font-semibold py-2 px-3 rounded-lg transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Approve
+            </button>
+            <button
+              onClick={() => setPendingReview({ document, decision: 'reject' })}
+              className="flex-1 bg-white border border-gray-300 hover:bg-gray-100 text-gray-800 text-sm font-semibold py-2 px-3 rounded-lg transition duration-300"
+            >
+              Reject
+            </button>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderReviewPanel = () => {
+    if (!selectedRider) {
+      return (
+        <div className="bg-white rounded-lg border border-gray-200 p-6 flex items-center justify-center text-gray-500 h-full">
+          Select a rider from the queue to review their documents.
+        </div>
+      );
+    }
+
+    return (
+      <div className="bg-white rounded-lg border border-gray-200 p-6">
+        <div className="flex items-start justify-between mb-6">
+          <div className="flex items-center space-x-4">
+            <img
+              src={selectedRider.profilePicture || defaultIcon}
+              alt={selectedRider.fullName}
+              className="w-20 h-20 rounded-full object-cover border-4 border-gray-200"
+            />
+            <div>
+              <h2 className="text-xl font-bold text-gray-800">
+                <UserLink type="rider" userId={selectedRider._id}>
+                  {selectedRider.fullName}
+                </UserLink>
+              </h2>
+              <p className="text-sm text-gray-500">{selectedRider.email}</p>
+              <div className="mt-1">
+                {selectedRider.isVerified ? (
+                  <span className="inline-flex items-center text-sm text-green-700 font-semibold">
+                    <ShieldCheckIcon className="h-5 w-5 mr-1" />
+                    Verified rider
+                  </span>
+                ) : (
+                  <span className="text-sm text-yellow-700 font-semibold">Not yet verified</span>
+                )}
+              </div>
+            </div>
+          </div>
+          <div className="grid grid-cols-2 gap-x-6 gap-y-1">
+            <ProfileItem label="Phone" value={selectedRider.phoneNumber} />
+            <ProfileItem label="Address" value={selectedRider.address} />
+            <ProfileItem label="Vehicle" value={formatVehicleType(selectedRider.vehicleType)} />
+            <ProfileItem label="Joined" value={formatDateTime(selectedRider.createdAt)} />
+          </div>
+        </div>
+
+        {!canReview && (
+          <div className="mb-4 rounded-lg border border-yellow-200 bg-yellow-50 px-4 py-2 text-sm text-yellow-800">
+            You have view-only access. Approving or rejecting documents requires rider management
+            permission.
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-4 mb-6">
+          {kycDocuments.map(renderDocument)}
+        </div>
+
+        <h3 className="text-lg font-semibold text-gray-800 mb-3">Review history</h3>
+        {reviewsLoading ? (
+          <p className="text-sm text-gray-500">Loading history...</p>
+        ) : reviews.length === 0 ? (
+          <p className="text-sm text-gray-500">No decisions recorded yet.</p>
+        ) : (
+          <ul className="space-y-2">
+            {reviews.map((review, index) => {
+              const document = kycDocuments.find((item) => item.key === review.document);
+              return (
+                <li key={review._id || index} className="text-sm border-l-2 border-gray-200 pl-3">
+                  <span
+                    className={`font-semibold ${
+                      review.decision === 'approve' ? 'text-green-700' : 'text-red-700'
+                    }`}
+                  >
+                    {review.decision === 'approve' ? 'Approved' : 'Rejected'}
+                  </span>{' '}
+                  {document?.label || review.document}
+                  {review.reason && <span className="text-gray-700"> · {review.reason}</span>}
+                  <p className="text-xs text-gray-500">
+                    {review.reviewedBy?.fullName || review.reviewedBy?.email || 'Admin'} ·{' '}
+                    {formatDateTime(review.createdAt)}
+                  </p>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    );
+  };
+
+  if (loading && riders.length === 0) {
+    return <Loader />;
+  }
+
+  const isRejecting = pendingReview?.decision === 'reject';
+
+  return (
+    <div className="p-6 h-full">
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold mb-1 text-gray-800">KYC Review</h1>
+        <p className="text-gray-600">
+          Riders with documents awaiting review. Approving every document verifies the rider.
+        </p>
+      </div>
+
+      {error && (
+        <div className="mb-4 rounded-lg border border-red-200 bg-red-50 px-4 py-2 text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+        <div className="lg:col-span-1">
+          <input
+            type="text"
+            placeholder="Search riders..."
+            value={filters.search}
+            onChange={handleSearchChange}
+            className="w-full mb-3 bg-white text-gray-800 px-4 py-2 rounded-lg border border-gray-300 focus:outline-none focus:ring-2 focus:ring-accent-blue"
+          />
+          {riders.length === 0 ? (
+            <EmptyState
+              type="riders"
+              title="Queue is clear"
+              description="Riders with documents waiting for review will show up here."
+            />
+          ) : (
+            <ul className="bg-white rounded-lg border border-gray-200 divide-y divide-gray-200">
+              {riders.map((rider) => {
+                const pendingCount = kycDocuments.filter(
+                  (document) => getDocumentStatus(rider, document) !== 'approved'
+                ).length;
+                return (
+                  <li key={rider._id}>
+                    <button
+                      onClick={() => handleSelectRider(rider._id)}
+                      className={`w-full text-left px-4 py-3 transition-colors ${
+                        rider._id === filters.rider ? 'bg-gray-100' : 'hover:bg-gray-50'
+                      }`}
+                    >
+                      <p className="font-semibold text-gray-800">{rider.fullName}</p>
+                      <p className="text-xs text-gray-500">
+                        {rider.isVerified
+                          ? 'Verified'
+                          : `${pendingCount} document${pendingCount === 1 ? '' : 's'} to review`}
+                      </p>
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+          {pagination.totalPages > 1 && (
+            <div className="mt-3 flex justify-between items-center text-sm text-gray-700">
+              <button
+                onClick={() => setFilters((prev) => ({ ...prev, page: pagination.page - 1 }))}
+                disabled={!pagination.hasPrevPage}
+                className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-1 px-3 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Previous
+              </button>
+              <span>
+                Page {pagination.page} of {pagination.totalPages}
+              </span>
+              <button
+                onClick={() => setFilters((prev) => ({ ...prev, page: pagination.page + 1 }))}
+                disabled={!pagination.hasNextPage}
+                className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-1 px-3 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+
+        <div className="lg:col-span-3">{renderReviewPanel()}</div>
+      </div>
+
+      <ConfirmationModal
+        isOpen={!!pendingReview}
+        onClose={closeReview}
+        onConfirm={handleConfirmReview}
+        title={
+          pendingReview
+            ? `${isRejecting ? 'Reject' : 'Approve'} ${pendingReview.document.label}`
+            : ''
+        }
+        message={
+          isRejecting
+            ? 'The rider will be asked to upload this document again. Let them know why.'
+            : 'Confirm this document matches the rider profile.'
+        }
+        confirmText={isRejecting ? 'Reject' : 'Approve'}
+        icon={isRejecting ? XCircleIcon : CheckCircleIcon}
+        confirmDisabled={isRejecting && !reason.trim()}
+      >
+        <textarea
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          rows={3}
+          placeholder={isRejecting ? 'Reason for rejection (required)' : 'Note (optional)'}
+          className="w-full bg-nav-light text-white text-sm px-3 py-2 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-accent-blue"
+        />
+      </ConfirmationModal>
+    </div>
+  );
+};
+
+export default KycQueue;
@@ -1,21 +1,58 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { toast } from 'react-toastify';
-import { BellIcon, CheckCircleIcon, EnvelopeOpenIcon } from '@heroicons/react/24/outline';
+import {
+  ArchiveBoxIcon,
+  ArrowUturnLeftIcon,
+  BellIcon,
+  CheckCircleIcon,
+  EnvelopeIcon,
+  EnvelopeOpenIcon,
+  MagnifyingGlassIcon,
+} from '@heroicons/react/24/outline';
 import Loader from '../components/Loader';
 import EmptyState from '../components/EmptyState';
+import OrderDetailsModal from '../components/OrderDetailsModal';
+import useUrlFilters from '../hooks/useUrlFilters';
 import {
   fetchAdminNotifications,
   markNotificationAsRead,
   markNotificationAsUnread,
   markAllNotificationsAsRead,
+  markNotificationsAsRead,
+  markNotificationsAsUnread,
+  archiveNotifications,
+  unarchiveNotifications,
 } from '../services/notificationsApi';
+import {
+  NOTIFICATIONS_FALLBACK_PATH,
+  NOTIFICATIONS_PAGE_SIZE,
+  appendNotifications,
+  getNotificationId,
+  getNotificationTarget,
+  groupNotifications,
+  readNotificationPage,
+} from '../utils/notifications';
 
 const statusTabs = [
   { key: 'all', label: 'All' },
   { key: 'unread', label: 'Unread' },
   { key: 'read', label: 'Read' },
+  { key: 'archived', label: 'Archived' },
+];
+
+const groupOptions = [
+  { key: 'day', label: 'By day' },
+  { key: 'category', label: 'By category' },
 ];
 
+const buildParams = (tab, search, skip) => {
+  const params = { skip, limit: NOTIFICATIONS_PAGE_SIZE };
+  if (tab !== 'all') params.status = tab;
+  if (search.trim()) params.search = search.trim();
+  return params;
+};
+
 const formatDateTime = (value) => {
   if (!value) return '—';
   const date = new Date(value);
@@ -25,48 +62,134 @@ const formatDateTime = (value) => {
 
 function Notifications() {
   const [notifications, setNotifications] = useState([]);
-  const [activeTab, setActiveTab] = useState('unread');
-  const [loading, setLoading] = useState(false);
+  const [hasMore, setHasMore] = useState(false);
+  const [unreadTotal, setUnreadTotal] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState(null);
+  const [selectedOrderId, setSelectedOrderId] = useState(null);
+  const navigate = useNavigate();
+  const [filters, setFilters] = useUrlFilters({ tab: 'unread', search: '', groupBy: 'day' });
+  const sentinelRef = useRef(null);
+  const loadingMoreRef = useRef(false);
+  const queryKeyRef = useRef('');
+  const loadMoreRef = useRef(null);
+
+  const { tab: activeTab, search } = filters;
 
-  const loadNotifications = async (tab) => {
-    setLoading(true);
-    setError(null);
+  useEffect(() => {
+    queryKeyRef.current = `${activeTab}|${search}`;
+    let cancelled = false;
+    const loadNotifications = async () => {
+      setLoading(true);
+      setError(null);
+      setSelectedIds([]);
+      try {
+        const data = await fetchAdminNotifications(buildParams(activeTab, search, 0));
+        if (cancelled) return;
+        const page = readNotificationPage(data, NOTIFICATIONS_PAGE_SIZE);
+        setNotifications(page.items);
+        setHasMore(page.hasMore);
+        setUnreadTotal(page.unreadCount ?? null);
+      } catch (err) {
+        const message =
+          err?.response?.data?.error ||
+          err?.response?.data?.message ||
+          'Failed to load notifications.';
+        if (!cancelled) setError(message);
+        console.error('Failed to load notifications:', err);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadNotifications();
+    return () => {
+      cancelled = true;
+    };
+  }, [activeTab, search]);
+
+  const loadMore = async () => {
+    if (loadingMoreRef.current || !hasMore) return;
+    const requestKey = `${activeTab}|${search}`;
+    loadingMoreRef.current = true;
+    setLoadingMore(true);
     try {
-      const params = {};
-      if (tab === 'unread') params.status = 'unread';
-      if (tab === 'read') params.status = 'read';
-      const data = await fetchAdminNotifications(params);
-      setNotifications(data.notifications || data.items || []);
+      const data = await fetchAdminNotifications(
+        buildParams(activeTab, search, notifications.length)
+      );
+      // Drop the page if the tab or search changed while it was in flight.
+      if (queryKeyRef.current !== requestKey) return;
+      const page = readNotificationPage(data, NOTIFICATIONS_PAGE_SIZE);
+      setNotifications((prev) => appendNotifications(prev, page.items));
+      setHasMore(page.hasMore);
+      if (page.unreadCount !== undefined) setUnreadTotal(page.unreadCount);
     } catch (err) {
       const message =
         err?.response?.data?.error ||
         err?.response?.data?.message ||
-        'Failed to load notifications.';
-      setError(message);
+        'Failed to load more notifications.';
+      toast.error(message);
+      setHasMore(false);
+      console.error('Failed to load more notifications:', err);
     } finally {
-      setLoading(false);
+      loadingMoreRef.current = false;
+      setLoadingMore(false);
     }
   };
 
   useEffect(() => {
-    loadNotifications(activeTab);
-  }, [activeTab]);
+    loadMoreRef.current = loadMore;
+  });
+
+  // Re-observe after every page so a sentinel that is still on screen keeps
+  // loading until the list fills the viewport.
+  useEffect(() => {
+    const node = sentinelRef.current;
+    if (!node || !hasMore || loading) return undefined;
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) loadMoreRef.current?.();
+      },
+      { rootMargin: '200px' }
+    );
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [hasMore, loading, notifications.length]);
+
+  const setActiveTab = (tab) => setFilters((prev) => ({ ...prev, tab }));
+
+  const updateReadState = (ids, read) => {
+    const idSet = new Set(ids);
+    const changed = notifications.filter(
+      (item) => idSet.has(getNotificationId(item)) && !!item.read !== read
+    ).length;
+    // Items that no longer belong to the Unread or Read tab leave the list,
+    // otherwise the next page's skip would jump past unseen notifications.
+    const leavesTab = (activeTab === 'unread' && read) || (activeTab === 'read' && !read);
+    if (leavesTab) {
+      setNotifications((prev) => prev.filter((item) => !idSet.has(getNotificationId(item))));
+      setSelectedIds((prev) => prev.filter((id) => !idSet.has(id)));
+    } else {
+      setNotifications((prev) =>
+        prev.map((item) => (idSet.has(getNotificationId(item)) ? { ...item, read } : item))
+      );
+    }
+    setUnreadTotal((prev) =>
+      prev === null ? prev : Math.max(0, prev + (read ? -changed : changed))
+    );
+  };
 
   const handleMarkSingle = async (notification, targetStatus) => {
+    const id = getNotificationId(notification);
     try {
       if (targetStatus === 'read') {
-        await markNotificationAsRead(notification.id || notification._id);
+        await markNotificationAsRead(id);
       } else {
-        await markNotificationAsUnread(notification.id || notification._id);
+        await markNotificationAsUnread(id);
       }
-      setNotifications((prev) =>
-        prev.map((item) =>
-          (item.id || item._id) === (notification.id || notification._id)
-            ? { ...item, read: targetStatus === 'read' }
-            : item
-        )
-      );
+      updateReadState([id], targetStatus === 'read');
       if (targetStatus === 'read') {
         toast.success('Notification marked as read.');
       } else {
@@ -81,10 +204,28 @@ function Notifications() {
     }
   };
 
+  const handleOpenNotification = async (notification, target) => {
+    if (target.orderId) {
+      setSelectedOrderId(target.orderId);
+    } else {
+      navigate(target.to);
+    }
+
+    if (notification.read) return;
+    const id = getNotificationId(notification);
+    try {
+      await markNotificationAsRead(id);
+      updateReadState([id], true);
+    } catch (err) {
+      console.error('Failed to mark notification as read:', err);
+    }
+  };
+
   const handleMarkAllRead = async () => {
     try {
       await markAllNotificationsAsRead();
       setNotifications((prev) => prev.map((item) => ({ ...item, read: true })));
+      setUnreadTotal(0);
       if (activeTab === 'unread') {
         setActiveTab('all');
       }
@@ -98,27 +239,77 @@ function Notifications() {
     }
   };
 
-  const unreadCount = notifications.filter((n) => !n.read).length;
+  const handleBulkRead = async (read) => {
+    const ids = selectedIds;
+    try {
+      if (read) {
+        await markNotificationsAsRead(ids);
+      } else {
+        await markNotificationsAsUnread(ids);
+      }
+      updateReadState(ids, read);
+      setSelectedIds([]);
+      toast.success(
+        `${ids.length} notification${ids.length === 1 ? '' : 's'} marked as ${
+          read ? 'read' : 'unread'
+        }.`
+      );
+    } catch (err) {
+      const message =
+        err?.response?.data?.error ||
+        err?.response?.data?.message ||
+        'Failed to update notifications.';
+      toast.error(message);
+    }
+  };
 
-  if (loading && !notifications.length && !error) {
-    return (
-      <div className="p-6 h-full">
-        <h1 className="text-2xl font-bold mb-4 text-gray-800">Notifications</h1>
-        <Loader />
-      </div>
-    );
-  }
+  const handleArchive = async (ids) => {
+    const restoring = activeTab === 'archived';
+    try {
+      if (restoring) {
+        await unarchiveNotifications(ids);
+      } else {
+        await archiveNotifications(ids);
+      }
+      const idSet = new Set(ids);
+      const unreadRemoved = notifications.filter(
+        (item) => idSet.has(getNotificationId(item)) && !item.read
+      ).length;
+      setNotifications((prev) => prev.filter((item) => !idSet.has(getNotificationId(item))));
+      setSelectedIds((prev) => prev.filter((id) => !idSet.has(id)));
+      if (!restoring) {
+        setUnreadTotal((prev) => (prev === null ? prev : Math.max(0, prev - unreadRemoved)));
+      }
+      toast.success(
+        `${ids.length} notification${ids.length === 1 ? '' : 's'} ${
+          restoring ? 'restored' : 'archived'
+        }.`
+      );
+    } catch (err) {
+      const message =
+        err?.response?.data?.error ||
+        err?.response?.data?.message ||
+        `Failed to ${restoring ? 'restore' : 'archive'} notifications.`;
+      toast.error(message);
+    }
+  };
 
-  if (error) {
-    return (
-      <div className="p-6 h-full">
-        <h1 className="text-2xl font-bold mb-4 text-gray-800">Notifications</h1>
-        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
-          {error}
-        </div>
-      </div>
+  const toggleSelected = (id) => {
+    setSelectedIds((prev) =>
+      prev.includes(id) ? prev.filter((item) => item !== id) : [...prev, id]
     );
-  }
+  };
+
+  const allSelected =
+    notifications.length > 0 && selectedIds.length === notifications.length;
+
+  const toggleSelectAll = () => {
+    setSelectedIds(allSelected ? [] : notifications.map(getNotificationId));
+  };
+
+  const unreadCount = unreadTotal ?? notifications.filter((n) => !n.read).length;
+  const groups = groupNotifications(notifications, filters.groupBy);
+  const isArchivedTab = activeTab === 'archived';
 
   return (
     <div className="p-6 h-full">
@@ -147,12 +338,6 @@ function Notifications() {
         <nav className="-mb-px flex space-x-6" aria-label="Tabs">
           {statusTabs.map((tab) => {
             const isActive = activeTab === tab.key;
-            const count =
-              tab.key === 'unread'
-                ? unreadCount
-                : tab.key === 'all'
-                ? notifications.length
-                : notifications.filter((n) => n.read).length;
             return (
               <button
                 key={tab.key}
@@ -166,9 +351,11 @@ function Notifications() {
               >
                 <span className="flex items-center space-x-2">
                   <span>{tab.label}</span>
-                  <span className="inline-flex items-center justify-center px-2 py-0.5 rounded-full text-xs font-semibold bg-gray-100 text-gray-700">
-                    {count}
-                  </span>
+                  {tab.key === 'unread' && (
+                    <span className="inline-flex items-center justify-center px-2 py-0.5 rounded-full text-xs font-semibold bg-gray-100 text-gray-700">
+                      {unreadCount}
+                    </span>
+                  )}
                 </span>
               </button>
             );
@@ -176,76 +363,206 @@ function Notifications() {
         </nav>
       </div>
 
-      {loading && (
-        <div className="mb-4">
-          <Loader />
+      <div className="mb-4 flex flex-wrap items-center justify-between gap-3">
+        <div className="relative">
+          <MagnifyingGlassIcon className="h-5 w-5 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="text"
+            placeholder="Search titles and messages"
+            value={search}
+            onChange={(e) =>
+              setFilters((prev) => ({ ...prev, search: e.target.value }), { replace: true })
+            }
+            className="bg-white text-gray-800 pl-10 pr-4 py-2 rounded-lg border border-gray-300 focus:outline-none focus:ring-2 focus:ring-accent-blue"
+          />
+        </div>
+        <select
+          value={filters.groupBy}
+          onChange={(e) => setFilters((prev) => ({ ...prev, groupBy: e.target.value }))}
+          className="bg-white text-gray-800 text-sm px-3 py-2 rounded-lg border border-gray-300 focus:outline-none focus:ring-2 focus:ring-accent-blue"
+        >
+          {groupOptions.map((option) => (
+            <option key={option.key} value={option.key}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {notifications.length > 0 && (
+        <div className="mb-4 flex flex-wrap items-center gap-3 text-sm">
+          <label className="flex items-center space-x-2 text-gray-700">
+            <input
+              type="checkbox"
+              checked={allSelected}
+              onChange={toggleSelectAll}
+              className="form-checkbox h-4 w-4 text-accent-blue border-gray-300 rounded focus:ring-accent-blue"
+            />
+            <span>
+              {selectedIds.length > 0 ? `${selectedIds.length} selected` : 'Select all loaded'}
+            </span>
+          </label>
+          {selectedIds.length > 0 && (
+            <>
+              {!isArchivedTab && (
+                <>
+                  <button
+                    type="button"
+                    onClick={() => handleBulkRead(true)}
+                    className="inline-flex items-center px-3 py-1.5 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-100"
+                  >
+                    <EnvelopeOpenIcon className="h-4 w-4 mr-1" />
+                    Mark read
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleBulkRead(false)}
+                    className="inline-flex items-center px-3 py-1.5 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-100"
+                  >
+                    <EnvelopeIcon className="h-4 w-4 mr-1" />
+                    Mark unread
+                  </button>
+                </>
+              )}
+              <button
+                type="button"
+                onClick={() => handleArchive(selectedIds)}
+                className="inline-flex items-center px-3 py-1.5 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-100"
+              >
+                {isArchivedTab ? (
+                  <ArrowUturnLeftIcon className="h-4 w-4 mr-1" />
+                ) : (
+                  <ArchiveBoxIcon className="h-4 w-4 mr-1" />
+                )}
+                {isArchivedTab ? 'Restore' : 'Archive'}
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
+      {error && (
+        <div className="mb-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+          {error}
         </div>
       )}
 
-      {!notifications.length && !loading ? (
+      {loading ? (
+        <Loader />
+      ) : !notifications.length ? (
         <EmptyState
-          title="No notifications yet"
-          description="When there is new activity for the admin, it will appear here."
+          title={search.trim() ? 'No matching notifications' : 'No notifications yet'}
+          description={
+            search.trim()
+              ? 'Try a different search term or tab.'
+              : 'When there is new activity for the admin, it will appear here.'
+          }
         />
       ) : (
-        <div className="space-y-3">
-          {notifications.map((notification) => {
-            const id = notification.id || notification._id;
-            const isRead = !!notification.read;
-            return (
-              <div
-                key={id}
-                className={`flex items-start justify-between p-4 rounded-lg border ${
-                  isRead ? 'bg-white border-gray-200' : 'bg-blue-50 border-accent-blue'
-                }`}
-              >
-                <div className="flex items-start space-x-3">
-                  <div
-                    className={`mt-1 h-9 w-9 rounded-full flex items-center justify-center ${
-                      isRead ? 'bg-gray-100' : 'bg-accent-blue'
-                    }`}
-                  >
-                    <EnvelopeOpenIcon
-                      className={`h-5 w-5 ${
-                        isRead ? 'text-gray-500' : 'text-white'
+        <div className="space-y-6">
+          {groups.map((group) => (
+            <section key={group.key}>
+              <h2 className="mb-2 text-xs font-semibold uppercase tracking-wide text-gray-500">
+                {group.label}
+                <span className="ml-2 font-normal normal-case text-gray-400">
+                  {group.items.length}
+                </span>
+              </h2>
+              <div className="space-y-3">
+                {group.items.map((notification) => {
+                  const id = getNotificationId(notification);
+                  const isRead = !!notification.read;
+                  const target = getNotificationTarget(notification);
+                  const hasTarget = target.to !== NOTIFICATIONS_FALLBACK_PATH;
+                  const title = notification.title || notification.type || 'Notification';
+                  return (
+                    <div
+                      key={id}
+                      className={`flex items-start justify-between p-4 rounded-lg border ${
+                        isRead ? 'bg-white border-gray-200' : 'bg-blue-50 border-accent-blue'
                       }`}
-                    />
-                  </div>
-                  <div>
-                    <div className="flex items-center space-x-2">
-                      <p className="text-sm font-semibold text-gray-800">
-                        {notification.title || notification.type || 'Notification'}
-                      </p>
-                      {!isRead && (
-                        <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
-                          New
-                        </span>
-                      )}
+                    >
+                      <div className="flex items-start space-x-3">
+                        <input
+                          type="checkbox"
+                          checked={selectedIds.includes(id)}
+                          onChange={() => toggleSelected(id)}
+                          className="form-checkbox mt-3 h-4 w-4 text-accent-blue border-gray-300 rounded focus:ring-accent-blue"
+                        />
+                        <div
+                          className={`mt-1 h-9 w-9 rounded-full flex items-center justify-center ${
+                            isRead ? 'bg-gray-100' : 'bg-accent-blue'
+                          }`}
+                        >
+                          <EnvelopeOpenIcon
+                            className={`h-5 w-5 ${isRead ? 'text-gray-500' : 'text-white'}`}
+                          />
+                        </div>
+                        <div>
+                          <div className="flex items-center space-x-2">
+                            {hasTarget ? (
+                              <button
+                                type="button"
+                                onClick={() => handleOpenNotification(notification, target)}
+                                className="text-left text-sm font-semibold text-gray-800 hover:underline hover:text-accent-blue"
+                              >
+                                {title}
+                              </button>
+                            ) : (
+                              <p className="text-sm font-semibold text-gray-800">{title}</p>
+                            )}
+                            {!isRead && (
+                              <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                                New
+                              </span>
+                            )}
+                          </div>
+                          <p className="mt-1 text-sm text-gray-700">
+                            {notification.message || notification.body}
+                          </p>
+                          <p className="mt-1 text-xs text-gray-500">
+                            {formatDateTime(notification.createdAt || notification.at)}
+                          </p>
+                        </div>
+                      </div>
+                      <div className="flex flex-col items-end space-y-2">
+                        {!isArchivedTab && (
+                          <button
+                            type="button"
+                            onClick={() =>
+                              handleMarkSingle(notification, isRead ? 'unread' : 'read')
+                            }
+                            className="text-xs font-medium text-accent-blue hover:text-light-blue"
+                          >
+                            Mark as {isRead ? 'unread' : 'read'}
+                          </button>
+                        )}
+                        <button
+                          type="button"
+                          onClick={() => handleArchive([id])}
+                          className="text-xs font-medium text-gray-500 hover:text-gray-700"
+                        >
+                          {isArchivedTab ? 'Restore' : 'Archive'}
+                        </button>
+                      </div>
                     </div>
-                    <p className="mt-1 text-sm text-gray-700">
-                      {notification.message || notification.body}
-                    </p>
-                    <p className="mt-1 text-xs text-gray-500">
-                      {formatDateTime(notification.createdAt || notification.at)}
-                    </p>
-                  </div>
-                </div>
-                <div className="flex flex-col items-end space-y-2">
-                  <button
-                    type="button"
-                    onClick={() =>
-                      handleMarkSingle(notification, isRead ? 'unread' : 'read')
-                    }
-                    className="text-xs font-medium text-accent-blue hover:text-light-blue"
-                  >
-                    Mark as {isRead ? 'unread' : 'read'}
-                  </button>
-                </div>
+                  );
+                })}
               </div>
-            );
-          })}
+            </section>
+          ))}
+
+          <div ref={sentinelRef} className="py-2 text-center text-sm text-gray-500">
+            {loadingMore
+              ? 'Loading more…'
+              : hasMore
+              ? ''
+              : "You're all caught up."}
+          </div>
         </div>
       )}
+
+      <OrderDetailsModal orderId={selectedOrderId} onClose={() => setSelectedOrderId(null)} />
     </div>
   );
 }
@@ -0,0 +1,279 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { ExclamationTriangleIcon, SignalIcon, SignalSlashIcon } from '@heroicons/react/24/outline';
+import ServiceTypeDropdown from '../components/ServiceTypeDropdown';
+import OrderDetailsModal from '../components/OrderDetailsModal';
+import Loader from '../components/Loader';
+import { getOrders } from '../services/orderApi';
+import socket from '../services/socket';
+import useSocketConnected from '../hooks/useSocketConnected';
+import { orderStatuses, statusOptions } from '../utils/orderStatus';
+import { formatCurrency } from '../utils/formatters';
+
+const ORDER_EVENTS = ['order.created', 'order.updated'];
+const POLL_INTERVAL_MS = 15000;
+const TERMINAL_STATUSES = ['delivered', 'cancelled'];
+const ACTIVE_COLUMN_LIMIT = 100;
+const TERMINAL_COLUMN_LIMIT = 20;
+
+// Minutes an order may sit in a status before the card is flagged as stuck.
+const STUCK_THRESHOLD_MINUTES = {
+  pending: 10,
+  assigned: 15,
+  picked_up: 30,
+  delivering: 45,
+};
+
+const getStatusSince = (order) => {
+  const entries = (order.timeline || []).filter((event) => event.status === order.status);
+  const latest = entries[entries.length - 1];
+  return new Date(latest?.at || order.updatedAt || order.createdAt).getTime();
+};
+
+const getElapsedMinutes = (order, now) =>
+  Math.max(0, Math.floor((now - getStatusSince(order)) / 60000));
+
+const isOrderStuck = (order, now) => {
+  const threshold = STUCK_THRESHOLD_MINUTES[order.status];
+  return threshold !== undefined && getElapsedMinutes(order, now) >= threshold;
+};
+
+const formatElapsed = (minutes) => {
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  return `${hours}h ${String(minutes % 60).padStart(2, '0')}m`;
+};
+
+const OrderCard = ({ order, now, onSelect }) => {
+  const elapsedMinutes = getElapsedMinutes(order, now);
+  const isStuck = isOrderStuck(order, now);
+
+  return (
+    <button
+      type="button"
+      onClick={() => onSelect(order._id)}
+      className={`w-full text-left rounded-lg border p-3 bg-white shadow-sm hover:shadow-md transition ${
+        isStuck ? 'border-red-400 bg-red-50' : 'border-gray-200'
+      }`}
+    >
+      <div className="flex items-center justify-between mb-1">
+        <span className="text-sm font-semibold text-gray-800">{order.orderId}</span>
+        <span className="text-xs text-gray-500 capitalize">{order.serviceType}</span>
+      </div>
+      <p className="text-xs text-gray-600 truncate">
+        {order.customerId?.fullName || 'Unknown customer'}
+      </p>
+      <p className="text-xs text-gray-500 truncate">
+        Rider: {order.riderId?.fullName || 'Unassigned'}
+      </p>
+      <div className="mt-2 flex items-center justify-between">
+        <span className="text-xs font-semibold text-gray-800">{formatCurrency(order.price)}</span>
+        <span
+          className={`inline-flex items-center text-xs ${
+            isStuck ? 'text-red-600 font-semibold' : 'text-gray-500'
+          }`}
+        >
+          {isStuck && <ExclamationTriangleIcon className="h-4 w-4 mr-1" />}
+          {formatElapsed(elapsedMinutes)}
+        </span>
+      </div>
+    </button>
+  );
+};
+
+const OrderBoard = () => {
+  const [orders, setOrders] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [lastSyncedAt, setLastSyncedAt] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
+  const [serviceType, setServiceType] = useState('');
+  const [selectedOrder, setSelectedOrder] = useState(null);
+  const connected = useSocketConnected();
+
+  // Reloads whenever the socket (re)connects to catch up on missed events,
+  // and keeps polling for as long as it stays disconnected.
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadBoard = async () => {
+      try {
+        const responses = await Promise.all(
+          orderStatuses.map((status) =>
+            getOrders({
+              status,
+              serviceType,
+              page: 1,
+              limit: TERMINAL_STATUSES.includes(status)
+                ? TERMINAL_COLUMN_LIMIT
+                : ACTIVE_COLUMN_LIMIT,
+            })
+          )
+        );
+        if (cancelled) return;
+        const next = {};
+        responses.forEach((response) => {
+          (response.orders || []).forEach((order) => {
+            next[order._id] = order;
+          });
+        });
+        setOrders(next);
+        setError(null);
+        setLastSyncedAt(new Date());
+      } catch (e) {
+        if (!cancelled) setError('Failed to load orders for the board.');
+        console.error('Failed to load order board:', e);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadBoard();
+
+    if (connected) {
+      return () => {
+        cancelled = true;
+      };
+    }
+
+    const intervalId = setInterval(loadBoard, POLL_INTERVAL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(intervalId);
+    };
+  }, [connected, serviceType]);
+
+  useEffect(() => {
+    const handleOrderEvent = (payload) => {
+      const order = payload?.order || payload;
+      if (!order?._id) return;
+      if (serviceType && order.serviceType && order.serviceType !== serviceType) return;
+      setOrders((prev) => ({ ...prev, [order._id]: { ...prev[order._id], ...order } }));
+      setLastSyncedAt(new Date());
+    };
+
+    ORDER_EVENTS.forEach((event) => socket.on(event, handleOrderEvent));
+    return () => {
+      ORDER_EVENTS.forEach((event) => socket.off(event, handleOrderEvent));
+    };
+  }, [serviceType]);
+
+  useEffect(() => {
+    const intervalId = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(intervalId);
+  }, []);
+
+  const columns = orderStatuses.map((status) => {
+    const items = Object.values(orders)
+      .filter((order) => order.status === status)
+      .sort((a, b) =>
+        TERMINAL_STATUSES.includes(status)
+          ? getStatusSince(b) - getStatusSince(a)
+          : getStatusSince(a) - getStatusSince(b)
+      );
+    return { status, items };
+  });
+
+  if (loading) {
+    return <Loader />;
+  }
+
+  return (
+    <div className="p-6 h-full flex flex-col">
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h1 className="text-2xl font-bold mb-1 text-gray-800">Dispatch Board</h1>
+          <p className="text-gray-600">
+            Live view of every order by status.{' '}
+            <Link to="/orders" className="text-accent-blue hover:underline">
+              Back to orders table
+            </Link>
+          </p>
+        </div>
+        <div className="flex items-center space-x-4">
+          <div className="w-48">
+            <ServiceTypeDropdown selectedService={serviceType} onServiceChange={setServiceType} />
+          </div>
+          {connected ? (
+            <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-green-100 text-green-700">
+              <SignalIcon className="h-4 w-4 mr-1" />
+              Live
+            </span>
+          ) : (
+            <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-yellow-100 text-yellow-700">
+              <SignalSlashIcon className="h-4 w-4 mr-1" />
+              Polling every {POLL_INTERVAL_MS / 1000}s
+            </span>
+          )}
+        </div>
+      </div>
+
+      {lastSyncedAt && (
+        <p className="text-xs text-gray-500 mb-4">
+          Last updated {lastSyncedAt.toLocaleTimeString()}
+        </p>
+      )}
+
+      {error && (
+        <div className="mb-4 rounded-lg border border-red-200 bg-red-50 px-4 py-2 text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      <div className="flex-1 overflow-x-auto">
+        <div className="grid grid-cols-6 gap-4 min-w-[1200px] h-full">
+          {columns.map(({ status, items }) => {
+            const option = statusOptions[status];
+            const StatusIcon = option.icon;
+            const stuckCount = items.filter((order) => isOrderStuck(order, now)).length;
+            return (
+              <div key={status} className="bg-gray-100 rounded-lg p-3 flex flex-col">
+                <div className="flex items-center justify-between mb-3">
+                  <div className="flex items-center">
+                    <StatusIcon className={`h-5 w-5 mr-2 ${option.color}`} />
+                    <span className="font-semibold text-gray-800 text-sm">{option.label}</span>
+                  </div>
+                  <div className="flex items-center space-x-1">
+                    {stuckCount > 0 && (
+                      <span className="px-2 py-0.5 rounded-full text-xs font-semibold bg-red-100 text-red-700">
+                        {stuckCount} stuck
+                      </span>
+                    )}
+                    <span className="px-2 py-0.5 rounded-full text-xs font-semibold bg-white text-gray-700">
+                      {items.length}
+                    </span>
+                  </div>
+                </div>
+                <div className="flex-1 overflow-y-auto space-y-2">
+                  {items.length === 0 ? (
+                    <p className="text-xs text-gray-400 text-center py-4">No orders</p>
+                  ) : (
+                    items.map((order) => (
+                      <OrderCard
+                        key={order._id}
+                        order={order}
+                        now={now}
+                        onSelect={setSelectedOrder}
+                      />
+                    ))
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      <OrderDetailsModal
+        orderId={selectedOrder}
+        onClose={() => setSelectedOrder(null)}
+        onOrderUpdated={(order) =>
+          setOrders((prev) => ({ ...prev, [order._id]: { ...prev[order._id], ...order } }))
+        }
+      />
+    </div>
+  );
+};
+
+export default OrderBoard;
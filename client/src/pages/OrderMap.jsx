@@ -0,0 +1,465 @@
+import React, { useEffect, useRef, useState } from 'react';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+import Loader from '../components/Loader';
+import OrderDetailsModal from '../components/OrderDetailsModal';
+import { getOrders } from '../services/orderApi';
+import { getAllRiders, getInitialRidersOnlineStatus } from '../services/adminApi';
+import { fetchAdminSettings } from '../services/settingsApi';
+import socket from '../services/socket';
+import { statusOptions } from '../utils/orderStatus';
+import {
+  getTileLayerConfig,
+  getLatLng,
+  DEFAULT_MAP_CENTER,
+  DEFAULT_MAP_ZOOM,
+} from '../utils/mapTiles';
+
+const ACTIVE_STATUSES = ['pending', 'assigned', 'picked_up', 'delivering'];
+const ORDER_EVENTS = ['order.created', 'order.updated'];
+
+const VEHICLE_COLORS = {
+  bicycle: '#16a34a',
+  motorbike: '#2563eb',
+  motorcycle: '#2563eb',
+  car: '#9333ea',
+  van: '#ea580c',
+  truck: '#dc2626',
+};
+const DEFAULT_VEHICLE_COLOR = '#6b7280';
+
+const getVehicleColor = (vehicleType) => VEHICLE_COLORS[vehicleType] || DEFAULT_VEHICLE_COLOR;
+
+const formatVehicleType = (vehicleType) => {
+  if (!vehicleType) return 'Unknown';
+  return vehicleType
+    .split('_')
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+};
+
+// Popups are built from DOM text nodes so names and addresses are never parsed as HTML.
+const buildPopup = (lines) => {
+  const container = document.createElement('div');
+  lines.filter(Boolean).forEach((line, index) => {
+    const row = document.createElement('div');
+    row.textContent = line;
+    if (index === 0) row.style.fontWeight = '600';
+    container.appendChild(row);
+  });
+  return container;
+};
+
+const OrderMap = () => {
+  const mapContainerRef = useRef(null);
+  const mapRef = useRef(null);
+  const layersRef = useRef(null);
+  const hasFittedRef = useRef(false);
+  const [orders, setOrders] = useState([]);
+  const [riders, setRiders] = useState([]);
+  const [onlineRiderIds, setOnlineRiderIds] = useState([]);
+  const [radius, setRadius] = useState({ defaultKm: null, maxKm: null });
+  const [selectedOrderId, setSelectedOrderId] = useState(null);
+  const [detailsOrderId, setDetailsOrderId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const tileConfig = getTileLayerConfig();
+  const onlineRiders = riders.filter((rider) => onlineRiderIds.includes(rider._id));
+  const selectedOrder = orders.find((order) => order._id === selectedOrderId) || null;
+  const mappedOrders = orders.filter(
+    (order) => getLatLng(order.pickup) || getLatLng(order.dropoff)
+  );
+  const mappedRiders = onlineRiders.filter((rider) => getLatLng(rider.location || rider));
+  const vehicleTypes = [...new Set(onlineRiders.map((rider) => rider.vehicleType || ''))];
+
+  useEffect(() => {
+    const loadMapData = async () => {
+      try {
+        const [orderResponses, ridersResponse, onlineResponse] = await Promise.all([
+          Promise.all(
+            ACTIVE_STATUSES.map((status) => getOrders({ status, page: 1, limit: 100 }))
+          ),
+          getAllRiders({ page: 1, limit: 200 }),
+          getInitialRidersOnlineStatus(),
+        ]);
+        setOrders(orderResponses.flatMap((response) => response.orders || []));
+        setRiders(ridersResponse?.riders || []);
+        setOnlineRiderIds(onlineResponse?.onlineRiderIds || []);
+        setError(null);
+      } catch (err) {
+        const message =
+          err?.response?.data?.error ||
+          err?.response?.data?.message ||
+          'Failed to load map data.';
+        setError(message);
+        console.error('Failed to load map data:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadMapData();
+  }, []);
+
+  // Settings need settings:view, which most map users lack, so a failure here
+  // only leaves the radius circles off instead of blanking the map.
+  useEffect(() => {
+    let cancelled = false;
+    const loadRadius = async () => {
+      try {
+        const settingsResponse = await fetchAdminSettings();
+        if (cancelled) return;
+        const system = settingsResponse?.settings?.system || {};
+        setRadius({
+          defaultKm: Number(system.defaultSearchRadiusKm) || null,
+          maxKm: Number(system.maxAllowedRadiusKm) || null,
+        });
+      } catch (err) {
+        console.error('Failed to load search radius settings:', err);
+      }
+    };
+
+    loadRadius();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    const handleOrderEvent = (payload) => {
+      const order = payload?.order || payload;
+      if (!order?._id) return;
+      setOrders((prev) => {
+        const existing = prev.find((item) => item._id === order._id);
+        const merged = { ...existing, ...order };
+        const others = prev.filter((item) => item._id !== order._id);
+        return ACTIVE_STATUSES.includes(merged.status) ? [...others, merged] : others;
+      });
+    };
+    const handleUserOnline = ({ userId }) => {
+      setOnlineRiderIds((prev) => (prev.includes(userId) ? prev : [...prev, userId]));
+    };
+    const handleUserOffline = ({ userId }) => {
+      setOnlineRiderIds((prev) => prev.filter((id) => id !== userId));
+    };
+    const handleRiderLocation = ({ riderId, userId, location }) => {
+      const id = riderId || userId;
+      if (!id || !location) return;
+      setRiders((prev) =>
+        prev.map((rider) => (rider._id === id ? { ...rider, location } : rider))
+      );
+    };
+
+    ORDER_EVENTS.forEach((event) => socket.on(event, handleOrderEvent));
+    socket.on('user.online', handleUserOnline);
+    socket.on('user.offline', handleUserOffline);
+    socket.on('rider.location', handleRiderLocation);
+    return () => {
+      ORDER_EVENTS.forEach((event) => socket.off(event, handleOrderEvent));
+      socket.off('user.online', handleUserOnline);
+      socket.off('user.offline', handleUserOffline);
+      socket.off('rider.location', handleRiderLocation);
+    };
+  }, []);
+
+  // The map is created once the page has rendered its container and torn down on leave.
+  useEffect(() => {
+    if (loading || !mapContainerRef.current || mapRef.current) return;
+
+    const map = L.map(mapContainerRef.current, {
+      center: DEFAULT_MAP_CENTER,
+      zoom: DEFAULT_MAP_ZOOM,
+    });
+    const config = getTileLayerConfig();
+    if (config) {
+      L.tileLayer(config.url, config.options).addTo(map);
+    }
+    layersRef.current = {
+      orders: L.layerGroup().addTo(map),
+      riders: L.layerGroup().addTo(map),
+      radius: L.layerGroup().addTo(map),
+    };
+    mapRef.current = map;
+
+    return () => {
+      map.remove();
+      mapRef.current = null;
+      layersRef.current = null;
+      hasFittedRef.current = false;
+    };
+  }, [loading]);
+
+  useEffect(() => {
+    const layers = layersRef.current;
+    if (!layers) return;
+    layers.orders.clearLayers();
+
+    orders.forEach((order) => {
+      const pickup = getLatLng(order.pickup);
+      const dropoff = getLatLng(order.dropoff);
+      const isSelected = order._id === selectedOrderId;
+      const popup = buildPopup([
+        order.orderId,
+        statusOptions[order.status]?.label || order.status,
+        order.pickup?.address && `From: ${order.pickup.address}`,
+        order.dropoff?.address && `To: ${order.dropoff.address}`,
+        `Rider: ${order.riderId?.fullName || 'Unassigned'}`,
+      ]);
+      const handleSelect = () => setSelectedOrderId(order._id);
+
+      if (pickup && dropoff) {
+        L.polyline([pickup, dropoff], {
+          color: isSelected ? '#111827' : '#3b82f6',
+          weight: isSelected ? 5 : 3,
+          opacity: 0.8,
+          dashArray: order.riderId ? null : '6 6',
+        })
+          .bindPopup(popup)
+          .on('click', handleSelect)
+          .addTo(layers.orders);
+      }
+      if (pickup) {
+        L.circleMarker(pickup, {
+          radius: isSelected ? 8 : 6,
+          color: '#15803d',
+          fillColor: '#22c55e',
+          fillOpacity: 0.9,
+        })
+          .bindPopup(popup)
+          .on('click', handleSelect)
+          .addTo(layers.orders);
+      }
+      if (dropoff) {
+        L.circleMarker(dropoff, {
+          radius: isSelected ? 8 : 6,
+          color: '#b91c1c',
+          fillColor: '#ef4444',
+          fillOpacity: 0.9,
+        })
+          .bindPopup(popup)
+          .on('click', handleSelect)
+          .addTo(layers.orders);
+      }
+    });
+  }, [orders, selectedOrderId, loading]);
+
+  useEffect(() => {
+    const layers = layersRef.current;
+    if (!layers) return;
+    layers.riders.clearLayers();
+
+    riders
+      .filter((rider) => onlineRiderIds.includes(rider._id))
+      .forEach((rider) => {
+        const position = getLatLng(rider.location || rider);
+        if (!position) return;
+        const color = getVehicleColor(rider.vehicleType);
+        L.circleMarker(position, {
+          radius: 7,
+          color: '#ffffff',
+          weight: 2,
+          fillColor: color,
+          fillOpacity: 1,
+        })
+          .bindPopup(
+            buildPopup([
+              rider.fullName,
+              formatVehicleType(rider.vehicleType),
+              rider.phoneNumber || rider.email,
+            ])
+          )
+          .addTo(layers.riders);
+      });
+  }, [riders, onlineRiderIds, loading]);
+
+  useEffect(() => {
+    const layers = layersRef.current;
+    if (!layers) return;
+    layers.radius.clearLayers();
+
+    const pickup = selectedOrder ? getLatLng(selectedOrder.pickup) : null;
+    if (!pickup) return;
+
+    if (radius.maxKm) {
+      L.circle(pickup, {
+        radius: radius.maxKm * 1000,
+        color: '#f97316',
+        weight: 1,
+        dashArray: '4 6',
+        fillOpacity: 0.04,
+      }).addTo(layers.radius);
+    }
+    if (radius.defaultKm) {
+      L.circle(pickup, {
+        radius: radius.defaultKm * 1000,
+        color: '#2563eb',
+        weight: 2,
+        fillOpacity: 0.08,
+      }).addTo(layers.radius);
+    }
+    mapRef.current?.panTo(pickup);
+  }, [selectedOrder, radius, loading]);
+
+  // Fits the view to everything on the map the first time there is something to show.
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || hasFittedRef.current) return;
+
+    const points = [
+      ...orders.flatMap((order) => [getLatLng(order.pickup), getLatLng(order.dropoff)]),
+      ...riders
+        .filter((rider) => onlineRiderIds.includes(rider._id))
+        .map((rider) => getLatLng(rider.location || rider)),
+    ].filter(Boolean);
+    if (points.length === 0) return;
+
+    map.fitBounds(L.latLngBounds(points), { padding: [40, 40], maxZoom: 14 });
+    hasFittedRef.current = true;
+  }, [orders, riders, onlineRiderIds, loading]);
+
+  if (loading) {
+    return <Loader />;
+  }
+
+  return (
+    <div className="p-6 h-full flex flex-col">
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h1 className="text-2xl font-bold mb-1 text-gray-800">Live Map</h1>
+          <p className="text-gray-600">
+            Active orders and online riders. Select an order to see its search radius.
+          </p>
+        </div>
+        <div className="flex items-center space-x-3 text-sm text-gray-700">
+          <span className="px-3 py-1 rounded-full bg-blue-100 text-blue-700 font-semibold">
+            {mappedOrders.length} of {orders.length} orders
+          </span>
+          <span className="px-3 py-1 rounded-full bg-green-100 text-green-700 font-semibold">
+            {mappedRiders.length} of {onlineRiders.length} online riders
+          </span>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 rounded-lg border border-red-200 bg-red-50 px-4 py-2 text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      <div className="flex-1 flex gap-4 min-h-[500px]">
+        <div className="flex-1 relative rounded-lg overflow-hidden border border-gray-200">
+          <div
+            ref={mapContainerRef}
+            className={`absolute inset-0 ${tileConfig ? '' : 'bg-slate-100'}`}
+          />
+          {!tileConfig && (
+            <div className="absolute bottom-2 left-2 z-[1000] bg-white bg-opacity-90 rounded px-2 py-1 text-xs text-gray-600">
+              Offline basemap. Set VITE_MAP_TILE_URL to load map tiles.
+            </div>
+          )}
+        </div>
+
+        <div className="w-72 flex flex-col gap-4">
+          <div className="bg-white rounded-lg border border-gray-200 p-4">
+            <h3 className="font-semibold text-gray-800 mb-2">Legend</h3>
+            <div className="space-y-1 text-sm text-gray-700">
+              <div className="flex items-center">
+                <span className="h-3 w-3 rounded-full bg-green-500 mr-2" />
+                Pickup
+              </div>
+              <div className="flex items-center">
+                <span className="h-3 w-3 rounded-full bg-red-500 mr-2" />
+                Dropoff
+              </div>
+              <div className="flex items-center">
+                <span className="h-0.5 w-4 bg-blue-500 mr-2" />
+                Route (dashed when unassigned)
+              </div>
+              {vehicleTypes.map((vehicleType) => (
+                <div key={vehicleType || 'unknown'} className="flex items-center">
+                  <span
+                    className="h-3 w-3 rounded-full mr-2 border border-white"
+                    style={{ backgroundColor: getVehicleColor(vehicleType) }}
+                  />
+                  {formatVehicleType(vehicleType)}
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {selectedOrder && (
+            <div className="bg-white rounded-lg border border-gray-200 p-4 text-sm text-gray-700">
+              <div className="flex justify-between items-start mb-2">
+                <h3 className="font-semibold text-gray-800">{selectedOrder.orderId}</h3>
+                <button
+                  onClick={() => setSelectedOrderId(null)}
+                  className="text-gray-500 hover:text-gray-800"
+                >
+                  <XMarkIcon className="h-5 w-5" />
+                </button>
+              </div>
+              <p className="mb-1">{selectedOrder.pickup?.address}</p>
+              <p className="mb-2 text-gray-500">to {selectedOrder.dropoff?.address}</p>
+              {getLatLng(selectedOrder.pickup) ? (
+                <p className="text-xs text-gray-500 mb-2">
+                  Default radius {radius.defaultKm ?? 'N/A'} km · max {radius.maxKm ?? 'N/A'} km
+                </p>
+              ) : (
+                <p className="text-xs text-yellow-700 mb-2">Pickup has no coordinates.</p>
+              )}
+              <button
+                onClick={() => setDetailsOrderId(selectedOrder._id)}
+                className="bg-gray-800 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg transition duration-300 w-full"
+              >
+                View order
+              </button>
+            </div>
+          )}
+
+          <div className="bg-white rounded-lg border border-gray-200 p-4 flex-1 overflow-y-auto">
+            <h3 className="font-semibold text-gray-800 mb-2">Active orders</h3>
+            {orders.length === 0 ? (
+              <p className="text-sm text-gray-500">No active orders.</p>
+            ) : (
+              <ul className="space-y-1">
+                {orders.map((order) => (
+                  <li key={order._id}>
+                    <button
+                      onClick={() => setSelectedOrderId(order._id)}
+                      className={`w-full text-left text-sm px-2 py-1 rounded ${
+                        order._id === selectedOrderId
+                          ? 'bg-gray-800 text-white'
+                          : 'text-gray-700 hover:bg-gray-100'
+                      }`}
+                    >
+                      <span className="font-semibold">{order.orderId}</span>{' '}
+                      <span className="text-xs opacity-75">
+                        {statusOptions[order.status]?.label || order.status}
+                      </span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <OrderDetailsModal
+        orderId={detailsOrderId}
+        onClose={() => setDetailsOrderId(null)}
+        onOrderUpdated={(order) =>
+          setOrders((prev) =>
+            prev
+              .map((item) => (item._id === order._id ? { ...item, ...order } : item))
+              .filter((item) => ACTIVE_STATUSES.includes(item.status))
+          )
+        }
+      />
+    </div>
+  );
+};
+
+export default OrderMap;
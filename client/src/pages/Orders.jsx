@@ -1,17 +1,33 @@
 import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import api from '../services/api';
 import StatusDropdown from '../components/StatusDropdown';
 import ServiceTypeDropdown from '../components/ServiceTypeDropdown';
 import OrderDetailsModal from '../components/OrderDetailsModal';
 import Loader from '../components/Loader';
+import UserLink from '../components/UserLink';
 import EmptyState from '../components/EmptyState';
+import ExportButton from '../components/ExportButton';
+import useUrlFilters from '../hooks/useUrlFilters';
+
+const exportColumns = [
+  { key: 'orderId', header: 'Order ID' },
+  { key: 'customer', header: 'Customer', value: (order) => order.customerId?.fullName },
+  { key: 'rider', header: 'Rider', value: (order) => order.riderId?.fullName || 'N/A' },
+  { key: 'serviceType', header: 'Service' },
+  { key: 'status', header: 'Status' },
+  { key: 'price', header: 'Price', type: 'currency' },
+  { key: 'pickup', header: 'Pickup', value: (order) => order.pickup?.address, defaultHidden: true },
+  { key: 'dropoff', header: 'Dropoff', value: (order) => order.dropoff?.address, defaultHidden: true },
+  { key: 'createdAt', header: 'Date', type: 'date' },
+];
 
 const Orders = () => {
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
   const [pagination, setPagination] = useState({});
   const [selectedOrder, setSelectedOrder] = useState(null);
-  const [filters, setFilters] = useState({
+  const [filters, setFilters] = useUrlFilters({
     page: 1,
     limit: 10,
     search: '',
@@ -37,7 +53,7 @@ const Orders = () => {
   }, [filters]);
 
   const handleFilterChange = (e) => {
-    setFilters({ ...filters, [e.target.name]: e.target.value, page: 1 });
+    setFilters({ ...filters, [e.target.name]: e.target.value, page: 1 }, { replace: true });
   };
 
   const handleStatusChange = (status) => {
@@ -56,14 +72,38 @@ const Orders = () => {
     setSelectedOrder(null);
   };
 
+  const handleOrderUpdated = (updatedOrder) => {
+    setOrders((prev) =>
+      prev.map((order) => (order._id === updatedOrder._id ? { ...order, ...updatedOrder } : order))
+    );
+  };
+
+  const fetchExportPage = async (page, limit) => {
+    const { data } = await api.get('/admin/orders', { params: { ...filters, page, limit } });
+    return { items: data.orders || [], totalPages: data.pagination?.totalPages };
+  };
+
   if (loading) {
     return <Loader />;
   }
 
   return (
     <div className="p-6 h-full">
-      <h1 className="text-2xl font-bold mb-1 text-gray-800">Orders</h1>
-      <p className="text-gray-600 mb-6">Track and manage all customer orders.</p>
+      <div className="flex justify-between items-start mb-6">
+        <div>
+          <h1 className="text-2xl font-bold mb-1 text-gray-800">Orders</h1>
+          <p className="text-gray-600">Track and manage all customer orders.</p>
+        </div>
+        <div className="flex items-center space-x-3">
+          <Link
+            to="/dispatch-board"
+            className="bg-white border border-gray-300 text-gray-800 px-4 py-2 rounded-lg text-sm hover:bg-gray-50 transition-colors"
+          >
+            Live board
+          </Link>
+          <ExportButton columns={exportColumns} fetchPage={fetchExportPage} fileName="orders" />
+        </div>
+      </div>
 
       <div className="mb-4 grid grid-cols-1 md:grid-cols-3 gap-4">
         <input
@@ -107,8 +147,16 @@ const Orders = () => {
               orders.map((order) => (
                 <tr key={order._id} className="border-b border-gray-200 hover:bg-gray-50">
                   <td className="py-3 px-4 text-gray-800">{order.orderId}</td>
-                  <td className="py-3 px-4 text-gray-800">{order.customerId?.fullName}</td>
-                  <td className="py-3 px-4 text-gray-800">{order.riderId?.fullName || 'N/A'}</td>
+                  <td className="py-3 px-4 text-gray-800">
+                    <UserLink type="customer" userId={order.customerId?._id}>
+                      {order.customerId?.fullName}
+                    </UserLink>
+                  </td>
+                  <td className="py-3 px-4 text-gray-800">
+                    <UserLink type="rider" userId={order.riderId?._id}>
+                      {order.riderId?.fullName || 'N/A'}
+                    </UserLink>
+                  </td>
                   <td className="py-3 px-4 text-gray-800">{order.serviceType}</td>
                   <td className="py-3 px-4 text-gray-800">{order.status}</td>
                   <td className="py-3 px-4 text-gray-800">₦{order.price.toLocaleString()}</td>
@@ -153,7 +201,11 @@ const Orders = () => {
           </button>
         </div>
       </div>
-      <OrderDetailsModal orderId={selectedOrder} onClose={handleCloseModal} />
+      <OrderDetailsModal
+        orderId={selectedOrder}
+        onClose={handleCloseModal}
+        onOrderUpdated={handleOrderUpdated}
+      />
     </div>
   );
 };
@@ -0,0 +1,387 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { ArrowUpTrayIcon, CheckCircleIcon } from '@heroicons/react/24/outline';
+import Loader from '../components/Loader';
+import EmptyState from '../components/EmptyState';
+import BulkPayoutModal from '../components/BulkPayoutModal';
+import UserLink from '../components/UserLink';
+import { getPayouts } from '../services/payoutApi';
+import { useAuth } from '../contexts/AuthContext';
+import { PERMISSIONS } from '../utils/permissions';
+import { formatCurrency, formatDateTime } from '../utils/formatters';
+import { readStatement, reconcileStatement, statementFormats } from '../utils/payoutReconciliation';
+
+const buckets = [
+  { key: 'matched', label: 'Matched' },
+  { key: 'ambiguous', label: 'Ambiguous' },
+  { key: 'unmatched', label: 'Unmatched' },
+];
+
+const reasonLabels = {
+  reference: 'Reference',
+  amount: 'Amount',
+  rider: 'Rider',
+};
+
+const describePayout = (payout) =>
+  `${payout.riderName || 'Unknown rider'} · ${formatDateTime(payout.weekStart)} · ${formatCurrency(
+    payout.totals?.commission
+  )}`;
+
+const PayoutReconciliation = () => {
+  const { can } = useAuth();
+  const canManagePayouts = can(PERMISSIONS.PAYOUTS_MANAGE);
+  const [payouts, setPayouts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [statement, setStatement] = useState(null);
+  const [fileError, setFileError] = useState(null);
+  const [results, setResults] = useState([]);
+  const [decisions, setDecisions] = useState({});
+  const [activeBucket, setActiveBucket] = useState('matched');
+  const [paidIds, setPaidIds] = useState([]);
+  const [bulkRun, setBulkRun] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const loadOpenPayouts = async () => {
+      try {
+        const data = await getPayouts({ status: 'pending' });
+        if (cancelled) return;
+        setPayouts(data?.payouts || []);
+        setError(null);
+      } catch (err) {
+        const message =
+          err?.response?.data?.error ||
+          err?.response?.data?.message ||
+          'Failed to load open payouts.';
+        if (!cancelled) setError(message);
+        console.error('Failed to load open payouts:', err);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadOpenPayouts();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const parsed = readStatement(await file.text());
+      if (parsed.error) {
+        setFileError(parsed.error);
+        return;
+      }
+      const reconciled = reconcileStatement(
+        parsed.rows,
+        payouts.filter((payout) => !paidIds.includes(payout._id))
+      );
+      setFileError(null);
+      setStatement({ fileName: file.name, format: parsed.format, rowCount: parsed.rows.length });
+      setResults(reconciled);
+      // Confident matches start ticked; ambiguous rows wait for a decision.
+      setDecisions(
+        reconciled.reduce((acc, result) => {
+          if (result.payout) acc[result.row.id] = result.payout._id;
+          return acc;
+        }, {})
+      );
+      setActiveBucket('matched');
+    } catch (err) {
+      setFileError('Failed to read the file. Make sure it is a CSV export.');
+      console.error('Failed to read reconciliation file:', err);
+    }
+  };
+
+  const setDecision = (rowId, payoutId) => {
+    setDecisions((prev) => {
+      const next = { ...prev };
+      if (payoutId) {
+        next[rowId] = payoutId;
+      } else {
+        delete next[rowId];
+      }
+      return next;
+    });
+  };
+
+  const decidedPayoutIds = Object.values(decisions).filter((id) => !paidIds.includes(id));
+  const duplicateIds = decidedPayoutIds.filter(
+    (id, index) => decidedPayoutIds.indexOf(id) !== index
+  );
+  // Each payout carries the statement row it was matched to, so marking it paid
+  // records the reference and amount that justified it.
+  const confirmedPayouts = payouts
+    .filter((payout) => decidedPayoutIds.includes(payout._id))
+    .map((payout) => {
+      const { row } = results.find((result) => decisions[result.row.id] === payout._id);
+      return {
+        ...payout,
+        statementMatch: {
+          source: statement.format,
+          fileName: statement.fileName,
+          line: row.line,
+          reference: row.reference,
+          amount: row.amount,
+          date: row.date,
+          description: row.description,
+        },
+      };
+    });
+  const confirmedTotal = confirmedPayouts.reduce(
+    (sum, payout) => sum + (payout.totals?.commission || 0),
+    0
+  );
+  const bucketCounts = buckets.reduce((acc, bucket) => {
+    acc[bucket.key] = results.filter((result) => result.bucket === bucket.key).length;
+    return acc;
+  }, {});
+  const visibleResults = results.filter((result) => result.bucket === activeBucket);
+
+  if (loading) {
+    return <Loader text="Loading open payouts..." />;
+  }
+
+  return (
+    <div className="p-6 h-full">
+      <div className="flex justify-between items-start mb-6">
+        <div>
+          <h1 className="text-2xl font-bold mb-1 text-gray-800">Payout Reconciliation</h1>
+          <p className="text-gray-600">
+            Upload a Paystack transactions export or a bank statement CSV to match received
+            payments to open{' '}
+            <Link to="/rider-payouts" className="text-accent-blue hover:underline">
+              rider payouts
+            </Link>
+            .
+          </p>
+        </div>
+        <label className="inline-flex items-center bg-gray-800 text-white font-bold py-2 px-4 rounded-lg hover:bg-gray-700 transition duration-300 cursor-pointer">
+          <ArrowUpTrayIcon className="h-5 w-5 mr-2" />
+          Upload CSV
+          <input type="file" accept=".csv,text/csv" onChange={handleFileChange} className="hidden" />
+        </label>
+      </div>
+
+      {error && (
+        <div className="mb-4 rounded-lg border border-red-200 bg-red-50 px-4 py-2 text-sm text-red-700">
+          {error}
+        </div>
+      )}
+      {fileError && (
+        <div className="mb-4 rounded-lg border border-red-200 bg-red-50 px-4 py-2 text-sm text-red-700">
+          {fileError}
+        </div>
+      )}
+
+      {!statement ? (
+        <EmptyState
+          type="generic"
+          title="No statement uploaded"
+          description={`${payouts.length} open payout${
+            payouts.length === 1 ? '' : 's'
+          } waiting to be reconciled. Rows are matched by amount, reference and rider.`}
+        />
+      ) : (
+        <>
+          <div className="mb-4 flex flex-wrap items-center justify-between gap-4 rounded-lg border border-gray-200 bg-white px-4 py-3">
+            <div className="text-sm text-gray-700">
+              <p>
+                <span className="font-semibold">{statement.fileName}</span> ·{' '}
+                {statementFormats[statement.format].label}
+              </p>
+              <p className="text-gray-500">
+                {statement.rowCount} incoming payment{statement.rowCount === 1 ? '' : 's'} checked
+                against {payouts.length} open payout{payouts.length === 1 ? '' : 's'}
+              </p>
+            </div>
+            {canManagePayouts && (
+              <div className="flex items-center space-x-3">
+                <span className="text-sm text-gray-600">
+                  {confirmedPayouts.length} to mark paid ·{' '}
+                  <span className="font-semibold text-gray-800">
+                    {formatCurrency(confirmedTotal)}
+                  </span>
+                </span>
+                <button
+                  type="button"
+                  onClick={() => setBulkRun({ action: 'mark-paid', payouts: confirmedPayouts })}
+                  disabled={confirmedPayouts.length === 0 || duplicateIds.length > 0}
+                  className="inline-flex items-center px-4 py-2 rounded-lg bg-gray-800 text-white hover:bg-gray-700 transition-colors text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <CheckCircleIcon className="h-5 w-5 mr-2" />
+                  Confirm matches
+                </button>
+              </div>
+            )}
+          </div>
+
+          {duplicateIds.length > 0 && (
+            <div className="mb-4 rounded-lg border border-yellow-200 bg-yellow-50 px-4 py-2 text-sm text-yellow-800">
+              The same payout is assigned to more than one statement row. Pick a single row for
+              each payout before confirming.
+            </div>
+          )}
+
+          <div className="flex space-x-2 mb-4">
+            {buckets.map((bucket) => (
+              <button
+                key={bucket.key}
+                onClick={() => setActiveBucket(bucket.key)}
+                className={`px-4 py-2 rounded-lg text-sm font-medium ${
+                  activeBucket === bucket.key
+                    ? 'bg-gray-800 text-white'
+                    : 'bg-white text-gray-800 border border-gray-300'
+                }`}
+              >
+                {bucket.label} ({bucketCounts[bucket.key]})
+              </button>
+            ))}
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full bg-white">
+              <thead>
+                <tr className="bg-gray-100">
+                  <th className="py-3 px-4 text-left text-gray-600 font-semibold">Row</th>
+                  <th className="py-3 px-4 text-left text-gray-600 font-semibold">Date</th>
+                  <th className="py-3 px-4 text-left text-gray-600 font-semibold">Reference</th>
+                  <th className="py-3 px-4 text-left text-gray-600 font-semibold">From</th>
+                  <th className="py-3 px-4 text-right text-gray-600 font-semibold">Amount</th>
+                  <th className="py-3 px-4 text-left text-gray-600 font-semibold">Payout</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleResults.length === 0 ? (
+                  <tr>
+                    <td className="py-6 px-4 text-sm text-gray-500" colSpan={6}>
+                      No rows in this bucket.
+                    </td>
+                  </tr>
+                ) : (
+                  visibleResults.map((result) => {
+                    const { row } = result;
+                    const decision = decisions[row.id] || '';
+                    const decidedPaid = decision && paidIds.includes(decision);
+                    const decidedCandidate = result.candidates.find(
+                      (candidate) => candidate.payout._id === decision
+                    );
+                    return (
+                      <tr key={row.id} className="border-b border-gray-200 align-top">
+                        <td className="py-3 px-4 text-sm text-gray-500">{row.line}</td>
+                        <td className="py-3 px-4 text-sm text-gray-800 whitespace-nowrap">
+                          {row.date || '—'}
+                        </td>
+                        <td className="py-3 px-4 text-sm text-gray-800">
+                          <p>{row.reference || '—'}</p>
+                          {row.description && (
+                            <p className="text-xs text-gray-500 max-w-xs truncate">
+                              {row.description}
+                            </p>
+                          )}
+                        </td>
+                        <td className="py-3 px-4 text-sm text-gray-800">
+                          <p>{row.name || '—'}</p>
+                          {row.email && <p className="text-xs text-gray-500">{row.email}</p>}
+                        </td>
+                        <td className="py-3 px-4 text-sm text-right text-gray-800 whitespace-nowrap">
+                          {formatCurrency(row.amount)}
+                        </td>
+                        <td className="py-3 px-4 text-sm text-gray-800">
+                          {result.bucket === 'unmatched' ? (
+                            <span className="text-gray-500">No open payout fits this row.</span>
+                          ) : decidedPaid ? (
+                            <span className="inline-flex items-center text-green-700">
+                              <CheckCircleIcon className="h-4 w-4 mr-1" />
+                              Marked paid
+                            </span>
+                          ) : (
+                            <div className="space-y-1">
+                              {result.bucket === 'matched' ? (
+                                <label className="flex items-center space-x-2">
+                                  <input
+                                    type="checkbox"
+                                    checked={!!decision}
+                                    disabled={!canManagePayouts}
+                                    onChange={(e) =>
+                                      setDecision(
+                                        row.id,
+                                        e.target.checked ? result.candidates[0].payout._id : ''
+                                      )
+                                    }
+                                    className="form-checkbox h-4 w-4 text-accent-blue border-gray-300 rounded focus:ring-accent-blue"
+                                  />
+                                  <UserLink
+                                    type="rider"
+                                    userId={
+                                      result.candidates[0].payout.riderId?._id ||
+                                      result.candidates[0].payout.riderId
+                                    }
+                                  >
+                                    {result.candidates[0].payout.riderName || 'Unknown rider'}
+                                  </UserLink>
+                                </label>
+                              ) : (
+                                <select
+                                  value={decision}
+                                  disabled={!canManagePayouts}
+                                  onChange={(e) => setDecision(row.id, e.target.value)}
+                                  className="w-full max-w-sm bg-white text-gray-800 text-sm px-3 py-2 rounded-lg border border-gray-300 focus:outline-none focus:ring-2 focus:ring-accent-blue"
+                                >
+                                  <option value="">Leave unmatched</option>
+                                  {result.candidates.map((candidate) => (
+                                    <option key={candidate.payout._id} value={candidate.payout._id}>
+                                      {describePayout(candidate.payout)}
+                                    </option>
+                                  ))}
+                                </select>
+                              )}
+                              {(decidedCandidate || result.bucket === 'matched') && (
+                                <p className="text-xs text-gray-500">
+                                  {result.bucket === 'matched' &&
+                                    `Week of ${formatDateTime(
+                                      result.candidates[0].payout.weekStart
+                                    )} · `}
+                                  Matched on{' '}
+                                  {(decidedCandidate || result.candidates[0]).reasons
+                                    .map((reason) => reasonLabels[reason])
+                                    .join(', ')}
+                                </p>
+                              )}
+                              {decision && duplicateIds.includes(decision) && (
+                                <p className="text-xs text-yellow-700">
+                                  Also assigned to another row
+                                </p>
+                              )}
+                            </div>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })
+                )}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      <BulkPayoutModal
+        key={bulkRun ? 'open' : 'closed'}
+        action={bulkRun?.action}
+        payouts={bulkRun?.payouts || []}
+        onClose={() => setBulkRun(null)}
+        onItemSuccess={(action, payoutId) => setPaidIds((prev) => [...prev, payoutId])}
+      />
+    </div>
+  );
+};
+
+export default PayoutReconciliation;
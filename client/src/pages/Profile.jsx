@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { toast } from 'react-toastify';
+import NotificationPreferences from '../components/NotificationPreferences';
 import { useAuth } from '../contexts/AuthContext';
 import {
   fetchCurrentUser,
@@ -246,6 +247,7 @@ const Profile = () => {
           </div>
         )}
       </div>
+      <NotificationPreferences />
     </div>
   );
 };
@@ -0,0 +1,601 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import {
+  CalendarDaysIcon,
+  ListBulletIcon,
+  PlusIcon,
+  ExclamationTriangleIcon,
+  NoSymbolIcon,
+} from '@heroicons/react/24/outline';
+import Loader from '../components/Loader';
+import EmptyState from '../components/EmptyState';
+import ConfirmationModal from '../components/ConfirmationModal';
+import CampaignCalendar from '../components/CampaignCalendar';
+import {
+  fetchPromoCampaigns,
+  createPromoCampaign,
+  updatePromoCampaign,
+  cancelPromoCampaign,
+} from '../services/promoApi';
+import { useAuth } from '../contexts/AuthContext';
+import useUrlFilters from '../hooks/useUrlFilters';
+import { PERMISSIONS } from '../utils/permissions';
+import { formatDateTime } from '../utils/formatters';
+import {
+  promoTypes,
+  promoTypeKeys,
+  formatPromoValue,
+  getPromoFieldLabel,
+} from '../utils/promoFields';
+import {
+  getCampaignStatus,
+  getOverlappingCampaigns,
+  toDateTimeInputValue,
+} from '../utils/promoCampaigns';
+
+const statusStyles = {
+  scheduled: 'bg-blue-100 text-blue-700',
+  active: 'bg-green-100 text-green-700',
+  ended: 'bg-gray-100 text-gray-600',
+  cancelled: 'bg-red-100 text-red-700',
+};
+
+const currentMonth = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+};
+
+const emptyForm = {
+  name: '',
+  promoType: 'streak',
+  startsAt: '',
+  endsAt: '',
+  overrides: {},
+};
+
+const PromoCampaigns = () => {
+  const { can } = useAuth();
+  const canManagePromos = can(PERMISSIONS.PROMOS_MANAGE);
+  const [campaigns, setCampaigns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [formOpen, setFormOpen] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [formError, setFormError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [campaignToCancel, setCampaignToCancel] = useState(null);
+  const [filters, setFilters] = useUrlFilters({
+    view: 'list',
+    month: currentMonth(),
+    promoType: '',
+    showEnded: false,
+  });
+
+  useEffect(() => {
+    const loadCampaigns = async () => {
+      try {
+        const data = await fetchPromoCampaigns();
+        setCampaigns(data?.campaigns || []);
+        setError(null);
+      } catch (err) {
+        const message =
+          err?.response?.data?.error ||
+          err?.response?.data?.message ||
+          'Failed to load promo campaigns.';
+        setError(message);
+        console.error('Failed to load promo campaigns:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadCampaigns();
+  }, []);
+
+  const visibleCampaigns = campaigns
+    .filter((campaign) => !filters.promoType || campaign.promoType === filters.promoType)
+    .filter((campaign) => {
+      if (filters.showEnded) return true;
+      const status = getCampaignStatus(campaign);
+      return status === 'scheduled' || status === 'active';
+    })
+    .sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt));
+
+  const calendarCampaigns = campaigns.filter(
+    (campaign) =>
+      getCampaignStatus(campaign) !== 'cancelled' &&
+      (!filters.promoType || campaign.promoType === filters.promoType)
+  );
+
+  const draftCampaign = {
+    _id: editingId,
+    promoType: form.promoType,
+    startsAt: form.startsAt ? new Date(form.startsAt).toISOString() : null,
+    endsAt: form.endsAt ? new Date(form.endsAt).toISOString() : null,
+  };
+  const draftOverlaps =
+    formOpen && draftCampaign.startsAt && draftCampaign.endsAt
+      ? getOverlappingCampaigns(draftCampaign, campaigns)
+      : [];
+
+  const openCreateForm = () => {
+    setEditingId(null);
+    setForm(emptyForm);
+    setFormError(null);
+    setFormOpen(true);
+  };
+
+  const openEditForm = (campaign) => {
+    setEditingId(campaign._id);
+    setForm({
+      name: campaign.name || '',
+      promoType: campaign.promoType,
+      startsAt: toDateTimeInputValue(campaign.startsAt),
+      endsAt: toDateTimeInputValue(campaign.endsAt),
+      overrides: { ...campaign.overrides },
+    });
+    setFormError(null);
+    setFormOpen(true);
+  };
+
+  const closeForm = () => {
+    if (saving) return;
+    setFormOpen(false);
+    setEditingId(null);
+  };
+
+  const handleFormChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({
+      ...prev,
+      [name]: value,
+      // Overrides belong to a single program, so switching type starts afresh.
+      ...(name === 'promoType' ? { overrides: {} } : {}),
+    }));
+  };
+
+  const handleOverrideChange = (key) => (e) => {
+    const { value } = e.target;
+    setForm((prev) => ({
+      ...prev,
+      overrides: { ...prev.overrides, [key]: value === '' ? '' : Number(value) },
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!canManagePromos) return;
+
+    const overrides = Object.fromEntries(
+      Object.entries(form.overrides).filter(([, value]) => value !== '' && value !== undefined)
+    );
+
+    if (!form.name.trim()) {
+      setFormError('Give the campaign a name.');
+      return;
+    }
+    if (!form.startsAt || !form.endsAt) {
+      setFormError('Choose both a start and an end time.');
+      return;
+    }
+    if (new Date(form.endsAt) <= new Date(form.startsAt)) {
+      setFormError('The campaign must end after it starts.');
+      return;
+    }
+    if (Object.keys(overrides).length === 0) {
+      setFormError('Set at least one value for the campaign to change.');
+      return;
+    }
+
+    const payload = {
+      name: form.name.trim(),
+      promoType: form.promoType,
+      startsAt: new Date(form.startsAt).toISOString(),
+      endsAt: new Date(form.endsAt).toISOString(),
+      overrides,
+    };
+
+    try {
+      setSaving(true);
+      setFormError(null);
+      if (editingId) {
+        const data = await updatePromoCampaign(editingId, payload);
+        const saved = data?.campaign || { ...payload, _id: editingId };
+        setCampaigns((prev) =>
+          prev.map((campaign) => (campaign._id === editingId ? { ...campaign, ...saved } : campaign))
+        );
+        toast.success('Campaign updated.');
+      } else {
+        const data = await createPromoCampaign(payload);
+        if (data?.campaign) {
+          setCampaigns((prev) => [...prev, data.campaign]);
+        } else {
+          const refreshed = await fetchPromoCampaigns();
+          setCampaigns(refreshed?.campaigns || []);
+        }
+        toast.success('Campaign scheduled.');
+      }
+      setFormOpen(false);
+      setEditingId(null);
+    } catch (err) {
+      const message =
+        err?.response?.data?.error ||
+        err?.response?.data?.message ||
+        'Failed to save campaign.';
+      setFormError(message);
+      console.error('Failed to save campaign:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleConfirmCancel = async () => {
+    if (!campaignToCancel) return;
+    const campaignId = campaignToCancel._id;
+    const wasActive = getCampaignStatus(campaignToCancel) === 'active';
+    try {
+      const data = await cancelPromoCampaign(campaignId);
+      // A running campaign ends now; one that has not started is cancelled outright.
+      const fallback = wasActive
+        ? { endsAt: new Date().toISOString() }
+        : { status: 'cancelled' };
+      setCampaigns((prev) =>
+        prev.map((campaign) =>
+          campaign._id === campaignId ? { ...campaign, ...(data?.campaign || fallback) } : campaign
+        )
+      );
+      toast.success(wasActive ? 'Campaign ended.' : 'Campaign cancelled.');
+    } catch (err) {
+      const message =
+        err?.response?.data?.error ||
+        err?.response?.data?.message ||
+        'Failed to cancel campaign.';
+      toast.error(message);
+      console.error('Failed to cancel campaign:', err);
+    }
+  };
+
+  const describeOverrides = (campaign) => {
+    const type = promoTypes[campaign.promoType];
+    if (!type) return '';
+    return type.fields
+      .filter((field) => campaign.overrides?.[field.key] !== undefined)
+      .map((field) => `${field.label}: ${formatPromoValue(field, campaign.overrides[field.key])}`)
+      .join(' · ');
+  };
+
+  if (loading) {
+    return <Loader />;
+  }
+
+  const inputClassName =
+    'w-full p-3 bg-gray-50 text-gray-800 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-accent-blue';
+
+  return (
+    <div className="p-6 h-full">
+      <div className="flex justify-between items-start mb-6">
+        <div>
+          <h1 className="text-2xl font-bold mb-1 text-gray-800">Promo Campaigns</h1>
+          <p className="text-gray-600">
+            Temporarily change a promo for a set window. The program returns to its{' '}
+            <Link to="/promos" className="text-accent-blue hover:underline">
+              base configuration
+            </Link>{' '}
+            once the campaign ends.
+          </p>
+        </div>
+        {canManagePromos && (
+          <button
+            onClick={openCreateForm}
+            className="inline-flex items-center bg-gray-800 text-white font-bold py-2 px-4 rounded-lg hover:bg-gray-700 transition duration-300"
+          >
+            <PlusIcon className="h-5 w-5 mr-2" />
+            New campaign
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-4 rounded-lg border border-red-200 bg-red-50 px-4 py-2 text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      <div className="mb-4 flex flex-wrap items-center gap-4">
+        <div className="inline-flex rounded-lg border border-gray-300 overflow-hidden">
+          <button
+            onClick={() => setFilters((prev) => ({ ...prev, view: 'list' }))}
+            className={`inline-flex items-center px-4 py-2 text-sm ${
+              filters.view === 'list' ? 'bg-gray-800 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            <ListBulletIcon className="h-4 w-4 mr-2" />
+            List
+          </button>
+          <button
+            onClick={() => setFilters((prev) => ({ ...prev, view: 'calendar' }))}
+            className={`inline-flex items-center px-4 py-2 text-sm ${
+              filters.view === 'calendar'
+                ? 'bg-gray-800 text-white'
+                : 'bg-white text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            <CalendarDaysIcon className="h-4 w-4 mr-2" />
+            Calendar
+          </button>
+        </div>
+        <select
+          value={filters.promoType}
+          onChange={(e) => setFilters((prev) => ({ ...prev, promoType: e.target.value }))}
+          className="bg-white text-gray-800 px-4 py-2 rounded-lg border border-gray-300 focus:outline-none focus:ring-2 focus:ring-accent-blue"
+        >
+          <option value="">All promos</option>
+          {promoTypeKeys.map((key) => (
+            <option key={key} value={key}>
+              {promoTypes[key].label}
+            </option>
+          ))}
+        </select>
+        {filters.view === 'list' && (
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={filters.showEnded}
+              onChange={(e) => setFilters((prev) => ({ ...prev, showEnded: e.target.checked }))}
+              className="form-checkbox h-4 w-4 text-accent-blue border-gray-300 rounded focus:ring-accent-blue"
+            />
+            <span>Show ended and cancelled</span>
+          </label>
+        )}
+      </div>
+
+      {filters.view === 'calendar' ? (
+        <CampaignCalendar
+          campaigns={calendarCampaigns}
+          month={filters.month}
+          onMonthChange={(month) => setFilters((prev) => ({ ...prev, month }))}
+          onSelectCampaign={(campaign) => {
+            if (canManagePromos && getCampaignStatus(campaign) === 'scheduled') {
+              openEditForm(campaign);
+            }
+          }}
+        />
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full bg-white">
+            <thead>
+              <tr className="bg-gray-100">
+                <th className="py-3 px-4 text-left text-gray-600 font-semibold">Campaign</th>
+                <th className="py-3 px-4 text-left text-gray-600 font-semibold">Promo</th>
+                <th className="py-3 px-4 text-left text-gray-600 font-semibold">Changes</th>
+                <th className="py-3 px-4 text-left text-gray-600 font-semibold">Starts</th>
+                <th className="py-3 px-4 text-left text-gray-600 font-semibold">Ends</th>
+                <th className="py-3 px-4 text-left text-gray-600 font-semibold">Status</th>
+                <th className="py-3 px-4 text-left text-gray-600 font-semibold">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleCampaigns.length === 0 ? (
+                <tr>
+                  <td className="py-6 px-4" colSpan={7}>
+                    <EmptyState
+                      type="generic"
+                      title="No campaigns scheduled"
+                      description="Scheduled and running promo campaigns will be listed here."
+                    />
+                  </td>
+                </tr>
+              ) : (
+                visibleCampaigns.map((campaign) => {
+                  const status = getCampaignStatus(campaign);
+                  const overlaps = getOverlappingCampaigns(campaign, campaigns);
+                  const isOpen = status === 'scheduled' || status === 'active';
+                  return (
+                    <tr key={campaign._id} className="border-b border-gray-200 hover:bg-gray-50">
+                      <td className="py-3 px-4 text-gray-800">
+                        <p className="font-semibold">{campaign.name}</p>
+                        {isOpen && overlaps.length > 0 && (
+                          <p className="flex items-center text-xs text-red-600 mt-1">
+                            <ExclamationTriangleIcon className="h-4 w-4 mr-1" />
+                            Overlaps {overlaps.map((item) => item.name).join(', ')}
+                          </p>
+                        )}
+                      </td>
+                      <td className="py-3 px-4 text-gray-800">
+                        {promoTypes[campaign.promoType]?.label || campaign.promoType}
+                      </td>
+                      <td className="py-3 px-4 text-gray-600 text-sm">{describeOverrides(campaign)}</td>
+                      <td className="py-3 px-4 text-gray-800 whitespace-nowrap">
+                        {formatDateTime(campaign.startsAt)}
+                      </td>
+                      <td className="py-3 px-4 text-gray-800 whitespace-nowrap">
+                        {formatDateTime(campaign.endsAt)}
+                      </td>
+                      <td className="py-3 px-4">
+                        <span
+                          className={`px-2 py-1 rounded-full text-xs font-semibold capitalize ${statusStyles[status]}`}
+                        >
+                          {status}
+                        </span>
+                      </td>
+                      <td className="py-3 px-4">
+                        {canManagePromos && isOpen ? (
+                          <div className="flex space-x-2">
+                            {status === 'scheduled' && (
+                              <button
+                                onClick={() => openEditForm(campaign)}
+                                className="bg-gray-800 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg transition duration-300"
+                              >
+                                Edit
+                              </button>
+                            )}
+                            <button
+                              onClick={() => setCampaignToCancel(campaign)}
+                              className="bg-white border border-red-300 text-red-700 hover:bg-red-50 font-bold py-2 px-4 rounded-lg transition duration-300"
+                            >
+                              {status === 'active' ? 'End now' : 'Cancel'}
+                            </button>
+                          </div>
+                        ) : (
+                          <span className="text-xs text-gray-400">—</span>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {formOpen && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+          <div className="bg-white rounded-xl shadow-xl w-full max-w-lg p-6 max-h-[90vh] overflow-y-auto">
+            <h2 className="text-xl font-semibold mb-4 text-gray-800">
+              {editingId ? 'Edit campaign' : 'Schedule campaign'}
+            </h2>
+
+            {formError && (
+              <div className="mb-4 rounded-lg border border-red-200 bg-red-50 px-4 py-2 text-sm text-red-700">
+                {formError}
+              </div>
+            )}
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <label className="block text-gray-700 font-semibold mb-2">Name</label>
+                <input
+                  type="text"
+                  name="name"
+                  value={form.name}
+                  onChange={handleFormChange}
+                  placeholder="e.g. December streak boost"
+                  className={inputClassName}
+                />
+              </div>
+              <div>
+                <label className="block text-gray-700 font-semibold mb-2">Promo</label>
+                <select
+                  name="promoType"
+                  value={form.promoType}
+                  onChange={handleFormChange}
+                  disabled={!!editingId}
+                  className={inputClassName}
+                >
+                  {promoTypeKeys.map((key) => (
+                    <option key={key} value={key}>
+                      {promoTypes[key].label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-gray-700 font-semibold mb-2">Starts</label>
+                  <input
+                    type="datetime-local"
+                    name="startsAt"
+                    value={form.startsAt}
+                    onChange={handleFormChange}
+                    className={inputClassName}
+                  />
+                </div>
+                <div>
+                  <label className="block text-gray-700 font-semibold mb-2">Ends</label>
+                  <input
+                    type="datetime-local"
+                    name="endsAt"
+                    value={form.endsAt}
+                    min={form.startsAt || undefined}
+                    onChange={handleFormChange}
+                    className={inputClassName}
+                  />
+                </div>
+              </div>
+
+              <div>
+                <p className="block text-gray-700 font-semibold mb-1">Campaign values</p>
+                <p className="text-xs text-gray-500 mb-2">
+                  Leave a field empty to keep the base value during the campaign.
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  {promoTypes[form.promoType].fields.map((field) => (
+                    <div key={field.key}>
+                      <label className="block text-gray-700 text-sm mb-1">{getPromoFieldLabel(field)}</label>
+                      <input
+                        type="number"
+                        min={field.min}
+                        max={field.max}
+                        value={form.overrides[field.key] ?? ''}
+                        onChange={handleOverrideChange(field.key)}
+                        className={inputClassName}
+                      />
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              {draftOverlaps.length > 0 && (
+                <div className="rounded-lg border border-yellow-200 bg-yellow-50 px-4 py-2 text-sm text-yellow-800">
+                  <p className="flex items-center font-semibold">
+                    <ExclamationTriangleIcon className="h-4 w-4 mr-1" />
+                    Overlaps with {draftOverlaps.length} other{' '}
+                    {promoTypes[form.promoType].label} campaign
+                    {draftOverlaps.length === 1 ? '' : 's'}
+                  </p>
+                  <ul className="mt-1 list-disc list-inside">
+                    {draftOverlaps.map((campaign) => (
+                      <li key={campaign._id}>
+                        {campaign.name} ({formatDateTime(campaign.startsAt)} –{' '}
+                        {formatDateTime(campaign.endsAt)})
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              <div className="flex justify-end space-x-3 mt-6">
+                <button
+                  type="button"
+                  onClick={closeForm}
+                  disabled={saving}
+                  className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-100 transition-colors text-sm font-medium"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="px-4 py-2 rounded-lg bg-gray-800 text-white hover:bg-gray-700 transition-colors text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {saving ? 'Saving...' : editingId ? 'Save changes' : 'Schedule'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      <ConfirmationModal
+        isOpen={!!campaignToCancel}
+        onClose={() => setCampaignToCancel(null)}
+        onConfirm={handleConfirmCancel}
+        title={
+          campaignToCancel && getCampaignStatus(campaignToCancel) === 'active'
+            ? 'End campaign now'
+            : 'Cancel campaign'
+        }
+        message={`"${campaignToCancel?.name || ''}" will stop and the ${
+          promoTypes[campaignToCancel?.promoType]?.label || 'promo'
+        } program will go back to its base configuration.`}
+        confirmText="Yes, stop it"
+        icon={NoSymbolIcon}
+      />
+    </div>
+  );
+};
+
+export default PromoCampaigns;
@@ -1,19 +1,29 @@
 import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import {
   fetchPromoConfig,
+  fetchPromoConfigVersions,
+  rollbackPromoConfig,
   toggleAllPromos,
   updateGoldStatusPromo,
   updateReferralPromo,
   updateStreakPromo,
 } from '../services/promoApi';
+import PromoImpactModal from '../components/PromoImpactModal';
+import PromoHistoryDrawer from '../components/PromoHistoryDrawer';
+import { useAuth } from '../contexts/AuthContext';
+import { PERMISSIONS } from '../utils/permissions';
+import { loadPromoImpactData } from '../utils/promoImpact';
+import { diffPromoConfigs } from '../utils/promoFields';
 
-const Toggle = ({ enabled, onToggle, label }) => {
+const Toggle = ({ enabled, onToggle, label, disabled = false }) => {
   return (
     <button
       type="button"
       onClick={onToggle}
-      className="flex items-center space-x-3 focus:outline-none"
+      disabled={disabled}
+      className="flex items-center space-x-3 focus:outline-none disabled:opacity-50 disabled:cursor-not-allowed"
     >
       <div
         className={`relative inline-flex h-7 w-12 items-center rounded-full transition-colors ${
@@ -37,12 +47,25 @@ const PromoConfig = () => {
   const [error, setError] = useState(null);
   const [saving, setSaving] = useState(false);
   const [successMessage, setSuccessMessage] = useState(null);
+  // The form edits config in place, so the last saved values are kept for the impact preview.
+  const [savedConfig, setSavedConfig] = useState(null);
+  const [impactPreview, setImpactPreview] = useState(null);
+  const [impactData, setImpactData] = useState(null);
+  const [impactLoading, setImpactLoading] = useState(false);
+  const [impactError, setImpactError] = useState(null);
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [versions, setVersions] = useState([]);
+  const [versionsLoading, setVersionsLoading] = useState(false);
+  const [versionsError, setVersionsError] = useState(null);
+  const { can } = useAuth();
+  const canManagePromos = can(PERMISSIONS.PROMOS_MANAGE);
 
   useEffect(() => {
     const fetchConfig = async () => {
       try {
         const data = await fetchPromoConfig();
         setConfig(data.config);
+        setSavedConfig(data.config);
       } catch (err) {
         setError('Failed to fetch promo configuration.');
       }
@@ -52,6 +75,30 @@ const PromoConfig = () => {
     fetchConfig();
   }, []);
 
+  useEffect(() => {
+    if (!historyOpen) return;
+
+    const loadVersions = async () => {
+      try {
+        setVersionsLoading(true);
+        setVersionsError(null);
+        const data = await fetchPromoConfigVersions({ limit: 50 });
+        setVersions(data.versions || []);
+      } catch (err) {
+        const message =
+          err?.response?.data?.error ||
+          err?.response?.data?.message ||
+          'Failed to load configuration history.';
+        setVersionsError(message);
+        console.error('Failed to load promo config versions:', err);
+      } finally {
+        setVersionsLoading(false);
+      }
+    };
+
+    loadVersions();
+  }, [historyOpen]);
+
   useEffect(() => {
     if (!successMessage) return;
     const timeout = setTimeout(() => {
@@ -68,6 +115,10 @@ const PromoConfig = () => {
         ...prev,
         referral: data.config,
       }));
+      setSavedConfig((prev) => ({
+        ...prev,
+        referral: data.config,
+      }));
       const message =
         successText || 'Promo configuration updated successfully.';
       setSuccessMessage(message);
@@ -88,6 +139,10 @@ const PromoConfig = () => {
         ...prev,
         streak: data.config,
       }));
+      setSavedConfig((prev) => ({
+        ...prev,
+        streak: data.config,
+      }));
       const message =
         successText || 'Promo configuration updated successfully.';
       setSuccessMessage(message);
@@ -108,6 +163,10 @@ const PromoConfig = () => {
         ...prev,
         goldStatus: data.config,
       }));
+      setSavedConfig((prev) => ({
+        ...prev,
+        goldStatus: data.config,
+      }));
       const message =
         successText || 'Promo configuration updated successfully.';
       setSuccessMessage(message);
@@ -121,15 +180,18 @@ const PromoConfig = () => {
   };
 
   const handleToggleAll = async (enabled) => {
+    if (!canManagePromos) return;
     setSaving(true);
     try {
       await toggleAllPromos(enabled);
-      setConfig((prev) => ({
+      const applyEnabled = (prev) => ({
         ...prev,
         referral: { ...(prev?.referral || {}), enabled },
         streak: { ...(prev?.streak || {}), enabled },
         goldStatus: { ...(prev?.goldStatus || {}), enabled },
-      }));
+      });
+      setConfig(applyEnabled);
+      setSavedConfig(applyEnabled);
       const message = enabled
         ? 'All promos enabled successfully.'
         : 'All promos disabled.';
@@ -192,7 +254,7 @@ const PromoConfig = () => {
   };
 
   const toggleReferralEnabled = () => {
-    if (!config?.referral || saving) return;
+    if (!config?.referral || saving || !canManagePromos) return;
     const nextEnabled = !config.referral.enabled;
     updateReferralSection(
       { enabled: nextEnabled },
@@ -201,7 +263,7 @@ const PromoConfig = () => {
   };
 
   const toggleStreakEnabled = () => {
-    if (!config?.streak || saving) return;
+    if (!config?.streak || saving || !canManagePromos) return;
     const nextEnabled = !config.streak.enabled;
     updateStreakSection(
       { enabled: nextEnabled },
@@ -210,7 +272,7 @@ const PromoConfig = () => {
   };
 
   const toggleGoldStatusEnabled = () => {
-    if (!config?.goldStatus || saving) return;
+    if (!config?.goldStatus || saving || !canManagePromos) return;
     const nextEnabled = !config.goldStatus.enabled;
     updateGoldStatusSection(
       { enabled: nextEnabled },
@@ -218,10 +280,103 @@ const PromoConfig = () => {
     );
   };
 
-  const handleUpdateReferral = async (e) => {
+  const openImpactPreview = async (preview) => {
+    setImpactPreview(preview);
+    if (impactData || impactLoading) return;
+
+    try {
+      setImpactLoading(true);
+      setImpactError(null);
+      setImpactData(await loadPromoImpactData());
+    } catch (err) {
+      const message =
+        err?.response?.data?.error ||
+        err?.response?.data?.message ||
+        'Failed to estimate the impact of this change.';
+      setImpactError(message);
+      console.error('Failed to load promo impact data:', err);
+    } finally {
+      setImpactLoading(false);
+    }
+  };
+
+  const handleConfirmImpact = async () => {
+    if (!impactPreview) return;
+    const sectionUpdaters = {
+      referral: updateReferralSection,
+      streak: updateStreakSection,
+      goldStatus: updateGoldStatusSection,
+    };
+    if (impactPreview.rollbackVersion) {
+      await applyRollback(impactPreview.rollbackVersion);
+    } else {
+      const { promoType, payload, successText } = impactPreview;
+      await sectionUpdaters[promoType](payload, successText);
+    }
+    setImpactPreview(null);
+  };
+
+  const openSavePreview = (promoType, payload, successText) => {
+    openImpactPreview({
+      sections: [{ promoType, current: savedConfig?.[promoType], proposed: payload }],
+      promoType,
+      payload,
+      successText,
+    });
+  };
+
+  // Rollbacks go through the same impact preview as a regular save, covering
+  // every program whose settings differ from what is live.
+  const handleRollbackRequest = (version) => {
+    if (!canManagePromos) return;
+    const changedTypes = [
+      ...new Set(diffPromoConfigs(savedConfig, version.config).map((change) => change.promoType)),
+    ];
+    if (changedTypes.length === 0) {
+      toast.info(`v${version.version} matches the live configuration.`);
+      return;
+    }
+    setHistoryOpen(false);
+    openImpactPreview({
+      sections: changedTypes.map((promoType) => ({
+        promoType,
+        current: savedConfig?.[promoType],
+        proposed: version.config?.[promoType],
+      })),
+      rollbackVersion: version,
+    });
+  };
+
+  const applyRollback = async (version) => {
+    setSaving(true);
+    try {
+      const data = await rollbackPromoConfig(version._id);
+      const restored = data.config || version.config;
+      setConfig(restored);
+      setSavedConfig(restored);
+      if (data.version) {
+        setVersions((prev) => [data.version, ...prev]);
+      }
+      const message = `Promo configuration rolled back to v${version.version}.`;
+      setSuccessMessage(message);
+      toast.success(message);
+    } catch (err) {
+      const message =
+        err?.response?.data?.error ||
+        err?.response?.data?.message ||
+        'Failed to roll back promo configuration.';
+      toast.error(message);
+      console.error('Failed to roll back promo config:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUpdateReferral = (e) => {
     e.preventDefault();
-    if (!config?.referral) return;
-    await updateReferralSection(
+    if (!config?.referral || !canManagePromos) return;
+    openSavePreview(
+      'referral',
       {
         enabled: !!config.referral.enabled,
         rewardAmount:
@@ -237,10 +392,11 @@ const PromoConfig = () => {
     );
   };
 
-  const handleUpdateStreak = async (e) => {
+  const handleUpdateStreak = (e) => {
     e.preventDefault();
-    if (!config?.streak) return;
-    await updateStreakSection(
+    if (!config?.streak || !canManagePromos) return;
+    openSavePreview(
+      'streak',
       {
         enabled: !!config.streak.enabled,
         bonusAmount:
@@ -256,10 +412,11 @@ const PromoConfig = () => {
     );
   };
 
-  const handleUpdateGoldStatus = async (e) => {
+  const handleUpdateGoldStatus = (e) => {
     e.preventDefault();
-    if (!config?.goldStatus) return;
-    await updateGoldStatusSection(
+    if (!config?.goldStatus || !canManagePromos) return;
+    openSavePreview(
+      'goldStatus',
       {
         enabled: !!config.goldStatus.enabled,
         requiredRides:
@@ -298,13 +455,36 @@ const PromoConfig = () => {
 
   return (
     <div className="p-6 h-full">
-      <h1 className="text-2xl font-bold mb-4 text-gray-800">Promo Configuration</h1>
+      <div className="flex justify-between items-start mb-4">
+        <h1 className="text-2xl font-bold text-gray-800">Promo Configuration</h1>
+        <div className="flex items-center space-x-2">
+          <button
+            type="button"
+            onClick={() => setHistoryOpen(true)}
+            className="bg-white border border-gray-300 text-gray-800 px-4 py-2 rounded-lg text-sm hover:bg-gray-50 transition-colors"
+          >
+            History
+          </button>
+          <Link
+            to="/promo-campaigns"
+            className="bg-white border border-gray-300 text-gray-800 px-4 py-2 rounded-lg text-sm hover:bg-gray-50 transition-colors"
+          >
+            Scheduled campaigns
+          </Link>
+        </div>
+      </div>
+
+      {!canManagePromos && (
+        <div className="mb-4 rounded-lg border border-yellow-200 bg-yellow-50 px-4 py-2 text-sm text-yellow-700">
+          You have view-only access to promo configuration.
+        </div>
+      )}
 
       <div className="mb-6 flex flex-wrap items-center gap-4">
         <button
           type="button"
           onClick={() => handleToggleAll(true)}
-          disabled={saving}
+          disabled={saving || !canManagePromos}
           className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-lg transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
         >
           Enable all promos
@@ -312,7 +492,7 @@ const PromoConfig = () => {
         <button
           type="button"
           onClick={() => handleToggleAll(false)}
-          disabled={saving}
+          disabled={saving || !canManagePromos}
           className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-lg transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
         >
           Disable all promos
@@ -333,6 +513,7 @@ const PromoConfig = () => {
                 enabled={!!config.referral?.enabled}
                 onToggle={toggleReferralEnabled}
                 label="Enable referral program"
+                disabled={!canManagePromos}
               />
             </div>
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
@@ -365,10 +546,10 @@ const PromoConfig = () => {
             </div>
             <button
               type="submit"
-              disabled={saving}
+              disabled={saving || !canManagePromos}
               className="bg-gray-800 text-white font-bold py-2 px-4 rounded-lg hover:bg-gray-700 transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
             >
-              Save referral settings
+              Preview and save referral settings
             </button>
           </form>
 
@@ -384,6 +565,7 @@ const PromoConfig = () => {
                 enabled={!!config.streak?.enabled}
                 onToggle={toggleStreakEnabled}
                 label="Enable streak bonus"
+                disabled={!canManagePromos}
               />
             </div>
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
@@ -416,10 +598,10 @@ const PromoConfig = () => {
             </div>
             <button
               type="submit"
-              disabled={saving}
+              disabled={saving || !canManagePromos}
               className="bg-gray-800 text-white font-bold py-2 px-4 rounded-lg hover:bg-gray-700 transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
             >
-              Save streak settings
+              Preview and save streak settings
             </button>
           </form>
 
@@ -435,6 +617,7 @@ const PromoConfig = () => {
                 enabled={!!config.goldStatus?.enabled}
                 onToggle={toggleGoldStatusEnabled}
                 label="Enable Gold Status"
+                disabled={!canManagePromos}
               />
             </div>
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
@@ -494,15 +677,41 @@ const PromoConfig = () => {
             </div>
             <button
               type="submit"
-              disabled={saving}
+              disabled={saving || !canManagePromos}
               className="bg-gray-800 text-white font-bold py-2 px-4 rounded-lg hover:bg-gray-700 transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
             >
-              Save Gold Status settings
+              Preview and save Gold Status settings
             </button>
           </form>
         </div>
       )}
 
+      <PromoHistoryDrawer
+        open={historyOpen}
+        versions={versions}
+        loading={versionsLoading}
+        error={versionsError}
+        canRollback={canManagePromos}
+        onRollback={handleRollbackRequest}
+        onClose={() => setHistoryOpen(false)}
+      />
+
+      <PromoImpactModal
+        sections={impactPreview?.sections}
+        {...(impactPreview?.rollbackVersion && {
+          title: `Roll back to v${impactPreview.rollbackVersion.version}`,
+          description: 'These programs will return to the settings saved in this version.',
+          confirmText: 'Roll back',
+          cancelText: 'Cancel',
+        })}
+        data={impactData}
+        loading={impactLoading}
+        error={impactError}
+        saving={saving}
+        onConfirm={handleConfirmImpact}
+        onCancel={() => setImpactPreview(null)}
+      />
+
       {successMessage && (
         <div className="fixed inset-0 z-50 flex items-end justify-end pointer-events-none">
           <div className="m-4 pointer-events-auto">
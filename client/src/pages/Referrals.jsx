@@ -1,18 +1,95 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
+import { toast } from 'react-toastify';
 import Loader from '../components/Loader';
 import EmptyState from '../components/EmptyState';
-import { CheckCircleIcon, ClockIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import ExportButton from '../components/ExportButton';
+import ConfirmationModal from '../components/ConfirmationModal';
+import ReferralFraudPanel from '../components/ReferralFraudPanel';
+import ReferralRewardModal from '../components/ReferralRewardModal';
+import HistoryLink from '../components/HistoryLink';
+import UserLink from '../components/UserLink';
+import {
+  CheckCircleIcon,
+  ClockIcon,
+  PauseCircleIcon,
+  XMarkIcon,
+} from '@heroicons/react/24/outline';
 import {
   getAdminReferralStats,
   getPaidReferrals,
   getPendingReferrals,
   getReferralsByReferrer,
+  holdReferralReward,
+  releaseReferralHold,
 } from '../services/adminApi';
+import { fetchPromoConfig } from '../services/promoApi';
+import { useAuth } from '../contexts/AuthContext';
+import { PERMISSIONS } from '../utils/permissions';
+import { getReferralFlags, referralFlagLabels } from '../utils/referralFraud';
+
+const baseExportColumns = [
+  { key: 'referrerName', header: 'Referrer', value: (referral) => referral.referrer?.name },
+  {
+    key: 'referrerEmail',
+    header: 'Referrer Email',
+    value: (referral) => referral.referrer?.email,
+  },
+  {
+    key: 'referrerPhone',
+    header: 'Referrer Phone',
+    value: (referral) => referral.referrer?.phone,
+  },
+  {
+    key: 'referralCode',
+    header: 'Referral Code',
+    value: (referral) => referral.referrer?.referralCode,
+  },
+  {
+    key: 'referredName',
+    header: 'Referred User',
+    value: (referral) => referral.referredUser?.name,
+  },
+  {
+    key: 'referredEmail',
+    header: 'Referred Email',
+    value: (referral) => referral.referredUser?.email,
+  },
+  {
+    key: 'referredPhone',
+    header: 'Referred Phone',
+    value: (referral) => referral.referredUser?.phone,
+  },
+  { key: 'completedTrips', header: 'Completed Trips', type: 'number' },
+  { key: 'rewardAmount', header: 'Reward Amount', type: 'currency' },
+];
+
+const pendingExportColumns = [
+  ...baseExportColumns,
+  { key: 'createdAt', header: 'Created At', type: 'date' },
+];
+
+const paidExportColumns = [
+  ...baseExportColumns,
+  { key: 'paidAt', header: 'Paid At', type: 'date' },
+  {
+    key: 'transactionId',
+    header: 'Transaction ID',
+    value: (referral) => referral.transactionId || referral.paymentReference,
+  },
+  {
+    key: 'paidBy',
+    header: 'Paid By',
+    value: (referral) => referral.paidBy?.fullName || referral.paidBy?.email,
+  },
+];
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || '';
 
 const ReferrerDetailsModal = ({ isOpen, onClose, details }) => {
   if (!isOpen || !details) return null;
 
   const { referrer, requiredTrips, rewardAmount, referrals } = details;
+  const flags = getReferralFlags(referrer, referrals, requiredTrips);
 
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-NG', {
@@ -116,6 +193,9 @@ const ReferrerDetailsModal = ({ isOpen, onClose, details }) => {
                   <th className="py-3 px-4 text-left text-gray-600 font-semibold">
                     Payment
                   </th>
+                  <th className="py-3 px-4 text-left text-gray-600 font-semibold">
+                    Signals
+                  </th>
                   <th className="py-3 px-4 text-left text-gray-600 font-semibold">
                     Referred At
                   </th>
@@ -133,9 +213,13 @@ const ReferrerDetailsModal = ({ isOpen, onClose, details }) => {
                     >
                       <td className="py-3 px-4 text-gray-800">
                         <div className="flex flex-col">
-                          <span className="font-semibold">
+                          <UserLink
+                            type={referral.referredUser?.role}
+                            userId={referral.referredUser?.id}
+                            className="font-semibold"
+                          >
                             {referral.referredUser?.name}
-                          </span>
+                          </UserLink>
                           <span className="text-xs text-gray-500">
                             {referral.referredUser?.role}
                           </span>
@@ -177,12 +261,31 @@ const ReferrerDetailsModal = ({ isOpen, onClose, details }) => {
                               Paid to referrer
                             </span>
                           </div>
+                        ) : referral.onHold ? (
+                          <span className="text-sm text-orange-600">On hold</span>
                         ) : (
                           <span className="text-sm text-yellow-600">
                             Not yet paid
                           </span>
                         )}
                       </td>
+                      <td className="py-3 px-4">
+                        {flags[referral.id] ? (
+                          <div className="flex flex-wrap gap-1">
+                            {flags[referral.id].map((flag) => (
+                              <span
+                                key={flag.type}
+                                title={flag.detail}
+                                className="px-2 py-0.5 rounded-full text-xs font-semibold bg-red-100 text-red-700"
+                              >
+                                {referralFlagLabels[flag.type]}
+                              </span>
+                            ))}
+                          </div>
+                        ) : (
+                          <span className="text-xs text-gray-400">None</span>
+                        )}
+                      </td>
                       <td className="py-3 px-4 text-sm text-gray-800">
                         {formatDateTime(referral.createdAt)}
                       </td>
@@ -215,6 +318,15 @@ const Referrals = () => {
   const [referrerDetails, setReferrerDetails] = useState(null);
   const [referrerModalLoading, setReferrerModalLoading] = useState(false);
   const [referrerModalError, setReferrerModalError] = useState(null);
+  const [pendingHold, setPendingHold] = useState(null);
+  const [holdReason, setHoldReason] = useState('');
+  const [selectedReferralIds, setSelectedReferralIds] = useState([]);
+  const [rewardRun, setRewardRun] = useState(null);
+  const [paidRefreshKey, setPaidRefreshKey] = useState(0);
+  const [requiredTrips, setRequiredTrips] = useState(null);
+  const { can } = useAuth();
+  const canManageReferrals = can(PERMISSIONS.REFERRALS_MANAGE);
+  const canViewPromos = can(PERMISSIONS.PROMOS_VIEW);
 
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-NG', {
@@ -254,6 +366,28 @@ const Referrals = () => {
     fetchInitialData();
   }, []);
 
+  // The fast-qualification check needs the live trip requirement, which the
+  // referral stats do not carry. Admins without promos:view pick it up from
+  // the first referrer they open instead.
+  useEffect(() => {
+    if (!canViewPromos) return;
+    let cancelled = false;
+    const loadRequiredTrips = async () => {
+      try {
+        const data = await fetchPromoConfig();
+        const trips = Number(data?.config?.referral?.requiredTrips);
+        if (!cancelled && trips > 0) setRequiredTrips(trips);
+      } catch (err) {
+        console.error('Failed to load referral promo settings:', err);
+      }
+    };
+
+    loadRequiredTrips();
+    return () => {
+      cancelled = true;
+    };
+  }, [canViewPromos]);
+
   useEffect(() => {
     const fetchPaidReferrals = async () => {
       if (activeTab !== 'paid') {
@@ -286,7 +420,188 @@ const Referrals = () => {
     };
 
     fetchPaidReferrals();
-  }, [activeTab, paidPagination.page, paidPagination.limit]);
+  }, [activeTab, paidPagination.page, paidPagination.limit, paidRefreshKey]);
+
+  // Pending referrals grouped by referrer, keeping only referrers with at least
+  // one flagged referee. Trip and qualification details come with each referral
+  // when the API has them; the checks that need them are skipped otherwise.
+  const fraudGroups = useMemo(() => {
+    const byReferrer = new Map();
+    pendingReferrals.forEach((referral) => {
+      const key = referral.referrer?.id || 'unknown';
+      if (!byReferrer.has(key)) {
+        byReferrer.set(key, { referrer: referral.referrer, referrals: [] });
+      }
+      byReferrer.get(key).referrals.push(referral);
+    });
+    return [...byReferrer.values()]
+      .map((group) => ({
+        ...group,
+        flags: getReferralFlags(group.referrer, group.referrals, requiredTrips),
+      }))
+      .filter((group) => Object.keys(group.flags).length > 0);
+  }, [pendingReferrals, requiredTrips]);
+
+  const flaggedCount = fraudGroups.reduce(
+    (total, group) => total + Object.keys(group.flags).length,
+    0
+  );
+
+  const applyReferralUpdate = (referralId, changes) => {
+    const merge = (referral) =>
+      referral.id === referralId ? { ...referral, ...changes } : referral;
+    setPendingReferrals((prev) => prev.map(merge));
+    setReferrerDetails((prev) =>
+      prev ? { ...prev, referrals: prev.referrals.map(merge) } : prev
+    );
+  };
+
+  const closeHold = () => {
+    setPendingHold(null);
+    setHoldReason('');
+  };
+
+  const handleConfirmHold = async () => {
+    if (!pendingHold) return;
+    const { referral, action } = pendingHold;
+    const trimmedReason = holdReason.trim();
+
+    try {
+      if (action === 'hold') {
+        const response = await holdReferralReward(referral.id, trimmedReason);
+        applyReferralUpdate(referral.id, {
+          onHold: true,
+          holdReason: trimmedReason,
+          heldAt: new Date().toISOString(),
+          ...(response?.referral || {}),
+        });
+        toast.success('Referral reward put on hold.');
+      } else {
+        const response = await releaseReferralHold(referral.id);
+        applyReferralUpdate(referral.id, {
+          onHold: false,
+          holdReason: null,
+          heldAt: null,
+          ...(response?.referral || {}),
+        });
+        toast.success('Referral reward released for payment.');
+      }
+    } catch (err) {
+      const message =
+        err?.response?.data?.error ||
+        err?.response?.data?.message ||
+        'Failed to update referral hold.';
+      toast.error(message);
+      console.error('Failed to update referral hold:', err);
+    }
+  };
+
+  // Approved rewards are still unpaid, so the API returns them with the pending
+  // ones. They leave the pending queue and are listed on the Paid tab, above the
+  // payment history, until the transfer is marked.
+  const queuedReferrals = pendingReferrals.filter(
+    (referral) => referral.rewardStatus !== 'approved'
+  );
+  const approvedReferrals = pendingReferrals.filter(
+    (referral) => referral.rewardStatus === 'approved'
+  );
+  const visibleReferrals = activeTab === 'paid' ? approvedReferrals : queuedReferrals;
+  const canSelectRewards = activeTab === 'pending' || activeTab === 'paid';
+
+  // Held rewards stay out of every payment action until the hold is released.
+  const actionableReferrals = visibleReferrals.filter((referral) => !referral.onHold);
+  const selectedReferrals = actionableReferrals.filter((referral) =>
+    selectedReferralIds.includes(referral.id)
+  );
+  const allSelected =
+    actionableReferrals.length > 0 &&
+    actionableReferrals.every((referral) => selectedReferralIds.includes(referral.id));
+
+  const handleToggleSelectReferral = (referralId) => {
+    setSelectedReferralIds((prev) =>
+      prev.includes(referralId) ? prev.filter((id) => id !== referralId) : [...prev, referralId]
+    );
+  };
+
+  const handleToggleSelectAll = () => {
+    setSelectedReferralIds(allSelected ? [] : actionableReferrals.map((referral) => referral.id));
+  };
+
+  const handleChangeTab = (tab) => {
+    setActiveTab(tab);
+    setSelectedReferralIds([]);
+  };
+
+  const handleOpenRewardRun = (action, referrals) => {
+    if (!canManageReferrals || referrals.length === 0) return;
+    setRewardRun({ action, referrals });
+  };
+
+  const handleRewardItemSuccess = (action, referral, { reference, response }) => {
+    // Approved rewards move to the Paid tab until the transfer is marked.
+    if (action === 'approve') {
+      applyReferralUpdate(referral.id, {
+        rewardStatus: 'approved',
+        approvedAt: new Date().toISOString(),
+        paymentReference: reference || referral.paymentReference,
+        ...(response?.referral || {}),
+      });
+      return;
+    }
+
+    // Paid and rejected rewards leave the pending queue; paid ones show up on
+    // the Paid tab, which refetches whenever it is opened.
+    setPendingReferrals((prev) => prev.filter((item) => item.id !== referral.id));
+    setReferrerDetails((prev) =>
+      prev
+        ? {
+            ...prev,
+            referrals: prev.referrals.map((item) =>
+              item.id === referral.id && action === 'pay'
+                ? { ...item, rewardPaid: true, paidAt: new Date().toISOString() }
+                : item
+            ),
+          }
+        : prev
+    );
+    setStats((prev) =>
+      prev
+        ? {
+            ...prev,
+            pendingRewards: Math.max(0, (prev.pendingRewards || 0) - 1),
+            ...(action === 'pay' && {
+              paidRewards: (prev.paidRewards || 0) + 1,
+              totalRewardAmountPaid:
+                (prev.totalRewardAmountPaid || 0) + (referral.rewardAmount || 0),
+            }),
+          }
+        : prev
+    );
+  };
+
+  const handleCloseRewardRun = (results) => {
+    const succeededIds = Object.entries(results || {})
+      .filter(([, result]) => result.status === 'success')
+      .map(([id]) => id);
+    setSelectedReferralIds((prev) => prev.filter((id) => !succeededIds.includes(id)));
+    if (rewardRun?.action === 'pay' && succeededIds.length > 0) {
+      setPaidRefreshKey((prev) => prev + 1);
+    }
+    setRewardRun(null);
+  };
+
+  const fetchPendingExportPage = async () => {
+    const response = await getPendingReferrals();
+    const items = (response.referrals || []).filter(
+      (referral) => referral.rewardStatus !== 'approved'
+    );
+    return { items, totalPages: 1 };
+  };
+
+  const fetchPaidExportPage = async (page, limit) => {
+    const response = await getPaidReferrals({ page, limit });
+    return { items: response.referrals || [], totalPages: response.totalPages };
+  };
 
   const handleChangePage = (direction) => {
     setPaidPagination((prev) => {
@@ -326,7 +641,7 @@ const Referrals = () => {
   };
 
   const renderPendingTable = () => {
-    if (pendingReferrals.length === 0) {
+    if (visibleReferrals.length === 0) {
       return (
         <EmptyState
           type="referrals"
@@ -341,6 +656,17 @@ const Referrals = () => {
         <table className="min-w-full bg-white">
           <thead>
             <tr className="bg-gray-100">
+              {canManageReferrals && (
+                <th className="py-3 px-4">
+                  <input
+                    type="checkbox"
+                    checked={allSelected}
+                    onChange={handleToggleSelectAll}
+                    disabled={actionableReferrals.length === 0}
+                    className="form-checkbox h-4 w-4 text-accent-blue border-gray-300 rounded focus:ring-accent-blue disabled:opacity-40"
+                  />
+                </th>
+              )}
               <th className="py-3 px-4 text-left text-gray-600 font-semibold">Referrer</th>
               <th className="py-3 px-4 text-left text-gray-600 font-semibold">Referrer Email</th>
               <th className="py-3 px-4 text-left text-gray-600 font-semibold">Referrer Phone</th>
@@ -352,16 +678,38 @@ const Referrals = () => {
               <th className="py-3 px-4 text-right text-gray-600 font-semibold">Reward Amount</th>
               <th className="py-3 px-4 text-left text-gray-600 font-semibold">Created At</th>
               <th className="py-3 px-4 text-center text-gray-600 font-semibold">Referees</th>
+              {canManageReferrals && (
+                <th className="py-3 px-4 text-center text-gray-600 font-semibold">Actions</th>
+              )}
             </tr>
           </thead>
           <tbody>
-            {pendingReferrals.map((referral) => (
+            {visibleReferrals.map((referral) => (
               <tr key={referral.id} className="border-b border-gray-200 hover:bg-gray-50">
-                <td className="py-3 px-4 text-gray-800">{referral.referrer?.name}</td>
+                {canManageReferrals && (
+                  <td className="py-3 px-4">
+                    <input
+                      type="checkbox"
+                      checked={selectedReferralIds.includes(referral.id)}
+                      onChange={() => handleToggleSelectReferral(referral.id)}
+                      disabled={referral.onHold}
+                      className="form-checkbox h-4 w-4 text-accent-blue border-gray-300 rounded focus:ring-accent-blue disabled:opacity-40"
+                    />
+                  </td>
+                )}
+                <td className="py-3 px-4 text-gray-800">
+                  <UserLink type={referral.referrer?.role} userId={referral.referrer?.id}>
+                    {referral.referrer?.name}
+                  </UserLink>
+                </td>
                 <td className="py-3 px-4 text-gray-800">{referral.referrer?.email}</td>
                 <td className="py-3 px-4 text-gray-800">{referral.referrer?.phone}</td>
                 <td className="py-3 px-4 text-gray-800">{referral.referrer?.referralCode}</td>
-                <td className="py-3 px-4 text-gray-800">{referral.referredUser?.name}</td>
+                <td className="py-3 px-4 text-gray-800">
+                  <UserLink type={referral.referredUser?.role} userId={referral.referredUser?.id}>
+                    {referral.referredUser?.name}
+                  </UserLink>
+                </td>
                 <td className="py-3 px-4 text-gray-800">{referral.referredUser?.email}</td>
                 <td className="py-3 px-4 text-gray-800">{referral.referredUser?.phone}</td>
                 <td className="py-3 px-4 text-center text-gray-800">
@@ -369,6 +717,9 @@ const Referrals = () => {
                 </td>
                 <td className="py-3 px-4 text-right text-gray-800">
                   {formatCurrency(referral.rewardAmount)}
+                  {referral.onHold && (
+                    <span className="block text-xs font-semibold text-orange-600">On hold</span>
+                  )}
                 </td>
                 <td className="py-3 px-4 text-gray-800">
                   {formatDateTime(referral.createdAt)}
@@ -382,7 +733,44 @@ const Referrals = () => {
                   >
                     View referees
                   </button>
+                  {referral.rewardStatus === 'approved' && (
+                    <div className="mt-1">
+                      <HistoryLink entityType="referral" entityId={referral.id} label="History" />
+                    </div>
+                  )}
                 </td>
+                {canManageReferrals && (
+                  <td className="py-3 px-4">
+                    <div className="flex items-center justify-center space-x-2">
+                      {referral.rewardStatus !== 'approved' && (
+                        <button
+                          type="button"
+                          onClick={() => handleOpenRewardRun('approve', [referral])}
+                          disabled={referral.onHold}
+                          className="px-3 py-1 rounded-lg border border-gray-300 text-gray-800 hover:bg-gray-100 text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          Approve
+                        </button>
+                      )}
+                      <button
+                        type="button"
+                        onClick={() => handleOpenRewardRun('pay', [referral])}
+                        disabled={referral.onHold}
+                        className="px-3 py-1 rounded-lg bg-green-600 hover:bg-green-700 text-white text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        Pay
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleOpenRewardRun('reject', [referral])}
+                        disabled={referral.onHold}
+                        className="px-3 py-1 rounded-lg border border-red-300 text-red-700 hover:bg-red-50 text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        Reject
+                      </button>
+                    </div>
+                  </td>
+                )}
               </tr>
             ))}
           </tbody>
@@ -419,16 +807,27 @@ const Referrals = () => {
                 <th className="py-3 px-4 text-right text-gray-600 font-semibold">Reward Amount</th>
                 <th className="py-3 px-4 text-left text-gray-600 font-semibold">Paid At</th>
                 <th className="py-3 px-4 text-left text-gray-600 font-semibold">Transaction ID</th>
+                <th className="py-3 px-4 text-left text-gray-600 font-semibold">Paid By</th>
+                <th className="py-3 px-4 text-center text-gray-600 font-semibold">Proof</th>
+                <th className="py-3 px-4 text-left text-gray-600 font-semibold">History</th>
               </tr>
             </thead>
             <tbody>
               {paidReferrals.map((referral) => (
                 <tr key={referral.id} className="border-b border-gray-200 hover:bg-gray-50">
-                  <td className="py-3 px-4 text-gray-800">{referral.referrer?.name}</td>
+                  <td className="py-3 px-4 text-gray-800">
+                  <UserLink type={referral.referrer?.role} userId={referral.referrer?.id}>
+                    {referral.referrer?.name}
+                  </UserLink>
+                </td>
                   <td className="py-3 px-4 text-gray-800">{referral.referrer?.email}</td>
                   <td className="py-3 px-4 text-gray-800">{referral.referrer?.phone}</td>
                   <td className="py-3 px-4 text-gray-800">{referral.referrer?.referralCode}</td>
-                  <td className="py-3 px-4 text-gray-800">{referral.referredUser?.name}</td>
+                  <td className="py-3 px-4 text-gray-800">
+                  <UserLink type={referral.referredUser?.role} userId={referral.referredUser?.id}>
+                    {referral.referredUser?.name}
+                  </UserLink>
+                </td>
                   <td className="py-3 px-4 text-gray-800">{referral.referredUser?.email}</td>
                   <td className="py-3 px-4 text-gray-800">{referral.referredUser?.phone}</td>
                   <td className="py-3 px-4 text-center text-gray-800">
@@ -439,7 +838,27 @@ const Referrals = () => {
                   </td>
                   <td className="py-3 px-4 text-gray-800">{formatDateTime(referral.paidAt)}</td>
                   <td className="py-3 px-4 text-gray-800">
-                    {referral.transactionId || 'N/A'}
+                    {referral.transactionId || referral.paymentReference || 'N/A'}
+                  </td>
+                  <td className="py-3 px-4 text-gray-800">
+                    {referral.paidBy?.fullName || referral.paidBy?.email || 'N/A'}
+                  </td>
+                  <td className="py-3 px-4 text-center">
+                    {referral.paymentProof ? (
+                      <a
+                        href={API_BASE_URL ? `${API_BASE_URL}${referral.paymentProof}` : referral.paymentProof}
+                        target="_blank"
+                        rel="noreferrer"
+                        className="text-sm text-accent-blue hover:underline"
+                      >
+                        View
+                      </a>
+                    ) : (
+                      <span className="text-xs text-gray-400">—</span>
+                    )}
+                  </td>
+                  <td className="py-3 px-4">
+                    <HistoryLink entityType="referral" entityId={referral.id} label="History" />
                   </td>
                 </tr>
               ))}
@@ -486,6 +905,7 @@ const Referrals = () => {
         );
         return;
       }
+      if (!canViewPromos && data.requiredTrips) setRequiredTrips(data.requiredTrips);
       setReferrerDetails({
         referrer: data.referrer,
         requiredTrips: data.requiredTrips,
@@ -522,38 +942,169 @@ const Referrals = () => {
 
       {renderStats()}
 
-      <div className="flex space-x-4 mb-4">
-        <button
-          type="button"
-          onClick={() => setActiveTab('pending')}
-          className={`px-4 py-2 rounded-lg font-semibold ${
-            activeTab === 'pending'
-              ? 'bg-gray-800 text-white'
-              : 'bg-white text-gray-800 border border-gray-300'
-          }`}
-        >
-          Pending Rewards
-        </button>
-        <button
-          type="button"
-          onClick={() => setActiveTab('paid')}
-          className={`px-4 py-2 rounded-lg font-semibold ${
-            activeTab === 'paid'
-              ? 'bg-gray-800 text-white'
-              : 'bg-white text-gray-800 border border-gray-300'
-          }`}
-        >
-          Paid Rewards
-        </button>
+      <div className="flex justify-between items-center mb-4">
+        <div className="flex space-x-4">
+          <button
+            type="button"
+            onClick={() => handleChangeTab('pending')}
+            className={`px-4 py-2 rounded-lg font-semibold ${
+              activeTab === 'pending'
+                ? 'bg-gray-800 text-white'
+                : 'bg-white text-gray-800 border border-gray-300'
+            }`}
+          >
+            Pending Rewards
+          </button>
+          <button
+            type="button"
+            onClick={() => handleChangeTab('paid')}
+            className={`px-4 py-2 rounded-lg font-semibold ${
+              activeTab === 'paid'
+                ? 'bg-gray-800 text-white'
+                : 'bg-white text-gray-800 border border-gray-300'
+            }`}
+          >
+            Paid Rewards
+            {approvedReferrals.length > 0 && (
+              <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-blue-600 text-white">
+                {approvedReferrals.length}
+              </span>
+            )}
+          </button>
+          <button
+            type="button"
+            onClick={() => handleChangeTab('fraud')}
+            className={`px-4 py-2 rounded-lg font-semibold ${
+              activeTab === 'fraud'
+                ? 'bg-gray-800 text-white'
+                : 'bg-white text-gray-800 border border-gray-300'
+            }`}
+          >
+            Fraud Review
+            {flaggedCount > 0 && (
+              <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-red-600 text-white">
+                {flaggedCount}
+              </span>
+            )}
+          </button>
+        </div>
+        {activeTab === 'fraud' ? null : activeTab === 'pending' ? (
+          <ExportButton
+            key="pending"
+            columns={pendingExportColumns}
+            fetchPage={fetchPendingExportPage}
+            fileName="referrals-pending"
+          />
+        ) : (
+          <ExportButton
+            key="paid"
+            columns={paidExportColumns}
+            fetchPage={fetchPaidExportPage}
+            fileName="referrals-paid"
+          />
+        )}
       </div>
 
-      {activeTab === 'pending' ? renderPendingTable() : renderPaidTable()}
+      {canSelectRewards && canManageReferrals && selectedReferrals.length > 0 && (
+        <div className="mb-4 flex flex-wrap items-center justify-between gap-3 rounded-lg border border-blue-200 bg-blue-50 px-4 py-3">
+          <span className="text-sm text-gray-800">
+            <span className="font-semibold">{selectedReferrals.length}</span> referral
+            {selectedReferrals.length === 1 ? '' : 's'} selected
+          </span>
+          <div className="flex items-center space-x-3">
+            <button
+              type="button"
+              onClick={() => setSelectedReferralIds([])}
+              className="text-sm text-gray-600 hover:underline"
+            >
+              Clear selection
+            </button>
+            <button
+              type="button"
+              onClick={() => handleOpenRewardRun('reject', selectedReferrals)}
+              className="px-4 py-2 rounded-lg border border-red-300 bg-white text-red-700 hover:bg-red-50 transition-colors text-sm font-semibold"
+            >
+              Reject selected
+            </button>
+            {activeTab === 'pending' && (
+              <button
+                type="button"
+                onClick={() => handleOpenRewardRun('approve', selectedReferrals)}
+                className="px-4 py-2 rounded-lg border border-gray-300 bg-white text-gray-800 hover:bg-gray-100 transition-colors text-sm font-semibold"
+              >
+                Approve selected
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={() => handleOpenRewardRun('pay', selectedReferrals)}
+              className="px-4 py-2 rounded-lg bg-gray-800 text-white hover:bg-gray-700 transition-colors text-sm font-semibold"
+            >
+              Pay selected
+            </button>
+          </div>
+        </div>
+      )}
+      {activeTab === 'pending' && renderPendingTable()}
+      {activeTab === 'paid' && (
+        <>
+          {approvedReferrals.length > 0 && (
+            <div className="mb-6">
+              <h2 className="text-lg font-semibold text-gray-800 mb-2">
+                Approved, awaiting payment
+              </h2>
+              {renderPendingTable()}
+            </div>
+          )}
+          {renderPaidTable()}
+        </>
+      )}
+      {activeTab === 'fraud' && (
+        <ReferralFraudPanel
+          groups={fraudGroups}
+          canManage={canManageReferrals}
+          onHold={(referral) => setPendingHold({ referral, action: 'hold' })}
+          onRelease={(referral) => setPendingHold({ referral, action: 'release' })}
+          onViewReferees={handleViewReferees}
+        />
+      )}
 
       <ReferrerDetailsModal
         isOpen={referrerModalOpen}
         onClose={handleCloseReferrerModal}
         details={referrerDetails}
       />
+      <ReferralRewardModal
+        key={rewardRun ? `${rewardRun.action}-${rewardRun.referrals.length}` : 'closed'}
+        action={rewardRun?.action}
+        referrals={rewardRun?.referrals || []}
+        onClose={handleCloseRewardRun}
+        onItemSuccess={handleRewardItemSuccess}
+      />
+      <ConfirmationModal
+        isOpen={!!pendingHold}
+        onClose={closeHold}
+        onConfirm={handleConfirmHold}
+        title={pendingHold?.action === 'hold' ? 'Hold referral reward' : 'Release referral reward'}
+        message={
+          pendingHold?.action === 'hold'
+            ? `The reward for ${pendingHold.referral.referredUser?.name || 'this referee'} will not be paid until the hold is released.`
+            : `The reward for ${pendingHold?.referral.referredUser?.name || 'this referee'} will go back into the payment queue.`
+        }
+        confirmText={pendingHold?.action === 'hold' ? 'Hold reward' : 'Release'}
+        icon={PauseCircleIcon}
+        confirmDisabled={pendingHold?.action === 'hold' && !holdReason.trim()}
+      >
+        {pendingHold?.action === 'hold' && (
+          <textarea
+            value={holdReason}
+            onChange={(e) => setHoldReason(e.target.value)}
+            rows={3}
+            placeholder="Why is this reward being held? (required)"
+            className="w-full bg-nav-light text-white text-sm px-3 py-2 rounded-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-accent-blue"
+          />
+        )}
+      </ConfirmationModal>
       {referrerModalLoading && (
         <div className="fixed inset-0 flex items-center justify-center bg-white bg-opacity-50 backdrop-blur-sm z-40">
           <Loader />
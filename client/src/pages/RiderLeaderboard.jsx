@@ -0,0 +1,203 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import Loader from '../components/Loader';
+import UserLink from '../components/UserLink';
+import EmptyState from '../components/EmptyState';
+import ExportButton from '../components/ExportButton';
+import useUrlFilters from '../hooks/useUrlFilters';
+import {
+  getScorecardKpi,
+  getScorecardRange,
+  loadRiderScorecards,
+  scorecardKpis,
+  scorecardPeriods,
+  sortScorecards,
+} from '../utils/riderScorecards';
+
+const kpiExportTypes = {
+  earnings: 'currency',
+  commissionOwed: 'currency',
+};
+
+const RiderLeaderboard = () => {
+  const [filters, setFilters] = useUrlFilters({ period: '30d', sort: 'completedOrders' });
+  const [scorecards, setScorecards] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const sortKpi = getScorecardKpi(filters.sort);
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchScorecards = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const ranked = await loadRiderScorecards(getScorecardRange(filters.period));
+        if (!cancelled) setScorecards(ranked);
+      } catch (err) {
+        if (cancelled) return;
+        setError(
+          err?.response?.data?.error ||
+            err?.response?.data?.message ||
+            'Failed to load rider scorecards.'
+        );
+        console.error('Failed to load rider scorecards:', err);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchScorecards();
+    return () => {
+      cancelled = true;
+    };
+  }, [filters.period]);
+
+  const sorted = useMemo(
+    () => sortScorecards(scorecards, sortKpi.key),
+    [scorecards, sortKpi.key]
+  );
+
+  const exportColumns = useMemo(
+    () => [
+      {
+        key: 'rank',
+        header: `Rank (${sortKpi.label})`,
+        type: 'number',
+        value: (row) => row.kpis[sortKpi.key].rank,
+      },
+      { key: 'fullName', header: 'Rider' },
+      { key: 'email', header: 'Email', defaultHidden: true },
+      ...scorecardKpis.map((kpi) => ({
+        key: kpi.key,
+        header: kpi.label,
+        type: kpiExportTypes[kpi.key] || 'number',
+        value: (row) => row.kpis[kpi.key].value,
+      })),
+    ],
+    [sortKpi]
+  );
+
+  // The leaderboard is already fully loaded and sorted, so the export is a single page.
+  const fetchExportPage = async () => ({ items: sorted, totalPages: 1 });
+
+  const period = scorecardPeriods.find((item) => item.key === filters.period);
+
+  return (
+    <div className="p-6 h-full">
+      <div className="flex justify-between items-start mb-6">
+        <div>
+          <h1 className="text-2xl font-bold mb-1 text-gray-800">Rider Leaderboard</h1>
+          <p className="text-gray-600">
+            Compare riders on delivery, acceptance and earnings KPIs.
+          </p>
+        </div>
+        <ExportButton
+          key={`${filters.period}-${sortKpi.key}`}
+          columns={exportColumns}
+          fetchPage={fetchExportPage}
+          fileName={`rider-leaderboard-${filters.period}`}
+          disabled={loading || sorted.length === 0}
+        />
+      </div>
+
+      <div className="mb-4 flex flex-wrap gap-4">
+        <select
+          value={filters.period}
+          onChange={(e) => setFilters((prev) => ({ ...prev, period: e.target.value }))}
+          className="bg-white text-gray-800 px-4 py-2 rounded-lg border border-gray-300 focus:outline-none focus:ring-2 focus:ring-accent-blue"
+        >
+          {scorecardPeriods.map((item) => (
+            <option key={item.key} value={item.key}>
+              {item.label}
+            </option>
+          ))}
+        </select>
+        <select
+          value={sortKpi.key}
+          onChange={(e) => setFilters((prev) => ({ ...prev, sort: e.target.value }))}
+          className="bg-white text-gray-800 px-4 py-2 rounded-lg border border-gray-300 focus:outline-none focus:ring-2 focus:ring-accent-blue"
+        >
+          {scorecardKpis.map((kpi) => (
+            <option key={kpi.key} value={kpi.key}>
+              Sort by {kpi.label.toLowerCase()}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {error && (
+        <div className="mb-4 rounded-lg border border-red-200 bg-red-50 px-4 py-2 text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <Loader />
+      ) : sorted.length === 0 ? (
+        <EmptyState
+          type="generic"
+          title="No rider activity"
+          description={`No riders handled orders in the ${
+            period ? period.label.toLowerCase() : 'selected period'
+          }.`}
+        />
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full bg-white">
+            <thead>
+              <tr className="bg-gray-100">
+                <th className="py-3 px-4 text-left text-gray-600 font-semibold">#</th>
+                <th className="py-3 px-4 text-left text-gray-600 font-semibold">Rider</th>
+                {scorecardKpis.map((kpi) => (
+                  <th
+                    key={kpi.key}
+                    className={`py-3 px-4 text-right font-semibold ${
+                      kpi.key === sortKpi.key ? 'text-gray-800' : 'text-gray-600'
+                    }`}
+                  >
+                    <button
+                      type="button"
+                      onClick={() => setFilters((prev) => ({ ...prev, sort: kpi.key }))}
+                      className="hover:underline"
+                    >
+                      {kpi.label}
+                    </button>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {sorted.map((scorecard) => (
+                <tr key={scorecard.riderId} className="border-b border-gray-200 hover:bg-gray-50">
+                  <td className="py-3 px-4 text-gray-800 font-semibold">
+                    {scorecard.kpis[sortKpi.key].rank ?? '—'}
+                  </td>
+                  <td className="py-3 px-4 text-gray-800">
+                    <UserLink type="rider" userId={scorecard.riderId} className="font-semibold">
+                      {scorecard.fullName || 'Unknown rider'}
+                    </UserLink>
+                    <span className="block text-xs text-gray-500">{scorecard.email}</span>
+                  </td>
+                  {scorecardKpis.map((kpi) => {
+                    const { value, rank } = scorecard.kpis[kpi.key];
+                    return (
+                      <td key={kpi.key} className="py-3 px-4 text-right text-gray-800">
+                        {kpi.format(value)}
+                        {rank && kpi.key !== sortKpi.key && (
+                          <span className="block text-xs text-gray-500">#{rank}</span>
+                        )}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RiderLeaderboard;
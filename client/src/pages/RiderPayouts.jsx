@@ -1,7 +1,17 @@
 import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
 import api from '../services/api';
 import Loader from '../components/Loader';
 import EmptyState from '../components/EmptyState';
+import BulkPayoutModal from '../components/BulkPayoutModal';
+import HistoryLink from '../components/HistoryLink';
+import UserLink from '../components/UserLink';
+import PaymentProofInput from '../components/PaymentProofInput';
+import ExportButton from '../components/ExportButton';
+import useUrlFilters from '../hooks/useUrlFilters';
+import { markPayoutPaid, rejectManualPayment } from '../services/payoutApi';
+import { useAuth } from '../contexts/AuthContext';
+import { PERMISSIONS } from '../utils/permissions';
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || '';
 
@@ -19,27 +29,88 @@ const formatDateTime = (value) => {
   return date.toLocaleString();
 };
 
+const exportColumns = [
+  { key: 'riderName', header: 'Rider' },
+  { key: 'riderEmail', header: 'Email' },
+  { key: 'riderPhoneNumber', header: 'Phone' },
+  { key: 'weekStart', header: 'Week Start', type: 'date' },
+  { key: 'weekEnd', header: 'Week End', type: 'date' },
+  { key: 'gross', header: 'Gross', type: 'currency', value: (payout) => payout.totals?.gross },
+  {
+    key: 'commission',
+    header: 'Commission',
+    type: 'currency',
+    value: (payout) => payout.totals?.commission,
+  },
+  {
+    key: 'riderNet',
+    header: 'Rider Net',
+    type: 'currency',
+    value: (payout) => payout.totals?.riderNet,
+  },
+  { key: 'status', header: 'Status' },
+  { key: 'markedPaidBy', header: 'Marked Paid By' },
+  { key: 'isOverdue', header: 'Overdue', type: 'boolean' },
+  { key: 'paidAt', header: 'Paid At', type: 'date' },
+];
+
 const RiderPayouts = () => {
   const [payouts, setPayouts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [statusFilter, setStatusFilter] = useState('all');
-  const [weekStartFilter, setWeekStartFilter] = useState('');
-  const [search, setSearch] = useState('');
-  const [selectedPayout, setSelectedPayout] = useState(null);
+  const [clickedPayout, setClickedPayout] = useState(null);
   const [paymentProofFile, setPaymentProofFile] = useState(null);
   const [paymentSaving, setPaymentSaving] = useState(false);
   const [paymentError, setPaymentError] = useState(null);
-  const [paymentStatusFilter, setPaymentStatusFilter] = useState('all');
-  const [paymentSourceFilter, setPaymentSourceFilter] = useState('all');
-  const [proofFilter, setProofFilter] = useState('all');
-  const [selectedRiderIdFilter, setSelectedRiderIdFilter] = useState(null);
+  const [filters, setFilters] = useUrlFilters({
+    status: 'all',
+    paymentStatus: 'all',
+    paymentSource: 'all',
+    proof: 'all',
+    week: '',
+    search: '',
+    rider: '',
+    payout: '',
+  });
+  const statusFilter = filters.status;
+  const paymentStatusFilter = filters.paymentStatus;
+  const paymentSourceFilter = filters.paymentSource;
+  const proofFilter = filters.proof;
+  const weekStartFilter = filters.week;
+  const search = filters.search;
+  const selectedRiderIdFilter = filters.rider || null;
+  const linkedPayoutId = filters.payout;
   const [blockedRiders, setBlockedRiders] = useState([]);
   const [blockedLoading, setBlockedLoading] = useState(true);
   const [blockedError, setBlockedError] = useState(null);
   const [blockedActionLoading, setBlockedActionLoading] = useState(null);
   const [blockedActionError, setBlockedActionError] = useState(null);
   const [blockedModalOpen, setBlockedModalOpen] = useState(false);
+  const [selectedPayoutIds, setSelectedPayoutIds] = useState([]);
+  const [bulkRun, setBulkRun] = useState(null);
+  const { can } = useAuth();
+  const canManagePayouts = can(PERMISSIONS.PAYOUTS_MANAGE);
+  // Unblocking and (de)activating change the rider's account, not a payout.
+  const canManageRiders = can(PERMISSIONS.RIDERS_MANAGE);
+
+  // Notification deep links carry ?payout=<id>; that payout's mark-paid modal
+  // stays open until it is closed, which also drops the parameter.
+  const linkedPayout =
+    linkedPayoutId && !loading
+      ? payouts.find((payout) => payout._id === linkedPayoutId) || null
+      : null;
+  const selectedPayout =
+    clickedPayout ||
+    (canManagePayouts && linkedPayout?.status !== 'paid' ? linkedPayout : null);
+
+  const updateFilter = (key, options) => (value) =>
+    setFilters((prev) => ({ ...prev, [key]: value }), options);
+  const setStatusFilter = updateFilter('status');
+  const setPaymentStatusFilter = updateFilter('paymentStatus');
+  const setPaymentSourceFilter = updateFilter('paymentSource');
+  const setProofFilter = updateFilter('proof');
+  const setWeekStartFilter = updateFilter('week');
+  const setSearch = updateFilter('search', { replace: true });
 
   const loadPayouts = async () => {
     try {
@@ -143,25 +214,111 @@ const RiderPayouts = () => {
     );
   });
 
+  // /payouts is not paginated and most filters here are applied client-side,
+  // so the export is exactly the filtered list on screen.
+  const fetchExportPage = async () => ({ items: filteredPayouts, totalPages: 1 });
+
+  const isManualPendingPayout = (payout) =>
+    payout.status !== 'paid' && payout.markedPaidBy === 'rider';
+
+  const selectablePayouts = filteredPayouts.filter((payout) => payout.status !== 'paid');
+  const selectedPayouts = payouts.filter((payout) => selectedPayoutIds.includes(payout._id));
+  const selectedManualPending = selectedPayouts.filter(isManualPendingPayout);
+  const allFilteredSelected =
+    selectablePayouts.length > 0 &&
+    selectablePayouts.every((payout) => selectedPayoutIds.includes(payout._id));
+
+  const handleToggleSelectPayout = (payoutId) => {
+    setSelectedPayoutIds((prev) =>
+      prev.includes(payoutId) ? prev.filter((id) => id !== payoutId) : [...prev, payoutId]
+    );
+  };
+
+  const handleToggleSelectAll = () => {
+    const filteredIds = selectablePayouts.map((payout) => payout._id);
+    setSelectedPayoutIds((prev) =>
+      allFilteredSelected
+        ? prev.filter((id) => !filteredIds.includes(id))
+        : [...new Set([...prev, ...filteredIds])]
+    );
+  };
+
+  const applyPayoutMarkedPaid = (payoutId) => {
+    setPayouts((prev) =>
+      prev.map((p) =>
+        p._id === payoutId
+          ? {
+              ...p,
+              status: 'paid',
+              paidAt: new Date().toISOString(),
+            }
+          : p
+      )
+    );
+  };
+
+  const applyManualPaymentRejected = (payoutId) => {
+    setPayouts((prev) =>
+      prev.map((p) =>
+        p._id === payoutId
+          ? {
+              ...p,
+              markedPaidBy: null,
+              paymentProofScreenshot: null,
+            }
+          : p
+      )
+    );
+  };
+
+  const handleBulkItemSuccess = (action, payoutId) => {
+    if (action === 'mark-paid') {
+      applyPayoutMarkedPaid(payoutId);
+    } else {
+      applyManualPaymentRejected(payoutId);
+    }
+  };
+
+  const handleCloseBulk = (results) => {
+    const succeededIds = Object.entries(results || {})
+      .filter(([, result]) => result.status === 'success')
+      .map(([id]) => id);
+    setSelectedPayoutIds((prev) => prev.filter((id) => !succeededIds.includes(id)));
+    setBulkRun(null);
+  };
+
+  const handleOpenBulk = (action) => {
+    setBulkRun({
+      action,
+      payouts:
+        action === 'reject'
+          ? selectedManualPending
+          : selectedPayouts.filter((payout) => payout.status !== 'paid'),
+    });
+  };
+
   const handleOpenMarkPaid = (payout) => {
-    setSelectedPayout(payout);
+    if (!canManagePayouts) return;
+    setClickedPayout(payout);
     setPaymentProofFile(null);
     setPaymentError(null);
   };
 
   const handleCloseMarkPaid = () => {
-    setSelectedPayout(null);
+    setClickedPayout(null);
+    if (linkedPayoutId) {
+      setFilters((prev) => ({ ...prev, payout: '' }), { replace: true });
+    }
     setPaymentProofFile(null);
     setPaymentError(null);
   };
 
   const handleViewBlockedRiderPayouts = (rider) => {
-    setSelectedRiderIdFilter(rider._id);
     const name = rider.fullName || '';
     const email = rider.email || '';
     const phone = rider.phoneNumber || '';
     const label = name || email || phone || '';
-    setSearch(label);
+    setFilters((prev) => ({ ...prev, rider: rider._id, search: label }));
     setBlockedModalOpen(false);
   };
 
@@ -231,29 +388,8 @@ const RiderPayouts = () => {
       setPaymentSaving(true);
       setPaymentError(null);
 
-      const formData = new FormData();
-      if (paymentProofFile) {
-        formData.append('paymentProof', paymentProofFile);
-      }
-
-      await api.patch(`/payouts/${selectedPayout._id}/mark-paid`, formData, {
-        headers: {
-          'Content-Type': 'multipart/form-data',
-        },
-      });
-
-      setPayouts((prev) =>
-        prev.map((p) =>
-          p._id === selectedPayout._id
-            ? {
-                ...p,
-                status: 'paid',
-                paidAt: new Date().toISOString(),
-              }
-            : p
-        )
-      );
-
+      await markPayoutPaid(selectedPayout._id, paymentProofFile);
+      applyPayoutMarkedPaid(selectedPayout._id);
       handleCloseMarkPaid();
     } catch (err) {
       const message =
@@ -291,6 +427,18 @@ const RiderPayouts = () => {
           >
             View blocked riders
           </button>
+          <Link
+            to="/payout-reconciliation"
+            className="bg-white border border-gray-300 text-gray-800 px-4 py-2 rounded-lg text-sm hover:bg-gray-50 transition-colors"
+          >
+            Reconcile statement
+          </Link>
+          <ExportButton
+            columns={exportColumns}
+            fetchPage={fetchExportPage}
+            fileName="rider-payouts"
+            disabled={filteredPayouts.length === 0}
+          />
           <button
             type="button"
             onClick={loadPayouts}
@@ -306,10 +454,7 @@ const RiderPayouts = () => {
           Showing payouts for a specific rider based on selection below.
           <button
             type="button"
-            onClick={() => {
-              setSelectedRiderIdFilter(null);
-              setSearch('');
-            }}
+            onClick={() => setFilters((prev) => ({ ...prev, rider: '', search: '' }))}
             className="ml-2 text-accent-blue hover:underline"
           >
             Clear rider filter
@@ -377,6 +522,47 @@ const RiderPayouts = () => {
         </div>
       )}
 
+      {linkedPayoutId && !loading && !error && (!linkedPayout || linkedPayout.status === 'paid') && (
+        <div className="mb-4 rounded-lg border border-yellow-200 bg-yellow-50 px-4 py-2 text-sm text-yellow-800">
+          {linkedPayout
+            ? 'The payout from this notification has already been marked as paid.'
+            : 'The payout from this notification is no longer in this list.'}
+        </div>
+      )}
+
+      {canManagePayouts && selectedPayoutIds.length > 0 && (
+        <div className="mb-4 flex flex-wrap items-center justify-between gap-3 rounded-lg border border-blue-200 bg-blue-50 px-4 py-3">
+          <span className="text-sm text-gray-800">
+            <span className="font-semibold">{selectedPayoutIds.length}</span> payout
+            {selectedPayoutIds.length === 1 ? '' : 's'} selected
+          </span>
+          <div className="flex items-center space-x-3">
+            <button
+              type="button"
+              onClick={() => setSelectedPayoutIds([])}
+              className="text-sm text-gray-600 hover:underline"
+            >
+              Clear selection
+            </button>
+            <button
+              type="button"
+              onClick={() => handleOpenBulk('reject')}
+              disabled={selectedManualPending.length === 0}
+              className="px-4 py-2 rounded-lg border border-red-300 bg-white text-red-700 hover:bg-red-50 transition-colors text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Reject manual payments ({selectedManualPending.length})
+            </button>
+            <button
+              type="button"
+              onClick={() => handleOpenBulk('mark-paid')}
+              className="px-4 py-2 rounded-lg bg-gray-800 text-white hover:bg-gray-700 transition-colors text-sm font-semibold"
+            >
+              Mark selected as paid
+            </button>
+          </div>
+        </div>
+      )}
+
       {blockedActionError && (
         <div className="mb-4 rounded-lg border border-red-200 bg-red-50 px-4 py-2 text-sm text-red-700">
           {blockedActionError}
@@ -394,6 +580,18 @@ const RiderPayouts = () => {
           <table className="min-w-full bg-white">
             <thead>
               <tr className="bg-gray-100">
+                {canManagePayouts && (
+                  <th className="py-3 px-4 text-left">
+                    <input
+                      type="checkbox"
+                      checked={allFilteredSelected}
+                      onChange={handleToggleSelectAll}
+                      disabled={selectablePayouts.length === 0}
+                      title="Select all unpaid payouts matching the current filters"
+                      className="form-checkbox h-4 w-4 text-accent-blue border-gray-300 rounded focus:ring-accent-blue"
+                    />
+                  </th>
+                )}
                 <th className="py-3 px-4 text-left text-gray-600 font-semibold">Rider</th>
                 <th className="py-3 px-4 text-left text-gray-600 font-semibold">Contact</th>
                 <th className="py-3 px-4 text-left text-gray-600 font-semibold">Week</th>
@@ -439,11 +637,28 @@ const RiderPayouts = () => {
                   <tr
                     key={payout._id}
                     className={`border-b border-gray-200 hover:bg-gray-50 ${
-                      isOverdue ? 'bg-red-50' : ''
+                      payout._id === linkedPayoutId
+                        ? 'bg-yellow-50'
+                        : isOverdue
+                        ? 'bg-red-50'
+                        : ''
                     }`}
                   >
+                    {canManagePayouts && (
+                      <td className="py-3 px-4">
+                        <input
+                          type="checkbox"
+                          checked={selectedPayoutIds.includes(payout._id)}
+                          onChange={() => handleToggleSelectPayout(payout._id)}
+                          disabled={payout.status === 'paid'}
+                          className="form-checkbox h-4 w-4 text-accent-blue border-gray-300 rounded focus:ring-accent-blue disabled:opacity-40"
+                        />
+                      </td>
+                    )}
                     <td className="py-3 px-4 text-gray-800">
-                      {payout.riderName || 'N/A'}
+                      <UserLink type="rider" userId={payout.riderId?._id || payout.riderId}>
+                        {payout.riderName || 'N/A'}
+                      </UserLink>
                     </td>
                     <td className="py-3 px-4 text-gray-800">
                       <div className="text-sm">
@@ -516,6 +731,8 @@ const RiderPayouts = () => {
                     <td className="py-3 px-4 text-center">
                       {payout.status === 'paid' ? (
                         <span className="text-xs text-gray-500">Already paid</span>
+                      ) : !canManagePayouts ? (
+                        <span className="text-xs text-gray-500">View only</span>
                       ) : isManualPending ? (
                         <button
                           type="button"
@@ -564,45 +781,19 @@ const RiderPayouts = () => {
                 {formatCurrency(selectedPayout.totals?.commission)}
               </span>
             </p>
+            <div className="mb-4">
+              <HistoryLink entityType="payout" entityId={selectedPayout._id} />
+            </div>
             {paymentError && (
               <div className="mb-4 rounded-lg border border-red-200 bg-red-50 px-4 py-2 text-sm text-red-700">
                 {paymentError}
               </div>
             )}
             <form onSubmit={handleConfirmMarkPaid} className="space-y-4">
-              <div>
-                <label className="block text-gray-700 font-semibold mb-2">
-                  Payment proof
-                </label>
-                {selectedPayout.paymentProofScreenshot ? (
-                  <div className="mb-3">
-                    <a
-                      href={
-                        API_BASE_URL
-                          ? `${API_BASE_URL}${selectedPayout.paymentProofScreenshot}`
-                          : selectedPayout.paymentProofScreenshot
-                      }
-                      target="_blank"
-                      rel="noreferrer"
-                      className="inline-flex items-center px-3 py-1.5 rounded-lg border border-gray-300 text-sm text-accent-blue hover:bg-gray-50"
-                    >
-                      View current proof
-                    </a>
-                  </div>
-                ) : null}
-                <input
-                  type="file"
-                  accept="image/*"
-                  onChange={(e) => {
-                    const file = e.target.files && e.target.files[0];
-                    setPaymentProofFile(file || null);
-                  }}
-                  className="block w-full text-sm text-gray-800 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:text-sm file:font-semibold file:bg-gray-800 file:text-white hover:file:bg-gray-700"
-                />
-                <p className="mt-1 text-xs text-gray-500">
-                  Optional screenshot of manual transfer or payment confirmation.
-                </p>
-              </div>
+              <PaymentProofInput
+                currentProof={selectedPayout.paymentProofScreenshot}
+                onFileChange={setPaymentProofFile}
+              />
               <div className="flex justify-end space-x-3 mt-6">
                 <button
                   type="button"
@@ -622,20 +813,8 @@ const RiderPayouts = () => {
                         try {
                           setPaymentSaving(true);
                           setPaymentError(null);
-                          await api.patch(
-                            `/payouts/${selectedPayout._id}/manual-payment/reject`
-                          );
-                          setPayouts((prev) =>
-                            prev.map((p) =>
-                              p._id === selectedPayout._id
-                                ? {
-                                    ...p,
-                                    markedPaidBy: null,
-                                    paymentProofScreenshot: null,
-                                  }
-                                : p
-                            )
-                          );
+                          await rejectManualPayment(selectedPayout._id);
+                          applyManualPaymentRejected(selectedPayout._id);
                           handleCloseMarkPaid();
                         } catch (err) {
                           const message =
@@ -675,6 +854,14 @@ const RiderPayouts = () => {
         </div>
       )}
 
+      <BulkPayoutModal
+        key={bulkRun?.action || 'closed'}
+        action={bulkRun?.action}
+        payouts={bulkRun?.payouts || []}
+        onClose={handleCloseBulk}
+        onItemSuccess={handleBulkItemSuccess}
+      />
+
       {blockedModalOpen && (
         <div className="fixed inset-0 z-40 flex items-center justify-center bg-black bg-opacity-50">
           <div className="bg-white rounded-xl shadow-xl w-full max-w-5xl p-6 max-h-[90vh] flex flex-col">
@@ -749,7 +936,9 @@ const RiderPayouts = () => {
                             className="border-b border-gray-200 hover:bg-gray-50 align-top"
                           >
                             <td className="py-3 px-4 text-gray-800">
-                              <div className="font-medium">{rider.fullName || 'N/A'}</div>
+                              <UserLink type="rider" userId={rider._id} className="font-medium">
+                                {rider.fullName || 'N/A'}
+                              </UserLink>
                             </td>
                             <td className="py-3 px-4 text-gray-800 text-sm">
                               <div>{rider.email || 'N/A'}</div>
@@ -797,7 +986,15 @@ const RiderPayouts = () => {
                                 >
                                   View payouts
                                 </button>
-                                {!rider.accountDeactivated && (
+                                {can(PERMISSIONS.RIDERS_VIEW) && (
+                                  <Link
+                                    to={`/riders/${rider._id}?tab=ledger`}
+                                    className="px-3 py-1 rounded-lg border border-gray-300 text-gray-800 hover:bg-gray-100 transition-colors text-xs font-medium"
+                                  >
+                                    View ledger
+                                  </Link>
+                                )}
+                                {canManageRiders && !rider.accountDeactivated && (
                                   <button
                                     type="button"
                                     onClick={() => handleUnblockRider(rider._id)}
@@ -807,7 +1004,7 @@ const RiderPayouts = () => {
                                     {blockedActionLoading === rider._id ? 'Processing...' : 'Unblock'}
                                   </button>
                                 )}
-                                {rider.accountDeactivated ? (
+                                {!canManageRiders ? null : rider.accountDeactivated ? (
                                   <button
                                     type="button"
                                     onClick={() => handleReactivateRider(rider._id)}
@@ -1,18 +1,34 @@
 import React, { useState, useEffect } from 'react';
-import { io } from 'socket.io-client';
 import { getAllRiders, getInitialRidersOnlineStatus, getUserPresence } from '../services/adminApi';
 import RiderDetailsModal from '../components/RiderDetailsModal';
 import Loader from '../components/Loader';
+import UserLink from '../components/UserLink';
 import EmptyState from '../components/EmptyState';
+import ExportButton from '../components/ExportButton';
+import useUrlFilters from '../hooks/useUrlFilters';
+import socket from '../services/socket';
 
-const socket = io();
+const exportColumns = [
+  { key: 'fullName', header: 'Name' },
+  { key: 'email', header: 'Email' },
+  { key: 'phoneNumber', header: 'Phone' },
+  { key: 'vehicleType', header: 'Vehicle' },
+  { key: 'preferredService', header: 'Service' },
+  { key: 'isVerified', header: 'Verified', type: 'boolean' },
+  { key: 'paymentBlocked', header: 'Payment Blocked', type: 'boolean' },
+  { key: 'accountDeactivated', header: 'Deactivated', type: 'boolean' },
+  { key: 'averageRating', header: 'Average Rating', type: 'number', defaultHidden: true },
+  { key: 'bankName', header: 'Bank Name', defaultHidden: true },
+  { key: 'bankAccountNumber', header: 'Account No.', defaultHidden: true },
+  { key: 'createdAt', header: 'Joined', type: 'date', defaultHidden: true },
+];
 
 const Riders = () => {
   const [riders, setRiders] = useState([]);
   const [loading, setLoading] = useState(true);
   const [selectedRider, setSelectedRider] = useState(null);
   const [pagination, setPagination] = useState({});
-  const [filters, setFilters] = useState({
+  const [filters, setFilters] = useUrlFilters({
     search: '',
     blocked: false,
     verified: false,
@@ -44,25 +60,28 @@ const Riders = () => {
 
     fetchRidersAndOnlineStatus();
 
-    socket.on('user.online', ({ userId }) => {
+    const handleUserOnline = ({ userId }) => {
       setRiders((prevRiders) =>
         prevRiders.map((rider) =>
           rider._id === userId ? { ...rider, online: true } : rider
         )
       );
-    });
+    };
 
-    socket.on('user.offline', ({ userId }) => {
+    const handleUserOffline = ({ userId }) => {
       setRiders((prevRiders) =>
         prevRiders.map((rider) =>
           rider._id === userId ? { ...rider, online: false } : rider
         )
       );
-    });
+    };
+
+    socket.on('user.online', handleUserOnline);
+    socket.on('user.offline', handleUserOffline);
 
     return () => {
-      socket.off('user.online');
-      socket.off('user.offline');
+      socket.off('user.online', handleUserOnline);
+      socket.off('user.offline', handleUserOffline);
     };
   }, [filters]);
 
@@ -92,14 +111,25 @@ const Riders = () => {
       .join(' ');
   };
 
+  const fetchExportPage = async (page, limit) => {
+    const response = await getAllRiders({ ...filters, page, limit });
+    return { items: response?.riders || [], totalPages: response?.pagination?.totalPages };
+  };
+
   const handleFilterChange = (e) => {
     const { name, value, type, checked } = e.target;
-    setFilters((prev) => ({ ...prev, [name]: type === 'checkbox' ? checked : value, page: 1 }));
+    setFilters(
+      (prev) => ({ ...prev, [name]: type === 'checkbox' ? checked : value, page: 1 }),
+      { replace: type !== 'checkbox' }
+    );
   };
 
   return (
     <div className="p-6 h-full">
-      <h1 className="text-2xl font-bold mb-4 text-gray-800">Riders</h1>
+      <div className="flex justify-between items-center mb-4">
+        <h1 className="text-2xl font-bold text-gray-800">Riders</h1>
+        <ExportButton columns={exportColumns} fetchPage={fetchExportPage} fileName="riders" />
+      </div>
       <div className="flex justify-between items-center mb-4">
         <input
           type="text"
@@ -157,7 +187,11 @@ const Riders = () => {
             <tbody>
               {riders.map((rider) => (
                 <tr key={rider._id} className="border-b border-gray-200 hover:bg-gray-50">
-                  <td className="py-3 px-4 text-gray-800">{rider.fullName}</td>
+                  <td className="py-3 px-4 text-gray-800">
+                    <UserLink type="rider" userId={rider._id}>
+                      {rider.fullName}
+                    </UserLink>
+                  </td>
                   <td className="py-3 px-4 text-gray-800">{rider.email}</td>
                   <td className="py-3 px-4 text-gray-800">{rider.phoneNumber}</td>
                   <td className="py-3 px-4 text-gray-800">{formatVehicleType(rider.vehicleType)}</td>
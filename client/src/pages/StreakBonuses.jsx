@@ -1,6 +1,8 @@
 import React, { useEffect, useState } from 'react';
 import Loader from '../components/Loader';
+import UserLink from '../components/UserLink';
 import EmptyState from '../components/EmptyState';
+import ExportButton from '../components/ExportButton';
 import { getAdminStreakUsers } from '../services/adminApi';
 
 const formatDateTime = (value) => {
@@ -10,6 +12,18 @@ const formatDateTime = (value) => {
   return date.toLocaleString();
 };
 
+const exportColumns = [
+  { key: 'fullName', header: 'Rider' },
+  { key: 'userId', header: 'User ID', defaultHidden: true },
+  { key: 'email', header: 'Email' },
+  { key: 'phoneNumber', header: 'Phone' },
+  { key: 'currentStreak', header: 'Current Streak', type: 'number' },
+  { key: 'requiredStreak', header: 'Required Streak', type: 'number' },
+  { key: 'eligible', header: 'Eligible', type: 'boolean' },
+  { key: 'totalStreakBonuses', header: 'Total Bonuses', type: 'number' },
+  { key: 'lastStreakBonusAt', header: 'Last Bonus At', type: 'date' },
+];
+
 const StreakBonuses = () => {
   const [items, setItems] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -61,6 +75,11 @@ const StreakBonuses = () => {
     fetchData();
   }, [pagination.page, pagination.limit, filters.status]);
 
+  const fetchExportPage = async (page, limit) => {
+    const response = await getAdminStreakUsers({ page, limit, status: filters.status });
+    return { items: response?.items || [], totalPages: response?.pagination?.totalPages };
+  };
+
   const handleChangePage = (direction) => {
     setPagination((prev) => {
       const nextPage = direction === 'next' ? prev.page + 1 : prev.page - 1;
@@ -163,7 +182,9 @@ const StreakBonuses = () => {
                 >
                   <td className="py-3 px-4 text-gray-800">
                     <div className="flex flex-col">
-                      <span className="font-semibold">{item.fullName}</span>
+                      <UserLink type="rider" userId={item.userId} className="font-semibold">
+                        {item.fullName}
+                      </UserLink>
                       <span className="text-xs text-gray-500">{item.userId}</span>
                     </div>
                   </td>
@@ -244,7 +265,10 @@ const StreakBonuses = () => {
 
   return (
     <div className="p-6 h-full">
-      <h1 className="text-2xl font-bold mb-4 text-gray-800">Streak Bonuses</h1>
+      <div className="flex justify-between items-center mb-4">
+        <h1 className="text-2xl font-bold text-gray-800">Streak Bonuses</h1>
+        <ExportButton columns={exportColumns} fetchPage={fetchExportPage} fileName="streak-bonuses" />
+      </div>
 
       {error && <p className="mb-4 text-red-500">{error}</p>}
 
@@ -0,0 +1,193 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { ArrowLeftIcon } from '@heroicons/react/24/outline';
+import Loader from '../components/Loader';
+import HistoryLink from '../components/HistoryLink';
+import RiderProfileDetails from '../components/RiderProfileDetails';
+import RiderScorecard from '../components/RiderScorecard';
+import CustomerProfileDetails from '../components/CustomerProfileDetails';
+import UserNotes from '../components/UserNotes';
+import ProfileOrdersTab from '../components/profile/ProfileOrdersTab';
+import ProfilePayoutsTab from '../components/profile/ProfilePayoutsTab';
+import ProfileLedgerTab from '../components/profile/ProfileLedgerTab';
+import ProfileReferralsTab from '../components/profile/ProfileReferralsTab';
+import ProfilePromosTab from '../components/profile/ProfilePromosTab';
+import ProfilePresenceTab from '../components/profile/ProfilePresenceTab';
+import { getCustomer, getRider, getUserPresence } from '../services/adminApi';
+import { useAuth } from '../contexts/AuthContext';
+import useUrlFilters from '../hooks/useUrlFilters';
+import { PERMISSIONS } from '../utils/permissions';
+
+const profileTabs = [
+  { key: 'profile', label: 'Profile' },
+  { key: 'orders', label: 'Orders', permission: PERMISSIONS.ORDERS_VIEW },
+  { key: 'payouts', label: 'Payouts', permission: PERMISSIONS.PAYOUTS_VIEW, riderOnly: true },
+  { key: 'ledger', label: 'Ledger', permission: PERMISSIONS.PAYOUTS_VIEW, riderOnly: true },
+  { key: 'referrals', label: 'Referrals', permission: PERMISSIONS.REFERRALS_VIEW },
+  { key: 'promos', label: 'Streak & Gold', permission: PERMISSIONS.PROMOS_VIEW },
+  { key: 'presence', label: 'Presence' },
+  { key: 'notes', label: 'Notes' },
+];
+
+const UserProfile = ({ userType }) => {
+  const { id } = useParams();
+  const { can } = useAuth();
+  const [filters, setFilters] = useUrlFilters({ tab: 'profile' });
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notesRefreshKey, setNotesRefreshKey] = useState(0);
+
+  const isRider = userType === 'rider';
+  const listPath = isRider ? '/riders' : '/customers';
+  const canAddNotes = can(isRider ? PERMISSIONS.RIDERS_MANAGE : PERMISSIONS.CUSTOMERS_MANAGE);
+
+  const tabs = profileTabs.filter(
+    (tab) => (!tab.permission || can(tab.permission)) && (!tab.riderOnly || isRider)
+  );
+  const activeTab = tabs.some((tab) => tab.key === filters.tab) ? filters.tab : 'profile';
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchUser = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = isRider ? await getRider(id) : await getCustomer(id);
+        const profile = isRider ? response.rider : response.customer;
+
+        // Presence lives in its own store; a failed lookup falls back to the
+        // flags on the user document rather than failing the page.
+        let presence = {};
+        try {
+          const presenceResponse = await getUserPresence(id);
+          presence = presenceResponse?.presence || {};
+        } catch (presenceError) {
+          console.error('Failed to fetch user presence:', presenceError);
+        }
+
+        if (cancelled) return;
+        setUser({
+          ...profile,
+          online: typeof presence.online === 'boolean' ? presence.online : profile?.online,
+          lastSeen: presence.lastSeen || profile?.lastSeen || null,
+        });
+      } catch (err) {
+        if (cancelled) return;
+        setError(
+          err?.response?.status === 404
+            ? `This ${userType} could not be found.`
+            : err?.response?.data?.error ||
+                err?.response?.data?.message ||
+                `Failed to load ${userType} profile.`
+        );
+        console.error(`Failed to load ${userType} profile:`, err);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchUser();
+    return () => {
+      cancelled = true;
+    };
+  }, [id, isRider, userType]);
+
+  const handleCustomerUpdated = (updated) => {
+    setUser((prev) => ({ ...prev, ...updated }));
+  };
+
+  const renderTab = () => {
+    switch (activeTab) {
+      case 'orders':
+        return <ProfileOrdersTab userType={userType} userId={id} />;
+      case 'payouts':
+        return <ProfilePayoutsTab riderId={id} />;
+      case 'ledger':
+        return <ProfileLedgerTab riderId={id} />;
+      case 'referrals':
+        return <ProfileReferralsTab userId={id} />;
+      case 'promos':
+        return <ProfilePromosTab userId={id} />;
+      case 'presence':
+        return <ProfilePresenceTab userId={id} />;
+      case 'notes':
+        return (
+          <UserNotes
+            userType={userType}
+            userId={id}
+            canAddNotes={canAddNotes}
+            refreshKey={notesRefreshKey}
+          />
+        );
+      default:
+        return isRider ? (
+          <>
+            <RiderProfileDetails rider={user} />
+            <RiderScorecard riderId={id} />
+          </>
+        ) : (
+          <CustomerProfileDetails
+            customer={user}
+            onCustomerUpdated={handleCustomerUpdated}
+            onActionComplete={() => setNotesRefreshKey((prev) => prev + 1)}
+          />
+        );
+    }
+  };
+
+  if (loading) {
+    return <Loader />;
+  }
+
+  return (
+    <div className="p-6 h-full">
+      <Link
+        to={listPath}
+        className="inline-flex items-center text-sm text-gray-600 hover:text-gray-800 mb-2"
+      >
+        <ArrowLeftIcon className="h-4 w-4 mr-1" />
+        {isRider ? 'All riders' : 'All customers'}
+      </Link>
+
+      {error || !user ? (
+        <div className="mb-4 rounded-lg border border-red-200 bg-red-50 px-4 py-2 text-sm text-red-700">
+          {error || `This ${userType} could not be found.`}
+        </div>
+      ) : (
+        <>
+          <div className="flex justify-between items-center mb-4">
+            <div>
+              <h1 className="text-2xl font-bold text-gray-800">{user.fullName}</h1>
+              <p className="text-sm text-gray-500">
+                {isRider ? 'Rider' : 'Customer'} · {user.email}
+              </p>
+            </div>
+            <HistoryLink entityType={userType} entityId={user._id} />
+          </div>
+
+          <div className="flex flex-wrap gap-2 mb-6">
+            {tabs.map((tab) => (
+              <button
+                key={tab.key}
+                type="button"
+                onClick={() => setFilters((prev) => ({ ...prev, tab: tab.key }))}
+                className={`px-4 py-2 rounded-lg font-semibold ${
+                  activeTab === tab.key
+                    ? 'bg-gray-800 text-white'
+                    : 'bg-white text-gray-800 border border-gray-300'
+                }`}
+              >
+                {tab.label}
+              </button>
+            ))}
+          </div>
+
+          <div className="bg-white rounded-2xl shadow p-6 text-gray-800">{renderTab()}</div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default UserProfile;
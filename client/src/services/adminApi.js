@@ -7,6 +7,16 @@ export const getAllRiders = async (filters) => {
   return response.data;
 };
 
+export const getRider = async (riderId) => {
+  const response = await api.get(`/admin/riders/${riderId}`);
+  return response.data;
+};
+
+export const getRiderScorecards = async (params) => {
+  const response = await api.get('/admin/riders/scorecards', { params });
+  return response.data;
+};
+
 export const getInitialRidersOnlineStatus = async () => {
   const response = await api.get('/admin/riders/online-status');
   return response.data;
@@ -19,11 +29,55 @@ export const getAllCustomers = async (filters) => {
   return response.data;
 };
 
+export const getCustomer = async (customerId) => {
+  const response = await api.get(`/admin/customers/${customerId}`);
+  return response.data;
+};
+
+export const deactivateCustomer = async (customerId, reason) => {
+  const response = await api.patch(`/admin/customers/${customerId}/deactivate`, { reason });
+  return response.data;
+};
+
+export const reactivateCustomer = async (customerId, reason) => {
+  const response = await api.patch(`/admin/customers/${customerId}/reactivate`, { reason });
+  return response.data;
+};
+
+export const forceLogoutCustomer = async (customerId, reason) => {
+  const response = await api.post(`/admin/customers/${customerId}/logout-all`, { reason });
+  return response.data;
+};
+
+export const createCustomerPasswordResetLink = async (customerId) => {
+  const response = await api.post(`/admin/customers/${customerId}/password-reset-link`);
+  return response.data;
+};
+
+const userCollections = { rider: 'riders', customer: 'customers' };
+
+export const getUserNotes = async (userType, userId) => {
+  const response = await api.get(`/admin/${userCollections[userType]}/${userId}/notes`);
+  return response.data;
+};
+
+export const addUserNote = async (userType, userId, body) => {
+  const response = await api.post(`/admin/${userCollections[userType]}/${userId}/notes`, {
+    body,
+  });
+  return response.data;
+};
+
 export const getUserPresence = async (userId) => {
   const response = await api.get(`/presence/${userId}`);
   return response.data;
 };
 
+export const getUserPresenceHistory = async (userId, params) => {
+  const response = await api.get(`/presence/${userId}/history`, { params });
+  return response.data;
+};
+
 export const getPendingReferrals = async () => {
   const response = await api.get('/admin/referrals/pending');
   return response.data;
@@ -46,6 +100,47 @@ export const getReferralsByReferrer = async (referrerId) => {
   return response.data;
 };
 
+export const getReferralByReferee = async (userId) => {
+  const response = await api.get(`/admin/referrals/referee/${userId}`);
+  return response.data;
+};
+
+export const holdReferralReward = async (referralId, reason) => {
+  const response = await api.patch(`/admin/referrals/${referralId}/hold`, { reason });
+  return response.data;
+};
+
+export const releaseReferralHold = async (referralId) => {
+  const response = await api.patch(`/admin/referrals/${referralId}/release`);
+  return response.data;
+};
+
+export const approveReferralReward = async (referralId, { reference } = {}) => {
+  const response = await api.patch(`/admin/referrals/${referralId}/approve`, { reference });
+  return response.data;
+};
+
+export const payReferralReward = async (referralId, { reference, paymentProofFile } = {}) => {
+  const formData = new FormData();
+  if (reference) {
+    formData.append('reference', reference);
+  }
+  if (paymentProofFile) {
+    formData.append('paymentProof', paymentProofFile);
+  }
+  const response = await api.patch(`/admin/referrals/${referralId}/pay`, formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data',
+    },
+  });
+  return response.data;
+};
+
+export const rejectReferralReward = async (referralId, { reason } = {}) => {
+  const response = await api.patch(`/admin/referrals/${referralId}/reject`, { reason });
+  return response.data;
+};
+
 export const getAdminGoldStatusUsers = async (params) => {
   const response = await api.get('/admin/gold-status', { params });
   return response.data;
@@ -55,3 +150,33 @@ export const getAdminStreakUsers = async (params) => {
   const response = await api.get('/admin/streak', { params });
   return response.data;
 };
+
+// Streak runs and Gold Status periods for one user, newest first.
+export const getUserPromoHistory = async (userId) => {
+  const response = await api.get(`/admin/users/${userId}/promo-history`);
+  return response.data;
+};
+
+export const getKycQueue = async (params) => {
+  const response = await api.get('/admin/riders/kyc-queue', { params });
+  return response.data;
+};
+
+export const getRiderKycReviews = async (riderId) => {
+  const response = await api.get(`/admin/riders/${riderId}/kyc/reviews`);
+  return response.data;
+};
+
+// decision is 'approve' or 'reject'; the server records the review and recomputes isVerified.
+export const reviewRiderDocument = async (riderId, document, { decision, reason }) => {
+  const response = await api.patch(`/admin/riders/${riderId}/kyc/${document}`, {
+    decision,
+    reason,
+  });
+  return response.data;
+};
+
+export const getRecentActivity = async (params) => {
+  const response = await api.get('/dashboard/activity', { params });
+  return response.data;
+};
@@ -19,3 +19,43 @@ export const markAllNotificationsAsRead = async () => {
   const response = await api.patch('/notifications/read-all');
   return response.data;
 };
+
+export const markNotificationsAsRead = async (notificationIds) => {
+  const response = await api.patch('/notifications/read', { ids: notificationIds });
+  return response.data;
+};
+
+export const markNotificationsAsUnread = async (notificationIds) => {
+  const response = await api.patch('/notifications/unread', { ids: notificationIds });
+  return response.data;
+};
+
+export const archiveNotifications = async (notificationIds) => {
+  const response = await api.patch('/notifications/archive', { ids: notificationIds });
+  return response.data;
+};
+
+export const unarchiveNotifications = async (notificationIds) => {
+  const response = await api.patch('/notifications/unarchive', { ids: notificationIds });
+  return response.data;
+};
+
+export const fetchBroadcasts = async (params = {}) => {
+  const response = await api.get('/notifications/broadcasts', { params });
+  return response.data;
+};
+
+export const previewBroadcastAudience = async (audience) => {
+  const response = await api.post('/notifications/broadcasts/audience-preview', { audience });
+  return response.data;
+};
+
+export const createBroadcast = async (payload) => {
+  const response = await api.post('/notifications/broadcasts', payload);
+  return response.data;
+};
+
+export const cancelBroadcast = async (broadcastId) => {
+  const response = await api.patch(`/notifications/broadcasts/${broadcastId}/cancel`);
+  return response.data;
+};
@@ -4,3 +4,24 @@ export const getOrderDetails = async (orderId) => {
   const response = await api.get(`/admin/orders/${orderId}`);
   return response.data;
 };
+
+export const getOrders = async (params) => {
+  const response = await api.get('/admin/orders', { params });
+  return response.data;
+};
+
+export const cancelOrder = async (orderId, reason) => {
+  const response = await api.patch(`/admin/orders/${orderId}/cancel`, { reason });
+  return response.data;
+};
+
+// Passing a null riderId unassigns the current rider and puts the order back to pending.
+export const reassignOrderRider = async (orderId, riderId) => {
+  const response = await api.patch(`/admin/orders/${orderId}/rider`, { riderId });
+  return response.data;
+};
+
+export const resolvePriceNegotiation = async (orderId, decision) => {
+  const response = await api.patch(`/admin/orders/${orderId}/price-negotiation`, { decision });
+  return response.data;
+};
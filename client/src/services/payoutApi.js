@@ -0,0 +1,53 @@
+import api from './api';
+
+export const getPayouts = async (params) => {
+  const response = await api.get('/payouts', { params });
+  return response.data;
+};
+
+// statementMatch is the reconciled statement row that justified the payment;
+// the server keeps it on the payout's audit entry.
+export const markPayoutPaid = async (payoutId, paymentProofFile, statementMatch) => {
+  const formData = new FormData();
+  if (paymentProofFile) {
+    formData.append('paymentProof', paymentProofFile);
+  }
+  if (statementMatch) {
+    Object.entries(statementMatch).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        formData.append(`statement[${key}]`, String(value));
+      }
+    });
+  }
+  const response = await api.patch(`/payouts/${payoutId}/mark-paid`, formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data',
+    },
+  });
+  return response.data;
+};
+
+export const rejectManualPayment = async (payoutId) => {
+  const response = await api.patch(`/payouts/${payoutId}/manual-payment/reject`);
+  return response.data;
+};
+
+export const getRiderLedger = async (riderId, params) => {
+  const response = await api.get(`/payouts/riders/${riderId}/ledger`, { params });
+  return response.data;
+};
+
+export const addRiderLedgerEntry = async (riderId, payload) => {
+  const response = await api.post(`/payouts/riders/${riderId}/ledger`, payload);
+  return response.data;
+};
+
+// The statement PDF is rendered server-side so it matches what finance sends
+// from the back office.
+export const downloadRiderStatement = async (riderId, params) => {
+  const response = await api.get(`/payouts/riders/${riderId}/statement`, {
+    params,
+    responseType: 'blob',
+  });
+  return response.data;
+};
@@ -25,3 +25,33 @@ export const toggleAllPromos = async (enabled) => {
   return response.data;
 };
 
+
+export const fetchPromoCampaigns = async (params) => {
+  const response = await api.get('/admin/promos/campaigns', { params });
+  return response.data;
+};
+
+export const createPromoCampaign = async (payload) => {
+  const response = await api.post('/admin/promos/campaigns', payload);
+  return response.data;
+};
+
+export const updatePromoCampaign = async (campaignId, payload) => {
+  const response = await api.put(`/admin/promos/campaigns/${campaignId}`, payload);
+  return response.data;
+};
+
+export const cancelPromoCampaign = async (campaignId) => {
+  const response = await api.patch(`/admin/promos/campaigns/${campaignId}/cancel`);
+  return response.data;
+};
+
+export const fetchPromoConfigVersions = async (params) => {
+  const response = await api.get('/admin/promos/versions', { params });
+  return response.data;
+};
+
+export const rollbackPromoConfig = async (versionId) => {
+  const response = await api.post(`/admin/promos/versions/${versionId}/rollback`);
+  return response.data;
+};
@@ -0,0 +1,170 @@
+import {
+  ShoppingCartIcon,
+  XCircleIcon,
+  UserPlusIcon,
+  BanknotesIcon,
+  NoSymbolIcon,
+  GiftIcon,
+} from '@heroicons/react/24/outline';
+import { PERMISSIONS } from './permissions';
+import { formatCurrency } from './formatters';
+import { getUserProfilePath } from './userProfile';
+
+export const ACTIVITY_FEED_LIMIT = 50;
+
+const getOrderFromPayload = (payload) => payload?.order || payload;
+
+// Each type says which socket event feeds it and how to turn that payload into
+// a feed entry. Backfilled entries from /dashboard/activity already come in the
+// entry shape: { _id, type, createdAt, entityId, title, detail }.
+export const activityTypes = {
+  order_created: {
+    label: 'New orders',
+    icon: ShoppingCartIcon,
+    className: 'bg-blue-100 text-blue-700',
+    permission: PERMISSIONS.ORDERS_VIEW,
+    event: 'order.created',
+    fromSocket: (payload) => {
+      const order = getOrderFromPayload(payload);
+      if (!order?._id) return null;
+      return {
+        entityId: order._id,
+        at: order.createdAt,
+        title: `New ${order.serviceType || ''} order ${order.orderId || ''}`.replace(/\s+/g, ' '),
+        detail: [order.customerId?.fullName, order.price ? formatCurrency(order.price) : null]
+          .filter(Boolean)
+          .join(' · '),
+      };
+    },
+  },
+  order_cancelled: {
+    label: 'Cancellations',
+    icon: XCircleIcon,
+    className: 'bg-red-100 text-red-700',
+    permission: PERMISSIONS.ORDERS_VIEW,
+    event: 'order.updated',
+    fromSocket: (payload) => {
+      const order = getOrderFromPayload(payload);
+      if (!order?._id || order.status !== 'cancelled') return null;
+      return {
+        entityId: order._id,
+        at: order.updatedAt,
+        title: `Order ${order.orderId || ''} cancelled`.replace(/\s+/g, ' '),
+        detail: order.cancellationReason || order.customerId?.fullName || '',
+      };
+    },
+  },
+  rider_signup: {
+    label: 'Rider sign-ups',
+    icon: UserPlusIcon,
+    className: 'bg-green-100 text-green-700',
+    permission: PERMISSIONS.RIDERS_VIEW,
+    event: 'rider.registered',
+    fromSocket: (payload) => {
+      const rider = payload?.rider || payload;
+      if (!rider?._id) return null;
+      return {
+        entityId: rider._id,
+        at: rider.createdAt,
+        title: `${rider.fullName || 'A new rider'} signed up`,
+        detail: rider.email || '',
+      };
+    },
+  },
+  payout_paid: {
+    label: 'Payouts paid',
+    icon: BanknotesIcon,
+    className: 'bg-emerald-100 text-emerald-700',
+    permission: PERMISSIONS.PAYOUTS_VIEW,
+    event: 'payout.paid',
+    fromSocket: (payload) => {
+      const payout = payload?.payout || payload;
+      if (!payout?._id) return null;
+      return {
+        entityId: payout.riderId?._id || payout.riderId,
+        at: payout.paidAt,
+        title: `Payout marked paid for ${payout.riderName || 'a rider'}`,
+        detail: payout.totals?.commission ? formatCurrency(payout.totals.commission) : '',
+      };
+    },
+  },
+  rider_blocked: {
+    label: 'Riders blocked',
+    icon: NoSymbolIcon,
+    className: 'bg-orange-100 text-orange-700',
+    permission: PERMISSIONS.PAYOUTS_VIEW,
+    event: 'rider.blocked',
+    fromSocket: (payload) => {
+      const rider = payload?.rider || payload;
+      if (!rider?._id) return null;
+      return {
+        entityId: rider._id,
+        at: rider.blockedAt,
+        title: `${rider.fullName || 'A rider'} blocked for overdue commission`,
+        detail: rider.overdueAmount ? `${formatCurrency(rider.overdueAmount)} overdue` : '',
+      };
+    },
+  },
+  promo_updated: {
+    label: 'Promo changes',
+    icon: GiftIcon,
+    className: 'bg-purple-100 text-purple-700',
+    permission: PERMISSIONS.PROMOS_VIEW,
+    event: 'promo.updated',
+    fromSocket: (payload) => ({
+      entityId: payload?.versionId || null,
+      at: payload?.updatedAt,
+      title: `${payload?.promoType ? `${payload.promoType} promo` : 'Promo config'} updated`,
+      detail: payload?.updatedBy?.fullName || payload?.updatedBy?.email || '',
+    }),
+  },
+};
+
+// Orders open in the order modal rather than a page, so they have no path.
+export const getActivityLink = (entry) => {
+  switch (entry.type) {
+    case 'rider_signup':
+    case 'rider_blocked':
+      return getUserProfilePath('rider', entry.entityId);
+    case 'payout_paid':
+      return entry.entityId ? `/rider-payouts?rider=${entry.entityId}` : '/rider-payouts';
+    case 'promo_updated':
+      return '/promos';
+    default:
+      return null;
+  }
+};
+
+export const isOrderActivity = (entry) =>
+  entry.type === 'order_created' || entry.type === 'order_cancelled';
+
+// Keyed on what happened rather than the server's _id so an event that arrives
+// over the socket while the backfill is loading is not listed twice.
+export const normalizeActivity = (item) => ({
+  id: `${item.type}:${item.entityId}:${item.createdAt}`,
+  type: item.type,
+  at: item.createdAt,
+  entityId: item.entityId,
+  title: item.title,
+  detail: item.detail,
+});
+
+export const buildSocketActivity = (type, payload) => {
+  const entry = activityTypes[type].fromSocket(payload);
+  if (!entry) return null;
+  const at = entry.at || new Date().toISOString();
+  return normalizeActivity({ ...entry, type, createdAt: at });
+};
+
+// Newest first, capped at ACTIVITY_FEED_LIMIT.
+export const mergeActivity = (current, incoming) => {
+  const seen = new Set();
+  return [...incoming, ...current]
+    .filter((entry) => {
+      if (seen.has(entry.id)) return false;
+      seen.add(entry.id);
+      return true;
+    })
+    .sort((a, b) => new Date(b.at).getTime() - new Date(a.at).getTime())
+    .slice(0, ACTIVITY_FEED_LIMIT);
+};
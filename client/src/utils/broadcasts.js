@@ -0,0 +1,100 @@
+export const audienceTypes = {
+  all_riders: { label: 'All riders' },
+  all_customers: { label: 'All customers' },
+  riders_by_vehicle: { label: 'Riders by vehicle type' },
+  riders_by_service: { label: 'Riders by preferred service' },
+  gold_status: { label: 'Gold Status holders' },
+  selected: { label: 'Hand-picked users' },
+};
+
+export const vehicleTypeOptions = [
+  { value: 'bicycle', label: 'Bicycle' },
+  { value: 'motorbike', label: 'Motorbike' },
+  { value: 'tricycle', label: 'Tricycle' },
+  { value: 'car', label: 'Car' },
+  { value: 'van', label: 'Van' },
+  { value: 'truck', label: 'Truck' },
+];
+
+export const serviceTypeOptions = [
+  { value: 'courier', label: 'Courier' },
+  { value: 'ride', label: 'Ride' },
+];
+
+export const broadcastChannels = {
+  in_app: { label: 'In-app' },
+  push: { label: 'Push' },
+  sms: { label: 'SMS' },
+};
+
+export const templateVariables = [
+  { key: 'fullName', label: 'Full name' },
+  { key: 'firstName', label: 'First name' },
+  { key: 'email', label: 'Email' },
+  { key: 'referralCode', label: 'Referral code' },
+];
+
+export const SMS_SEGMENT_LENGTH = 160;
+
+const TEMPLATE_PATTERN = /{{\s*(\w+)\s*}}/g;
+
+export const getUnknownTemplateVariables = (text) => {
+  const known = templateVariables.map((variable) => variable.key);
+  const unknown = new Set();
+  for (const match of text.matchAll(TEMPLATE_PATTERN)) {
+    if (!known.includes(match[1])) unknown.add(match[1]);
+  }
+  return [...unknown];
+};
+
+// Mirrors the server's substitution so the preview shows what a recipient
+// will actually get; missing values render as an empty string.
+export const renderTemplate = (text, recipient) =>
+  text.replace(TEMPLATE_PATTERN, (placeholder, key) => {
+    if (key === 'firstName') return (recipient?.fullName || '').trim().split(/\s+/)[0] || '';
+    const value = recipient?.[key];
+    return value === undefined || value === null ? '' : String(value);
+  });
+
+export const getSmsSegmentCount = (text) =>
+  text.length === 0 ? 0 : Math.ceil(text.length / SMS_SEGMENT_LENGTH);
+
+export const buildAudience = (form) => {
+  switch (form.audienceType) {
+    case 'riders_by_vehicle':
+      return { type: form.audienceType, vehicleTypes: form.vehicleTypes };
+    case 'riders_by_service':
+      return { type: form.audienceType, serviceTypes: form.serviceTypes };
+    case 'selected':
+      return {
+        type: form.audienceType,
+        users: form.recipients.map((recipient) => ({
+          id: recipient._id,
+          role: recipient.role,
+        })),
+      };
+    default:
+      return { type: form.audienceType };
+  }
+};
+
+export const describeAudience = (audience) => {
+  if (!audience) return 'Unknown audience';
+  const label = audienceTypes[audience.type]?.label || audience.type;
+  if (audience.type === 'riders_by_vehicle') {
+    return `${label}: ${(audience.vehicleTypes || []).join(', ')}`;
+  }
+  if (audience.type === 'riders_by_service') {
+    return `${label}: ${(audience.serviceTypes || []).join(', ')}`;
+  }
+  if (audience.type === 'selected') {
+    const count = audience.users?.length || 0;
+    return `${count} hand-picked user${count === 1 ? '' : 's'}`;
+  }
+  return label;
+};
+
+export const getBroadcastStatus = (broadcast) => broadcast.status || 'scheduled';
+
+export const getReadRate = (stats) =>
+  stats?.delivered > 0 ? Math.round(((stats.read || 0) / stats.delivered) * 100) : null;
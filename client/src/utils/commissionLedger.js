@@ -0,0 +1,51 @@
+// Balances are what the rider owes: commission raises it, payments and
+// write-offs lower it, and adjustments carry their own sign.
+export const ledgerEntryTypes = {
+  commission: { label: 'Commission', className: 'bg-yellow-100 text-yellow-700' },
+  payment: { label: 'Payment', className: 'bg-green-100 text-green-700' },
+  adjustment: { label: 'Adjustment', className: 'bg-blue-100 text-blue-700' },
+  write_off: { label: 'Write-off', className: 'bg-gray-100 text-gray-600' },
+};
+
+export const getLedgerDelta = (entry) => {
+  const amount = Number(entry.amount) || 0;
+  if (entry.type === 'payment' || entry.type === 'write_off') return -Math.abs(amount);
+  if (entry.type === 'commission') return Math.abs(amount);
+  return amount;
+};
+
+export const buildLedgerRows = (openingBalance, entries) => {
+  let balance = Number(openingBalance) || 0;
+  return [...entries]
+    .sort((a, b) => new Date(a.date || a.createdAt) - new Date(b.date || b.createdAt))
+    .map((entry) => {
+      const delta = getLedgerDelta(entry);
+      balance += delta;
+      return { ...entry, delta, balance };
+    });
+};
+
+export const summarizeLedger = (rows) =>
+  rows.reduce(
+    (acc, row) => {
+      // Adjustments keep their sign so the total shows the net change.
+      const amount = row.type === 'adjustment' ? row.delta : Math.abs(row.delta);
+      acc[row.type] = (acc[row.type] || 0) + amount;
+      return acc;
+    },
+    { commission: 0, payment: 0, adjustment: 0, write_off: 0 }
+  );
+
+const toDateInputValue = (date) => {
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 10);
+};
+
+// Statements default to the last 90 days, which covers the overdue window
+// behind most payment blocks.
+export const getDefaultLedgerRange = () => {
+  const to = new Date();
+  const from = new Date();
+  from.setDate(from.getDate() - 90);
+  return { from: toDateInputValue(from), to: toDateInputValue(to) };
+};
@@ -0,0 +1,89 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const dateRangePresets = [
+  { key: 'today', label: 'Today', summary: 'today' },
+  { key: '7d', label: '7 days', summary: 'in the last 7 days', days: 7 },
+  { key: '30d', label: '30 days', summary: 'in the last 30 days', days: 30 },
+  { key: 'mtd', label: 'Month to date', summary: 'this month' },
+  { key: 'custom', label: 'Custom', summary: 'in the selected period' },
+];
+
+const startOfDay = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  return start;
+};
+
+const endOfDay = (date) => {
+  const end = new Date(date);
+  end.setHours(23, 59, 59, 999);
+  return end;
+};
+
+// Parses the yyyy-mm-dd value of a date input as a local date, not UTC midnight.
+const parseDateInput = (value) => {
+  if (!value) return null;
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Ranges are aligned to whole local days so the same preset yields the same
+// query for the rest of the day, which keeps effects that depend on it stable.
+export const getDateRange = ({ range, from, to }, now = new Date()) => {
+  const today = startOfDay(now);
+  let start = today;
+  let end = endOfDay(now);
+
+  if (range === 'custom') {
+    const customStart = parseDateInput(from);
+    const customEnd = parseDateInput(to);
+    if (customStart && customEnd && customStart <= customEnd) {
+      start = customStart;
+      end = endOfDay(customEnd);
+    } else {
+      return getDateRange({ range: '30d' }, now);
+    }
+  } else if (range === 'mtd') {
+    start = new Date(today.getFullYear(), today.getMonth(), 1);
+  } else {
+    const days = dateRangePresets.find((item) => item.key === range)?.days;
+    if (days) {
+      start = new Date(today.getTime() - (days - 1) * DAY_MS);
+    }
+  }
+
+  return { from: start.toISOString(), to: end.toISOString() };
+};
+
+// The period of the same length that ends just before the given range starts.
+export const getPreviousRange = ({ from, to }) => {
+  const start = new Date(from).getTime();
+  const length = new Date(to).getTime() - start;
+  return {
+    from: new Date(start - length - 1).toISOString(),
+    to: new Date(start - 1).toISOString(),
+  };
+};
+
+// Picks the chart bucket size for a range so short ranges are not a single bar.
+export const getRangeGranularity = ({ from, to }) => {
+  const days = (new Date(to).getTime() - new Date(from).getTime()) / DAY_MS;
+  if (days <= 31) return 'day';
+  if (days <= 120) return 'week';
+  return 'month';
+};
+
+export const getDeltaPercent = (current, previous) => {
+  if (typeof current !== 'number' || typeof previous !== 'number' || previous === 0) {
+    return null;
+  }
+  return Math.round(((current - previous) / Math.abs(previous)) * 1000) / 10;
+};
+
+export const formatRangeLabel = ({ from, to }) => {
+  const options = { day: 'numeric', month: 'short', year: 'numeric' };
+  const start = new Date(from).toLocaleDateString('en-NG', options);
+  const end = new Date(to).toLocaleDateString('en-NG', options);
+  return start === end ? start : `${start} – ${end}`;
+};
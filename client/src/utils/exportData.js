@@ -0,0 +1,128 @@
+import writeExcelFile from 'write-excel-file/browser';
+import { formatCurrency, formatDateTime } from './formatters';
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGES = 500;
+
+// Matches the ₦ output of formatCurrency while keeping the cell numeric in Excel.
+const XLSX_CURRENCY_FORMAT = '"₦"#,##0.00';
+
+// fetchPage(page, limit) resolves to { items, totalPages }. Without totalPages,
+// paging stops at the first short page.
+export const fetchAllPages = async (fetchPage, { pageSize = DEFAULT_PAGE_SIZE, onProgress } = {}) => {
+  const rows = [];
+  let page = 1;
+  let totalPages = null;
+
+  while (page <= MAX_PAGES) {
+    const { items = [], totalPages: reportedTotal } = await fetchPage(page, pageSize);
+    rows.push(...items);
+    totalPages = reportedTotal || totalPages;
+
+    if (onProgress) {
+      onProgress({ page, totalPages, rowCount: rows.length });
+    }
+
+    const reachedEnd = totalPages ? page >= totalPages : items.length < pageSize;
+    if (reachedEnd || items.length === 0) {
+      break;
+    }
+    page += 1;
+  }
+
+  return rows;
+};
+
+const getRawValue = (column, row) => {
+  if (typeof column.value === 'function') {
+    return column.value(row);
+  }
+  return row?.[column.key];
+};
+
+const formatCsvValue = (column, value) => {
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+  if (column.type === 'currency') {
+    return formatCurrency(value);
+  }
+  if (column.type === 'date') {
+    return formatDateTime(value);
+  }
+  if (column.type === 'boolean') {
+    return value ? 'Yes' : 'No';
+  }
+  return String(value);
+};
+
+const escapeCsvCell = (value) => {
+  if (/[",\r\n]/.test(value)) {
+    return `"${value.replace(/"/g, '""')}"`;
+  }
+  return value;
+};
+
+export const buildCsv = (rows, columns) => {
+  const header = columns.map((column) => escapeCsvCell(column.header)).join(',');
+  const lines = rows.map((row) =>
+    columns
+      .map((column) => escapeCsvCell(formatCsvValue(column, getRawValue(column, row))))
+      .join(',')
+  );
+  return [header, ...lines].join('\r\n');
+};
+
+const toXlsxCell = (column, value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (column.type === 'currency' || column.type === 'number') {
+    const number = Number(value);
+    if (Number.isNaN(number)) return { type: String, value: String(value) };
+    return column.type === 'currency'
+      ? { type: Number, value: number, format: XLSX_CURRENCY_FORMAT }
+      : { type: Number, value: number };
+  }
+  if (column.type === 'date') {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return null;
+    return { type: Date, value: date, format: 'yyyy-mm-dd hh:mm' };
+  }
+  if (column.type === 'boolean') {
+    return { type: String, value: value ? 'Yes' : 'No' };
+  }
+  return { type: String, value: String(value) };
+};
+
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+export const buildExportFileName = (baseName, extension) => {
+  const stamp = new Date().toISOString().slice(0, 10);
+  return `${baseName}-${stamp}.${extension}`;
+};
+
+export const exportRows = async ({ rows, columns, format, fileName }) => {
+  if (format === 'xlsx') {
+    const header = columns.map((column) => ({ value: column.header, fontWeight: 'bold' }));
+    const body = rows.map((row) =>
+      columns.map((column) => toXlsxCell(column, getRawValue(column, row)))
+    );
+    const blob = await writeExcelFile([header, ...body]).toBlob();
+    downloadBlob(blob, buildExportFileName(fileName, 'xlsx'));
+    return;
+  }
+
+  // Leading BOM so Excel opens the ₦ sign and names with accents correctly.
+  const csv = `\uFEFF${buildCsv(rows, columns)}`;
+  downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), buildExportFileName(fileName, 'csv'));
+};
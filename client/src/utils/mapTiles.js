@@ -0,0 +1,45 @@
+// Tiles come from the environment so the map can point at a hosted provider, a
+// local tile server (e.g. VITE_MAP_TILE_URL=http://localhost:8080/tile/{z}/{x}/{y}.png)
+// or nothing at all, in which case the map falls back to a plain offline basemap.
+const tileUrl = import.meta.env.VITE_MAP_TILE_URL || '';
+const tileAttribution = import.meta.env.VITE_MAP_TILE_ATTRIBUTION || '';
+const tileMaxZoom = Number(import.meta.env.VITE_MAP_TILE_MAX_ZOOM) || 19;
+
+export const getTileLayerConfig = () => {
+  if (!tileUrl || tileUrl === 'none') {
+    return null;
+  }
+  return {
+    url: tileUrl,
+    options: { attribution: tileAttribution, maxZoom: tileMaxZoom },
+  };
+};
+
+// Lagos, used until there is at least one order or rider to fit the view to.
+export const DEFAULT_MAP_CENTER = [
+  Number(import.meta.env.VITE_MAP_DEFAULT_LAT) || 6.5244,
+  Number(import.meta.env.VITE_MAP_DEFAULT_LNG) || 3.3792,
+];
+export const DEFAULT_MAP_ZOOM = 11;
+
+// Accepts { lat, lng }, { latitude, longitude } or GeoJSON-style
+// { coordinates: [lng, lat] }, returning [lat, lng] or null.
+export const getLatLng = (location) => {
+  if (!location) return null;
+  const source = location.location || location;
+  let lat;
+  let lng;
+
+  if (Array.isArray(source.coordinates) && source.coordinates.length >= 2) {
+    [lng, lat] = source.coordinates;
+  } else {
+    lat = source.lat ?? source.latitude;
+    lng = source.lng ?? source.lon ?? source.longitude;
+  }
+
+  if (lat === undefined || lat === null || lng === undefined || lng === null) return null;
+  lat = Number(lat);
+  lng = Number(lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  return [lat, lng];
+};
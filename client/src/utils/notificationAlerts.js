@@ -0,0 +1,142 @@
+// Tones are synthesised with the Web Audio API so each category sounds
+// different without shipping audio files.
+export const notificationCategories = {
+  orders: {
+    label: 'Orders',
+    description: 'Stuck, cancelled and disputed orders',
+    match: ['order'],
+    tone: [660, 880],
+  },
+  payouts: {
+    label: 'Payouts',
+    description: 'Manual payments, overdue commission and blocked riders',
+    match: ['payout', 'payment', 'commission'],
+    tone: [523, 659, 784],
+  },
+  riders: {
+    label: 'Riders & KYC',
+    description: 'New sign-ups and documents waiting for review',
+    match: ['rider', 'kyc'],
+    tone: [440, 554],
+  },
+  referrals: {
+    label: 'Referrals & promos',
+    description: 'Referral rewards, fraud flags and promo changes',
+    match: ['referral', 'promo', 'streak', 'gold'],
+    tone: [784, 988],
+  },
+  system: {
+    label: 'System',
+    description: 'Everything else, including broadcast messages',
+    match: [],
+    tone: [392],
+  },
+};
+
+export const getNotificationCategory = (notification) => {
+  const type = String(notification?.category || notification?.type || '').toLowerCase();
+  const key = Object.keys(notificationCategories).find((category) =>
+    notificationCategories[category].match.some((prefix) => type.startsWith(prefix))
+  );
+  return key || 'system';
+};
+
+const defaultPreferences = {
+  sound: true,
+  desktop: true,
+  categories: Object.keys(notificationCategories).reduce((acc, key) => {
+    acc[key] = true;
+    return acc;
+  }, {}),
+};
+
+// Stored per admin in this browser, since desktop permission and sound are
+// per-device anyway.
+const getStorageKey = (userId) => `notificationPreferences:${userId || 'anonymous'}`;
+
+export const loadNotificationPreferences = (userId) => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(getStorageKey(userId)) || 'null');
+    if (!stored) return defaultPreferences;
+    return {
+      ...defaultPreferences,
+      ...stored,
+      categories: { ...defaultPreferences.categories, ...stored.categories },
+    };
+  } catch {
+    return defaultPreferences;
+  }
+};
+
+export const saveNotificationPreferences = (userId, preferences) => {
+  window.localStorage.setItem(getStorageKey(userId), JSON.stringify(preferences));
+};
+
+export const isDesktopNotificationSupported = () =>
+  typeof window !== 'undefined' && 'Notification' in window;
+
+export const getDesktopPermission = () =>
+  isDesktopNotificationSupported() ? window.Notification.permission : 'unsupported';
+
+export const requestDesktopPermission = async () => {
+  if (!isDesktopNotificationSupported()) return 'unsupported';
+  return window.Notification.requestPermission();
+};
+
+let audioContext = null;
+
+export const playNotificationSound = (category) => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return;
+
+  try {
+    audioContext = audioContext || new AudioContextClass();
+    // Browsers keep the context suspended until the page has had a user gesture.
+    if (audioContext.state === 'suspended') {
+      audioContext.resume().catch(() => {});
+    }
+
+    const tone = (notificationCategories[category] || notificationCategories.system).tone;
+    const start = audioContext.currentTime;
+    tone.forEach((frequency, index) => {
+      const oscillator = audioContext.createOscillator();
+      const gain = audioContext.createGain();
+      const noteStart = start + index * 0.15;
+      oscillator.type = 'sine';
+      oscillator.frequency.value = frequency;
+      gain.gain.setValueAtTime(0.15, noteStart);
+      gain.gain.exponentialRampToValueAtTime(0.001, noteStart + 0.3);
+      oscillator.connect(gain);
+      gain.connect(audioContext.destination);
+      oscillator.start(noteStart);
+      oscillator.stop(noteStart + 0.3);
+    });
+  } catch (err) {
+    console.error('Failed to play notification sound:', err);
+  }
+};
+
+// Only used while the tab is hidden; in the foreground the bell and a toast are enough.
+export const showDesktopNotification = (notification, onClick) => {
+  if (getDesktopPermission() !== 'granted' || !document.hidden) return;
+
+  const desktopNotification = new window.Notification(notification.title || 'New notification', {
+    body: notification.message || '',
+    tag: notification._id,
+  });
+  desktopNotification.onclick = () => {
+    window.focus();
+    desktopNotification.close();
+    onClick?.();
+  };
+};
+
+export const alertForNotification = (userId, notification, { onClick } = {}) => {
+  const preferences = loadNotificationPreferences(userId);
+  const category = getNotificationCategory(notification);
+  if (!preferences.categories[category]) return false;
+
+  if (preferences.sound) playNotificationSound(category);
+  if (preferences.desktop) showDesktopNotification(notification, onClick);
+  return true;
+};
@@ -0,0 +1,98 @@
+import { getNotificationCategory, notificationCategories } from './notificationAlerts';
+
+export const NOTIFICATIONS_PAGE_SIZE = 20;
+
+export const getNotificationId = (notification) => notification.id || notification._id;
+
+export const readNotificationPage = (data, limit) => {
+  const items = data?.notifications || data?.items || [];
+  return {
+    items,
+    // Older API versions return no pagination block; a short page means the end.
+    hasMore: data?.pagination?.hasMore ?? items.length === limit,
+    unreadCount: data?.unreadCount,
+  };
+};
+
+// Pages can overlap when new notifications arrive between requests, since
+// skip counts from the newest item.
+export const appendNotifications = (current, next) => {
+  const seen = new Set(current.map(getNotificationId));
+  return [...current, ...next.filter((item) => !seen.has(getNotificationId(item)))];
+};
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+export const getDayLabel = (value) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return 'Undated';
+  const days = Math.round((startOfDay(new Date()) - startOfDay(date)) / 86400000);
+  if (days === 0) return 'Today';
+  if (days === 1) return 'Yesterday';
+  return date.toLocaleDateString(undefined, {
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+    ...(date.getFullYear() === new Date().getFullYear() ? {} : { year: 'numeric' }),
+  });
+};
+
+export const groupNotifications = (notifications, groupBy) => {
+  const groups = new Map();
+  notifications.forEach((notification) => {
+    const key =
+      groupBy === 'category'
+        ? getNotificationCategory(notification)
+        : getDayLabel(notification.createdAt || notification.at);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(notification);
+  });
+
+  const entries = [...groups.entries()];
+  if (groupBy === 'category') {
+    const order = Object.keys(notificationCategories);
+    entries.sort(([a], [b]) => order.indexOf(a) - order.indexOf(b));
+  }
+
+  return entries.map(([key, items]) => ({
+    key,
+    label: groupBy === 'category' ? notificationCategories[key].label : key,
+    items,
+  }));
+};
+
+const notificationTargets = [
+  {
+    matches: (type) => /payout|payment/.test(type) && type.includes('proof'),
+    resolve: (metadata) => {
+      if (!metadata.payoutId) return null;
+      const params = new URLSearchParams({ payout: metadata.payoutId });
+      // Scoped to the rider so the payout sits beside their other weeks.
+      if (metadata.riderId) params.set('rider', metadata.riderId);
+      return { to: `/rider-payouts?${params}` };
+    },
+  },
+  {
+    matches: (type) => type.includes('block'),
+    resolve: (metadata) => metadata.riderId && { to: `/riders/${metadata.riderId}` },
+  },
+  {
+    matches: (type) => type.startsWith('order'),
+    resolve: (metadata) => metadata.orderId && { orderId: metadata.orderId },
+  },
+];
+
+export const NOTIFICATIONS_FALLBACK_PATH = '/notifications';
+
+// Returns { orderId } for notifications shown in OrderDetailsModal, otherwise
+// { to } with the route to open.
+export const getNotificationTarget = (notification) => {
+  const type = String(notification?.type || '').toLowerCase();
+  const metadata = notification?.metadata || {};
+  for (const target of notificationTargets) {
+    if (!target.matches(type)) continue;
+    const resolved = target.resolve(metadata);
+    if (resolved) return resolved;
+  }
+  return { to: NOTIFICATIONS_FALLBACK_PATH };
+};
@@ -0,0 +1,20 @@
+import {
+  ClockIcon,
+  CheckCircleIcon,
+  XCircleIcon,
+  TruckIcon,
+  ShieldCheckIcon,
+  ArchiveBoxIcon,
+} from '@heroicons/react/24/outline';
+
+export const statusOptions = {
+  all: { label: 'All Statuses', icon: ArchiveBoxIcon, color: 'text-gray-400' },
+  pending: { label: 'Pending', icon: ClockIcon, color: 'text-yellow-400' },
+  assigned: { label: 'Assigned', icon: ShieldCheckIcon, color: 'text-blue-400' },
+  picked_up: { label: 'Picked Up', icon: TruckIcon, color: 'text-indigo-400' },
+  delivering: { label: 'Delivering', icon: TruckIcon, color: 'text-purple-400' },
+  delivered: { label: 'Delivered', icon: CheckCircleIcon, color: 'text-green-400' },
+  cancelled: { label: 'Cancelled', icon: XCircleIcon, color: 'text-red-400' },
+};
+
+export const orderStatuses = Object.keys(statusOptions).filter((status) => status !== 'all');
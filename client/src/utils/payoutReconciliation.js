@@ -0,0 +1,223 @@
+// Amounts on statements are in naira with two decimals; anything closer than
+// a kobo is treated as the same amount.
+const AMOUNT_TOLERANCE = 0.01;
+
+export const statementFormats = {
+  paystack: {
+    label: 'Paystack transactions export',
+    // Only settled transactions count as money received.
+    includeRow: (row) => !row.status || row.status === 'success',
+  },
+  bank: {
+    label: 'Bank statement',
+    // Debits leave the credit column empty, and only credits pay commission.
+    includeRow: (row) => row.amount > 0,
+  },
+};
+
+const columnAliases = {
+  reference: ['reference', 'transaction reference', 'ref', 'reference number', 'transaction id'],
+  amount: ['amount', 'credit', 'credit amount', 'deposit', 'amount paid', 'lodgement'],
+  email: ['customer email', 'email', 'customer_email'],
+  name: ['customer name', 'name', 'account name', 'sender name', 'customer'],
+  phone: ['customer phone', 'phone', 'phone number'],
+  date: ['paid at', 'paid_at', 'transaction date', 'date', 'value date', 'created at'],
+  description: ['narration', 'description', 'remarks', 'details', 'memo'],
+  status: ['status'],
+};
+
+const normalizeHeader = (value) => value.trim().toLowerCase().replace(/\s+/g, ' ');
+
+const normalizeText = (value) =>
+  String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9@.]+/g, ' ')
+    .trim();
+
+// Handles quoted cells, escaped quotes and CRLF line endings, which covers
+// both Paystack exports and the bank statements finance has shared so far.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const source = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ''));
+};
+
+export const parseAmount = (value) => {
+  const cleaned = String(value || '').replace(/[^0-9.-]/g, '');
+  if (!cleaned) return null;
+  const amount = Number(cleaned);
+  return Number.isNaN(amount) ? null : amount;
+};
+
+const findColumns = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+  return Object.keys(columnAliases).reduce((acc, key) => {
+    const index = columnAliases[key]
+      .map((alias) => normalized.indexOf(alias))
+      .find((position) => position !== -1);
+    if (index !== undefined) acc[key] = index;
+    return acc;
+  }, {});
+};
+
+const detectFormat = (headers, columns) => {
+  const normalized = headers.map(normalizeHeader);
+  const looksLikePaystack =
+    normalized.includes('customer email') ||
+    (columns.status !== undefined &&
+      columns.reference !== undefined &&
+      normalized.includes('channel'));
+  return looksLikePaystack ? 'paystack' : 'bank';
+};
+
+// Returns { format, rows } or { error } when the file has no usable columns.
+export const readStatement = (text) => {
+  const [headers, ...lines] = parseCsv(text);
+  if (!headers) return { error: 'The file is empty.' };
+
+  const columns = findColumns(headers);
+  if (columns.amount === undefined) {
+    return { error: 'Could not find an amount or credit column in this file.' };
+  }
+
+  const format = detectFormat(headers, columns);
+  const read = (cells, key) =>
+    columns[key] === undefined ? '' : (cells[columns[key]] || '').trim();
+
+  const rows = lines
+    .map((cells, index) => ({
+      id: `row-${index + 2}`,
+      line: index + 2,
+      reference: read(cells, 'reference'),
+      amount: parseAmount(read(cells, 'amount')),
+      email: read(cells, 'email').toLowerCase(),
+      name: read(cells, 'name'),
+      phone: read(cells, 'phone'),
+      date: read(cells, 'date'),
+      description: read(cells, 'description'),
+      status: read(cells, 'status').toLowerCase(),
+    }))
+    .filter((row) => row.amount !== null && statementFormats[format].includeRow(row));
+
+  return { format, rows };
+};
+
+const getPayoutReferences = (payout) =>
+  [payout.paystackReference, payout.paymentReference, payout.reference, payout._id]
+    .filter(Boolean)
+    .map((value) => String(value).toLowerCase());
+
+const matchesReference = (row, payout) => {
+  const haystack = `${row.reference} ${row.description}`.toLowerCase();
+  return getPayoutReferences(payout).some((reference) => haystack.includes(reference));
+};
+
+const matchesAmount = (row, payout) =>
+  Math.abs(row.amount - (payout.totals?.commission || 0)) < AMOUNT_TOLERANCE;
+
+const matchesRider = (row, payout) => {
+  if (row.email && payout.riderEmail && row.email === payout.riderEmail.toLowerCase()) {
+    return true;
+  }
+  const phone = String(payout.riderPhoneNumber || '').replace(/\D/g, '').slice(-10);
+  if (phone && `${row.phone} ${row.description}`.replace(/\D/g, '').includes(phone)) {
+    return true;
+  }
+  // Bank narrations usually carry the sender's name, so every part of the
+  // rider's name has to appear somewhere in the row.
+  const nameParts = normalizeText(payout.riderName).split(' ').filter((part) => part.length > 1);
+  const text = normalizeText(`${row.name} ${row.description}`);
+  return nameParts.length > 0 && nameParts.every((part) => text.split(' ').includes(part));
+};
+
+const describeReasons = (row, payout) =>
+  [
+    matchesReference(row, payout) && 'reference',
+    matchesAmount(row, payout) && 'amount',
+    matchesRider(row, payout) && 'rider',
+  ].filter(Boolean);
+
+// A reference plus the right amount is a match on its own; without a
+// reference we need both the amount and the rider. Anything weaker, or a
+// payout claimed by more than one row, is left for finance to decide.
+export const reconcileStatement = (rows, payouts) => {
+  const openPayouts = payouts.filter((payout) => payout.status !== 'paid');
+
+  const results = rows.map((row) => {
+    const byReference = openPayouts.filter(
+      (payout) => matchesReference(row, payout) && matchesAmount(row, payout)
+    );
+    const byRider = openPayouts.filter(
+      (payout) => matchesAmount(row, payout) && matchesRider(row, payout)
+    );
+    const strong = byReference.length > 0 ? byReference : byRider;
+
+    if (strong.length === 1) {
+      return { row, bucket: 'matched', payout: strong[0], candidates: strong };
+    }
+    if (strong.length > 1) {
+      return { row, bucket: 'ambiguous', payout: null, candidates: strong };
+    }
+
+    const weak = openPayouts.filter(
+      (payout) => matchesAmount(row, payout) || matchesReference(row, payout)
+    );
+    return weak.length > 0
+      ? { row, bucket: 'ambiguous', payout: null, candidates: weak }
+      : { row, bucket: 'unmatched', payout: null, candidates: [] };
+  });
+
+  const claims = results.reduce((acc, result) => {
+    if (result.payout) acc[result.payout._id] = (acc[result.payout._id] || 0) + 1;
+    return acc;
+  }, {});
+
+  return results.map((result) => {
+    const withReasons = {
+      ...result,
+      candidates: result.candidates.map((payout) => ({
+        payout,
+        reasons: describeReasons(result.row, payout),
+      })),
+    };
+    return result.payout && claims[result.payout._id] > 1
+      ? { ...withReasons, bucket: 'ambiguous', payout: null }
+      : withReasons;
+  });
+};
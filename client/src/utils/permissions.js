@@ -0,0 +1,92 @@
+export const PERMISSIONS = {
+  DASHBOARD_VIEW: 'dashboard:view',
+  ORDERS_VIEW: 'orders:view',
+  ORDERS_MANAGE: 'orders:manage',
+  RIDERS_VIEW: 'riders:view',
+  RIDERS_MANAGE: 'riders:manage',
+  CUSTOMERS_VIEW: 'customers:view',
+  CUSTOMERS_MANAGE: 'customers:manage',
+  PAYOUTS_VIEW: 'payouts:view',
+  PAYOUTS_MANAGE: 'payouts:manage',
+  PROMOS_VIEW: 'promos:view',
+  PROMOS_MANAGE: 'promos:manage',
+  REFERRALS_VIEW: 'referrals:view',
+  REFERRALS_MANAGE: 'referrals:manage',
+  SETTINGS_VIEW: 'settings:view',
+  AUDIT_VIEW: 'audit:view',
+  NOTIFICATIONS_SEND: 'notifications:send',
+};
+
+export const ADMIN_ROLES = {
+  SUPER_ADMIN: 'super_admin',
+  FINANCE: 'finance',
+  SUPPORT: 'support',
+  MARKETING: 'marketing',
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+const rolePermissions = {
+  [ADMIN_ROLES.SUPER_ADMIN]: ALL_PERMISSIONS,
+  [ADMIN_ROLES.FINANCE]: [
+    PERMISSIONS.DASHBOARD_VIEW,
+    PERMISSIONS.ORDERS_VIEW,
+    PERMISSIONS.RIDERS_VIEW,
+    PERMISSIONS.CUSTOMERS_VIEW,
+    PERMISSIONS.PAYOUTS_VIEW,
+    PERMISSIONS.PAYOUTS_MANAGE,
+    PERMISSIONS.PROMOS_VIEW,
+    PERMISSIONS.REFERRALS_VIEW,
+    PERMISSIONS.REFERRALS_MANAGE,
+    PERMISSIONS.AUDIT_VIEW,
+  ],
+  [ADMIN_ROLES.SUPPORT]: [
+    PERMISSIONS.DASHBOARD_VIEW,
+    PERMISSIONS.ORDERS_VIEW,
+    PERMISSIONS.ORDERS_MANAGE,
+    PERMISSIONS.RIDERS_VIEW,
+    PERMISSIONS.RIDERS_MANAGE,
+    PERMISSIONS.CUSTOMERS_VIEW,
+    PERMISSIONS.CUSTOMERS_MANAGE,
+    PERMISSIONS.PAYOUTS_VIEW,
+    PERMISSIONS.REFERRALS_VIEW,
+    PERMISSIONS.NOTIFICATIONS_SEND,
+  ],
+  [ADMIN_ROLES.MARKETING]: [
+    PERMISSIONS.DASHBOARD_VIEW,
+    PERMISSIONS.CUSTOMERS_VIEW,
+    PERMISSIONS.PROMOS_VIEW,
+    PERMISSIONS.PROMOS_MANAGE,
+    PERMISSIONS.REFERRALS_VIEW,
+    PERMISSIONS.REFERRALS_MANAGE,
+    PERMISSIONS.NOTIFICATIONS_SEND,
+  ],
+};
+
+// Admins created before roles existed have no adminRoles on /auth/me;
+// they keep full access until someone assigns them a role.
+export const getUserRoles = (user) => {
+  if (!user) return [];
+  if (Array.isArray(user.adminRoles) && user.adminRoles.length > 0) {
+    return user.adminRoles;
+  }
+  if (user.adminRole) {
+    return [user.adminRole];
+  }
+  return user.role === 'admin' ? [ADMIN_ROLES.SUPER_ADMIN] : [];
+};
+
+export const getUserPermissions = (user) => {
+  const permissions = new Set();
+  getUserRoles(user).forEach((role) => {
+    (rolePermissions[role] || []).forEach((permission) => permissions.add(permission));
+  });
+  return permissions;
+};
+
+export const hasPermission = (user, permission) => {
+  if (!permission) return true;
+  const required = Array.isArray(permission) ? permission : [permission];
+  const granted = getUserPermissions(user);
+  return required.every((item) => granted.has(item));
+};
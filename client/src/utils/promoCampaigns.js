@@ -0,0 +1,34 @@
+const INACTIVE_STATUSES = ['cancelled', 'ended'];
+
+export const getCampaignStatus = (campaign, now = Date.now()) => {
+  if (campaign.status === 'cancelled') return 'cancelled';
+  const start = new Date(campaign.startsAt).getTime();
+  const end = new Date(campaign.endsAt).getTime();
+  if (now < start) return 'scheduled';
+  if (now >= end) return 'ended';
+  return 'active';
+};
+
+const rangesOverlap = (a, b) =>
+  new Date(a.startsAt).getTime() < new Date(b.endsAt).getTime() &&
+  new Date(b.startsAt).getTime() < new Date(a.endsAt).getTime();
+
+// Campaigns on the same promo type whose windows intersect the given one.
+// Cancelled and finished campaigns can no longer clash, so they are ignored.
+export const getOverlappingCampaigns = (campaign, campaigns, now = Date.now()) =>
+  campaigns.filter(
+    (other) =>
+      other._id !== campaign._id &&
+      other.promoType === campaign.promoType &&
+      !INACTIVE_STATUSES.includes(getCampaignStatus(other, now)) &&
+      rangesOverlap(campaign, other)
+  );
+
+// datetime-local inputs work in local time without a timezone suffix.
+export const toDateTimeInputValue = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  const offsetMs = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+};
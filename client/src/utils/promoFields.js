@@ -0,0 +1,62 @@
+// Editable fields of each promo program, shared by the campaign scheduler and
+// anything else that needs to render or compare promo settings.
+export const promoTypes = {
+  referral: {
+    label: 'Referral',
+    color: 'bg-blue-500',
+    fields: [
+      { key: 'rewardAmount', label: 'Reward amount', min: 0, currency: true },
+      { key: 'requiredTrips', label: 'Required trips per referee', min: 1 },
+    ],
+  },
+  streak: {
+    label: 'Streak Bonus',
+    color: 'bg-purple-500',
+    fields: [
+      { key: 'bonusAmount', label: 'Bonus amount', min: 0, currency: true },
+      { key: 'requiredStreak', label: 'Required streak (consecutive accepts)', min: 1 },
+    ],
+  },
+  goldStatus: {
+    label: 'Gold Status',
+    color: 'bg-yellow-500',
+    fields: [
+      { key: 'requiredRides', label: 'Required rides', min: 1 },
+      { key: 'windowDays', label: 'Window days', min: 1 },
+      { key: 'durationDays', label: 'Duration days', min: 1 },
+      { key: 'discountPercent', label: 'Discount percent', min: 0, max: 100 },
+    ],
+  },
+};
+
+export const promoTypeKeys = Object.keys(promoTypes);
+
+const enabledField = { key: 'enabled', label: 'Enabled', boolean: true };
+
+// The on/off switch plus the program's own fields: everything a save can change.
+export const getPromoSettingFields = (promoType) => [enabledField, ...promoTypes[promoType].fields];
+
+const sameValue = (a, b) => String(a ?? '') === String(b ?? '');
+
+// Field-level differences between two full promo config snapshots.
+export const diffPromoConfigs = (from, to) =>
+  promoTypeKeys.flatMap((promoType) =>
+    getPromoSettingFields(promoType)
+      .filter((field) => !sameValue(from?.[promoType]?.[field.key], to?.[promoType]?.[field.key]))
+      .map((field) => ({
+        promoType,
+        field,
+        from: from?.[promoType]?.[field.key],
+        to: to?.[promoType]?.[field.key],
+      }))
+  );
+
+export const getPromoFieldLabel = (field) => (field.currency ? `${field.label} (₦)` : field.label);
+
+export const formatPromoValue = (field, value) => {
+  if (value === undefined || value === null || value === '') return 'N/A';
+  if (field.boolean) return value ? 'On' : 'Off';
+  if (field.currency) return `₦${Number(value).toLocaleString()}`;
+  if (field.key === 'discountPercent') return `${value}%`;
+  return String(value);
+};
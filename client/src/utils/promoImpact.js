@@ -0,0 +1,69 @@
+import {
+  getAdminStreakUsers,
+  getAdminGoldStatusUsers,
+  getAdminReferralStats,
+} from '../services/adminApi';
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : 0;
+};
+
+// Only the program stats are needed. The streak and Gold Status endpoints
+// return theirs alongside a user list, so a single-row page is enough.
+export const loadPromoImpactData = async () => {
+  const [referralResponse, streakResponse, goldResponse] = await Promise.all([
+    getAdminReferralStats(),
+    getAdminStreakUsers({ page: 1, limit: 1 }),
+    getAdminGoldStatusUsers({ page: 1, limit: 1 }),
+  ]);
+
+  return {
+    referral: referralResponse?.stats || {},
+    streak: streakResponse?.stats || {},
+    goldStatus: goldResponse?.stats || {},
+  };
+};
+
+// The stats only count users under the live config, so another threshold
+// scales that count in inverse proportion to it.
+const scaleCount = (count, liveThreshold, threshold) => {
+  const live = toNumber(liveThreshold);
+  const next = toNumber(threshold);
+  if (live <= 0 || next <= 0) return toNumber(count);
+  return (toNumber(count) * live) / next;
+};
+
+// Each estimator takes the settings to estimate and the live config they are
+// compared with. The estimates assume everyone who qualifies is rewarded once
+// in the coming week; they are meant for comparing settings, not forecasting.
+export const estimateReferralImpact = (data, { requiredTrips, rewardAmount }, live) => {
+  const qualifying = scaleCount(data.referral.pendingRewards, live.requiredTrips, requiredTrips);
+  return { qualifying, weeklyCost: qualifying * toNumber(rewardAmount) };
+};
+
+export const estimateStreakImpact = (data, { requiredStreak, bonusAmount }, live) => {
+  const qualifying = scaleCount(data.streak.eligibleCount, live.requiredStreak, requiredStreak);
+  return { qualifying, weeklyCost: qualifying * toNumber(bonusAmount) };
+};
+
+const getRidePace = ({ requiredRides, windowDays }) =>
+  toNumber(requiredRides) / (toNumber(windowDays) || 1);
+
+// The stats carry no fares, so Gold's cost is not a naira figure: it counts the
+// full fares given away, with each Gold rider keeping the minimum ride pace.
+export const estimateGoldStatusImpact = (data, settings, live) => {
+  const pace = getRidePace(settings);
+  const qualifying = scaleCount(data.goldStatus.activeCount, getRidePace(live), pace);
+  return {
+    qualifying,
+    weeklyCost: qualifying * pace * 7 * (toNumber(settings.discountPercent) / 100),
+    costUnit: 'fares',
+  };
+};
+
+export const promoImpactEstimators = {
+  referral: estimateReferralImpact,
+  streak: estimateStreakImpact,
+  goldStatus: estimateGoldStatusImpact,
+};
@@ -0,0 +1,101 @@
+// A referee who reaches the trip requirement within this many hours of signing up
+// is unusual enough to look at before the reward goes out.
+export const FAST_QUALIFICATION_HOURS = 24;
+
+// Nigerian numbers are compared on their last ten digits so +234 and 0-prefixed
+// forms match; the prefix drops the last three digits to catch sequential SIMs.
+const PHONE_PREFIX_LENGTH = 7;
+
+export const referralFlagLabels = {
+  sharedPhonePrefix: 'Shared phone prefix',
+  sharedEmail: 'Shared email',
+  fastQualification: 'Qualified unusually fast',
+  singleRider: 'All trips with one rider',
+};
+
+const getPhonePrefix = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '').slice(-10);
+  return digits.length === 10 ? digits.slice(0, PHONE_PREFIX_LENGTH) : null;
+};
+
+// Gmail ignores dots in the local part and serves googlemail.com as an alias;
+// elsewhere a dot can be part of a different mailbox.
+const GMAIL_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+// Folds the usual tricks for minting extra addresses from one mailbox:
+// letter case, +tags and, on Gmail, dots in the local part.
+const getEmailKey = (email) => {
+  const [local, domain] = String(email || '').trim().toLowerCase().split('@');
+  if (!local || !domain) return null;
+  const base = local.split('+')[0];
+  return GMAIL_DOMAINS.includes(domain)
+    ? `${base.replace(/\./g, '')}@gmail.com`
+    : `${base}@${domain}`;
+};
+
+// Without the live trip requirement only the server's qualifiedAt can be used.
+const getQualifiedAt = (referral, requiredTrips) => {
+  if (referral.qualifiedAt) return new Date(referral.qualifiedAt);
+  if (!requiredTrips) return null;
+  const completedAt = (referral.trips || [])
+    .map((trip) => new Date(trip.completedAt).getTime())
+    .filter(Number.isFinite)
+    .sort((a, b) => a - b);
+  return completedAt.length >= requiredTrips ? new Date(completedAt[requiredTrips - 1]) : null;
+};
+
+const getTripRiderId = (trip) => trip.rider?._id || trip.rider?.id || trip.riderId || null;
+
+// Returns { [referralId]: [{ type, detail }] } for the referees of one referrer.
+export const getReferralFlags = (referrer, referrals, requiredTrips) => {
+  // Names of the referrer and other referees whose key matches this referee's.
+  const findMatches = (getKey, referral) => {
+    const key = getKey(referral.referredUser);
+    if (!key) return [];
+    const matches = getKey(referrer) === key ? [referrer?.name || 'the referrer'] : [];
+    referrals.forEach((other) => {
+      if (other.id !== referral.id && getKey(other.referredUser) === key) {
+        matches.push(other.referredUser?.name || 'another referee');
+      }
+    });
+    return matches;
+  };
+
+  return referrals.reduce((acc, referral) => {
+    const flags = [];
+
+    const phoneMatches = findMatches((person) => getPhonePrefix(person?.phone), referral);
+    if (phoneMatches.length > 0) {
+      flags.push({ type: 'sharedPhonePrefix', detail: `Same prefix as ${phoneMatches.join(', ')}` });
+    }
+
+    const emailMatches = findMatches((person) => getEmailKey(person?.email), referral);
+    if (emailMatches.length > 0) {
+      flags.push({ type: 'sharedEmail', detail: `Same mailbox as ${emailMatches.join(', ')}` });
+    }
+
+    const qualifiedAt = getQualifiedAt(referral, requiredTrips);
+    const signedUpAt = new Date(referral.createdAt);
+    if (qualifiedAt && !Number.isNaN(signedUpAt.getTime())) {
+      const hours = (qualifiedAt.getTime() - signedUpAt.getTime()) / 3600000;
+      if (hours >= 0 && hours < FAST_QUALIFICATION_HOURS) {
+        flags.push({
+          type: 'fastQualification',
+          detail: `${requiredTrips ? `Reached ${requiredTrips} trips` : 'Qualified'} ${
+            hours < 1 ? 'within an hour' : `in ${Math.round(hours)}h`
+          } of signing up`,
+        });
+      }
+    }
+
+    const trips = referral.trips || [];
+    const riderIds = new Set(trips.map(getTripRiderId).filter(Boolean));
+    if (trips.length >= 2 && riderIds.size === 1) {
+      const riderName = trips[0].rider?.fullName || trips[0].rider?.name || 'the same rider';
+      flags.push({ type: 'singleRider', detail: `All ${trips.length} trips with ${riderName}` });
+    }
+
+    if (flags.length > 0) acc[referral.id] = flags;
+    return acc;
+  }, {});
+};
@@ -0,0 +1,226 @@
+import { formatCurrency } from './formatters';
+import { getRiderScorecards } from '../services/adminApi';
+import { getOrders } from '../services/orderApi';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ORDER_PAGE_SIZE = 100;
+const MAX_ORDER_PAGES = 50;
+
+export const scorecardPeriods = [
+  { key: '7d', label: 'Last 7 days', days: 7 },
+  { key: '30d', label: 'Last 30 days', days: 30 },
+  { key: '90d', label: 'Last 90 days', days: 90 },
+];
+
+export const getScorecardRange = (periodKey, now = Date.now()) => {
+  const period =
+    scorecardPeriods.find((item) => item.key === periodKey) || scorecardPeriods[1];
+  return {
+    from: new Date(now - period.days * DAY_MS).toISOString(),
+    to: new Date(now).toISOString(),
+  };
+};
+
+const formatMinutes = (minutes) => {
+  if (minutes === null || minutes === undefined) return '—';
+  if (minutes < 60) return `${Math.round(minutes)} min`;
+  return `${Math.floor(minutes / 60)}h ${String(Math.round(minutes % 60)).padStart(2, '0')}m`;
+};
+
+const getAcceptanceRate = (scorecard) =>
+  scorecard.offersReceived > 0
+    ? Math.round((scorecard.offersAccepted / scorecard.offersReceived) * 1000) / 10
+    : null;
+
+// lowerIsBetter flips the ranking so rank 1 is always the rider ops would want
+// to see at the top.
+export const scorecardKpis = [
+  {
+    key: 'completedOrders',
+    label: 'Completed',
+    value: (scorecard) => scorecard.completedOrders ?? 0,
+    format: (value) => String(value),
+  },
+  {
+    key: 'cancelledOrders',
+    label: 'Cancelled',
+    value: (scorecard) => scorecard.cancelledOrders ?? 0,
+    format: (value) => String(value),
+    lowerIsBetter: true,
+  },
+  {
+    key: 'acceptanceRate',
+    label: 'Acceptance rate',
+    value: getAcceptanceRate,
+    format: (value) => (value === null ? '—' : `${value}%`),
+  },
+  {
+    key: 'avgPickupMinutes',
+    label: 'Avg pickup time',
+    value: (scorecard) => scorecard.avgPickupMinutes ?? null,
+    format: formatMinutes,
+    lowerIsBetter: true,
+  },
+  {
+    key: 'avgDeliveryMinutes',
+    label: 'Avg delivery time',
+    value: (scorecard) => scorecard.avgDeliveryMinutes ?? null,
+    format: formatMinutes,
+    lowerIsBetter: true,
+  },
+  {
+    key: 'earnings',
+    label: 'Earnings',
+    value: (scorecard) => scorecard.earnings ?? 0,
+    format: formatCurrency,
+  },
+  {
+    key: 'commissionOwed',
+    label: 'Commission owed',
+    value: (scorecard) => scorecard.commissionOwed ?? 0,
+    format: formatCurrency,
+  },
+];
+
+const getEventTime = (event) => {
+  const time = new Date(event?.at).getTime();
+  return Number.isFinite(time) ? time : null;
+};
+
+// Pickup runs from the last assignment before pickup, so a reassigned order
+// is timed against the rider who actually collected it; delivery runs from
+// pickup to delivered.
+export const getOrderTimings = (order) => {
+  const timeline = order.timeline || [];
+  const pickedUpAt = getEventTime(timeline.find((event) => event.status === 'picked_up'));
+  const deliveredAt = getEventTime(timeline.find((event) => event.status === 'delivered'));
+  const assignedAt = timeline
+    .filter((event) => event.status === 'assigned')
+    .map(getEventTime)
+    .filter((time) => time !== null && pickedUpAt !== null && time <= pickedUpAt)
+    .pop();
+
+  return {
+    deliveredAt,
+    pickupMinutes: assignedAt !== undefined ? (pickedUpAt - assignedAt) / 60000 : null,
+    deliveryMinutes:
+      pickedUpAt !== null && deliveredAt !== null && deliveredAt >= pickedUpAt
+        ? (deliveredAt - pickedUpAt) / 60000
+        : null,
+  };
+};
+
+// /admin/orders lists newest first and has no date filter, so paging stops at
+// the first page that reaches back past the start of the period.
+const fetchDeliveredOrders = async ({ from }) => {
+  const fromTime = new Date(from).getTime();
+  const orders = [];
+
+  for (let page = 1; page <= MAX_ORDER_PAGES; page += 1) {
+    const response = await getOrders({ status: 'delivered', page, limit: ORDER_PAGE_SIZE });
+    const items = response.orders || [];
+    orders.push(...items);
+
+    const totalPages = response.pagination?.totalPages;
+    const oldest = items[items.length - 1];
+    if (
+      items.length < ORDER_PAGE_SIZE ||
+      (totalPages && page >= totalPages) ||
+      new Date(oldest.createdAt).getTime() < fromTime
+    ) {
+      break;
+    }
+  }
+
+  return orders;
+};
+
+const average = (values) =>
+  values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+
+// Average pickup and delivery minutes per rider, from the timelines of orders
+// delivered within the range.
+export const getTimelineAverages = (orders, { from, to }) => {
+  const fromTime = new Date(from).getTime();
+  const toTime = new Date(to).getTime();
+  const byRider = {};
+
+  orders.forEach((order) => {
+    const riderId = order.riderId?._id || order.riderId;
+    const timings = getOrderTimings(order);
+    if (!riderId || timings.deliveredAt === null) return;
+    if (timings.deliveredAt < fromTime || timings.deliveredAt > toTime) return;
+
+    if (!byRider[riderId]) byRider[riderId] = { pickup: [], delivery: [] };
+    if (timings.pickupMinutes !== null) byRider[riderId].pickup.push(timings.pickupMinutes);
+    if (timings.deliveryMinutes !== null) byRider[riderId].delivery.push(timings.deliveryMinutes);
+  });
+
+  return Object.entries(byRider).reduce((acc, [riderId, timings]) => {
+    acc[riderId] = {
+      avgPickupMinutes: average(timings.pickup),
+      avgDeliveryMinutes: average(timings.delivery),
+    };
+    return acc;
+  }, {});
+};
+
+export const getScorecardKpi = (key) =>
+  scorecardKpis.find((kpi) => kpi.key === key) || scorecardKpis[0];
+
+const compareKpiValues = (kpi, a, b) => (kpi.lowerIsBetter ? a - b : b - a);
+
+// Adds kpis: { [key]: { value, rank } } to each scorecard. Ties share a rank
+// (1, 2, 2, 4) and riders with no data for a KPI are left unranked.
+export const rankScorecards = (scorecards) => {
+  const ranked = scorecards.map((scorecard) => ({
+    ...scorecard,
+    acceptanceRate: getAcceptanceRate(scorecard),
+    kpis: {},
+  }));
+
+  scorecardKpis.forEach((kpi) => {
+    const values = ranked
+      .map((scorecard) => kpi.value(scorecard))
+      .filter((value) => value !== null)
+      .sort((a, b) => compareKpiValues(kpi, a, b));
+
+    ranked.forEach((scorecard) => {
+      const value = kpi.value(scorecard);
+      scorecard.kpis[kpi.key] = {
+        value,
+        rank: value === null ? null : values.indexOf(value) + 1,
+      };
+    });
+  });
+
+  return ranked;
+};
+
+// Scorecards for every rider in the range with the timeline averages merged in,
+// ranked against each other.
+export const loadRiderScorecards = async (range) => {
+  const [response, orders] = await Promise.all([
+    getRiderScorecards(range),
+    fetchDeliveredOrders(range),
+  ]);
+  const averages = getTimelineAverages(orders, range);
+  return rankScorecards(
+    (response.scorecards || []).map((scorecard) => ({
+      ...scorecard,
+      avgPickupMinutes: averages[scorecard.riderId]?.avgPickupMinutes ?? null,
+      avgDeliveryMinutes: averages[scorecard.riderId]?.avgDeliveryMinutes ?? null,
+    }))
+  );
+};
+
+export const sortScorecards = (scorecards, kpiKey) => {
+  const kpi = getScorecardKpi(kpiKey);
+  return [...scorecards].sort((a, b) => {
+    const aRank = a.kpis[kpi.key].rank;
+    const bRank = b.kpis[kpi.key].rank;
+    if (aRank === null) return bRank === null ? 0 : 1;
+    if (bRank === null) return -1;
+    return aRank - bRank;
+  });
+};
@@ -0,0 +1,16 @@
+import { PERMISSIONS } from './permissions';
+
+const profileRoutes = {
+  rider: { basePath: '/riders', permission: PERMISSIONS.RIDERS_VIEW },
+  customer: { basePath: '/customers', permission: PERMISSIONS.CUSTOMERS_VIEW },
+};
+
+// Referral and audit payloads use the account role, where customers are plain 'user's.
+const normalizeUserType = (type) => (type === 'user' ? 'customer' : type);
+
+export const getUserProfileRoute = (type) => profileRoutes[normalizeUserType(type)] || null;
+
+export const getUserProfilePath = (type, userId) => {
+  const route = getUserProfileRoute(type);
+  return route && userId ? `${route.basePath}/${userId}` : null;
+};